@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react'
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
-import { getHistoryForRange } from '../utils/historyUtils'
+import { getBackfilledHistory } from '../services/backfillService'
 import { useAuth } from '../context/AuthContext'
+import { usePortfolio } from '../context/PortfolioContext'
 
 const PriceLineChart = ({ coins }) => {
   const { user } = useAuth()
+  const { activePortfolio } = usePortfolio()
   const [history, setHistory] = useState([])
   const [loading, setLoading] = useState(true)
 
@@ -19,7 +21,7 @@ const PriceLineChart = ({ coins }) => {
 
       setLoading(true)
       try {
-        const data = await getHistoryForRange(30, user.id)
+        const data = await getBackfilledHistory(30, user.id, activePortfolio?.id || null)
         setHistory(data)
       } catch (error) {
         console.error('Error loading history:', error)
@@ -30,7 +32,7 @@ const PriceLineChart = ({ coins }) => {
     }
 
     loadHistory()
-  }, [user])
+  }, [user, activePortfolio])
 
   // Handle loading or empty state
   if (loading || !history || history.length === 0) {
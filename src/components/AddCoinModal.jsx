@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react'
 import { usePortfolio } from '../context/PortfolioContext'
+import { LOCATION_TYPE_ICONS } from '../utils/locations'
+import { INCOME_TYPE_LABELS } from '../utils/income'
 import { searchCryptoCoins, fetchTopCoins, fetchCurrentPrices, getCoinId } from '../services/cryptoApi'
+import { fetchHistoricalPrice } from '../services/historicalApi'
 
 // Cache for top coins (shared across modal instances)
 let topCoinsCache = null
@@ -11,8 +14,13 @@ const TOP_COINS_CACHE_DURATION = 5 * 60 * 1000 // 5 minutes
 let pricesCache = {}
 let pricesCacheTime = {}
 
+// datetime-local inputs work in local time without a zone suffix
+const toDateTimeInputValue = (date) => {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
 const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
-  const { addCoin } = usePortfolio()
+  const { addCoin, locations } = usePortfolio()
 
   const [formData, setFormData] = useState({
     name: '',
@@ -21,7 +29,12 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
     buyPrice: '',
     image: '',
     coinId: '',
-    currentMarketPrice: null
+    currentMarketPrice: null,
+    fee: '',
+    feeCurrency: 'USD',
+    tradeDate: '',
+    locationId: '',
+    transactionType: 'BUY'
   })
 
   const [errors, setErrors] = useState({})
@@ -35,6 +48,7 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
   const [showSearchDropdown, setShowSearchDropdown] = useState(false)
   const [pricesData, setPricesData] = useState({})
   const [loadingPrices, setLoadingPrices] = useState(false)
+  const [historicalPrice, setHistoricalPrice] = useState(null)
   
   const searchTimeoutRef = useRef(null)
   const searchInputRef = useRef(null)
@@ -46,6 +60,29 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
     }
   }, [isOpen])
 
+  // Look up the price on the trade date whenever a backdated coin is picked
+  useEffect(() => {
+    if (!isOpen || !formData.coinId || !formData.tradeDate) {
+      setHistoricalPrice(null)
+      return
+    }
+
+    let cancelled = false
+    setHistoricalPrice({ loading: true })
+
+    fetchHistoricalPrice(formData.coinId, new Date(formData.tradeDate)).then(result => {
+      if (cancelled) return
+      setHistoricalPrice({ loading: false, ...result })
+      if (result.success) {
+        setFormData(prev => ({ ...prev, buyPrice: result.price.toString() }))
+      }
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, formData.coinId, formData.tradeDate])
+
   // Load top coins with caching
   const loadTopCoins = async () => {
     try {
@@ -196,7 +233,8 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
       image: coin.image || coin.large || coin.thumb || '',
       coinId: coinId,
       currentMarketPrice: marketPrice,
-      buyPrice: marketPrice ? marketPrice.toString() : prev.buyPrice
+      // Backdated buys keep the historical price looked up for the trade date
+      buyPrice: marketPrice && !prev.tradeDate ? marketPrice.toString() : prev.buyPrice
     }))
     setSearchQuery('')
     setSearchResults([])
@@ -205,18 +243,30 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
 
   const handleChange = (e) => {
     const { name, value } = e.target
-    setFormData(prev => ({ ...prev, [name]: value }))
+    setFormData(prev => {
+      // Going back to "now" restores the live price
+      if (name === 'tradeDate' && !value && prev.currentMarketPrice) {
+        return { ...prev, tradeDate: value, buyPrice: prev.currentMarketPrice.toString() }
+      }
+      return { ...prev, [name]: value }
+    })
     if (errors[name]) {
       setErrors(prev => ({ ...prev, [name]: '' }))
     }
   }
 
+  // Income is entered like a buy, with the fair market value on receipt as the price
+  const isIncome = formData.transactionType !== 'BUY'
+
   const validate = () => {
     const newErrors = {}
     if (!formData.name.trim()) newErrors.name = 'Coin name is required'
     if (!formData.symbol.trim()) newErrors.symbol = 'Symbol is required'
     if (!formData.quantity || parseFloat(formData.quantity) <= 0) newErrors.quantity = 'Quantity must be greater than 0'
-    if (!formData.buyPrice || parseFloat(formData.buyPrice) <= 0) newErrors.buyPrice = 'Buy price must be greater than 0'
+    if (!formData.buyPrice || parseFloat(formData.buyPrice) <= 0) newErrors.buyPrice = isIncome ? 'Fair market value must be greater than 0' : 'Buy price must be greater than 0'
+    if (!isIncome && formData.fee && parseFloat(formData.fee) < 0) newErrors.fee = 'Fee cannot be negative'
+    if (!isIncome && formData.feeCurrency !== 'USD' && parseFloat(formData.fee) >= parseFloat(formData.quantity)) newErrors.fee = 'Fee must be less than the quantity bought'
+    if (formData.tradeDate && new Date(formData.tradeDate) > new Date()) newErrors.tradeDate = 'Trade date cannot be in the future'
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -234,6 +284,11 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
       quantity: parseFloat(formData.quantity),
       buyPrice: parseFloat(formData.buyPrice),
       currentPrice: formData.currentMarketPrice || parseFloat(formData.buyPrice),
+      fee: isIncome ? 0 : parseFloat(formData.fee) || 0,
+      feeCurrency: formData.feeCurrency === 'USD' ? 'USD' : symbolUpper,
+      incomeType: isIncome ? formData.transactionType : null,
+      timestamp: formData.tradeDate ? new Date(formData.tradeDate).toISOString() : undefined,
+      locationId: formData.locationId || null,
       image: formData.image || `https://via.placeholder.com/32?text=${symbolUpper.charAt(0)}`
     }
 
@@ -242,7 +297,7 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
   }
 
   const handleClose = () => {
-    setFormData({ name: '', symbol: '', quantity: '', buyPrice: '', image: '', coinId: '', currentMarketPrice: null })
+    setFormData({ name: '', symbol: '', quantity: '', buyPrice: '', image: '', coinId: '', currentMarketPrice: null, fee: '', feeCurrency: 'USD', tradeDate: '', locationId: '', transactionType: 'BUY' })
     setErrors({})
     setSearchQuery('')
     setSearchResults([])
@@ -251,6 +306,7 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
     setTopCoinsError(null)
     setPricesData({})
     setLoadingPrices(false)
+    setHistoricalPrice(null)
     // Clear any pending search timeout
     if (searchTimeoutRef.current) {
       clearTimeout(searchTimeoutRef.current)
@@ -452,6 +508,22 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
         {/* Form */}
         <form onSubmit={handleSubmit} className="space-y-5">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-400 mb-1.5">Type</label>
+              <select
+                name="transactionType"
+                value={formData.transactionType}
+                onChange={handleChange}
+                className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary/50 rounded-lg shadow-inner focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:border-neon-blue/50 text-white transition-all duration-200"
+              >
+                <option value="BUY">Buy</option>
+                {Object.entries(INCOME_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+              {isIncome && <p className="text-xs text-gray-500 mt-1">Income is recorded at its fair market value when received, which also becomes its cost basis</p>}
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-400 mb-1.5">Coin name *</label>
               <input
@@ -499,7 +571,7 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-gray-400 mb-1.5">Buy price (USD) *</label>
+              <label className="block text-sm font-medium text-gray-400 mb-1.5">{isIncome ? 'Fair market value (USD) *' : 'Buy price (USD) *'}</label>
               <input
                 type="number"
                 name="buyPrice"
@@ -527,18 +599,108 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
                 </p>
               )}
             </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-400 mb-1.5">{isIncome ? 'Date received' : 'Trade date'}</label>
+              <input
+                type="datetime-local"
+                name="tradeDate"
+                value={formData.tradeDate}
+                onChange={handleChange}
+                max={toDateTimeInputValue(new Date())}
+                className={`w-full px-4 py-3 bg-dark-tertiary border rounded-lg shadow-inner focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:border-neon-blue/50 text-white transition-all duration-200 ${
+                  errors.tradeDate ? 'border-neon-pink ring-2 ring-neon-pink/30' : 'border-dark-tertiary/50'
+                }`}
+              />
+              {errors.tradeDate && <p className="text-neon-pink text-xs mt-1">{errors.tradeDate}</p>}
+              {!formData.tradeDate && <p className="text-xs text-gray-500 mt-1">Leave empty to record the {isIncome ? 'income' : 'purchase'} now</p>}
+              {historicalPrice?.loading && <p className="text-xs text-gray-400 mt-1">Looking up historical price...</p>}
+              {historicalPrice && !historicalPrice.loading && (
+                historicalPrice.success ? (
+                  <p className="text-xs text-gray-400 mt-1">
+                    {isIncome ? 'Fair market value' : 'Buy price'} filled from the {historicalPrice.date} daily price:
+                    <span className="ml-1 font-mono font-semibold text-neon-blue">
+                      ${historicalPrice.price < 1
+                        ? historicalPrice.price.toFixed(8).replace(/\.?0+$/, '')
+                        : historicalPrice.price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+                      }
+                    </span>
+                  </p>
+                ) : (
+                  <p className="text-xs text-yellow-400 mt-1">No historical price available for this date, enter the buy price manually</p>
+                )
+              )}
+            </div>
+
+            {!isIncome && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-400 mb-1.5">Fee</label>
+                  <input
+                    type="number"
+                    name="fee"
+                    value={formData.fee}
+                    onChange={handleChange}
+                    className={`w-full px-4 py-3 bg-dark-tertiary border rounded-lg shadow-inner focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:border-neon-blue/50 text-white transition-all duration-200 ${
+                      errors.fee ? 'border-neon-pink ring-2 ring-neon-pink/30' : 'border-dark-tertiary/50'
+                    }`}
+                    placeholder="0.00"
+                    step="any"
+                    min="0"
+                  />
+                  {errors.fee && <p className="text-neon-pink text-xs mt-1">{errors.fee}</p>}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-400 mb-1.5">Fee paid in</label>
+                  <select
+                    name="feeCurrency"
+                    value={formData.feeCurrency}
+                    onChange={handleChange}
+                    className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary/50 rounded-lg shadow-inner focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:border-neon-blue/50 text-white transition-all duration-200"
+                  >
+                    <option value="USD">USD</option>
+                    <option value="COIN">{formData.symbol ? formData.symbol.toUpperCase() : 'Coin'} (reduces quantity received)</option>
+                  </select>
+                </div>
+              </>
+            )}
+
+            {locations.length > 0 && (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-400 mb-1.5">{isIncome ? 'Received at' : 'Bought at'}</label>
+                <select
+                  name="locationId"
+                  value={formData.locationId}
+                  onChange={handleChange}
+                  className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary/50 rounded-lg shadow-inner focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:border-neon-blue/50 text-white transition-all duration-200"
+                >
+                  <option value="">Unassigned</option>
+                  {locations.map(location => (
+                    <option key={location.id} value={location.id}>
+                      {LOCATION_TYPE_ICONS[location.type]} {location.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
 
           {/* Preview */}
           {formData.quantity && formData.buyPrice && (
             <div className="bg-dark-tertiary rounded-lg p-4 border border-neon-blue/20">
-              <p className="text-sm text-gray-400 mb-1">Total Investment</p>
+              <p className="text-sm text-gray-400 mb-1">{isIncome ? 'Income Value' : `Total Investment${parseFloat(formData.fee) > 0 ? ' (incl. fee)' : ''}`}</p>
               <p className="text-xl font-bold text-neon-blue">
-                ${(parseFloat(formData.quantity) * parseFloat(formData.buyPrice)).toLocaleString(undefined, {
+                ${(parseFloat(formData.quantity) * parseFloat(formData.buyPrice) + (!isIncome && formData.feeCurrency === 'USD' ? parseFloat(formData.fee) || 0 : 0)).toLocaleString(undefined, {
                   minimumFractionDigits: 2,
                   maximumFractionDigits: 2
                 })}
               </p>
+              {!isIncome && formData.feeCurrency !== 'USD' && parseFloat(formData.fee) > 0 && (
+                <p className="text-xs text-gray-400 mt-1">
+                  You receive {(parseFloat(formData.quantity) - parseFloat(formData.fee)).toLocaleString(undefined, { maximumFractionDigits: 8 })} {formData.symbol.toUpperCase()}
+                </p>
+              )}
             </div>
           )}
 
@@ -548,7 +710,7 @@ const AddCoinModal = ({ isOpen = false, onClose = () => {} }) => {
               type="submit"
               className="flex-1 px-6 py-3 bg-gradient-to-r from-neon-blue to-neon-purple text-white rounded-lg hover:shadow-lg hover:shadow-neon-blue/30 transition-all duration-300 font-medium"
             >
-              Confirm Purchase
+              {isIncome ? 'Record Income' : 'Confirm Purchase'}
             </button>
             <button
               type="button"
@@ -0,0 +1,400 @@
+import { useState, useEffect } from 'react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { usePortfolio } from '../context/PortfolioContext'
+import { fetchTopCoins } from '../services/cryptoApi'
+import { fetchPriceSeriesForCoins } from '../services/historicalApi'
+import { BACKTEST_STRATEGY_LABELS, validateBacktest, runBacktest } from '../utils/backtest'
+import { DCA_FREQUENCIES, DCA_FREQUENCY_LABELS, toPlanDate } from '../utils/recurringBuys'
+import Loader from './Loader'
+
+// Typical exchange taker fee, editable before running
+const DEFAULT_FEE_RATE = 0.1
+
+const STRATEGY_COLORS = {
+  dca: '#3b82f6',
+  lump_sum: '#f7931a',
+  rebalance: '#b537ff'
+}
+
+const createConfig = (coinId = 'ethereum') => ({
+  basket: [{ coinId, weight: 100 }],
+  startDate: toPlanDate(Date.now() - 365 * 86400000),
+  endDate: toPlanDate(),
+  amount: 100,
+  frequency: DCA_FREQUENCIES.WEEKLY,
+  rebalanceFrequency: DCA_FREQUENCIES.MONTHLY,
+  feeRate: DEFAULT_FEE_RATE
+})
+
+const BacktestCard = () => {
+  const { coins, formatCurrency } = usePortfolio()
+
+  const [config, setConfig] = useState(() => createConfig(coins[0]?.coinId))
+  const [topCoins, setTopCoins] = useState([])
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [visibleLines, setVisibleLines] = useState({
+    dca: true,
+    lump_sum: true,
+    rebalance: true,
+    invested: true
+  })
+
+  // Held coins first, then the largest coins by market cap
+  useEffect(() => {
+    fetchTopCoins('usd', 20).then(data => {
+      setTopCoins(data.map(coin => ({ coinId: coin.id, symbol: coin.symbol.toUpperCase(), name: coin.name })))
+    })
+  }, [])
+
+  const options = [
+    ...coins.map(coin => ({ coinId: coin.coinId, symbol: coin.symbol, name: coin.name })),
+    ...topCoins.filter(coin => !coins.some(held => held.coinId === coin.coinId))
+  ]
+  const getSymbol = (coinId) => options.find(option => option.coinId === coinId)?.symbol || coinId
+
+  const validationError = validateBacktest(config)
+
+  const updateBasket = (index, changes) => {
+    setConfig(prev => ({
+      ...prev,
+      basket: prev.basket.map((coin, i) => i === index ? { ...coin, ...changes } : coin)
+    }))
+  }
+
+  const addBasketCoin = () => {
+    setConfig(prev => ({ ...prev, basket: [...prev.basket, { coinId: '', weight: 0 }] }))
+  }
+
+  const removeBasketCoin = (index) => {
+    setConfig(prev => ({ ...prev, basket: prev.basket.filter((_, i) => i !== index) }))
+  }
+
+  const handleRun = async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const seriesByCoin = await fetchPriceSeriesForCoins(config.basket.map(coin => coin.coinId), config.startDate)
+      const unavailable = config.basket.find(({ coinId }) => seriesByCoin[coinId].length === 0)
+      if (unavailable) {
+        throw new Error(`No price history available for ${getSymbol(unavailable.coinId)}`)
+      }
+
+      const backtest = runBacktest(seriesByCoin, config)
+      if (!backtest) {
+        throw new Error('Not enough price history in the selected range')
+      }
+      setResult(backtest)
+    } catch (err) {
+      console.error('Error running backtest:', err)
+      setError(err.message)
+      setResult(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleLine = (line) => {
+    setVisibleLines(prev => ({
+      ...prev,
+      [line]: !prev[line]
+    }))
+  }
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      return (
+        <div className="bg-dark-secondary border-2 border-neon-blue/40 rounded-xl p-4 shadow-2xl shadow-neon-blue/20 animate-fadeIn">
+          <p className="text-gray-400 text-sm mb-3 font-semibold">{label}</p>
+          <div className="space-y-2">
+            {payload.map((entry, index) => (
+              <div key={index} className="flex items-center justify-between space-x-4">
+                <div className="flex items-center space-x-2">
+                  <div
+                    className="w-3 h-3 rounded-full"
+                    style={{ backgroundColor: entry.color }}
+                  />
+                  <span className="text-white text-sm font-medium">
+                    {entry.name}
+                  </span>
+                </div>
+                <span className="text-white font-bold">
+                  {formatCurrency(entry.value)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )
+    }
+    return null
+  }
+
+  const inputClass = 'w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white'
+
+  return (
+    <div className="relative bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-blue/40 transition-all duration-500 hover:shadow-xl hover:shadow-neon-blue/10 animate-fadeIn">
+      {/* Header */}
+      <div className="mb-8">
+        <h3 className="text-2xl font-bold text-white mb-2">Strategy Backtest</h3>
+        <p className="text-sm text-gray-400 opacity-70">DCA vs lump sum vs a rebalanced basket, same budget over the same history</p>
+      </div>
+
+      {/* Basket */}
+      <div className="space-y-3 mb-6">
+        <label className="block text-sm font-medium text-gray-400">Coins and Weights (%)</label>
+        {config.basket.map((coin, index) => (
+          <div key={index} className="flex items-center space-x-3">
+            <select
+              value={coin.coinId}
+              onChange={(e) => updateBasket(index, { coinId: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Select a coin</option>
+              {options.map(option => (
+                <option key={option.coinId} value={option.coinId}>{option.name} ({option.symbol})</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={coin.weight}
+              onChange={(e) => updateBasket(index, { weight: parseFloat(e.target.value) || 0 })}
+              className="w-28 px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white text-right"
+              step="any"
+              min="0"
+              max="100"
+            />
+            {config.basket.length > 1 && (
+              <button
+                onClick={() => removeBasketCoin(index)}
+                className="px-3 py-3 text-gray-400 hover:text-neon-pink transition-colors text-sm"
+                title="Remove coin"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        <button
+          onClick={addBasketCoin}
+          className="text-sm text-neon-blue hover:text-neon-blue/80 font-semibold"
+        >
+          + Add Coin
+        </button>
+      </div>
+
+      {/* Schedule */}
+      <div className="grid grid-cols-2 lg:grid-cols-6 gap-4 mb-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Start Date</label>
+          <input
+            type="date"
+            value={config.startDate}
+            max={config.endDate}
+            onChange={(e) => setConfig({ ...config, startDate: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">End Date</label>
+          <input
+            type="date"
+            value={config.endDate}
+            min={config.startDate}
+            max={toPlanDate()}
+            onChange={(e) => setConfig({ ...config, endDate: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Buy Amount (USD)</label>
+          <input
+            type="number"
+            value={config.amount}
+            onChange={(e) => setConfig({ ...config, amount: parseFloat(e.target.value) || 0 })}
+            className={inputClass}
+            step="0.01"
+            min="0"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Buy Every</label>
+          <select
+            value={config.frequency}
+            onChange={(e) => setConfig({ ...config, frequency: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(DCA_FREQUENCY_LABELS).map(([frequency, label]) => (
+              <option key={frequency} value={frequency}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Rebalance</label>
+          <select
+            value={config.rebalanceFrequency}
+            onChange={(e) => setConfig({ ...config, rebalanceFrequency: e.target.value })}
+            disabled={config.basket.length < 2}
+            className={`${inputClass} disabled:opacity-50`}
+          >
+            {Object.entries(DCA_FREQUENCY_LABELS).map(([frequency, label]) => (
+              <option key={frequency} value={frequency}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Fee (%)</label>
+          <input
+            type="number"
+            value={config.feeRate}
+            onChange={(e) => setConfig({ ...config, feeRate: parseFloat(e.target.value) || 0 })}
+            className={inputClass}
+            step="0.01"
+            min="0"
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-center gap-4 mb-8">
+        <button
+          onClick={handleRun}
+          disabled={!!validationError || loading}
+          className="px-6 py-3 bg-neon-blue text-white rounded-lg hover:bg-neon-blue/80 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Running...' : 'Run Backtest'}
+        </button>
+        {validationError ? (
+          <p className="text-xs text-neon-pink">{validationError}</p>
+        ) : (
+          <p className="text-xs text-gray-500">
+            Lump sum and the rebalanced basket invest the DCA total on the first day. Past performance says little about the future.
+          </p>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center" style={{ height: '400px' }}>
+          <Loader text="Loading price history..." />
+        </div>
+      ) : error ? (
+        <div className="flex items-center justify-center" style={{ height: '200px' }}>
+          <p className="text-gray-400">{error}</p>
+        </div>
+      ) : result && (
+        <>
+          {result.startDate > config.startDate && (
+            <p className="text-xs text-orange-400 mb-4">
+              Price history only goes back to {result.startDate}, the backtest starts there.
+            </p>
+          )}
+
+          {/* Strategy Metrics */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+            {Object.entries(result.strategies).map(([key, strategy]) => (
+              <div key={key} className="bg-dark-tertiary/50 rounded-xl p-5">
+                <div className="flex items-center space-x-2 mb-3">
+                  <div className="w-3 h-3 rounded-full" style={{ backgroundColor: STRATEGY_COLORS[key] }} />
+                  <p className="text-white font-semibold">{BACKTEST_STRATEGY_LABELS[key]}</p>
+                </div>
+                <div className="space-y-1.5 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Final Value</span>
+                    <span className="text-white font-bold tabular-nums">{formatCurrency(strategy.metrics.finalValue)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Total Invested</span>
+                    <span className="text-gray-300 tabular-nums">{formatCurrency(strategy.metrics.totalInvested)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Return</span>
+                    <span className={`font-semibold tabular-nums ${strategy.metrics.profitLoss >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+                      {strategy.metrics.returnPercentage >= 0 ? '+' : ''}{strategy.metrics.returnPercentage.toFixed(2)}%
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Max Drawdown</span>
+                    <span className="text-neon-pink tabular-nums">-{strategy.metrics.maxDrawdown.toFixed(2)}%</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Fees</span>
+                    <span className="text-gray-300 tabular-nums">{formatCurrency(strategy.metrics.fees)}</span>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Chart Area */}
+          <div className="w-full" style={{ height: '400px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={result.chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#1e2640" opacity={0.12} />
+                <XAxis
+                  dataKey="date"
+                  stroke="#64748b"
+                  tick={{ fill: '#9ca3af', fontSize: 11, fontWeight: 500 }}
+                  tickFormatter={(value) => {
+                    const date = new Date(value)
+                    return `${date.getMonth() + 1}/${date.getDate()}`
+                  }}
+                />
+                <YAxis
+                  stroke="#64748b"
+                  tick={{ fill: '#9ca3af', fontSize: 11, fontWeight: 500 }}
+                  tickFormatter={(value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`}
+                />
+                <Tooltip content={<CustomTooltip />} cursor={{ stroke: '#00d4ff', strokeWidth: 1, opacity: 0.3 }} />
+                <Legend
+                  onClick={(e) => toggleLine(e.dataKey)}
+                  wrapperStyle={{ cursor: 'pointer', paddingTop: '20px' }}
+                  formatter={(value) => (
+                    <span className="text-white font-semibold">
+                      {value}
+                    </span>
+                  )}
+                />
+                <Line
+                  type="stepAfter"
+                  dataKey="invested"
+                  hide={!visibleLines.invested}
+                  stroke="#64748b"
+                  strokeWidth={1.5}
+                  strokeDasharray="5 5"
+                  dot={false}
+                  name="DCA Invested"
+                  animationDuration={1200}
+                  animationEasing="ease-in-out"
+                />
+                {Object.keys(result.strategies).map(key => (
+                  <Line
+                    key={key}
+                    type="monotone"
+                    dataKey={key}
+                    hide={!visibleLines[key]}
+                    stroke={STRATEGY_COLORS[key]}
+                    strokeWidth={key === 'dca' ? 3 : 2.5}
+                    dot={false}
+                    name={BACKTEST_STRATEGY_LABELS[key]}
+                    animationDuration={1200}
+                    animationEasing="ease-in-out"
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Legend Info */}
+          <div className="mt-8 pt-5 border-t border-dark-tertiary">
+            <p className="text-xs text-gray-400 text-center opacity-70">
+              Click on legend items to toggle visibility • {result.runs} buys from {result.startDate} to {result.endDate} • Drawdown is time-weighted so new buys don't hide losses
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BacktestCard
@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useNotifications } from '../context/NotificationContext'
+import { CASH_ACTIONS } from '../utils/costBasis'
+import Modal from './Modal'
+
+const CashModal = ({ action, onClose }) => {
+  const { cash, depositCash, withdrawCash, formatCurrency } = usePortfolio()
+  const { showToast } = useNotifications()
+
+  const [amount, setAmount] = useState(0)
+  const [submitting, setSubmitting] = useState(false)
+
+  const isWithdraw = action === CASH_ACTIONS.WITHDRAW
+
+  useEffect(() => {
+    setAmount(0)
+  }, [action])
+
+  const handleConfirm = async () => {
+    setSubmitting(true)
+    const result = isWithdraw ? await withdrawCash({ amount }) : await depositCash({ amount })
+    setSubmitting(false)
+
+    showToast(result.message, result.success ? 'success' : 'error')
+    if (result.success) onClose()
+  }
+
+  if (!action) return null
+
+  // Amounts are recorded in USD, like every other price in the ledger
+  const isValid = amount > 0 && (!isWithdraw || amount <= cash.balance + 1e-6)
+
+  return (
+    <Modal isOpen={!!action} onClose={onClose} title={isWithdraw ? 'Withdraw Cash' : 'Deposit Cash'}>
+      <div className="space-y-4">
+        <p className="text-sm text-gray-400">
+          {isWithdraw
+            ? 'Withdrawals take money out of the account and lower your net invested capital.'
+            : 'Deposits add money to the account. Buys are paid from this balance first.'}
+        </p>
+
+        {/* Amount */}
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Amount (USD)</label>
+          <div className="relative">
+            <input
+              type="number"
+              value={amount}
+              onChange={(e) => setAmount(parseFloat(e.target.value) || 0)}
+              className={`w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white ${isWithdraw ? 'pr-20' : ''}`}
+              step="0.01"
+              max={isWithdraw ? cash.balance : undefined}
+              min="0"
+            />
+            {isWithdraw && (
+              <button
+                onClick={() => setAmount(cash.balance)}
+                className="absolute right-2 top-1/2 -translate-y-1/2 px-3 py-1 bg-neon-blue/20 text-neon-blue text-xs font-semibold rounded hover:bg-neon-blue/30 transition-colors"
+              >
+                MAX
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Cash balance: {formatCurrency(cash.balance)}
+          </p>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3 pt-4">
+          <button
+            onClick={handleConfirm}
+            disabled={!isValid || submitting}
+            className={`flex-1 px-6 py-3 ${isWithdraw ? 'bg-neon-pink hover:bg-neon-pink/80' : 'bg-neon-green hover:bg-neon-green/80'} text-white rounded-lg transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            {submitting ? 'Saving...' : isWithdraw ? 'Confirm Withdrawal' : 'Confirm Deposit'}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-6 py-3 bg-dark-tertiary text-gray-400 rounded-lg hover:bg-dark-tertiary/80 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default CashModal
@@ -1,16 +1,48 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react'
-import { getCoinById } from '../services/coinService'
+import { getCoinById, getCoinPrices } from '../services/coinService'
 import { usePortfolio } from '../context/PortfolioContext'
 import { useAuth } from '../context/AuthContext'
 import { useNotifications } from '../context/NotificationContext'
-import { createAlert, deleteAlert, getAlertsByCoin, evaluateAlertImmediately } from '../services/alertService'
+import { createAlert, deleteAlert, getAlertsByCoin, evaluateAlertImmediately, formatAlert } from '../services/alertService'
 import { supabase } from '../supabase/client'
+import { LOCATION_TYPE_ICONS, getLocationName } from '../utils/locations'
+import { fetchPriceSeriesSince } from '../services/historicalApi'
+import { getRiskWindowStartDate, calculateRiskMetrics } from '../utils/risk'
+import {
+  ALERT_CONDITIONS,
+  ALERT_CONDITION_LABELS,
+  COIN_ALERT_CONDITIONS,
+  WINDOW_CONDITIONS,
+  ALERT_WINDOW_OPTIONS,
+  DEFAULT_WINDOW_HOURS,
+  isPriceCondition,
+  getWindowLabel,
+  validateAlertCondition,
+  describeAlert
+} from '../utils/alertConditions'
+import { ALERT_REPEAT_MODES, describeRepeat } from '../utils/alertRepeat'
 import Loader from './Loader'
 
 // 30-second cache for coin details
 const coinDetailsCache = new Map()
 const CACHE_DURATION = 30000 // 30 seconds
 
+// Trailing window for the risk figures
+const RISK_DAYS = 90
+
+// Selected-state colors for the condition picker
+const CONDITION_BUTTON_STYLES = {
+  above: 'bg-emerald-500 text-white shadow-lg shadow-emerald-500/30',
+  below: 'bg-rose-500 text-white shadow-lg shadow-rose-500/30',
+  percent: 'bg-purple-500 text-white shadow-lg shadow-purple-500/30'
+}
+
+const getConditionDotColor = (condition) => {
+  if (condition === ALERT_CONDITIONS.ABOVE) return 'bg-emerald-500'
+  if (condition === ALERT_CONDITIONS.BELOW) return 'bg-rose-500'
+  return 'bg-purple-500'
+}
+
 const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
   const [coinDetails, setCoinDetails] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -20,12 +52,18 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
   const [showAlertForm, setShowAlertForm] = useState(false)
   const [alertTargetPrice, setAlertTargetPrice] = useState('')
   const [alertCondition, setAlertCondition] = useState('above')
+  const [alertThreshold, setAlertThreshold] = useState('')
+  const [alertWindowHours, setAlertWindowHours] = useState(DEFAULT_WINDOW_HOURS)
   const [activeAlerts, setActiveAlerts] = useState([])
   const [triggeredAlerts, setTriggeredAlerts] = useState([])
   const [creatingAlert, setCreatingAlert] = useState(false)
   const [deletingAlertId, setDeletingAlertId] = useState(null)
+
+  // Risk metrics state
+  const [riskMetrics, setRiskMetrics] = useState(null)
+  const [riskLoading, setRiskLoading] = useState(false)
   
-  const { formatCurrency, currency } = usePortfolio()
+  const { formatCurrency, currency, activePortfolio, locations, locationBreakdown } = usePortfolio()
   const { user } = useAuth()
   const { showToast } = useNotifications()
   
@@ -36,7 +74,7 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
     if (!user || !coinId) {
       setActiveAlerts([])
       setTriggeredAlerts([])
-      return
+      return []
     }
 
     try {
@@ -49,37 +87,18 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
 
       if (error) throw error
 
-      // Separate active and triggered alerts
-      const active = alerts.filter(a => a.is_active && !a.triggered_at).map(alert => ({
-        id: alert.id,
-        coinId: alert.coin_id,
-        coinName: alert.coin_name,
-        symbol: alert.symbol,
-        targetPrice: parseFloat(alert.target_price),
-        condition: alert.condition,
-        isActive: alert.is_active,
-        triggeredAt: alert.triggered_at,
-        createdAt: alert.created_at
-      }))
-
-      const triggered = alerts.filter(a => a.triggered_at).map(alert => ({
-        id: alert.id,
-        coinId: alert.coin_id,
-        coinName: alert.coin_name,
-        symbol: alert.symbol,
-        targetPrice: parseFloat(alert.target_price),
-        condition: alert.condition,
-        isActive: alert.is_active,
-        triggeredAt: alert.triggered_at,
-        createdAt: alert.created_at
-      }))
+      // Separate active and triggered alerts (repeating alerts stay active after firing)
+      const active = alerts.filter(a => a.is_active).map(formatAlert)
+      const triggered = alerts.filter(a => !a.is_active && a.triggered_at).map(formatAlert)
 
       setActiveAlerts(active)
       setTriggeredAlerts(triggered)
+      return active
     } catch (error) {
       console.error('Error fetching alerts:', error)
       setActiveAlerts([])
       setTriggeredAlerts([])
+      return []
     }
   }, [user, coinId])
 
@@ -116,11 +135,11 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
         setCoinDetails(data)
         
         // Load alerts for this coin
-        await fetchAlerts()
+        const active = await fetchAlerts()
         
         // Check for immediate triggers
         if (user && data.currentPrice) {
-          await checkImmediateTriggers(data.currentPrice)
+          await checkImmediateTriggers(active)
         }
       } catch (err) {
         console.error('Error fetching coin details:', err)
@@ -133,47 +152,56 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
     fetchDetails()
   }, [isOpen, coinId, currency, user, fetchAlerts])
 
-  // Real-time check for immediate triggers
-  const checkImmediateTriggers = async (currentPrice) => {
-    if (!user || activeAlerts.length === 0) return
+  // Risk metrics from daily prices, benchmarked against Bitcoin
+  useEffect(() => {
+    if (!isOpen || !coinId) return
 
-    for (const alert of activeAlerts) {
-      const shouldTrigger = 
-        (alert.condition === 'above' && currentPrice >= alert.targetPrice) ||
-        (alert.condition === 'below' && currentPrice <= alert.targetPrice)
+    let cancelled = false
+    const fetchRisk = async () => {
+      setRiskLoading(true)
+      setRiskMetrics(null)
 
-      if (shouldTrigger) {
-        console.log(`🔔 Alert triggered: ${alert.symbol} ${alert.condition} $${alert.targetPrice}`)
-        
-        // Update alert status
-        await supabase
-          .from('price_alerts')
-          .update({
-            is_active: false,
-            triggered_at: new Date().toISOString()
-          })
-          .eq('id', alert.id)
-
-        // Create notification
-        const conditionText = alert.condition === 'above' ? 'above' : 'below'
-        const message = `${alert.symbol.toUpperCase()} crossed your ${conditionText} target of $${alert.targetPrice.toLocaleString()}. Current price: $${currentPrice.toLocaleString()}`
-
-        await supabase
-          .from('notifications')
-          .insert({
-            user_id: user.id,
-            type: 'alert',
-            coin: alert.symbol,
-            quantity: alert.targetPrice,
-            price: currentPrice,
-            message: message,
-            read: false
-          })
-
-        // Refresh alerts list
-        await fetchAlerts()
+      const startDate = getRiskWindowStartDate(RISK_DAYS)
+      const btc = await fetchPriceSeriesSince('bitcoin', startDate)
+      const series = coinId === 'bitcoin' ? btc : await fetchPriceSeriesSince(coinId, startDate)
+      if (cancelled) return
+
+      setRiskMetrics(calculateRiskMetrics(series.data, btc.data, { days: RISK_DAYS }))
+      setRiskLoading(false)
+    }
+
+    fetchRisk()
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, coinId])
+
+  // USD quote for alert checks (targets are in USD, the details may be in another currency)
+  const getAlertQuote = async () => {
+    const prices = await getCoinPrices([coinId], 'usd')
+    return prices[coinId] || null
+  }
+
+  // Real-time check for immediate triggers
+  const checkImmediateTriggers = async (alerts) => {
+    if (!user || alerts.length === 0) return
+
+    const quote = await getAlertQuote()
+    if (!quote) return
+
+    let anyTriggered = false
+    for (const alert of alerts) {
+      const evaluation = await evaluateAlertImmediately(alert, quote, user.id)
+      if (evaluation.triggered) {
+        console.log(`🔔 Alert triggered: ${alert.symbol} ${describeAlert(alert)}`)
+        anyTriggered = true
       }
     }
+
+    // Refresh alerts list
+    if (anyTriggered) {
+      await fetchAlerts()
+    }
   }
 
   // Close on ESC key
@@ -223,10 +251,20 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
       return
     }
     
-    const targetPrice = parseFloat(alertTargetPrice)
-    
-    if (!targetPrice || targetPrice <= 0) {
-      showToast('Please enter a valid target price', 'error')
+    const alertData = {
+      coinId,
+      coinName: coinDetails?.name || 'Unknown',
+      symbol: coinDetails?.symbol || 'N/A',
+      condition: alertCondition,
+      targetPrice: parseFloat(alertTargetPrice),
+      thresholdPercent: parseFloat(alertThreshold),
+      windowHours: alertWindowHours,
+      portfolioId: activePortfolio?.id || null
+    }
+
+    const validationError = validateAlertCondition(alertData)
+    if (validationError) {
+      showToast(validationError, 'error')
       return
     }
     
@@ -234,37 +272,31 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
     
     try {
       // 1. Create alert in database
-      const newAlert = await createAlert({
-        coinId,
-        coinName: coinDetails?.name || 'Unknown',
-        symbol: coinDetails?.symbol || 'N/A',
-        targetPrice,
-        condition: alertCondition
-      }, user.id)
+      const newAlert = await createAlert(alertData, user.id)
+      const description = `${coinDetails?.symbol || 'Coin'} ${describeAlert(newAlert)}`
       
       console.log('✅ Alert created, checking for immediate trigger...')
       
       // 2. Check for immediate trigger
-      const currentPrice = coinDetails?.currentPrice
+      const quote = await getAlertQuote()
       
-      if (currentPrice) {
-        const evaluation = await evaluateAlertImmediately(newAlert, currentPrice, user.id)
+      if (quote) {
+        const evaluation = await evaluateAlertImmediately(newAlert, quote, user.id)
         
         if (evaluation.triggered) {
           console.log('🔔 Alert triggered immediately!')
-          showToast(
-            `Alert triggered: ${coinDetails?.symbol || 'Coin'} is already ${alertCondition} $${targetPrice.toLocaleString()}!`,
-            'success'
-          )
+          showToast(`Alert triggered: ${evaluation.message}`, 'success')
         } else {
-          showToast(`Alert created: ${coinDetails?.symbol || 'Coin'} ${alertCondition} $${targetPrice.toLocaleString()}`, 'success')
+          showToast(`Alert created: ${description}`, 'success')
         }
       } else {
-        showToast(`Alert created: ${coinDetails?.symbol || 'Coin'} ${alertCondition} $${targetPrice.toLocaleString()}`, 'success')
+        showToast(`Alert created: ${description}`, 'success')
       }
       
       // Reset form
       setAlertTargetPrice('')
+      setAlertThreshold('')
+      setAlertWindowHours(DEFAULT_WINDOW_HOURS)
       setAlertCondition('above')
       setShowAlertForm(false)
       
@@ -441,6 +473,58 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
               )}
             </div>
 
+            {/* Holdings by Location */}
+            {(locationBreakdown[coinId] || []).length > 0 && (
+              <div className="pt-4 border-t border-dark-tertiary mt-4">
+                <p className="text-xs text-gray-400 uppercase tracking-wider mb-2 font-semibold">Holdings by Location</p>
+                <div className="space-y-2">
+                  {locationBreakdown[coinId].map(entry => {
+                    const location = locations.find(l => l.id === entry.locationId)
+                    return (
+                      <div key={entry.locationId} className="flex items-center justify-between bg-dark-tertiary/50 rounded-xl px-3 py-2">
+                        <span className="text-sm text-white">
+                          {location ? `${LOCATION_TYPE_ICONS[location.type] || ''} ` : ''}{getLocationName(locations, entry.locationId)}
+                        </span>
+                        <span className="text-sm text-right">
+                          <span className="text-white font-semibold">{entry.quantity.toLocaleString()} {coinDetails.symbol?.toUpperCase() || ''}</span>
+                          <span className="text-gray-400 ml-2">{formatCurrency(entry.quantity * (coinDetails.currentPrice || 0))}</span>
+                        </span>
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Risk Metrics */}
+            <div className="pt-4 border-t border-dark-tertiary mt-4">
+              <p className="text-xs text-gray-400 uppercase tracking-wider mb-2 font-semibold">Risk ({RISK_DAYS} Days)</p>
+              {riskLoading ? (
+                <div className="grid grid-cols-3 gap-3">
+                  {[...Array(3)].map((_, i) => (
+                    <div key={i} className="h-14 bg-dark-tertiary rounded-xl animate-pulse" />
+                  ))}
+                </div>
+              ) : riskMetrics ? (
+                <div className="grid grid-cols-3 gap-3">
+                  {[
+                    { label: 'Volatility', value: `${riskMetrics.volatility.toFixed(1)}%` },
+                    { label: 'Max Drawdown', value: `-${riskMetrics.maxDrawdown.toFixed(1)}%` },
+                    { label: 'Beta to BTC', value: riskMetrics.beta === null ? '—' : riskMetrics.beta.toFixed(2) },
+                    { label: 'Sharpe', value: riskMetrics.sharpe === null ? '—' : riskMetrics.sharpe.toFixed(2) },
+                    { label: 'Sortino', value: riskMetrics.sortino === null ? '—' : riskMetrics.sortino.toFixed(2) }
+                  ].map(item => (
+                    <div key={item.label} className="bg-dark-tertiary/50 rounded-xl p-3">
+                      <p className="text-xs text-gray-400 mb-1">{item.label}</p>
+                      <p className="text-lg font-black text-white">{item.value}</p>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">Price history unavailable</p>
+              )}
+            </div>
+
             {/* Price Alert Section */}
             <div className="pt-4 border-t border-dark-tertiary mt-4 space-y-4">
               {/* Price Alert Button */}
@@ -478,51 +562,86 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
                       <label className="text-xs text-gray-400 uppercase tracking-wider mb-2 block font-medium">
                         Alert Condition
                       </label>
-                      <div className="flex bg-slate-800/60 rounded-full p-1">
-                        <button
-                          type="button"
-                          onClick={() => setAlertCondition('above')}
-                          className={`flex-1 py-2.5 rounded-full font-semibold text-sm transition-all duration-200 ${
-                            alertCondition === 'above'
-                              ? 'bg-emerald-500 text-white shadow-lg shadow-emerald-500/30'
-                              : 'text-gray-400 hover:text-white'
-                          }`}
-                        >
-                          Above
-                        </button>
-                        <button
-                          type="button"
-                          onClick={() => setAlertCondition('below')}
-                          className={`flex-1 py-2.5 rounded-full font-semibold text-sm transition-all duration-200 ${
-                            alertCondition === 'below'
-                              ? 'bg-rose-500 text-white shadow-lg shadow-rose-500/30'
-                              : 'text-gray-400 hover:text-white'
-                          }`}
-                        >
-                          Below
-                        </button>
+                      <div className="flex flex-wrap gap-1 bg-slate-800/60 rounded-2xl p-1">
+                        {COIN_ALERT_CONDITIONS.map(condition => (
+                          <button
+                            key={condition}
+                            type="button"
+                            onClick={() => setAlertCondition(condition)}
+                            className={`flex-1 px-3 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap transition-all duration-200 ${
+                              alertCondition === condition
+                                ? CONDITION_BUTTON_STYLES[isPriceCondition(condition) ? condition : 'percent']
+                                : 'text-gray-400 hover:text-white'
+                            }`}
+                          >
+                            {ALERT_CONDITION_LABELS[condition]}
+                          </button>
+                        ))}
                       </div>
                     </div>
 
-                    <div>
-                      <label className="text-xs text-gray-400 uppercase tracking-wider mb-2 block font-medium">
-                        Target Price
-                      </label>
-                      <div className="relative">
-                        <span className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400 font-semibold text-sm">
-                          $
-                        </span>
-                        <input
-                          type="number"
-                          step="0.01"
-                          value={alertTargetPrice}
-                          onChange={(e) => setAlertTargetPrice(e.target.value)}
-                          placeholder="Enter target price"
-                          className="w-full pl-8 pr-4 py-3 bg-slate-800/60 border border-slate-700/50 rounded-xl text-white placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500/50 focus:border-cyan-500/50 transition-all"
-                          required
-                        />
+                    {isPriceCondition(alertCondition) ? (
+                      <div>
+                        <label className="text-xs text-gray-400 uppercase tracking-wider mb-2 block font-medium">
+                          Target Price
+                        </label>
+                        <div className="relative">
+                          <span className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400 font-semibold text-sm">
+                            $
+                          </span>
+                          <input
+                            type="number"
+                            step="0.01"
+                            value={alertTargetPrice}
+                            onChange={(e) => setAlertTargetPrice(e.target.value)}
+                            placeholder="Enter target price"
+                            className="w-full pl-8 pr-4 py-3 bg-slate-800/60 border border-slate-700/50 rounded-xl text-white placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500/50 focus:border-cyan-500/50 transition-all"
+                            required
+                          />
+                        </div>
                       </div>
-                    </div>
+                    ) : (
+                      <div className={`grid gap-3 ${WINDOW_CONDITIONS.includes(alertCondition) ? 'grid-cols-2' : 'grid-cols-1'}`}>
+                        <div>
+                          <label className="text-xs text-gray-400 uppercase tracking-wider mb-2 block font-medium">
+                            {alertCondition === ALERT_CONDITIONS.DROP_FROM_HIGH ? 'Drop From High' : 'Move (Up or Down)'}
+                          </label>
+                          <div className="relative">
+                            <input
+                              type="number"
+                              step="0.1"
+                              min="0"
+                              value={alertThreshold}
+                              onChange={(e) => setAlertThreshold(e.target.value)}
+                              placeholder="e.g. 5"
+                              className="w-full pl-4 pr-8 py-3 bg-slate-800/60 border border-slate-700/50 rounded-xl text-white placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500/50 focus:border-cyan-500/50 transition-all"
+                              required
+                            />
+                            <span className="absolute right-4 top-1/2 -translate-y-1/2 text-gray-400 font-semibold text-sm">
+                              %
+                            </span>
+                          </div>
+                        </div>
+                        {WINDOW_CONDITIONS.includes(alertCondition) && (
+                          <div>
+                            <label className="text-xs text-gray-400 uppercase tracking-wider mb-2 block font-medium">
+                              {alertCondition === ALERT_CONDITIONS.DROP_FROM_HIGH ? 'High Over' : 'Within'}
+                            </label>
+                            <select
+                              value={alertWindowHours}
+                              onChange={(e) => setAlertWindowHours(parseInt(e.target.value))}
+                              className="w-full px-4 py-3 bg-slate-800/60 border border-slate-700/50 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-cyan-500/50 focus:border-cyan-500/50 transition-all"
+                            >
+                              {ALERT_WINDOW_OPTIONS.map(hours => (
+                                <option key={hours} value={hours}>
+                                  {getWindowLabel(hours)}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                        )}
+                      </div>
+                    )}
 
                     <button
                       type="submit"
@@ -548,15 +667,15 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
                         className="bg-slate-800/50 rounded-lg p-3 flex items-center justify-between hover:bg-slate-800/80 transition-all"
                       >
                         <div className="flex items-center space-x-3">
-                          <div className={`w-2 h-2 rounded-full ${
-                            alert.condition === 'above' ? 'bg-emerald-500' : 'bg-rose-500'
-                          }`}></div>
+                          <div className={`w-2 h-2 rounded-full ${getConditionDotColor(alert.condition)}`}></div>
                           <div>
                             <p className="text-white font-semibold text-sm">
-                              {alert.condition.toUpperCase()} ${alert.targetPrice.toLocaleString()}
+                              {describeAlert(alert)}
                             </p>
                             <p className="text-xs text-gray-500">
-                              Created {new Date(alert.createdAt).toLocaleDateString()}
+                              {alert.repeatMode === ALERT_REPEAT_MODES.ONCE
+                                ? `Created ${new Date(alert.createdAt).toLocaleDateString()}`
+                                : `${describeRepeat(alert)}${alert.triggeredAt ? ` · Last fired ${new Date(alert.triggeredAt).toLocaleDateString()}` : ''}`}
                             </p>
                           </div>
                         </div>
@@ -604,7 +723,7 @@ const CoinDetailsModal = ({ isOpen, onClose, coinId }) => {
                           <div className="w-2 h-2 rounded-full bg-neon-blue animate-pulse"></div>
                           <div>
                             <p className="text-white font-semibold text-sm">
-                              {alert.condition.toUpperCase()} ${alert.targetPrice.toLocaleString()}
+                              {describeAlert(alert)}
                             </p>
                             <p className="text-xs text-neon-blue/80">
                               Triggered {new Date(alert.triggeredAt).toLocaleDateString()}
@@ -1,16 +1,33 @@
 import React, { useState, useEffect } from 'react'
 import { usePortfolio } from '../context/PortfolioContext'
+import { calculateCoinProfitLoss } from '../utils/calculations'
+import { calculateLotProfitLoss, COST_BASIS_METHODS } from '../utils/costBasis'
+import { UNASSIGNED_LOCATION, getLocationQuantity, getLocationName } from '../utils/locations'
+import { ALERT_CONDITIONS, ALERT_CONDITION_LABELS, describeAlert } from '../utils/alertConditions'
+import { getSellQuantity, getHoldingAlertBadge } from '../utils/holdingAlerts'
 import Modal from './Modal'
+import TransferModal from './TransferModal'
+import HoldingAlertModal from './HoldingAlertModal'
 
 const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
-  const { formatCurrency, sellCoin, deleteCoin } = usePortfolio()
+  const { formatCurrency, sellCoin, deleteCoin, costBasisMethod, isAggregateView, locations, locationBreakdown, holdingAlerts, resolveAlertSell } = usePortfolio()
   const [sellingCoin, setSellingCoin] = useState(null)
+  const [sellAlert, setSellAlert] = useState(null)
+  const [alertCoin, setAlertCoin] = useState(null)
   const [sellForm, setSellForm] = useState({
     quantity: 0,
-    price: 0
+    price: 0,
+    fee: 0,
+    feeCurrency: 'USD',
+    location: UNASSIGNED_LOCATION
   })
+  const [movingCoin, setMovingCoin] = useState(null)
+  const [lotSelections, setLotSelections] = useState({})
+  const [lotsCoin, setLotsCoin] = useState(null)
   const [showActionsMenu, setShowActionsMenu] = useState(null)
 
+  const isSpecificLot = costBasisMethod === COST_BASIS_METHODS.SPECIFIC
+
   // Close dropdown when clicking anywhere on the document
   useEffect(() => {
     const handleClick = () => setShowActionsMenu(null)
@@ -22,24 +39,106 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
 
   const handleSell = (e, coin) => {
     e.stopPropagation() // Prevent row click
+    // Default to the location holding the most of this coin
+    const location = locationBreakdown[coin.coinId]?.[0]?.locationId || UNASSIGNED_LOCATION
     setSellingCoin(coin)
     setSellForm({
-      quantity: coin.quantity,
-      price: coin.currentPrice
+      quantity: locations.length > 0 ? getLocationQuantity(locationBreakdown, coin.coinId, location) : coin.quantity,
+      price: coin.currentPrice,
+      fee: 0,
+      feeCurrency: 'USD',
+      location
     })
+    setLotSelections({})
+    setSellAlert(null)
     setShowActionsMenu(null)
   }
 
+  // Sell pre-filled with the share of the holding a fired stop or take-profit tier set aside
+  const handleAlertSell = (e, coin, alert) => {
+    handleSell(e, coin)
+    setSellForm(prev => ({
+      ...prev,
+      quantity: Math.min(getSellQuantity(coin, alert), prev.quantity)
+    }))
+    setSellAlert(alert)
+  }
+
+  const handleDismissAlertSell = () => {
+    resolveAlertSell(sellAlert.id)
+    setSellAlert(null)
+    setSellingCoin(null)
+  }
+
+  const handleSetAlerts = (e, coin) => {
+    e.stopPropagation() // Prevent row click
+    setAlertCoin(coin)
+    setShowActionsMenu(null)
+  }
+
+  // Coin-denominated fees come out of the holding on top of the sold quantity
+  const isCoinFee = sellForm.feeCurrency !== 'USD'
+  const sellDisposedQuantity = (sellForm.quantity || 0) + (isCoinFee ? sellForm.fee || 0 : 0)
+  const sellNetProceeds = (sellForm.quantity || 0) * (sellForm.price || 0) - (isCoinFee ? 0 : sellForm.fee || 0)
+
+  // With locations set up, a sale can't take more than the chosen location holds
+  const sellLocationId = sellForm.location === UNASSIGNED_LOCATION ? null : sellForm.location
+  const sellAvailableQuantity = sellingCoin
+    ? locations.length > 0
+      ? Math.min(getLocationQuantity(locationBreakdown, sellingCoin.coinId, sellLocationId), sellingCoin.quantity)
+      : sellingCoin.quantity
+    : 0
+
+  // Total quantity picked across lots (specific-lot method only)
+  const selectedLotQuantity = Object.values(lotSelections).reduce((sum, qty) => sum + (qty || 0), 0)
+
+  const handleLotSelectionChange = (lot, value) => {
+    const quantity = Math.min(Math.max(parseFloat(value) || 0, 0), lot.remainingQuantity)
+    const nextSelections = { ...lotSelections, [lot.id]: quantity }
+    setLotSelections(nextSelections)
+    setSellForm(prev => ({
+      ...prev,
+      quantity: Object.values(nextSelections).reduce((sum, qty) => sum + (qty || 0), 0)
+    }))
+  }
+
   const handleConfirmSell = () => {
-    if (sellForm.quantity > 0 && sellForm.quantity <= sellingCoin.quantity) {
-      sellCoin(sellingCoin.id, sellForm.quantity, sellForm.price)
+    if (sellForm.quantity > 0 && sellDisposedQuantity <= sellAvailableQuantity + 1e-10) {
+      const selections = isSpecificLot
+        ? Object.entries(lotSelections)
+            .filter(([, quantity]) => quantity > 0)
+            .map(([lotId, quantity]) => ({ lotId, quantity }))
+        : null
+      const alert = sellAlert
+      sellCoin(sellingCoin.id, sellForm.quantity, sellForm.price, {
+        lotSelections: selections,
+        fee: sellForm.fee,
+        feeCurrency: isCoinFee ? sellingCoin.symbol : 'USD',
+        locationId: sellLocationId
+      }).then(sold => {
+        if (sold && alert) resolveAlertSell(alert.id)
+      })
       setSellingCoin(null)
-      setSellForm({ quantity: 0, price: 0 })
+      setSellAlert(null)
+      setSellForm({ quantity: 0, price: 0, fee: 0, feeCurrency: 'USD', location: UNASSIGNED_LOCATION })
+      setLotSelections({})
     } else {
       alert('Invalid sell quantity')
     }
   }
 
+  const handleViewLots = (e, coin) => {
+    e.stopPropagation() // Prevent row click
+    setLotsCoin(coin)
+    setShowActionsMenu(null)
+  }
+
+  const handleMove = (e, coin) => {
+    e.stopPropagation() // Prevent row click
+    setMovingCoin(coin)
+    setShowActionsMenu(null)
+  }
+
   const handleDelete = (e, id, name) => {
     e.stopPropagation() // Prevent row click
     if (window.confirm(`Are you sure you want to delete ${name}?`)) {
@@ -48,11 +147,8 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
   }
 
   const calculatePL = (coin) => {
-    const invested = coin.quantity * coin.buyPrice
-    const current = coin.quantity * coin.currentPrice
-    const pl = current - invested
-    const plPercent = invested > 0 ? ((pl / invested) * 100) : 0
-    return { pl, plPercent }
+    const { profitLoss, profitLossPercentage } = calculateCoinProfitLoss(coin)
+    return { pl: profitLoss, plPercent: profitLossPercentage }
   }
 
   return (
@@ -75,6 +171,8 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
               const { pl, plPercent } = calculatePL(coin)
               const totalValue = coin.quantity * coin.currentPrice
               const isPositive = pl >= 0
+              const coinAlerts = holdingAlerts.filter(alert => alert.coinId === coin.coinId)
+              const pendingSell = !isAggregateView && coinAlerts.find(alert => alert.pendingSellPercent > 0)
 
               return (
                 <tr 
@@ -102,6 +200,23 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
                       <div>
                         <p className="font-bold text-white text-base hover:text-neon-blue transition-colors">{coin.symbol}</p>
                         <p className="text-sm text-gray-400 opacity-60 hover:opacity-100 transition-opacity">{coin.name}</p>
+                        {coinAlerts.some(alert => alert.isActive) && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {coinAlerts.filter(alert => alert.isActive).map(alert => (
+                              <span
+                                key={alert.id}
+                                className={`px-1.5 py-0.5 rounded text-[10px] font-semibold ${
+                                  alert.condition === ALERT_CONDITIONS.TRAILING_STOP
+                                    ? 'bg-neon-pink/10 text-neon-pink'
+                                    : 'bg-neon-green/10 text-neon-green'
+                                }`}
+                                title={`${ALERT_CONDITION_LABELS[alert.condition]}: ${describeAlert(alert)}`}
+                              >
+                                {getHoldingAlertBadge(alert)}
+                              </span>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </td>
@@ -126,17 +241,30 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
                   </td>
                   <td className="py-5 px-6">
                     <div className="flex items-center justify-center space-x-3">
-                      {/* Sell Button */}
-                      <button
-                        onClick={(e) => handleSell(e, coin)}
-                        className="group/btn relative px-4 py-2 bg-neon-pink/10 text-neon-pink rounded-xl hover:bg-neon-pink/20 hover:shadow-lg hover:shadow-neon-pink/30 transition-all duration-300 hover:scale-105 font-semibold text-sm flex items-center space-x-2"
-                        title="Sell Holdings"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2}>
-                          <path strokeLinecap="round" strokeLinejoin="round" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                        </svg>
-                        <span>Sell</span>
-                      </button>
+                      {/* A fired stop or take-profit tier left a sell to review */}
+                      {pendingSell && (
+                        <button
+                          onClick={(e) => handleAlertSell(e, coin, pendingSell)}
+                          className="px-3 py-2 bg-yellow-400/10 text-yellow-400 rounded-xl hover:bg-yellow-400/20 transition-all duration-300 font-semibold text-sm animate-pulse"
+                          title={`${ALERT_CONDITION_LABELS[pendingSell.condition]} fired`}
+                        >
+                          Review {pendingSell.pendingSellPercent}% Sell
+                        </button>
+                      )}
+
+                      {/* Sell Button (holdings are merged across portfolios in the aggregated view) */}
+                      {!isAggregateView && (
+                        <button
+                          onClick={(e) => handleSell(e, coin)}
+                          className="group/btn relative px-4 py-2 bg-neon-pink/10 text-neon-pink rounded-xl hover:bg-neon-pink/20 hover:shadow-lg hover:shadow-neon-pink/30 transition-all duration-300 hover:scale-105 font-semibold text-sm flex items-center space-x-2"
+                          title="Sell Holdings"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2}>
+                            <path strokeLinecap="round" strokeLinejoin="round" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                          </svg>
+                          <span>Sell</span>
+                        </button>
+                      )}
                       
                       {/* More Actions Dropdown */}
                       <div className="relative">
@@ -157,17 +285,50 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
                         {showActionsMenu === coin.id && (
                           <div className="absolute right-0 mt-2 w-48 bg-dark-secondary border border-dark-tertiary rounded-lg shadow-2xl z-50 overflow-hidden">
                             <button
-                              onClick={(e) => {
-                                handleDelete(e, coin.id, coin.name)
-                                setShowActionsMenu(null)
-                              }}
-                              className="w-full flex items-center space-x-3 px-4 py-3 text-sm text-red-400 hover:bg-red-500/10 transition-colors"
+                              onClick={(e) => handleViewLots(e, coin)}
+                              className="w-full flex items-center space-x-3 px-4 py-3 text-sm text-gray-300 hover:bg-neon-blue/10 hover:text-white transition-colors"
                             >
                               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2}>
-                                <path strokeLinecap="round" strokeLinejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                <path strokeLinecap="round" strokeLinejoin="round" d="M4 6h16M4 10h16M4 14h16M4 18h16" />
                               </svg>
-                              <span>Delete Coin</span>
+                              <span>View Tax Lots</span>
                             </button>
+                            {!isAggregateView && (
+                              <button
+                                onClick={(e) => handleSetAlerts(e, coin)}
+                                className="w-full flex items-center space-x-3 px-4 py-3 text-sm text-gray-300 hover:bg-neon-blue/10 hover:text-white transition-colors"
+                              >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2}>
+                                  <path strokeLinecap="round" strokeLinejoin="round" d="M13 17h8m0 0V9m0 8l-8-8-4 4-6-6" />
+                                </svg>
+                                <span>Stops & Targets</span>
+                              </button>
+                            )}
+                            {!isAggregateView && locations.length > 0 && (
+                              <button
+                                onClick={(e) => handleMove(e, coin)}
+                                className="w-full flex items-center space-x-3 px-4 py-3 text-sm text-gray-300 hover:bg-neon-blue/10 hover:text-white transition-colors"
+                              >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2}>
+                                  <path strokeLinecap="round" strokeLinejoin="round" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                                </svg>
+                                <span>Move Between Locations</span>
+                              </button>
+                            )}
+                            {!isAggregateView && (
+                              <button
+                                onClick={(e) => {
+                                  handleDelete(e, coin.id, coin.name)
+                                  setShowActionsMenu(null)
+                                }}
+                                className="w-full flex items-center space-x-3 px-4 py-3 text-sm text-red-400 hover:bg-red-500/10 transition-colors"
+                              >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2}>
+                                  <path strokeLinecap="round" strokeLinejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                </svg>
+                                <span>Delete Coin</span>
+                              </button>
+                            )}
                           </div>
                         )}
                       </div>
@@ -188,6 +349,21 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
           title={`Sell ${sellingCoin.name}`}
         >
           <div className="space-y-4">
+            {/* Sell set aside by a fired holding alert */}
+            {sellAlert && (
+              <div className="flex items-center justify-between gap-3 bg-yellow-400/10 border border-yellow-400/30 rounded-lg p-3">
+                <p className="text-sm text-yellow-400">
+                  Pre-filled by your {ALERT_CONDITION_LABELS[sellAlert.condition].toLowerCase()}: {sellAlert.pendingSellPercent}% of the {sellAlert.baseQuantity ? 'position when it was set' : 'holding'}
+                </p>
+                <button
+                  onClick={handleDismissAlertSell}
+                  className="text-xs text-gray-400 hover:text-white transition-colors flex-shrink-0"
+                >
+                  Dismiss
+                </button>
+              </div>
+            )}
+
             {/* Current Holdings Info */}
             <div className="bg-dark-tertiary/50 border border-dark-tertiary rounded-lg p-4">
               <div className="flex items-center justify-between mb-2">
@@ -204,6 +380,59 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
               </div>
             </div>
 
+            {/* Sell From Location */}
+            {locations.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">
+                  Sell From
+                </label>
+                <select
+                  value={sellForm.location}
+                  onChange={(e) => setSellForm({ ...sellForm, location: e.target.value })}
+                  className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-pink text-white"
+                >
+                  {(locationBreakdown[sellingCoin.coinId] || []).map(entry => (
+                    <option key={entry.locationId} value={entry.locationId}>
+                      {getLocationName(locations, entry.locationId)} ({entry.quantity.toLocaleString()} {sellingCoin.symbol})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Specific Lot Selection */}
+            {isSpecificLot && (
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">
+                  Select Lots to Sell
+                </label>
+                <div className="space-y-2 max-h-48 overflow-y-auto">
+                  {(sellingCoin.lots || []).map(lot => (
+                    <div key={lot.id} className="flex items-center justify-between gap-3 bg-dark-tertiary/50 border border-dark-tertiary rounded-lg p-3">
+                      <div className="min-w-0">
+                        <p className="text-sm text-white tabular-nums">
+                          {lot.remainingQuantity.toLocaleString()} @ {formatCurrency(lot.costPerUnit)}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {lot.acquiredAt ? new Date(lot.acquiredAt).toLocaleDateString() : 'Unknown date'}
+                        </p>
+                      </div>
+                      <input
+                        type="number"
+                        value={lotSelections[lot.id] || ''}
+                        onChange={(e) => handleLotSelectionChange(lot, e.target.value)}
+                        className="w-28 px-3 py-2 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-pink text-white text-sm"
+                        placeholder="0"
+                        step="0.00000001"
+                        max={lot.remainingQuantity}
+                        min="0"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Sell Quantity Input */}
             <div>
               <label className="block text-sm font-medium text-gray-400 mb-2">
@@ -214,20 +443,23 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
                   type="number"
                   value={sellForm.quantity}
                   onChange={(e) => setSellForm({ ...sellForm, quantity: parseFloat(e.target.value) || 0 })}
-                  className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-pink text-white pr-20"
+                  className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-pink text-white pr-20 disabled:opacity-60"
                   step="0.00000001"
-                  max={sellingCoin.quantity}
+                  max={sellAvailableQuantity}
                   min="0"
+                  disabled={isSpecificLot}
                 />
-                <button
-                  onClick={() => setSellForm({ ...sellForm, quantity: sellingCoin.quantity })}
-                  className="absolute right-2 top-1/2 -translate-y-1/2 px-3 py-1 bg-neon-blue/20 text-neon-blue text-xs font-semibold rounded hover:bg-neon-blue/30 transition-colors"
-                >
-                  MAX
-                </button>
+                {!isSpecificLot && (
+                  <button
+                    onClick={() => setSellForm({ ...sellForm, quantity: sellAvailableQuantity })}
+                    className="absolute right-2 top-1/2 -translate-y-1/2 px-3 py-1 bg-neon-blue/20 text-neon-blue text-xs font-semibold rounded hover:bg-neon-blue/30 transition-colors"
+                  >
+                    MAX
+                  </button>
+                )}
               </div>
               <p className="text-xs text-gray-500 mt-1">
-                Max: {sellingCoin.quantity.toLocaleString()} {sellingCoin.symbol}
+                Max: {sellAvailableQuantity.toLocaleString()} {sellingCoin.symbol}
               </p>
             </div>
 
@@ -246,12 +478,44 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
               />
             </div>
 
+            {/* Fee Input */}
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">
+                Fee
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  value={sellForm.fee}
+                  onChange={(e) => setSellForm({ ...sellForm, fee: parseFloat(e.target.value) || 0 })}
+                  className="flex-1 px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-pink text-white"
+                  step="any"
+                  min="0"
+                />
+                <select
+                  value={sellForm.feeCurrency}
+                  onChange={(e) => setSellForm({ ...sellForm, feeCurrency: e.target.value })}
+                  className="px-3 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-pink text-white"
+                >
+                  <option value="USD">USD</option>
+                  <option value="COIN">{sellingCoin.symbol}</option>
+                </select>
+              </div>
+              {isCoinFee && sellForm.fee > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {sellDisposedQuantity.toLocaleString()} {sellingCoin.symbol} will leave your holding
+                </p>
+              )}
+            </div>
+
             {/* Total Value Display */}
             <div className="bg-neon-pink/10 border border-neon-pink/30 rounded-lg p-4">
               <div className="flex items-center justify-between">
-                <span className="text-sm font-medium text-gray-300">Total Sale Value</span>
+                <span className="text-sm font-medium text-gray-300">
+                  {sellForm.fee > 0 ? 'Net Proceeds (after fee)' : 'Total Sale Value'}
+                </span>
                 <span className="text-xl font-bold text-neon-pink tabular-nums">
-                  {formatCurrency((sellForm.quantity || 0) * (sellForm.price || 0))}
+                  {formatCurrency(sellNetProceeds)}
                 </span>
               </div>
             </div>
@@ -260,7 +524,7 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
             <div className="flex space-x-3 pt-4">
               <button
                 onClick={handleConfirmSell}
-                disabled={!sellForm.quantity || sellForm.quantity <= 0 || sellForm.quantity > sellingCoin.quantity}
+                disabled={!sellForm.quantity || sellForm.quantity <= 0 || sellDisposedQuantity > sellAvailableQuantity + 1e-10 || (isSpecificLot && selectedLotQuantity <= 0)}
                 className="flex-1 px-6 py-3 bg-neon-pink text-white rounded-lg hover:bg-neon-pink/80 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Confirm Sale
@@ -275,6 +539,87 @@ const CoinTable = ({ coins, onSort, sortConfig, onCoinClick }) => {
           </div>
         </Modal>
       )}
+
+      {/* Transfer Modal */}
+      <TransferModal coin={movingCoin} onClose={() => setMovingCoin(null)} />
+
+      {/* Trailing Stop / Take-Profit Modal */}
+      <HoldingAlertModal coin={alertCoin} onClose={() => setAlertCoin(null)} />
+
+      {/* Tax Lots Modal */}
+      {lotsCoin && (
+        <Modal
+          isOpen={!!lotsCoin}
+          onClose={() => setLotsCoin(null)}
+          title={`${lotsCoin.symbol} Tax Lots`}
+        >
+          <div className="space-y-4">
+            <div className="bg-dark-tertiary/50 border border-dark-tertiary rounded-lg p-4">
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-400">Realized P/L</span>
+                <span className={`text-sm font-bold tabular-nums ${(lotsCoin.realizedProfitLoss || 0) >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+                  {(lotsCoin.realizedProfitLoss || 0) >= 0 ? '+' : '-'}{formatCurrency(Math.abs(lotsCoin.realizedProfitLoss || 0))}
+                </span>
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-400 mb-2">Open Lots</p>
+              <div className="space-y-2">
+                {(lotsCoin.lots || []).map(lot => {
+                  const lotPL = calculateLotProfitLoss(lot, lotsCoin.currentPrice)
+                  return (
+                    <div key={lot.id} className="bg-dark-tertiary/50 border border-dark-tertiary rounded-lg p-3">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-white tabular-nums">
+                          {lot.remainingQuantity.toLocaleString()} {lotsCoin.symbol} @ {formatCurrency(lot.costPerUnit)}
+                        </span>
+                        <span className={`text-sm font-bold tabular-nums ${lotPL.isProfit ? 'text-neon-green' : 'text-neon-pink'}`}>
+                          {lotPL.isProfit ? '+' : '-'}{formatCurrency(Math.abs(lotPL.unrealizedProfitLoss))}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {lot.synthetic
+                          ? 'Opening balance (no transaction record)'
+                          : `Acquired ${new Date(lot.acquiredAt).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                  )
+                })}
+              </div>
+            </div>
+
+            {(lotsCoin.closedLots || []).length > 0 && (
+              <div>
+                <p className="text-sm font-medium text-gray-400 mb-2">Closed Lots</p>
+                <div className="space-y-2">
+                  {lotsCoin.closedLots.map((lot, index) => (
+                    <div key={`${lot.sellTransactionId}-${lot.lotId || index}`} className="bg-dark-tertiary/30 border border-dark-tertiary rounded-lg p-3">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-gray-300 tabular-nums">
+                          {lot.quantity.toLocaleString()} sold @ {formatCurrency(lot.proceedsPerUnit)}
+                        </span>
+                        {lot.unmatched ? (
+                          <span className="text-sm font-bold text-yellow-400">—</span>
+                        ) : (
+                          <span className={`text-sm font-bold tabular-nums ${lot.realizedProfitLoss >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+                            {lot.realizedProfitLoss >= 0 ? '+' : '-'}{formatCurrency(Math.abs(lot.realizedProfitLoss))}
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {lot.unmatched
+                          ? 'No matching buy lot, cost basis unknown'
+                          : `Cost ${formatCurrency(lot.costPerUnit)} · Sold ${new Date(lot.disposedAt).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </Modal>
+      )}
     </>
   )
 }
@@ -1,12 +1,15 @@
 import React, { useState, useEffect } from 'react'
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
 import { fetchMarketComparison, normalizeHistoricalData, mergeHistoricalDatasets } from '../services/historicalApi'
-import { getHistoryForRange, normalizeToPercentage } from '../utils/historyUtils'
+import { buildTimeWeightedIndex, getDailyCashFlows } from '../utils/returns'
+import { getBackfilledHistory } from '../services/backfillService'
 import { useAuth } from '../context/AuthContext'
+import { usePortfolio } from '../context/PortfolioContext'
 import Loader from './Loader'
 
 const ComparisonChart = () => {
   const { user } = useAuth()
+  const { transactions, activePortfolio } = usePortfolio()
   const [timeRange, setTimeRange] = useState(30) // 7, 30, or 90 days
   const [chartData, setChartData] = useState([])
   const [loading, setLoading] = useState(true)
@@ -19,7 +22,7 @@ const ComparisonChart = () => {
 
   useEffect(() => {
     loadComparisonData()
-  }, [timeRange, user])
+  }, [timeRange, user, transactions, activePortfolio])
 
   const loadComparisonData = async () => {
     if (!user) {
@@ -35,8 +38,8 @@ const ComparisonChart = () => {
       // Fetch BTC and ETH historical data
       const marketData = await fetchMarketComparison(timeRange)
 
-      // Get portfolio historical data
-      const portfolioHistory = await getHistoryForRange(timeRange, user.id)
+      // Get portfolio historical data (days without a snapshot are rebuilt from transactions)
+      const portfolioHistory = await getBackfilledHistory(timeRange, user.id, activePortfolio?.id || null)
 
       if (portfolioHistory.length === 0) {
         setError('Not enough portfolio history. Buy coins and check back later.')
@@ -46,7 +49,8 @@ const ComparisonChart = () => {
       }
 
       // Normalize all datasets to percentage (base 100)
-      const normalizedPortfolio = normalizeToPercentage(portfolioHistory)
+      // Portfolio uses a time-weighted index so buying more coins doesn't read as a gain
+      const normalizedPortfolio = buildTimeWeightedIndex(portfolioHistory, getDailyCashFlows(transactions))
       const normalizedBTC = normalizeHistoricalData(marketData.bitcoin)
       const normalizedETH = normalizeHistoricalData(marketData.ethereum)
 
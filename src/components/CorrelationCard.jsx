@@ -0,0 +1,143 @@
+import { useState } from 'react'
+import { useCorrelationAnalysis } from '../hooks/useCorrelations'
+import { RISK_WINDOWS } from '../utils/risk'
+
+// Pairs at or above this move together closely enough to count as one position
+const HIGH_CORRELATION = 0.8
+const MAX_PAIRS = 5
+
+/**
+ * Heatmap cell color: pink for moving together, green for moving apart
+ * @param {number|null} value - Correlation
+ * @returns {string|undefined} - CSS background color, none for missing data
+ */
+const getCellColor = (value) => {
+  if (value === null) return undefined
+  return value >= 0
+    ? `rgba(255, 46, 151, ${0.1 + value * 0.8})`
+    : `rgba(0, 255, 136, ${0.1 + Math.abs(value) * 0.8})`
+}
+
+const CorrelationCard = () => {
+  const [windowKey, setWindowKey] = useState('90D')
+  const { loading, holdings, matrix, effectiveBets } = useCorrelationAnalysis(RISK_WINDOWS[windowKey].days)
+
+  // Weights only, as if every holding moved independently
+  const effectiveHoldings = holdings.length > 0
+    ? 1 / holdings.reduce((sum, coin) => sum + (coin.weight / 100) ** 2, 0)
+    : null
+
+  const pairs = holdings
+    .flatMap((a, i) => holdings.slice(i + 1).map((b, offset) => ({ a, b, value: matrix[i][i + 1 + offset] })))
+    .filter(pair => pair.value !== null && pair.value >= HIGH_CORRELATION)
+    .sort((x, y) => y.value - x.value)
+    .slice(0, MAX_PAIRS)
+
+  return (
+    <div className="relative bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-blue/40 transition-all duration-500 hover:shadow-xl hover:shadow-neon-blue/10 animate-fadeIn">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <div>
+          <h3 className="text-2xl font-bold text-white mb-2">Correlation</h3>
+          <p className="text-sm text-gray-400 opacity-70">How closely your holdings move together, from daily returns</p>
+        </div>
+
+        <div className="flex items-center space-x-2 mt-4 md:mt-0">
+          {Object.entries(RISK_WINDOWS).map(([key, range]) => (
+            <button
+              key={key}
+              onClick={() => setWindowKey(key)}
+              className={`px-4 py-2 rounded-xl text-sm font-bold transition-all duration-300 ${
+                windowKey === key
+                  ? 'bg-neon-blue text-white shadow-lg shadow-neon-blue/30'
+                  : 'bg-dark-tertiary text-gray-400 hover:bg-dark-tertiary/70'
+              }`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="h-64 bg-dark-tertiary rounded-xl animate-pulse" />
+      ) : holdings.length < 2 ? (
+        <p className="text-gray-500 text-sm py-6 text-center">Hold at least two non-stablecoin assets to compare them</p>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
+          {/* Heatmap */}
+          <div className="xl:col-span-2 overflow-x-auto">
+            <table className="text-xs border-separate" style={{ borderSpacing: '3px' }}>
+              <thead>
+                <tr>
+                  <th />
+                  {holdings.map(coin => (
+                    <th key={coin.coinId} className="text-gray-400 font-semibold px-1 pb-1">{coin.symbol}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {holdings.map((row, i) => (
+                  <tr key={row.coinId}>
+                    <th className="text-gray-400 font-semibold text-right pr-2">{row.symbol}</th>
+                    {holdings.map((column, j) => (
+                      <td
+                        key={column.coinId}
+                        className="w-12 h-10 text-center text-white font-semibold rounded-md bg-dark-tertiary/50 tabular-nums"
+                        style={{ backgroundColor: getCellColor(matrix[i][j]) }}
+                        title={`${row.symbol} / ${column.symbol}`}
+                      >
+                        {matrix[i][j] === null ? '—' : matrix[i][j].toFixed(2)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-3">
+              1.00 moves in lockstep, 0 unrelated, negative moves in opposite directions. Stablecoins are left out.
+            </p>
+          </div>
+
+          {/* Concentration */}
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-3">
+              <div className="bg-dark-tertiary rounded-xl p-3">
+                <p className="text-xs text-gray-400 mb-1">Holdings</p>
+                <p className="text-2xl font-black text-white">{holdings.length}</p>
+              </div>
+              <div className="bg-dark-tertiary rounded-xl p-3">
+                <p className="text-xs text-gray-400 mb-1" title="Holdings weighted by size, as if they moved independently">By Weight</p>
+                <p className="text-2xl font-black text-white">{effectiveHoldings === null ? '—' : effectiveHoldings.toFixed(1)}</p>
+              </div>
+              <div className="bg-dark-tertiary rounded-xl p-3">
+                <p className="text-xs text-gray-400 mb-1" title="Holdings weighted by size and correlation">Independent Bets</p>
+                <p className="text-2xl font-black text-neon-blue">{effectiveBets === null ? '—' : effectiveBets.toFixed(1)}</p>
+              </div>
+            </div>
+
+            <div>
+              <p className="text-xs text-gray-400 uppercase tracking-wider font-semibold mb-2">Moving Together</p>
+              {pairs.length === 0 ? (
+                <p className="text-sm text-gray-500">No pairs above {HIGH_CORRELATION.toFixed(1)} correlation</p>
+              ) : (
+                <div className="space-y-2">
+                  {pairs.map(({ a, b, value }) => (
+                    <div key={`${a.coinId}-${b.coinId}`} className="flex items-center justify-between bg-dark-tertiary/50 rounded-lg px-3 py-2 text-sm">
+                      <span className="text-white font-semibold">{a.symbol} / {b.symbol}</span>
+                      <span className="text-gray-400">
+                        <span className="text-neon-pink font-semibold">{value.toFixed(2)}</span>
+                        {' · '}{(a.weight + b.weight).toFixed(1)}% of holdings
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CorrelationCard
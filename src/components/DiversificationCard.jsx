@@ -4,7 +4,7 @@ import { calculatePortfolioDiversity } from '../utils/calculations'
 import { getDiversificationWarnings } from '../utils/analytics'
 
 const DiversificationCard = () => {
-  const { coins, priceLoading } = usePortfolio()
+  const { coins, priceLoading, allocationDrift } = usePortfolio()
   const [isExpanded, setIsExpanded] = useState(false)
 
   if (coins.length === 0) {
@@ -17,7 +17,7 @@ const DiversificationCard = () => {
   }
 
   const diversityData = calculatePortfolioDiversity(coins)
-  const { hasWarning, warnings, topAllocations } = getDiversificationWarnings(diversityData)
+  const { hasWarning, warnings, topAllocations } = getDiversificationWarnings(diversityData, allocationDrift)
 
   // Sort by allocation percentage
   const sortedAllocations = [...diversityData].sort(
@@ -1,12 +1,14 @@
 import React, { useEffect, useState } from 'react'
 import { usePortfolio } from '../context/PortfolioContext'
+import { useCorrelationAnalysis } from '../hooks/useCorrelations'
 import { calculatePortfolioHealth } from '../utils/analytics'
 
 const HealthMeter = () => {
   const { coins, priceLoading } = usePortfolio()
+  const { effectiveBets } = useCorrelationAnalysis()
   const [animatedScore, setAnimatedScore] = useState(0)
 
-  const healthData = calculatePortfolioHealth(coins)
+  const healthData = calculatePortfolioHealth(coins, { effectiveBets })
   const { score, rating, breakdown } = healthData
 
   // Animate the score counter
@@ -141,7 +143,12 @@ const HealthMeter = () => {
       <div className="space-y-3">
         <div className="flex items-center justify-between text-sm">
           <div className="flex items-center space-x-2">
-            <span className="text-gray-400">Diversification</span>
+            <span
+              className="text-gray-400"
+              title={effectiveBets === null ? 'Based on the number of coins held' : `${effectiveBets.toFixed(1)} independent bets over 90 days of correlations`}
+            >
+              Diversification
+            </span>
           </div>
           <div className="flex items-center space-x-2">
             <div className="w-24 h-2 bg-dark-tertiary rounded-full overflow-hidden">
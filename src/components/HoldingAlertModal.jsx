@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useNotifications } from '../context/NotificationContext'
+import {
+  ALERT_CONDITIONS,
+  ALERT_CONDITION_LABELS,
+  HOLDING_CONDITIONS,
+  MAX_LADDER_TIERS,
+  getTrailingStopPrice,
+  validateAlertCondition,
+  describeAlert
+} from '../utils/alertConditions'
+import { DEFAULT_TRAILING_PERCENT } from '../utils/holdingAlerts'
+import Modal from './Modal'
+
+const inputClass = 'w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white'
+
+// First tier 25% above the current price, rounded to a readable target
+const createTier = (price, step = 1) => ({
+  targetPrice: price > 0 ? Number((price * (1 + 0.25 * step)).toPrecision(4)) : '',
+  sellPercent: 25
+})
+
+const HoldingAlertModal = ({ coin, onClose }) => {
+  const { holdingAlerts, addHoldingAlert, removeHoldingAlert } = usePortfolio()
+  const { showToast } = useNotifications()
+
+  const [condition, setCondition] = useState(ALERT_CONDITIONS.TRAILING_STOP)
+  const [trailingPercent, setTrailingPercent] = useState(DEFAULT_TRAILING_PERCENT)
+  const [sellOnStop, setSellOnStop] = useState('')
+  const [ladder, setLadder] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (!coin) return
+    setCondition(ALERT_CONDITIONS.TRAILING_STOP)
+    setTrailingPercent(DEFAULT_TRAILING_PERCENT)
+    setSellOnStop('')
+    setLadder([createTier(coin.currentPrice)])
+  }, [coin])
+
+  if (!coin) return null
+
+  const coinAlerts = holdingAlerts.filter(alert => alert.coinId === coin.coinId && alert.isActive)
+  const stopPrice = getTrailingStopPrice({ thresholdPercent: parseFloat(trailingPercent) || 0, peakPrice: coin.currentPrice })
+
+  const updateTier = (index, field, value) => {
+    setLadder(prev => prev.map((tier, i) => i === index ? { ...tier, [field]: value } : tier))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const alertData = condition === ALERT_CONDITIONS.TRAILING_STOP
+      ? {
+          condition,
+          thresholdPercent: parseFloat(trailingPercent),
+          sellPercent: parseFloat(sellOnStop) || null
+        }
+      : {
+          condition,
+          ladder: ladder.map(tier => ({
+            targetPrice: parseFloat(tier.targetPrice),
+            sellPercent: parseFloat(tier.sellPercent) || null
+          }))
+        }
+
+    const validationError = validateAlertCondition(alertData)
+    if (validationError) {
+      showToast(validationError, 'error')
+      return
+    }
+
+    setSubmitting(true)
+    const result = await addHoldingAlert(coin, alertData)
+    setSubmitting(false)
+
+    showToast(result.message, result.success ? 'success' : 'error')
+    if (result.success) onClose()
+  }
+
+  const handleRemove = async (alertId) => {
+    const result = await removeHoldingAlert(alertId)
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  return (
+    <Modal isOpen={!!coin} onClose={onClose} title={`Stops & Targets for ${coin.symbol}`}>
+      <div className="space-y-5">
+        {/* Existing alerts on this holding */}
+        {coinAlerts.length > 0 && (
+          <div className="space-y-2">
+            {coinAlerts.map(alert => (
+              <div key={alert.id} className="flex items-center justify-between gap-3 p-3 bg-dark-tertiary/50 rounded-lg">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-white">{ALERT_CONDITION_LABELS[alert.condition]}</p>
+                  <p className="text-xs text-gray-400">{describeAlert(alert)}</p>
+                </div>
+                <button
+                  onClick={() => handleRemove(alert.id)}
+                  className="text-xs text-red-400 hover:text-red-300 transition-colors"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {/* Alert type */}
+          <div className="grid grid-cols-2 gap-2">
+            {HOLDING_CONDITIONS.map(option => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setCondition(option)}
+                className={`py-2 rounded-lg text-sm font-semibold transition-colors ${
+                  condition === option
+                    ? 'bg-neon-blue/20 text-neon-blue border border-neon-blue/40'
+                    : 'bg-dark-tertiary text-gray-400 border border-dark-tertiary hover:text-white'
+                }`}
+              >
+                {ALERT_CONDITION_LABELS[option]}
+              </button>
+            ))}
+          </div>
+
+          {condition === ALERT_CONDITIONS.TRAILING_STOP ? (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">Distance Below Peak (%)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={trailingPercent}
+                  onChange={(e) => setTrailingPercent(e.target.value)}
+                  className={inputClass}
+                  required
+                />
+                {stopPrice > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Stop starts at ${Number(stopPrice.toPrecision(6)).toLocaleString()} and rises with the price
+                  </p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">Pre-fill a Sell When Hit (% of holding)</label>
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  max="100"
+                  value={sellOnStop}
+                  onChange={(e) => setSellOnStop(e.target.value)}
+                  placeholder="Leave empty to only notify"
+                  className={inputClass}
+                />
+              </div>
+            </>
+          ) : (
+            <div className="space-y-2">
+              <div className="grid grid-cols-[1fr_1fr_auto] gap-2 text-xs font-medium text-gray-400">
+                <span>Target Price (USD)</span>
+                <span>Sell (% of holding)</span>
+                <span className="w-8"></span>
+              </div>
+              {ladder.map((tier, index) => (
+                <div key={index} className="grid grid-cols-[1fr_1fr_auto] gap-2 items-center">
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={tier.targetPrice}
+                    onChange={(e) => updateTier(index, 'targetPrice', e.target.value)}
+                    className={inputClass}
+                    required
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    max="100"
+                    value={tier.sellPercent}
+                    onChange={(e) => updateTier(index, 'sellPercent', e.target.value)}
+                    placeholder="Notify only"
+                    className={inputClass}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setLadder(prev => prev.filter((_, i) => i !== index))}
+                    disabled={ladder.length === 1}
+                    className="w-8 text-gray-400 hover:text-red-400 transition-colors disabled:opacity-30"
+                    title="Remove tier"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              {ladder.length < MAX_LADDER_TIERS && (
+                <button
+                  type="button"
+                  onClick={() => setLadder(prev => [...prev, createTier(coin.currentPrice, prev.length + 1)])}
+                  className="text-sm text-neon-blue hover:text-neon-blue/80 transition-colors"
+                >
+                  + Add Tier
+                </button>
+              )}
+            </div>
+          )}
+
+          <div className="flex space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-6 py-3 bg-dark-tertiary text-white rounded-lg hover:bg-dark-tertiary/70 transition-colors font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="flex-1 px-6 py-3 bg-gradient-to-r from-neon-blue to-neon-purple text-white rounded-lg hover:shadow-lg hover:shadow-neon-blue/30 transition-all duration-300 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting ? 'Saving...' : `Set ${ALERT_CONDITION_LABELS[condition]}`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  )
+}
+
+export default HoldingAlertModal
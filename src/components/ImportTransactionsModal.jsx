@@ -0,0 +1,201 @@
+import React, { useState } from 'react'
+import Modal from './Modal'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useNotifications } from '../context/NotificationContext'
+import { IMPORT_PRESETS, IMPORT_ROW_STATUS, previewImportFile } from '../utils/importCsv'
+
+const STATUS_STYLES = {
+  [IMPORT_ROW_STATUS.NEW]: { label: 'New', className: 'bg-neon-green/10 text-neon-green border-neon-green/30' },
+  [IMPORT_ROW_STATUS.DUPLICATE]: { label: 'Duplicate', className: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/30' },
+  [IMPORT_ROW_STATUS.ERROR]: { label: 'Error', className: 'bg-neon-pink/10 text-neon-pink border-neon-pink/30' }
+}
+
+const ImportTransactionsModal = ({ isOpen, onClose }) => {
+  const { transactions, importTransactions, formatCurrency } = usePortfolio()
+  const { showToast } = useNotifications()
+
+  const [file, setFile] = useState(null)
+  const [presetKey, setPresetKey] = useState('auto')
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState(null)
+  const [isParsing, setIsParsing] = useState(false)
+  const [isImporting, setIsImporting] = useState(false)
+
+  const newRows = preview ? preview.rows.filter(row => row.status === IMPORT_ROW_STATUS.NEW) : []
+
+  const handleClose = () => {
+    setFile(null)
+    setPreview(null)
+    setError(null)
+    setPresetKey('auto')
+    onClose()
+  }
+
+  const buildPreview = async (selectedFile, selectedPreset) => {
+    if (!selectedFile) return
+
+    try {
+      setIsParsing(true)
+      setError(null)
+      const result = await previewImportFile(selectedFile, transactions, selectedPreset)
+      setPreview(result)
+    } catch (err) {
+      setPreview(null)
+      setError(err.message || 'Failed to read CSV file')
+    } finally {
+      setIsParsing(false)
+    }
+  }
+
+  const handleFileChange = (e) => {
+    const selectedFile = e.target.files?.[0] || null
+    setFile(selectedFile)
+    buildPreview(selectedFile, presetKey)
+  }
+
+  const handlePresetChange = (e) => {
+    setPresetKey(e.target.value)
+    buildPreview(file, e.target.value)
+  }
+
+  const handleImport = async () => {
+    try {
+      setIsImporting(true)
+      const result = await importTransactions(newRows)
+
+      if (result.success) {
+        const failedNote = result.failed > 0 ? ` (${result.failed} failed)` : ''
+        showToast(`Imported ${result.imported} Transactions${failedNote}`, 'success')
+        handleClose()
+      } else {
+        showToast('Failed to import transactions', 'error')
+      }
+    } catch (err) {
+      console.error('❌ Import error:', err)
+      showToast('Failed to import transactions', 'error')
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Transactions" size="xl">
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">CSV File</label>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              className="w-full text-sm text-gray-300 file:mr-3 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-dark-tertiary file:text-white file:font-medium hover:file:bg-neon-blue/20"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Format</label>
+            <select
+              value={presetKey}
+              onChange={handlePresetChange}
+              className="w-full px-3 py-2 bg-dark-tertiary border border-dark-tertiary rounded-lg text-white focus:outline-none focus:border-neon-blue/50"
+            >
+              <option value="auto">Auto-detect</option>
+              {Object.entries(IMPORT_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>{preset.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {isParsing && (
+          <p className="text-sm text-gray-400">Reading file and resolving coins...</p>
+        )}
+
+        {error && (
+          <div className="bg-neon-pink/10 border border-neon-pink/30 rounded-lg p-3 text-sm text-neon-pink">
+            {error}
+          </div>
+        )}
+
+        {preview && !isParsing && (
+          <>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <span className="text-gray-400">
+                Detected: <span className="text-white font-medium">{IMPORT_PRESETS[preview.presetKey].label}</span>
+              </span>
+              <span className="text-neon-green">{preview.summary.new} new</span>
+              <span className="text-yellow-400">{preview.summary.duplicate} duplicate</span>
+              <span className="text-neon-pink">{preview.summary.error} skipped</span>
+            </div>
+
+            <div className="max-h-80 overflow-y-auto border border-dark-tertiary rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-dark-tertiary/50 sticky top-0">
+                  <tr className="text-left text-gray-400">
+                    <th className="px-3 py-2 font-medium">Line</th>
+                    <th className="px-3 py-2 font-medium">Date</th>
+                    <th className="px-3 py-2 font-medium">Type</th>
+                    <th className="px-3 py-2 font-medium">Coin</th>
+                    <th className="px-3 py-2 font-medium text-right">Quantity</th>
+                    <th className="px-3 py-2 font-medium text-right">Price</th>
+                    <th className="px-3 py-2 font-medium">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(row => {
+                    const status = STATUS_STYLES[row.status]
+                    return (
+                      <tr key={row.line} className={`border-t border-dark-tertiary ${row.status === IMPORT_ROW_STATUS.NEW ? '' : 'opacity-60'}`}>
+                        <td className="px-3 py-2 text-gray-500 tabular-nums">{row.line}</td>
+                        <td className="px-3 py-2 text-gray-300 tabular-nums">
+                          {row.timestamp ? new Date(row.timestamp).toLocaleDateString() : '—'}
+                        </td>
+                        <td className={`px-3 py-2 font-medium ${row.action === 'BUY' ? 'text-neon-green' : 'text-neon-pink'}`}>
+                          {row.action || '—'}
+                        </td>
+                        <td className="px-3 py-2 text-white">{row.symbol || '—'}</td>
+                        <td className="px-3 py-2 text-right text-gray-300 tabular-nums">
+                          {isNaN(row.quantity) ? '—' : row.quantity.toLocaleString('en-US', { maximumFractionDigits: 8 })}
+                        </td>
+                        <td className="px-3 py-2 text-right text-gray-300 tabular-nums">
+                          {isNaN(row.price) ? '—' : formatCurrency(row.price)}
+                        </td>
+                        <td className="px-3 py-2">
+                          <span className={`inline-block px-2 py-0.5 rounded border text-xs font-medium ${status.className}`} title={row.error || ''}>
+                            {row.error || status.label}
+                          </span>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <p className="text-xs text-gray-500">
+              Duplicates match an existing transaction with the same coin, type, day, quantity and price. Only new rows are imported, and holdings are rebuilt from the result.
+            </p>
+          </>
+        )}
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3 pt-4">
+          <button
+            onClick={handleImport}
+            disabled={isImporting || isParsing || newRows.length === 0}
+            className="flex-1 px-6 py-3 bg-neon-blue text-white rounded-lg hover:bg-neon-blue/80 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isImporting ? 'Importing...' : `Import ${newRows.length} Transaction${newRows.length === 1 ? '' : 's'}`}
+          </button>
+          <button
+            onClick={handleClose}
+            className="px-6 py-3 bg-dark-tertiary text-gray-400 rounded-lg hover:bg-dark-tertiary/80 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default ImportTransactionsModal
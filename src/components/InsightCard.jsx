@@ -1,9 +1,11 @@
 import React, { useState } from 'react'
 import { usePortfolio } from '../context/PortfolioContext'
+import { useCorrelationAnalysis } from '../hooks/useCorrelations'
 import { calculatePortfolioHealth, generateSmartInsights } from '../utils/analytics'
 
 const InsightCard = () => {
   const { coins, priceLoading } = usePortfolio()
+  const { effectiveBets } = useCorrelationAnalysis()
   const [activeInsight, setActiveInsight] = useState(0)
 
   // Get icon and styling based on insight type
@@ -77,7 +79,7 @@ const InsightCard = () => {
     )
   }
 
-  const healthData = calculatePortfolioHealth(coins)
+  const healthData = calculatePortfolioHealth(coins, { effectiveBets })
   const allInsights = generateSmartInsights(coins, healthData)
   // Limit to max 3 insights for cleaner UI
   const insights = allInsights.slice(0, 3)
@@ -1,6 +1,12 @@
 import React, { useEffect } from 'react'
 
-const Modal = ({ isOpen, onClose, title, children }) => {
+const MODAL_SIZES = {
+  md: 'max-w-md',
+  lg: 'max-w-2xl',
+  xl: 'max-w-4xl'
+}
+
+const Modal = ({ isOpen, onClose, title, children, size = 'md' }) => {
   useEffect(() => {
     const handleEscape = (e) => {
       if (e.key === 'Escape') onClose()
@@ -28,7 +34,7 @@ const Modal = ({ isOpen, onClose, title, children }) => {
       />
 
       {/* Modal */}
-      <div className="relative bg-dark-secondary rounded-xl border border-dark-tertiary shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto animate-slide-in">
+      <div className={`relative bg-dark-secondary rounded-xl border border-dark-tertiary shadow-2xl ${MODAL_SIZES[size] || MODAL_SIZES.md} w-full max-h-[90vh] overflow-y-auto animate-slide-in`}>
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b border-dark-tertiary">
           <h2 className="text-xl font-bold text-white">{title}</h2>
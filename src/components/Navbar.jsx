@@ -1,23 +1,38 @@
 import React, { useState, useRef, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { usePortfolio } from '../context/PortfolioContext'
+import { usePortfolio, ALL_PORTFOLIOS } from '../context/PortfolioContext'
 import { useAuth } from '../context/AuthContext'
 import { useAppStatus } from '../context/AppStatusContext'
 import { useNotifications } from '../context/NotificationContext'
 import NotificationPanel from './NotificationPanel'
 
 const Navbar = ({ toggleSidebar }) => {
-  const { currency, changeCurrency, refreshPrices, supportedCurrencies } = usePortfolio()
+  const {
+    currency,
+    changeCurrency,
+    refreshPrices,
+    supportedCurrencies,
+    portfolios,
+    activePortfolioId,
+    activePortfolio,
+    isAggregateView,
+    selectPortfolio,
+    createPortfolio,
+    renamePortfolio,
+    deletePortfolio
+  } = usePortfolio()
   const { logout: authLogout, user } = useAuth()
   const { isLiveData, isLoadingPrices } = useAppStatus()
-  const { getUnreadCount } = useNotifications()
+  const { getUnreadCount, showToast } = useNotifications()
   const navigate = useNavigate()
   const [notificationOpen, setNotificationOpen] = useState(false)
   const [userDropdownOpen, setUserDropdownOpen] = useState(false)
   const [currencyDropdownOpen, setCurrencyDropdownOpen] = useState(false)
+  const [portfolioDropdownOpen, setPortfolioDropdownOpen] = useState(false)
   const [bellAnimation, setBellAnimation] = useState(false)
   const userDropdownRef = useRef(null)
   const currencyDropdownRef = useRef(null)
+  const portfolioDropdownRef = useRef(null)
   const prevCountRef = useRef(0)
 
   const notificationCount = getUnreadCount()
@@ -41,6 +56,9 @@ const Navbar = ({ toggleSidebar }) => {
       if (currencyDropdownRef.current && !currencyDropdownRef.current.contains(event.target)) {
         setCurrencyDropdownOpen(false)
       }
+      if (portfolioDropdownRef.current && !portfolioDropdownRef.current.contains(event.target)) {
+        setPortfolioDropdownOpen(false)
+      }
     }
 
     document.addEventListener('mousedown', handleClickOutside)
@@ -73,6 +91,44 @@ const Navbar = ({ toggleSidebar }) => {
     setCurrencyDropdownOpen(false)
   }
 
+  const handlePortfolioSelect = (portfolioId) => {
+    selectPortfolio(portfolioId)
+    setPortfolioDropdownOpen(false)
+  }
+
+  const handleCreatePortfolio = async () => {
+    const name = window.prompt('Name for the new portfolio:')
+    if (!name || !name.trim()) return
+
+    const result = await createPortfolio(name)
+    showToast(result.message, result.success ? 'success' : 'error')
+    setPortfolioDropdownOpen(false)
+  }
+
+  const handleRenamePortfolio = async () => {
+    if (!activePortfolio) return
+
+    const name = window.prompt('Rename portfolio:', activePortfolio.name)
+    if (!name || !name.trim() || name.trim() === activePortfolio.name) return
+
+    const result = await renamePortfolio(activePortfolio.id, name)
+    showToast(result.message, result.success ? 'success' : 'error')
+    setPortfolioDropdownOpen(false)
+  }
+
+  const handleDeletePortfolio = async () => {
+    if (!activePortfolio || activePortfolio.isDefault) return
+
+    const confirmed = window.confirm(
+      `Delete "${activePortfolio.name}"?\n\nIts holdings, transactions, snapshots and alerts will be removed. This action cannot be undone.`
+    )
+    if (!confirmed) return
+
+    const result = await deletePortfolio(activePortfolio.id)
+    showToast(result.message, result.success ? 'success' : 'error')
+    setPortfolioDropdownOpen(false)
+  }
+
   return (
     <nav className="bg-dark-secondary border-b border-dark-tertiary px-4 py-4">
       <div className="flex items-center justify-between">
@@ -107,6 +163,82 @@ const Navbar = ({ toggleSidebar }) => {
 
         {/* Right: Controls */}
         <div className="flex items-center space-x-4 ml-auto">
+          {/* Portfolio Selector */}
+          {portfolios.length > 0 && (
+            <div className="relative" ref={portfolioDropdownRef}>
+              <button
+                onClick={() => setPortfolioDropdownOpen(!portfolioDropdownOpen)}
+                className="flex items-center space-x-2 px-4 py-2 bg-dark-tertiary rounded-lg border border-dark-tertiary hover:border-neon-blue/30 transition-all duration-200"
+                title="Switch Portfolio"
+              >
+                <span className="text-sm font-medium max-w-[10rem] truncate">
+                  {isAggregateView ? 'All portfolios' : activePortfolio?.name || 'Portfolio'}
+                </span>
+                <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+
+              {portfolioDropdownOpen && (
+                <div className="absolute right-0 mt-2 w-60 bg-dark-secondary border border-dark-tertiary rounded-lg shadow-2xl z-50 animate-slideDown">
+                  <div className="py-2 border-b border-dark-tertiary">
+                    {portfolios.map(portfolio => (
+                      <button
+                        key={portfolio.id}
+                        onClick={() => handlePortfolioSelect(portfolio.id)}
+                        className={`w-full flex items-center justify-between px-4 py-2 text-sm transition-colors ${
+                          activePortfolioId === portfolio.id
+                            ? 'text-neon-blue bg-neon-blue/10'
+                            : 'text-gray-300 hover:bg-dark-tertiary hover:text-white'
+                        }`}
+                      >
+                        <span className="truncate">{portfolio.name}</span>
+                        {portfolio.isDefault && <span className="text-xs text-gray-500 ml-2">default</span>}
+                      </button>
+                    ))}
+                    {portfolios.length > 1 && (
+                      <button
+                        onClick={() => handlePortfolioSelect(ALL_PORTFOLIOS)}
+                        className={`w-full flex items-center px-4 py-2 text-sm transition-colors ${
+                          isAggregateView
+                            ? 'text-neon-blue bg-neon-blue/10'
+                            : 'text-gray-300 hover:bg-dark-tertiary hover:text-white'
+                        }`}
+                      >
+                        All portfolios
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="py-2">
+                    <button
+                      onClick={handleCreatePortfolio}
+                      className="w-full flex items-center px-4 py-2 text-sm text-gray-300 hover:bg-dark-tertiary hover:text-white transition-colors"
+                    >
+                      New portfolio
+                    </button>
+                    {activePortfolio && (
+                      <button
+                        onClick={handleRenamePortfolio}
+                        className="w-full flex items-center px-4 py-2 text-sm text-gray-300 hover:bg-dark-tertiary hover:text-white transition-colors"
+                      >
+                        Rename "{activePortfolio.name}"
+                      </button>
+                    )}
+                    {activePortfolio && !activePortfolio.isDefault && (
+                      <button
+                        onClick={handleDeletePortfolio}
+                        className="w-full flex items-center px-4 py-2 text-sm text-red-400 hover:bg-red-500/10 transition-colors"
+                      >
+                        Delete "{activePortfolio.name}"
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Notification Bell */}
           <button
             onClick={() => setNotificationOpen(!notificationOpen)}
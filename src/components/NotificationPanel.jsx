@@ -19,11 +19,11 @@ const NotificationPanel = ({ isOpen, onClose }) => {
 
   // Filter notifications by type
   const portfolioNotifications = useMemo(() => {
-    return notifications.filter(n => ['buy', 'sell', 'delete'].includes(n.type))
+    return notifications.filter(n => ['buy', 'sell', 'income', 'recurring_buy', 'delete'].includes(n.type))
   }, [notifications])
 
   const alertNotifications = useMemo(() => {
-    return notifications.filter(n => n.type === 'alert')
+    return notifications.filter(n => ['alert', 'portfolio_alert'].includes(n.type))
   }, [notifications])
 
   // Get filtered notifications based on active tab and settings
@@ -62,6 +62,20 @@ const NotificationPanel = ({ isOpen, onClose }) => {
           bgColor: 'bg-neon-pink/10',
           borderColor: 'border-neon-pink/30'
         }
+      case 'income':
+        return {
+          icon: '🪙',
+          color: 'text-neon-purple',
+          bgColor: 'bg-neon-purple/10',
+          borderColor: 'border-neon-purple/30'
+        }
+      case 'recurring_buy':
+        return {
+          icon: '🔁',
+          color: 'text-neon-blue',
+          bgColor: 'bg-neon-blue/10',
+          borderColor: 'border-neon-blue/30'
+        }
       case 'delete':
         return {
           icon: '🗑️',
@@ -76,6 +90,13 @@ const NotificationPanel = ({ isOpen, onClose }) => {
           bgColor: 'bg-yellow-400/10',
           borderColor: 'border-yellow-400/30'
         }
+      case 'portfolio_alert':
+        return {
+          icon: '💼',
+          color: 'text-purple-400',
+          bgColor: 'bg-purple-400/10',
+          borderColor: 'border-purple-400/30'
+        }
       default:
         return {
           icon: '📱',
@@ -266,8 +287,11 @@ const NotificationPanel = ({ isOpen, onClose }) => {
                             <h4 className={`text-sm font-semibold ${style.color} truncate`}>
                               {notification.type === 'buy' && 'Bought'}
                               {notification.type === 'sell' && 'Sold'}
+                              {notification.type === 'income' && 'Received'}
+                              {notification.type === 'recurring_buy' && 'Recurring Buy Due'}
                               {notification.type === 'delete' && 'Removed'}
-                              {notification.type === 'alert' && 'Price Alert'} {notification.coin}
+                              {notification.type === 'alert' && 'Price Alert'}
+                              {notification.type === 'portfolio_alert' && 'Portfolio Alert'} {notification.coin}
                             </h4>
                             {!notification.read && (
                               <span className="w-2 h-2 bg-neon-blue rounded-full flex-shrink-0 ml-2 mt-1 animate-pulse" />
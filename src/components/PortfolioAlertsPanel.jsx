@@ -0,0 +1,213 @@
+import React, { useState } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useNotifications } from '../context/NotificationContext'
+import {
+  PORTFOLIO_ALERT_METRICS,
+  PORTFOLIO_ALERT_METRIC_LABELS,
+  PORTFOLIO_ALERT_CONDITIONS,
+  isPercentMetric,
+  validatePortfolioAlert,
+  formatPortfolioAlertValue,
+  describePortfolioAlert
+} from '../utils/portfolioAlerts'
+
+const inputClass = 'w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white'
+
+const createPortfolioAlertForm = (coinId = '') => ({
+  metric: PORTFOLIO_ALERT_METRICS.TOTAL_VALUE,
+  condition: 'below',
+  threshold: '',
+  coinId
+})
+
+const THRESHOLD_LABELS = {
+  total_value: 'Value (USD)',
+  unrealized_pl: 'P/L (%)',
+  drawdown: 'Drawdown (%)',
+  allocation: 'Share of Holdings (%)'
+}
+
+/**
+ * Alerts on the active portfolio as a whole: value, unrealized P/L, drawdown and allocation
+ * Checked by PortfolioContext on every price refresh.
+ */
+const PortfolioAlertsPanel = () => {
+  const { coins, formatCurrency, portfolioAlerts, addPortfolioAlert, removePortfolioAlert, activePortfolio } = usePortfolio()
+  const { showToast } = useNotifications()
+
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(() => createPortfolioAlertForm(coins[0]?.coinId))
+  const [creating, setCreating] = useState(false)
+  const [deleting, setDeleting] = useState(null)
+
+  // One entry per coin, the aggregated view can hold a coin in several portfolios
+  const coinOptions = [...new Map(coins.map(coin => [coin.coinId, coin])).values()]
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    const coin = coinOptions.find(option => option.coinId === form.coinId)
+    const alertData = {
+      metric: form.metric,
+      condition: form.condition,
+      threshold: parseFloat(form.threshold),
+      coinId: coin?.coinId || null,
+      symbol: coin?.symbol || null
+    }
+
+    const validationError = validatePortfolioAlert(alertData)
+    if (validationError) {
+      showToast(validationError, 'error')
+      return
+    }
+
+    setCreating(true)
+    const result = await addPortfolioAlert(alertData)
+    setCreating(false)
+
+    showToast(result.message, result.success ? 'success' : 'error')
+    if (result.success) {
+      setForm(createPortfolioAlertForm(form.coinId))
+      setShowForm(false)
+    }
+  }
+
+  const handleDelete = async (alertId) => {
+    setDeleting(alertId)
+    const result = await removePortfolioAlert(alertId)
+    setDeleting(null)
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  return (
+    <div className="bg-dark-secondary/50 backdrop-blur-md border border-dark-tertiary rounded-xl p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-white">Portfolio Alerts</h2>
+          <p className="text-xs text-gray-400">
+            Value, P/L, drawdown and allocation of {activePortfolio ? activePortfolio.name : 'all portfolios'}
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(prev => !prev)}
+          className="px-4 py-2 rounded-lg text-sm font-semibold bg-neon-purple/10 text-neon-purple hover:bg-neon-purple/20 transition-colors duration-150"
+        >
+          {showForm ? 'Cancel' : '+ Add Portfolio Alert'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mt-6 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Metric</label>
+            <select
+              value={form.metric}
+              onChange={(e) => setForm(prev => ({ ...prev, metric: e.target.value }))}
+              className={inputClass}
+            >
+              {Object.values(PORTFOLIO_ALERT_METRICS).map(metric => (
+                <option key={metric} value={metric}>{PORTFOLIO_ALERT_METRIC_LABELS[metric]}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.metric === PORTFOLIO_ALERT_METRICS.ALLOCATION && (
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">Coin</label>
+              <select
+                value={form.coinId}
+                onChange={(e) => setForm(prev => ({ ...prev, coinId: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">Select a coin</option>
+                {coinOptions.map(coin => (
+                  <option key={coin.coinId} value={coin.coinId}>{coin.name} ({coin.symbol})</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Condition</label>
+            <select
+              value={form.condition}
+              onChange={(e) => setForm(prev => ({ ...prev, condition: e.target.value }))}
+              className={inputClass}
+            >
+              {PORTFOLIO_ALERT_CONDITIONS.map(condition => (
+                <option key={condition} value={condition}>{condition === 'above' ? 'Above' : 'Below'}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">{THRESHOLD_LABELS[form.metric]}</label>
+            <input
+              type="number"
+              step="any"
+              min={form.metric === PORTFOLIO_ALERT_METRICS.UNREALIZED_PL ? undefined : '0'}
+              value={form.threshold}
+              onChange={(e) => setForm(prev => ({ ...prev, threshold: e.target.value }))}
+              placeholder={isPercentMetric(form.metric) ? 'e.g. 20' : 'e.g. 50000'}
+              className={inputClass}
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={creating}
+            className="px-6 py-3 rounded-lg font-semibold text-white bg-gradient-to-r from-neon-blue to-neon-purple hover:shadow-lg hover:shadow-neon-blue/30 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {creating ? 'Creating...' : 'Create Alert'}
+          </button>
+        </form>
+      )}
+
+      {portfolioAlerts.length === 0 ? (
+        <p className="text-sm text-gray-500 mt-4">
+          No portfolio alerts yet. Get notified when your portfolio value, P/L, drawdown or a coin's share crosses a threshold.
+        </p>
+      ) : (
+        <div className="mt-6 divide-y divide-dark-tertiary/50">
+          {portfolioAlerts.map(alert => (
+            <div key={alert.id} className="flex items-center justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-white">{describePortfolioAlert(alert, formatCurrency)}</p>
+                <p className="text-xs text-gray-400">
+                  Now: {formatPortfolioAlertValue(alert.metric, alert.currentValue, formatCurrency)}
+                  {alert.triggeredAt && ` · Triggered ${new Date(alert.triggeredAt).toLocaleString()}`}
+                </p>
+              </div>
+
+              <div className="flex items-center gap-4 flex-shrink-0">
+                {alert.isActive ? (
+                  <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-neon-blue/10 text-neon-blue">
+                    <span className="w-2 h-2 bg-neon-blue rounded-full mr-1.5 animate-pulse"></span>
+                    Active
+                  </span>
+                ) : (
+                  <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-neon-purple/10 text-neon-purple">
+                    Triggered
+                  </span>
+                )}
+                <button
+                  onClick={() => handleDelete(alert.id)}
+                  disabled={deleting === alert.id}
+                  className="text-red-400 hover:text-red-300 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Delete alert"
+                >
+                  <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PortfolioAlertsPanel
@@ -0,0 +1,295 @@
+import { useState, useEffect } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useNotifications } from '../context/NotificationContext'
+import { COIN_CATEGORY_LABELS } from '../utils/analytics'
+import {
+  TARGET_MODES,
+  TARGET_MODE_LABELS,
+  createTargetAllocation,
+  getAllocationKey,
+  validateTargetAllocation,
+  calculateAllocationDrift,
+  generateRebalancePlan
+} from '../utils/rebalancing'
+
+// Typical exchange taker fee, editable before executing
+const DEFAULT_FEE_RATE = 0.1
+
+const RebalancePlanner = () => {
+  const {
+    coins,
+    formatCurrency,
+    isAggregateView,
+    allocationTarget,
+    saveTargetAllocation,
+    executeRebalancePlan
+  } = usePortfolio()
+  const { showToast } = useNotifications()
+
+  const [draft, setDraft] = useState(() => allocationTarget || createTargetAllocation())
+  const [feeRate, setFeeRate] = useState(DEFAULT_FEE_RATE)
+  const [saving, setSaving] = useState(false)
+  const [executing, setExecuting] = useState(false)
+
+  // Switching portfolios loads that portfolio's targets
+  useEffect(() => {
+    setDraft(allocationTarget || createTargetAllocation())
+  }, [allocationTarget])
+
+  if (isAggregateView) {
+    return (
+      <div className="bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8">
+        <h2 className="text-2xl font-bold text-white tracking-tight">Target Allocation</h2>
+        <p className="text-sm text-gray-400 mt-1.5 opacity-70">Select a portfolio to set target weights and rebalance it</p>
+      </div>
+    )
+  }
+
+  // Every held coin or category can get a weight, plus any target left over from earlier
+  const keys = draft.mode === TARGET_MODES.CATEGORY
+    ? Object.keys(COIN_CATEGORY_LABELS)
+    : [...new Set([...coins.map(coin => getAllocationKey(coin, draft.mode)), ...Object.keys(draft.weights)])]
+
+  const driftByKey = Object.fromEntries(
+    calculateAllocationDrift(coins, draft).map(row => [row.key, row])
+  )
+
+  const totalWeight = Object.values(draft.weights).reduce((sum, weight) => sum + weight, 0)
+  const validationError = validateTargetAllocation(draft)
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(allocationTarget)
+  const plan = validationError ? null : generateRebalancePlan(coins, draft, { feeRate })
+
+  const getLabel = (key) => draft.mode === TARGET_MODES.CATEGORY
+    ? COIN_CATEGORY_LABELS[key]
+    : coins.find(coin => coin.coinId === key)?.symbol || key
+
+  const handleModeChange = (mode) => {
+    setDraft({ ...createTargetAllocation(mode), tolerance: draft.tolerance })
+  }
+
+  const handleWeightChange = (key, value) => {
+    const weight = parseFloat(value)
+    const weights = { ...draft.weights }
+    if (weight > 0) {
+      weights[key] = weight
+    } else {
+      delete weights[key]
+    }
+    setDraft({ ...draft, weights })
+  }
+
+  // Start from today's weights, rounded so they still add up to 100
+  const handleUseCurrentWeights = () => {
+    const rows = calculateAllocationDrift(coins, { ...draft, weights: {} }).filter(row => row.currentWeight > 0)
+    const weights = Object.fromEntries(rows.map(row => [row.key, Math.round(row.currentWeight * 10) / 10]))
+    const rounding = 100 - Object.values(weights).reduce((sum, weight) => sum + weight, 0)
+    if (rows.length > 0) {
+      weights[rows[0].key] = Math.round((weights[rows[0].key] + rounding) * 10) / 10
+    }
+    setDraft({ ...draft, weights })
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    const result = await saveTargetAllocation(draft)
+    setSaving(false)
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  const handleClear = async () => {
+    if (!window.confirm('Remove the target allocation for this portfolio?')) return
+    const result = await saveTargetAllocation(null)
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  const handleExecute = async () => {
+    const confirmed = window.confirm(
+      `Record ${plan.trades.length} trade${plan.trades.length === 1 ? '' : 's'} at current prices? ` +
+      'Place the same orders on your exchange so the ledger matches your account.'
+    )
+    if (!confirmed) return
+
+    setExecuting(true)
+    const result = await executeRebalancePlan(plan.trades)
+    setExecuting(false)
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  return (
+    <div className="bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-purple/30 transition-all duration-500">
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-white tracking-tight">Target Allocation</h2>
+          <p className="text-sm text-gray-400 mt-1.5 opacity-70">Set target weights and rebalance once they drift outside the tolerance band</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            value={draft.mode}
+            onChange={(e) => handleModeChange(e.target.value)}
+            className="px-4 py-2.5 bg-dark-tertiary border-2 border-dark-tertiary rounded-xl focus:outline-none focus:border-neon-purple text-white text-sm font-semibold"
+          >
+            {Object.entries(TARGET_MODE_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+          <label className="flex items-center space-x-2 text-sm text-gray-400">
+            <span>Tolerance ±</span>
+            <input
+              type="number"
+              value={draft.tolerance}
+              onChange={(e) => setDraft({ ...draft, tolerance: parseFloat(e.target.value) || 0 })}
+              className="w-16 px-2 py-2 bg-dark-tertiary border border-dark-tertiary rounded-lg text-white text-right focus:outline-none focus:border-neon-purple"
+              min="0"
+              step="0.5"
+            />
+            <span>pts</span>
+          </label>
+        </div>
+      </div>
+
+      {/* Current vs Target */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 text-xs uppercase tracking-wider border-b border-dark-tertiary">
+              <th className="text-left py-3 font-semibold">{draft.mode === TARGET_MODES.CATEGORY ? 'Category' : 'Coin'}</th>
+              <th className="text-right py-3 font-semibold">Value</th>
+              <th className="text-right py-3 font-semibold">Current</th>
+              <th className="text-right py-3 font-semibold">Target</th>
+              <th className="text-right py-3 font-semibold">Drift</th>
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map(key => {
+              const row = driftByKey[key]
+              return (
+                <tr key={key} className="border-b border-dark-tertiary/50">
+                  <td className="py-3 text-white font-semibold">{getLabel(key)}</td>
+                  <td className="py-3 text-right text-gray-300 tabular-nums">{formatCurrency(row?.value || 0)}</td>
+                  <td className="py-3 text-right text-gray-300 tabular-nums">{(row?.currentWeight || 0).toFixed(1)}%</td>
+                  <td className="py-3 text-right">
+                    <input
+                      type="number"
+                      value={draft.weights[key] || ''}
+                      onChange={(e) => handleWeightChange(key, e.target.value)}
+                      placeholder="0"
+                      className="w-20 px-2 py-1 bg-dark-tertiary border border-dark-tertiary rounded-lg text-white text-right tabular-nums focus:outline-none focus:border-neon-purple"
+                      min="0"
+                      max="100"
+                      step="0.1"
+                    />
+                  </td>
+                  <td className={`py-3 text-right font-semibold tabular-nums ${row?.outOfBand ? 'text-neon-pink' : 'text-gray-400'}`}>
+                    {(row?.drift || 0) >= 0 ? '+' : ''}{(row?.drift || 0).toFixed(1)}
+                    {row?.outOfBand && <span className="ml-2 text-xs">out of band</span>}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mt-4">
+        <p className={`text-sm font-semibold ${validationError ? 'text-neon-pink' : 'text-neon-green'}`}>
+          Total: {totalWeight.toFixed(1)}%{validationError ? ` (${validationError})` : ''}
+        </p>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={handleUseCurrentWeights}
+            className="px-4 py-2.5 bg-dark-tertiary text-gray-300 rounded-xl hover:bg-dark-tertiary/80 transition-colors text-sm font-semibold"
+          >
+            Use Current Weights
+          </button>
+          {allocationTarget && (
+            <button
+              onClick={handleClear}
+              className="px-4 py-2.5 bg-dark-tertiary text-gray-400 rounded-xl hover:text-neon-pink transition-colors text-sm font-semibold"
+            >
+              Clear
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={!!validationError || !isDirty || saving}
+            className="px-5 py-2.5 bg-neon-purple text-white rounded-xl hover:bg-neon-purple/80 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Save Targets'}
+          </button>
+        </div>
+      </div>
+
+      {/* Rebalance Plan */}
+      {plan && (
+        <div className="mt-8 pt-6 border-t border-dark-tertiary">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-white">Rebalance Plan</h3>
+            <label className="flex items-center space-x-2 text-sm text-gray-400">
+              <span>Fee</span>
+              <input
+                type="number"
+                value={feeRate}
+                onChange={(e) => setFeeRate(parseFloat(e.target.value) || 0)}
+                className="w-20 px-2 py-1 bg-dark-tertiary border border-dark-tertiary rounded-lg text-white text-right focus:outline-none focus:border-neon-purple"
+                min="0"
+                step="0.05"
+              />
+              <span>%</span>
+            </label>
+          </div>
+
+          {!plan.needsRebalance ? (
+            <p className="text-sm text-gray-400">Every weight is within ±{draft.tolerance} points of its target, nothing to trade.</p>
+          ) : (
+            <>
+              <div className="space-y-2">
+                {plan.trades.map(trade => (
+                  <div key={`${trade.action}-${trade.coinId}`} className="flex items-center justify-between bg-dark-tertiary/50 rounded-xl px-4 py-3 text-sm">
+                    <div className="flex items-center space-x-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                        trade.action === 'BUY'
+                          ? 'bg-neon-green/10 text-neon-green border border-neon-green/30'
+                          : 'bg-neon-pink/10 text-neon-pink border border-neon-pink/30'
+                      }`}>
+                        {trade.action}
+                      </span>
+                      <span className="text-white font-semibold tabular-nums">{trade.quantity.toLocaleString(undefined, { maximumFractionDigits: 8 })} {trade.symbol}</span>
+                      <span className="text-gray-500">@ {formatCurrency(trade.price)}</span>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-white tabular-nums">{formatCurrency(trade.value)}</p>
+                      <p className="text-gray-500 text-xs tabular-nums">Fee {formatCurrency(trade.fee)}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {plan.skipped.length > 0 && (
+                <p className="text-xs text-orange-400 mt-3">
+                  No holdings to buy for {plan.skipped.map(row => row.label).join(', ')}. Buy a first position manually, the unspent proceeds stay in cash.
+                </p>
+              )}
+
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mt-4">
+                <p className="text-sm text-gray-400">
+                  Sells {formatCurrency(plan.totals.sold)} · Buys {formatCurrency(plan.totals.bought)} · Fees {formatCurrency(plan.totals.fees)}
+                  {plan.totals.unspent > 0 && ` · To cash ${formatCurrency(plan.totals.unspent)}`}
+                </p>
+                <button
+                  onClick={handleExecute}
+                  disabled={isDirty || executing || plan.trades.length === 0}
+                  title={isDirty ? 'Save the targets before executing' : undefined}
+                  className="px-5 py-2.5 bg-neon-blue text-white rounded-xl hover:bg-neon-blue/80 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {executing ? 'Recording...' : 'Record Trades'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RebalancePlanner
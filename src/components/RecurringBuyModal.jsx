@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useNotifications } from '../context/NotificationContext'
+import { fetchTopCoins } from '../services/cryptoApi'
+import { DCA_FREQUENCIES, DCA_FREQUENCY_LABELS, toPlanDate, validateRecurringBuy } from '../utils/recurringBuys'
+import Modal from './Modal'
+
+const createForm = () => ({
+  coinId: '',
+  amount: 0,
+  frequency: DCA_FREQUENCIES.WEEKLY,
+  startDate: toPlanDate(),
+  endDate: ''
+})
+
+const RecurringBuyModal = ({ isOpen, onClose }) => {
+  const { coins, addRecurringBuy } = usePortfolio()
+  const { showToast } = useNotifications()
+
+  const [form, setForm] = useState(createForm)
+  const [topCoins, setTopCoins] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  // Held coins first, then the largest coins by market cap for new positions
+  useEffect(() => {
+    if (!isOpen) return
+    setForm(createForm())
+
+    fetchTopCoins('usd', 20).then(data => {
+      setTopCoins(data.map(coin => ({ coinId: coin.id, symbol: coin.symbol.toUpperCase(), name: coin.name })))
+    })
+  }, [isOpen])
+
+  const options = [
+    ...coins.map(coin => ({ coinId: coin.coinId, symbol: coin.symbol, name: coin.name })),
+    ...topCoins.filter(coin => !coins.some(held => held.coinId === coin.coinId))
+  ]
+  const selected = options.find(option => option.coinId === form.coinId)
+  const plan = { ...form, ...selected, endDate: form.endDate || null }
+  const validationError = validateRecurringBuy(plan)
+
+  const handleSubmit = async () => {
+    setSubmitting(true)
+    const result = await addRecurringBuy(plan)
+    setSubmitting(false)
+
+    showToast(result.message, result.success ? 'success' : 'error')
+    if (result.success) onClose()
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="New Recurring Buy">
+      <div className="space-y-4">
+        <p className="text-sm text-gray-400">
+          Due buys are priced at the market when you review them, nothing is recorded without your confirmation.
+        </p>
+
+        {/* Coin */}
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Coin</label>
+          <select
+            value={form.coinId}
+            onChange={(e) => setForm({ ...form, coinId: e.target.value })}
+            className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white"
+          >
+            <option value="">Select a coin</option>
+            {options.map(option => (
+              <option key={option.coinId} value={option.coinId}>{option.name} ({option.symbol})</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Amount and Frequency */}
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Amount (USD)</label>
+            <input
+              type="number"
+              value={form.amount}
+              onChange={(e) => setForm({ ...form, amount: parseFloat(e.target.value) || 0 })}
+              className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white"
+              step="0.01"
+              min="0"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Frequency</label>
+            <select
+              value={form.frequency}
+              onChange={(e) => setForm({ ...form, frequency: e.target.value })}
+              className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white"
+            >
+              {Object.entries(DCA_FREQUENCY_LABELS).map(([frequency, label]) => (
+                <option key={frequency} value={frequency}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Start and End Dates */}
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Start Date</label>
+            <input
+              type="date"
+              value={form.startDate}
+              onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+              className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">End Date (optional)</label>
+            <input
+              type="date"
+              value={form.endDate}
+              min={form.startDate}
+              onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+              className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white"
+            />
+          </div>
+        </div>
+
+        {form.coinId && validationError && (
+          <p className="text-xs text-neon-pink">{validationError}</p>
+        )}
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3 pt-4">
+          <button
+            onClick={handleSubmit}
+            disabled={!!validationError || submitting}
+            className="flex-1 px-6 py-3 bg-neon-blue text-white rounded-lg hover:bg-neon-blue/80 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? 'Saving...' : 'Schedule Buy'}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-6 py-3 bg-dark-tertiary text-gray-400 rounded-lg hover:bg-dark-tertiary/80 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default RecurringBuyModal
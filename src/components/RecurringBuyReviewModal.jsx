@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useNotifications } from '../context/NotificationContext'
+import Loader from './Loader'
+import Modal from './Modal'
+
+const RecurringBuyReviewModal = ({ isOpen, onClose }) => {
+  const { dueRecurringBuys, quoteRecurringBuys, executeRecurringBuys, formatCurrency } = usePortfolio()
+  const { showToast } = useNotifications()
+
+  const [runs, setRuns] = useState([])
+  const [isLive, setIsLive] = useState(true)
+  const [loading, setLoading] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+
+  // Quote once per opening so prices don't move while reviewing
+  useEffect(() => {
+    if (!isOpen) return
+
+    const loadQuotes = async () => {
+      setLoading(true)
+      const quote = await quoteRecurringBuys(dueRecurringBuys)
+      setRuns(quote.runs.map(run => ({ ...run, include: run.price > 0 })))
+      setIsLive(quote.isLive)
+      setLoading(false)
+    }
+
+    loadQuotes()
+  }, [isOpen])
+
+  const updateRun = (index, changes) => {
+    setRuns(prev => prev.map((run, i) => i === index ? { ...run, ...changes } : run))
+  }
+
+  const handleConfirm = async () => {
+    setSubmitting(true)
+    const result = await executeRecurringBuys(runs)
+    setSubmitting(false)
+
+    showToast(result.message, result.success ? 'success' : 'error')
+    if (result.success) onClose()
+  }
+
+  const included = runs.filter(run => run.include)
+  const isValid = included.every(run => run.price > 0)
+  const total = included.reduce((sum, run) => sum + run.plan.amount, 0)
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Review Recurring Buys">
+      <div className="space-y-4">
+        {loading ? (
+          <div className="py-8 flex justify-center">
+            <Loader text="Fetching market prices..." />
+          </div>
+        ) : (
+          <>
+            {!isLive && (
+              <p className="text-xs text-orange-400">
+                Live prices are unavailable, the prices below are estimates. Check them against your exchange fills.
+              </p>
+            )}
+
+            <div className="space-y-2 max-h-80 overflow-y-auto">
+              {runs.map((run, index) => (
+                <div key={`${run.plan.id}-${run.date}`} className="flex items-center justify-between bg-dark-tertiary/50 rounded-lg px-4 py-3">
+                  <label className="flex items-center space-x-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={run.include}
+                      onChange={(e) => updateRun(index, { include: e.target.checked })}
+                      className="accent-neon-blue"
+                    />
+                    <div>
+                      <p className="text-white font-semibold text-sm">{formatCurrency(run.plan.amount)} {run.plan.symbol}</p>
+                      <p className="text-gray-500 text-xs">Scheduled {new Date(`${run.date}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' })}</p>
+                    </div>
+                  </label>
+                  <div className="text-right">
+                    <input
+                      type="number"
+                      value={run.price}
+                      onChange={(e) => updateRun(index, { price: parseFloat(e.target.value) || 0 })}
+                      className="w-28 px-2 py-1 bg-dark-tertiary border border-dark-tertiary rounded-lg text-white text-sm text-right focus:outline-none focus:border-neon-blue"
+                      step="any"
+                      min="0"
+                    />
+                    <p className="text-gray-500 text-xs mt-1">
+                      {run.price > 0 ? `${(run.plan.amount / run.price).toLocaleString(undefined, { maximumFractionDigits: 8 })} ${run.plan.symbol}` : 'Enter a price'}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <p className="text-sm text-gray-400">
+              {included.length} of {runs.length} buys, {formatCurrency(total)} total. Unchecked runs are skipped.
+            </p>
+          </>
+        )}
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3 pt-4">
+          <button
+            onClick={handleConfirm}
+            disabled={loading || submitting || !isValid || runs.length === 0}
+            className="flex-1 px-6 py-3 bg-neon-green text-white rounded-lg hover:bg-neon-green/80 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? 'Recording...' : included.length > 0 ? `Record ${included.length} Buy${included.length === 1 ? '' : 's'}` : 'Skip All'}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-6 py-3 bg-dark-tertiary text-gray-400 rounded-lg hover:bg-dark-tertiary/80 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default RecurringBuyReviewModal
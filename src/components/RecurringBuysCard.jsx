@@ -0,0 +1,145 @@
+import { useState } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useNotifications } from '../context/NotificationContext'
+import { DCA_FREQUENCY_LABELS, getUpcomingRuns } from '../utils/recurringBuys'
+import RecurringBuyModal from './RecurringBuyModal'
+import RecurringBuyReviewModal from './RecurringBuyReviewModal'
+
+const formatPlanDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' })
+
+const RecurringBuysCard = () => {
+  const {
+    recurringBuys,
+    dueRecurringBuys,
+    transactions,
+    isAggregateView,
+    formatCurrency,
+    toggleRecurringBuy,
+    removeRecurringBuy
+  } = usePortfolio()
+  const { showToast } = useNotifications()
+
+  const [showCreate, setShowCreate] = useState(false)
+  const [showReview, setShowReview] = useState(false)
+
+  const handleToggle = async (plan) => {
+    const result = await toggleRecurringBuy(plan)
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete the ${plan.symbol} recurring buy? Buys it already recorded stay in your history.`)) return
+    const result = await removeRecurringBuy(plan.id)
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  return (
+    <div className="bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-blue/30 transition-all duration-500">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-white tracking-tight">Recurring Buys</h2>
+          <p className="text-sm text-gray-400 mt-1.5 opacity-70">Dollar-cost averaging plans, reviewed before anything is recorded</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          {dueRecurringBuys.length > 0 && (
+            <button
+              onClick={() => setShowReview(true)}
+              className="px-5 py-2.5 bg-neon-green/20 text-neon-green rounded-xl hover:bg-neon-green/30 transition-colors text-sm font-semibold"
+            >
+              Review {dueRecurringBuys.length} Due
+            </button>
+          )}
+          {!isAggregateView && (
+            <button
+              onClick={() => setShowCreate(true)}
+              className="px-5 py-2.5 bg-neon-blue/20 text-neon-blue rounded-xl hover:bg-neon-blue/30 transition-colors text-sm font-semibold"
+            >
+              New Plan
+            </button>
+          )}
+        </div>
+      </div>
+
+      {recurringBuys.length === 0 ? (
+        <p className="text-sm text-gray-400">No recurring buys yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+          {recurringBuys.map(plan => {
+            const executions = transactions.filter(tx => tx.recurringBuyId === plan.id)
+            const invested = executions.reduce((sum, tx) => sum + tx.total, 0)
+            const due = dueRecurringBuys.filter(run => run.plan.id === plan.id).length
+            const upcoming = getUpcomingRuns(plan, 3)
+
+            return (
+              <div key={plan.id} className="bg-dark-tertiary/50 rounded-xl p-5">
+                <div className="flex items-center justify-between mb-3">
+                  <p className="text-white font-semibold">
+                    {formatCurrency(plan.amount)} {plan.symbol}
+                    <span className="text-gray-400 font-normal"> · {DCA_FREQUENCY_LABELS[plan.frequency]}</span>
+                  </p>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                    due > 0
+                      ? 'bg-neon-green/10 text-neon-green border border-neon-green/30'
+                      : plan.isActive
+                        ? 'bg-neon-blue/10 text-neon-blue border border-neon-blue/30'
+                        : 'bg-gray-500/10 text-gray-400 border border-gray-500/30'
+                  }`}>
+                    {due > 0 ? `${due} due` : plan.isActive ? 'Active' : plan.nextRunDate ? 'Paused' : 'Ended'}
+                  </span>
+                </div>
+
+                <p className="text-xs text-gray-500 mb-3">
+                  From {formatPlanDate(plan.startDate)}{plan.endDate ? ` until ${formatPlanDate(plan.endDate)}` : ''}
+                </p>
+
+                {upcoming.length > 0 && (
+                  <div className="mb-3">
+                    <p className="text-xs text-gray-400 uppercase tracking-wider font-semibold mb-1">Upcoming</p>
+                    <p className="text-sm text-gray-300">{upcoming.map(formatPlanDate).join(' · ')}</p>
+                  </div>
+                )}
+
+                <div className="mb-4">
+                  <p className="text-xs text-gray-400 uppercase tracking-wider font-semibold mb-1">
+                    Past ({executions.length}, {formatCurrency(invested)})
+                  </p>
+                  {executions.slice(0, 3).map(tx => (
+                    <div key={tx.id} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-400">{new Date(tx.timestamp).toLocaleDateString()}</span>
+                      <span className="text-gray-300 tabular-nums">
+                        {tx.quantity.toLocaleString(undefined, { maximumFractionDigits: 8 })} @ {formatCurrency(tx.price)}
+                      </span>
+                    </div>
+                  ))}
+                  {executions.length === 0 && <p className="text-sm text-gray-500">None yet</p>}
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  {(plan.isActive || plan.nextRunDate) && (
+                    <button
+                      onClick={() => handleToggle(plan)}
+                      className="px-3 py-1.5 bg-dark-tertiary text-gray-300 rounded-lg hover:text-white transition-colors text-xs font-semibold"
+                    >
+                      {plan.isActive ? 'Pause' : 'Resume'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDelete(plan)}
+                    className="px-3 py-1.5 bg-dark-tertiary text-gray-400 rounded-lg hover:text-neon-pink transition-colors text-xs font-semibold"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      <RecurringBuyModal isOpen={showCreate} onClose={() => setShowCreate(false)} />
+      <RecurringBuyReviewModal isOpen={showReview} onClose={() => setShowReview(false)} />
+    </div>
+  )
+}
+
+export default RecurringBuysCard
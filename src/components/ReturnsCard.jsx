@@ -0,0 +1,150 @@
+import { useState, useEffect, useMemo } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useAuth } from '../context/AuthContext'
+import { getBackfilledHistory } from '../services/backfillService'
+import { fetchPriceSeriesSince } from '../services/historicalApi'
+import { RETURN_WINDOWS, calculateReturnMetrics, calculateBenchmarkReturn } from '../utils/returns'
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+const formatReturn = (value) => {
+  if (value === null || value === undefined || !isFinite(value)) return '—'
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`
+}
+
+const returnColor = (value) => {
+  if (value === null || value === undefined || !isFinite(value)) return 'text-gray-500'
+  return value >= 0 ? 'text-neon-green' : 'text-neon-pink'
+}
+
+const ReturnsCard = () => {
+  const { user } = useAuth()
+  const { transactions, formatCurrency, activePortfolio } = usePortfolio()
+
+  const [windowKey, setWindowKey] = useState('30D')
+  const [history, setHistory] = useState([])
+  const [benchmarks, setBenchmarks] = useState({ bitcoin: null, ethereum: null })
+  const [loading, setLoading] = useState(true)
+
+  // Load the full value history once, every window is sliced from it
+  useEffect(() => {
+    const loadHistory = async () => {
+      if (!user || transactions.length === 0) {
+        setHistory([])
+        setLoading(false)
+        return
+      }
+
+      setLoading(true)
+      try {
+        const firstTrade = Math.min(...transactions.map(tx => new Date(tx.timestamp).getTime()))
+        const days = Math.max(Math.ceil((Date.now() - firstTrade) / MS_PER_DAY), 7)
+        setHistory(await getBackfilledHistory(days, user.id, activePortfolio?.id || null))
+      } catch (error) {
+        console.error('Error loading return history:', error)
+        setHistory([])
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadHistory()
+  }, [user, transactions, activePortfolio])
+
+  const metrics = useMemo(
+    () => calculateReturnMetrics(history, transactions, windowKey),
+    [history, transactions, windowKey]
+  )
+
+  // Benchmarks over the exact same dates as the portfolio window
+  useEffect(() => {
+    if (!metrics.startDate) {
+      setBenchmarks({ bitcoin: null, ethereum: null })
+      return
+    }
+
+    let cancelled = false
+    const loadBenchmarks = async () => {
+      const [btc, eth] = await Promise.all([
+        fetchPriceSeriesSince('bitcoin', metrics.startDate),
+        fetchPriceSeriesSince('ethereum', metrics.startDate)
+      ])
+      if (cancelled) return
+      setBenchmarks({
+        bitcoin: calculateBenchmarkReturn(btc.data, metrics.startDate),
+        ethereum: calculateBenchmarkReturn(eth.data, metrics.startDate)
+      })
+    }
+
+    loadBenchmarks()
+    return () => {
+      cancelled = true
+    }
+  }, [metrics.startDate])
+
+  return (
+    <div className="relative bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-blue/40 transition-all duration-500 hover:shadow-xl hover:shadow-neon-blue/10 animate-fadeIn">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <div>
+          <h3 className="text-2xl font-bold text-white mb-2">Returns</h3>
+          <p className="text-sm text-gray-400 opacity-70">Time-weighted and money-weighted, excluding your own deposits</p>
+        </div>
+
+        <div className="flex items-center space-x-2 mt-4 md:mt-0">
+          {Object.entries(RETURN_WINDOWS).map(([key, range]) => (
+            <button
+              key={key}
+              onClick={() => setWindowKey(key)}
+              className={`px-4 py-2 rounded-xl text-sm font-bold transition-all duration-300 ${
+                windowKey === key
+                  ? 'bg-neon-blue text-white shadow-lg shadow-neon-blue/30'
+                  : 'bg-dark-tertiary text-gray-400 hover:bg-dark-tertiary/70'
+              }`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[...Array(4)].map((_, i) => (
+            <div key={i} className="h-20 bg-dark-tertiary rounded-xl animate-pulse" />
+          ))}
+        </div>
+      ) : !metrics.startDate ? (
+        <p className="text-gray-500 text-sm py-6 text-center">Not enough history for this window yet</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-dark-tertiary rounded-xl p-4">
+              <p className="text-xs text-gray-400 mb-1" title="Chains daily returns so buying and selling does not count as performance">Time-weighted (TWR)</p>
+              <p className={`text-2xl font-black ${returnColor(metrics.twr)}`}>{formatReturn(metrics.twr)}</p>
+            </div>
+            <div className="bg-dark-tertiary rounded-xl p-4">
+              <p className="text-xs text-gray-400 mb-1" title="Return on the money you actually had invested, weighted by timing">Money-weighted</p>
+              <p className={`text-2xl font-black ${returnColor(metrics.mwr)}`}>{formatReturn(metrics.mwr)}</p>
+              <p className="text-xs text-gray-500 mt-1">XIRR {metrics.xirr === null ? 'n/a under 30 days' : `${formatReturn(metrics.xirr)} / yr`}</p>
+            </div>
+            <div className="bg-dark-tertiary rounded-xl p-4">
+              <p className="text-xs text-gray-400 mb-1">Bitcoin</p>
+              <p className={`text-2xl font-black ${returnColor(benchmarks.bitcoin)}`}>{formatReturn(benchmarks.bitcoin)}</p>
+            </div>
+            <div className="bg-dark-tertiary rounded-xl p-4">
+              <p className="text-xs text-gray-400 mb-1">Ethereum</p>
+              <p className={`text-2xl font-black ${returnColor(benchmarks.ethereum)}`}>{formatReturn(benchmarks.ethereum)}</p>
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500 mt-4">
+            {metrics.startDate} → {metrics.endDate}: {formatCurrency(metrics.startValue)} → {formatCurrency(metrics.endValue)}
+            {' '}with {formatCurrency(Math.abs(metrics.netFlow))} net {metrics.netFlow >= 0 ? 'invested' : 'withdrawn'}
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ReturnsCard
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useAuth } from '../context/AuthContext'
+import { getBackfilledHistory } from '../services/backfillService'
+import { fetchPriceSeriesSince, fetchPriceSeriesForCoins } from '../services/historicalApi'
+import { getDailyCashFlows } from '../utils/returns'
+import { RISK_WINDOWS, getRiskWindowStartDate, calculateRiskMetrics } from '../utils/risk'
+import { STABLECOIN_IDS } from '../utils/cash'
+
+// Each holding is a separate history request, keep the panel to the ones that matter
+const MAX_HOLDINGS = 5
+
+const formatRatio = (value) => {
+  if (value === null || value === undefined || !isFinite(value)) return '—'
+  return value.toFixed(2)
+}
+
+const formatRiskPercent = (value) => {
+  if (value === null || value === undefined || !isFinite(value)) return '—'
+  return `${value.toFixed(1)}%`
+}
+
+const RiskCard = () => {
+  const { user } = useAuth()
+  const { coins, transactions, activePortfolio } = usePortfolio()
+
+  const [windowKey, setWindowKey] = useState('90D')
+  const [portfolioRisk, setPortfolioRisk] = useState(null)
+  const [holdingRisk, setHoldingRisk] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const days = RISK_WINDOWS[windowKey].days
+  const holdings = coins
+    .filter(coin => !STABLECOIN_IDS.includes(coin.coinId) && coin.quantity > 0)
+    .sort((a, b) => b.quantity * b.currentPrice - a.quantity * a.currentPrice)
+    .slice(0, MAX_HOLDINGS)
+  const holdingKey = holdings.map(coin => coin.coinId).join(',')
+
+  useEffect(() => {
+    if (!user) {
+      setLoading(false)
+      return
+    }
+
+    let cancelled = false
+    const loadRisk = async () => {
+      setLoading(true)
+      try {
+        const startDate = getRiskWindowStartDate(days)
+        const [history, btc] = await Promise.all([
+          getBackfilledHistory(days, user.id, activePortfolio?.id || null),
+          fetchPriceSeriesSince('bitcoin', startDate)
+        ])
+        if (cancelled) return
+
+        setPortfolioRisk(calculateRiskMetrics(history, btc.data, { days, flows: getDailyCashFlows(transactions) }))
+
+        const seriesByCoin = await fetchPriceSeriesForCoins(
+          holdings.map(coin => coin.coinId).filter(coinId => coinId !== 'bitcoin'),
+          startDate,
+          { isCancelled: () => cancelled }
+        )
+        if (cancelled) return
+        setHoldingRisk(holdings.map(coin => ({
+          coin,
+          metrics: calculateRiskMetrics(coin.coinId === 'bitcoin' ? btc.data : seriesByCoin[coin.coinId], btc.data, { days })
+        })))
+      } catch (error) {
+        console.error('Error loading risk metrics:', error)
+        setPortfolioRisk(null)
+        setHoldingRisk([])
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadRisk()
+    return () => {
+      cancelled = true
+    }
+  }, [user, transactions, activePortfolio, days, holdingKey])
+
+  const tiles = [
+    { label: 'Volatility', title: 'Annualized standard deviation of daily returns', value: formatRiskPercent(portfolioRisk?.volatility) },
+    { label: 'Sharpe', title: 'Annualized return per unit of volatility (0% risk-free rate)', value: formatRatio(portfolioRisk?.sharpe) },
+    { label: 'Sortino', title: 'Like Sharpe, but only down days count as risk', value: formatRatio(portfolioRisk?.sortino) },
+    { label: 'Max Drawdown', title: 'Worst peak-to-trough fall, excluding your own deposits', value: portfolioRisk ? `-${formatRiskPercent(portfolioRisk.maxDrawdown)}` : '—' },
+    { label: 'Beta to BTC', title: '1.0 moves with Bitcoin, above 1 amplifies it', value: formatRatio(portfolioRisk?.beta) }
+  ]
+
+  return (
+    <div className="relative bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-blue/40 transition-all duration-500 hover:shadow-xl hover:shadow-neon-blue/10 animate-fadeIn">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <div>
+          <h3 className="text-2xl font-bold text-white mb-2">Risk</h3>
+          <p className="text-sm text-gray-400 opacity-70">Measured from daily returns of your portfolio value and each holding</p>
+        </div>
+
+        <div className="flex items-center space-x-2 mt-4 md:mt-0">
+          {Object.entries(RISK_WINDOWS).map(([key, range]) => (
+            <button
+              key={key}
+              onClick={() => setWindowKey(key)}
+              className={`px-4 py-2 rounded-xl text-sm font-bold transition-all duration-300 ${
+                windowKey === key
+                  ? 'bg-neon-blue text-white shadow-lg shadow-neon-blue/30'
+                  : 'bg-dark-tertiary text-gray-400 hover:bg-dark-tertiary/70'
+              }`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {[...Array(5)].map((_, i) => (
+            <div key={i} className="h-20 bg-dark-tertiary rounded-xl animate-pulse" />
+          ))}
+        </div>
+      ) : (
+        <>
+          {portfolioRisk ? (
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              {tiles.map(tile => (
+                <div key={tile.label} className="bg-dark-tertiary rounded-xl p-4">
+                  <p className="text-xs text-gray-400 mb-1" title={tile.title}>{tile.label}</p>
+                  <p className="text-2xl font-black text-white">{tile.value}</p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-500 text-sm py-6 text-center">Not enough portfolio history for this window yet</p>
+          )}
+
+          {holdingRisk.length > 0 && (
+            <div className="mt-6 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-gray-400 uppercase tracking-wider">
+                    <th className="text-left font-semibold pb-2">Holding</th>
+                    <th className="text-right font-semibold pb-2">Volatility</th>
+                    <th className="text-right font-semibold pb-2">Sharpe</th>
+                    <th className="text-right font-semibold pb-2">Sortino</th>
+                    <th className="text-right font-semibold pb-2">Max DD</th>
+                    <th className="text-right font-semibold pb-2">Beta</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {holdingRisk.map(({ coin, metrics }) => (
+                    <tr key={coin.coinId} className="border-t border-dark-tertiary">
+                      <td className="py-2 text-white font-semibold">{coin.symbol}</td>
+                      <td className="py-2 text-right text-gray-300 tabular-nums">{formatRiskPercent(metrics?.volatility)}</td>
+                      <td className="py-2 text-right text-gray-300 tabular-nums">{formatRatio(metrics?.sharpe)}</td>
+                      <td className="py-2 text-right text-gray-300 tabular-nums">{formatRatio(metrics?.sortino)}</td>
+                      <td className="py-2 text-right text-neon-pink tabular-nums">{metrics ? `-${formatRiskPercent(metrics.maxDrawdown)}` : '—'}</td>
+                      <td className="py-2 text-right text-gray-300 tabular-nums">{formatRatio(metrics?.beta)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-3">
+                Largest {holdingRisk.length} non-stablecoin holdings. Open a coin for its own risk figures.
+              </p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default RiskCard
@@ -0,0 +1,351 @@
+import { useState } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { fetchPriceSeriesForCoins } from '../services/historicalApi'
+import { getRiskWindowStartDate, calculateRiskMetrics } from '../utils/risk'
+import { STABLECOIN_IDS } from '../utils/cash'
+import {
+  SCENARIO_TYPES,
+  SCENARIO_TYPE_LABELS,
+  HISTORICAL_SCENARIOS,
+  MAX_REPLAY_DAYS,
+  MARKET_COIN_ID,
+  DEFAULT_ALT_BETA,
+  buildMarketShocks,
+  buildHistoricalShocks,
+  buildPresetShocks,
+  applyScenario
+} from '../utils/scenarios'
+
+// Window the measured betas are taken over
+const BETA_DAYS = 90
+
+const SOURCE_LABELS = {
+  market: 'Market move',
+  beta: 'Alt beta',
+  measured: `${BETA_DAYS}D beta`,
+  pegged: 'Pegged',
+  historical: 'Actual move',
+  missing: 'No data',
+  custom: 'Custom',
+  flat: 'Unchanged'
+}
+
+const formatMove = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`
+
+const toDateInputValue = (time) => new Date(time).toISOString().split('T')[0]
+
+const ScenarioCard = () => {
+  const { coins, cash, formatCurrency } = usePortfolio()
+
+  const [type, setType] = useState(SCENARIO_TYPES.MARKET)
+  const [marketMove, setMarketMove] = useState(-40)
+  const [altBeta, setAltBeta] = useState(DEFAULT_ALT_BETA)
+  const [betaByCoin, setBetaByCoin] = useState(null)
+  const [customMoves, setCustomMoves] = useState({})
+  const [period, setPeriod] = useState({ ...HISTORICAL_SCENARIOS[2] })
+  const [historicalShocks, setHistoricalShocks] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const holdings = coins.filter(coin => coin.quantity > 0)
+  const preset = HISTORICAL_SCENARIOS.find(scenario => scenario.id === period.id)
+  const earliestReplayDate = toDateInputValue(Date.now() - MAX_REPLAY_DAYS * 24 * 60 * 60 * 1000)
+
+  // Beta to BTC per coin, instead of one beta for every alt
+  const handleMeasuredBetas = async (enabled) => {
+    if (!enabled) {
+      setBetaByCoin(null)
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+    try {
+      const startDate = getRiskWindowStartDate(BETA_DAYS)
+      const alts = holdings.map(coin => coin.coinId).filter(id => id !== MARKET_COIN_ID && !STABLECOIN_IDS.includes(id))
+      const seriesByCoin = await fetchPriceSeriesForCoins([MARKET_COIN_ID, ...alts], startDate)
+      const betas = {}
+      for (const coinId of alts) {
+        const metrics = calculateRiskMetrics(seriesByCoin[coinId], seriesByCoin[MARKET_COIN_ID], { days: BETA_DAYS })
+        if (metrics?.beta !== null && metrics?.beta !== undefined) betas[coinId] = metrics.beta
+      }
+      setBetaByCoin(betas)
+    } catch (err) {
+      console.error('Error measuring betas:', err)
+      setError('Could not load price history for betas')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleReplay = async () => {
+    // Presets predate the history API's reach and carry their own moves
+    if (preset) {
+      setHistoricalShocks(buildPresetShocks(holdings, { ...preset, altBeta }))
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+    try {
+      const coinIds = [MARKET_COIN_ID, ...holdings.map(coin => coin.coinId).filter(id => id !== MARKET_COIN_ID && !STABLECOIN_IDS.includes(id))]
+      const seriesByCoin = await fetchPriceSeriesForCoins(coinIds, period.startDate)
+      setHistoricalShocks(buildHistoricalShocks(holdings, seriesByCoin, { ...period, altBeta }))
+    } catch (err) {
+      console.error('Error replaying period:', err)
+      setError('Could not load price history for this period')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const shocks = type === SCENARIO_TYPES.MARKET
+    ? buildMarketShocks(holdings, { marketMove, altBeta, betaByCoin: betaByCoin || {} })
+    : type === SCENARIO_TYPES.CUSTOM
+      ? Object.fromEntries(holdings.map(coin => [coin.coinId, { move: customMoves[coin.coinId] || 0, source: 'custom' }]))
+      : historicalShocks
+
+  const result = shocks ? applyScenario(holdings, shocks, cash.balance) : null
+  const missing = result ? result.rows.filter(row => row.source === 'missing') : []
+
+  const inputClass = 'w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white'
+
+  return (
+    <div className="relative bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-blue/40 transition-all duration-500 hover:shadow-xl hover:shadow-neon-blue/10 animate-fadeIn">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <div>
+          <h3 className="text-2xl font-bold text-white mb-2">Stress Test</h3>
+          <p className="text-sm text-gray-400 opacity-70">What today's holdings would be worth after a shock</p>
+        </div>
+
+        <div className="flex items-center space-x-2 mt-4 md:mt-0">
+          {Object.entries(SCENARIO_TYPE_LABELS).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setType(key)}
+              className={`px-4 py-2 rounded-xl text-sm font-bold transition-all duration-300 ${
+                type === key
+                  ? 'bg-neon-blue text-white shadow-lg shadow-neon-blue/30'
+                  : 'bg-dark-tertiary text-gray-400 hover:bg-dark-tertiary/70'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {holdings.length === 0 ? (
+        <p className="text-gray-500 text-sm py-6 text-center">Buy coins to stress test your holdings</p>
+      ) : (
+        <>
+          {/* Scenario Inputs */}
+          {type === SCENARIO_TYPES.MARKET && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">BTC Move (%)</label>
+                <input
+                  type="number"
+                  value={marketMove}
+                  onChange={(e) => setMarketMove(parseFloat(e.target.value) || 0)}
+                  className={inputClass}
+                  step="1"
+                  min="-100"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">Alt Beta</label>
+                <input
+                  type="number"
+                  value={altBeta}
+                  onChange={(e) => setAltBeta(parseFloat(e.target.value) || 0)}
+                  disabled={!!betaByCoin}
+                  className={`${inputClass} disabled:opacity-50`}
+                  step="0.1"
+                />
+              </div>
+              <label className="flex items-center space-x-3 cursor-pointer md:pt-7">
+                <input
+                  type="checkbox"
+                  checked={!!betaByCoin}
+                  onChange={(e) => handleMeasuredBetas(e.target.checked)}
+                  disabled={loading}
+                  className="accent-neon-blue"
+                />
+                <span className="text-sm text-gray-300">Use each coin's {BETA_DAYS}-day beta to BTC</span>
+              </label>
+            </div>
+          )}
+
+          {type === SCENARIO_TYPES.CUSTOM && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              {holdings.map(coin => (
+                <div key={coin.coinId}>
+                  <label className="block text-sm font-medium text-gray-400 mb-2">{coin.symbol} Move (%)</label>
+                  <input
+                    type="number"
+                    value={customMoves[coin.coinId] || 0}
+                    onChange={(e) => setCustomMoves({ ...customMoves, [coin.coinId]: parseFloat(e.target.value) || 0 })}
+                    className={inputClass}
+                    step="1"
+                    min="-100"
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {type === SCENARIO_TYPES.HISTORICAL && (
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">Period</label>
+                <select
+                  value={period.id || ''}
+                  onChange={(e) => {
+                    const selected = HISTORICAL_SCENARIOS.find(s => s.id === e.target.value)
+                    setPeriod(selected
+                      ? { ...selected }
+                      : { id: null, startDate: toDateInputValue(Date.now() - 30 * 24 * 60 * 60 * 1000), endDate: toDateInputValue(Date.now()) })
+                    setHistoricalShocks(null)
+                  }}
+                  className={inputClass}
+                >
+                  {HISTORICAL_SCENARIOS.map(scenario => (
+                    <option key={scenario.id} value={scenario.id}>{scenario.label}</option>
+                  ))}
+                  <option value="">Custom Range</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">From</label>
+                <input
+                  type="date"
+                  value={period.startDate}
+                  min={earliestReplayDate}
+                  max={period.endDate}
+                  onChange={(e) => {
+                    setPeriod({ id: null, startDate: e.target.value, endDate: period.endDate })
+                    setHistoricalShocks(null)
+                  }}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">To</label>
+                <input
+                  type="date"
+                  value={period.endDate}
+                  min={period.startDate}
+                  onChange={(e) => {
+                    setPeriod({ id: null, startDate: period.startDate, endDate: e.target.value })
+                    setHistoricalShocks(null)
+                  }}
+                  className={inputClass}
+                />
+              </div>
+              <div className="md:pt-7">
+                <button
+                  onClick={handleReplay}
+                  disabled={loading || !period.startDate || !period.endDate || period.endDate <= period.startDate || (!preset && period.startDate < earliestReplayDate)}
+                  className="w-full px-6 py-3 bg-neon-blue text-white rounded-lg hover:bg-neon-blue/80 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Loading...' : 'Replay Period'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {type === SCENARIO_TYPES.HISTORICAL && (
+            <p className="text-xs text-gray-500 -mt-3 mb-4">
+              {preset
+                ? 'Preset moves are approximate daily closes; coins not covered follow Bitcoin times the alt beta.'
+                : `Custom ranges use live price history, which reaches back ${MAX_REPLAY_DAYS} days.`}
+            </p>
+          )}
+
+          {error && <p className="text-xs text-neon-pink mb-4">{error}</p>}
+
+          {loading ? (
+            <div className="h-48 bg-dark-tertiary rounded-xl animate-pulse" />
+          ) : !result ? (
+            <p className="text-gray-500 text-sm py-6 text-center">Replay a period to see how your holdings would have moved</p>
+          ) : (
+            <>
+              {/* Totals */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                <div className="bg-dark-tertiary rounded-xl p-4">
+                  <p className="text-xs text-gray-400 mb-1">Today</p>
+                  <p className="text-2xl font-black text-white">{formatCurrency(result.totals.currentValue)}</p>
+                </div>
+                <div className="bg-dark-tertiary rounded-xl p-4">
+                  <p className="text-xs text-gray-400 mb-1">Projected</p>
+                  <p className="text-2xl font-black text-white">{formatCurrency(result.totals.projectedValue)}</p>
+                </div>
+                <div className="bg-dark-tertiary rounded-xl p-4">
+                  <p className="text-xs text-gray-400 mb-1">Profit / Loss</p>
+                  <p className={`text-2xl font-black ${result.totals.change >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+                    {result.totals.change >= 0 ? '+' : '-'}{formatCurrency(Math.abs(result.totals.change))}
+                  </p>
+                </div>
+                <div className="bg-dark-tertiary rounded-xl p-4">
+                  <p className="text-xs text-gray-400 mb-1">Change</p>
+                  <p className={`text-2xl font-black ${result.totals.change >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+                    {formatMove(result.totals.changePercentage)}
+                  </p>
+                  {result.totals.cash > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">{formatMove(result.totals.accountChangePercentage)} with cash</p>
+                  )}
+                </div>
+              </div>
+
+              {/* Per Holding */}
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs text-gray-400 uppercase tracking-wider">
+                      <th className="text-left font-semibold pb-2">Holding</th>
+                      <th className="text-right font-semibold pb-2">Move</th>
+                      <th className="text-right font-semibold pb-2">Today</th>
+                      <th className="text-right font-semibold pb-2">Projected</th>
+                      <th className="text-right font-semibold pb-2">P/L</th>
+                      <th className="text-right font-semibold pb-2">Allocation</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.rows.map(row => (
+                      <tr key={row.coinId} className="border-t border-dark-tertiary">
+                        <td className="py-2">
+                          <span className="text-white font-semibold">{row.symbol}</span>
+                          <span className="text-xs text-gray-500 ml-2">
+                            {SOURCE_LABELS[row.source]}{row.beta !== null ? ` ${row.beta.toFixed(2)}` : ''}
+                          </span>
+                        </td>
+                        <td className={`py-2 text-right tabular-nums ${row.move >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>{formatMove(row.move)}</td>
+                        <td className="py-2 text-right text-gray-300 tabular-nums">{formatCurrency(row.currentValue)}</td>
+                        <td className="py-2 text-right text-white tabular-nums">{formatCurrency(row.projectedValue)}</td>
+                        <td className={`py-2 text-right tabular-nums ${row.change >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+                          {row.change >= 0 ? '+' : '-'}{formatCurrency(Math.abs(row.change))}
+                        </td>
+                        <td className="py-2 text-right text-gray-300 tabular-nums">
+                          {row.currentWeight.toFixed(1)}% → {row.projectedWeight.toFixed(1)}%
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {missing.length > 0 && (
+                <p className="text-xs text-orange-400 mt-4">
+                  No price history for {missing.map(row => row.symbol).join(', ')} or Bitcoin in this period, left unchanged.
+                </p>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ScenarioCard
@@ -5,9 +5,10 @@ import { useAuth } from '../context/AuthContext'
 
 const SnapshotCard = ({ daysAgo, title, icon }) => {
   const { user } = useAuth()
-  const { formatCurrency } = usePortfolio()
+  const { formatCurrency, activePortfolio } = usePortfolio()
   const metrics = usePortfolio().calculateMetrics()
-  const currentValue = metrics.totalValue || 0
+  // Snapshots store holdings only, so compare like with like
+  const currentValue = metrics.holdingsValue || 0
 
   const [snapshot, setSnapshot] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -23,7 +24,7 @@ const SnapshotCard = ({ daysAgo, title, icon }) => {
 
       setLoading(true)
       try {
-        const data = await getSnapshotDaysAgo(daysAgo, user.id)
+        const data = await getSnapshotDaysAgo(daysAgo, user.id, activePortfolio?.id || null)
         setSnapshot(data)
       } catch (error) {
         console.error('Error loading snapshot:', error)
@@ -34,7 +35,7 @@ const SnapshotCard = ({ daysAgo, title, icon }) => {
     }
 
     loadSnapshot()
-  }, [daysAgo, user])
+  }, [daysAgo, user, activePortfolio])
 
   const historicalValue = snapshot ? snapshot.value : null
   
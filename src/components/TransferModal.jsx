@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react'
+import { usePortfolio } from '../context/PortfolioContext'
+import { useNotifications } from '../context/NotificationContext'
+import { UNASSIGNED_LOCATION, LOCATION_TYPE_ICONS, getLocationQuantity, getLocationName } from '../utils/locations'
+import Modal from './Modal'
+
+// Select values can't be null, the unassigned balance uses its breakdown key
+const toLocationId = (value) => value === UNASSIGNED_LOCATION ? null : value
+
+const TransferModal = ({ coin, onClose }) => {
+  const { locations, locationBreakdown, transferCoin } = usePortfolio()
+  const { showToast } = useNotifications()
+
+  const [form, setForm] = useState({ from: '', to: '', quantity: 0 })
+  const [submitting, setSubmitting] = useState(false)
+
+  const sources = coin ? locationBreakdown[coin.coinId] || [] : []
+  const available = coin ? getLocationQuantity(locationBreakdown, coin.coinId, toLocationId(form.from)) : 0
+
+  // Start from the location holding the most, moving to the first other location
+  useEffect(() => {
+    if (!coin) return
+    const from = sources[0]?.locationId || UNASSIGNED_LOCATION
+    const to = locations.find(location => location.id !== from)?.id || UNASSIGNED_LOCATION
+    setForm({ from, to, quantity: sources[0]?.quantity || 0 })
+  }, [coin])
+
+  const handleFromChange = (from) => {
+    setForm(prev => ({
+      ...prev,
+      from,
+      to: prev.to === from ? locations.find(location => location.id !== from)?.id || UNASSIGNED_LOCATION : prev.to,
+      quantity: Math.min(prev.quantity, getLocationQuantity(locationBreakdown, coin.coinId, toLocationId(from)))
+    }))
+  }
+
+  const handleConfirm = async () => {
+    setSubmitting(true)
+    const result = await transferCoin(coin, {
+      quantity: form.quantity,
+      fromLocationId: toLocationId(form.from),
+      toLocationId: toLocationId(form.to)
+    })
+    setSubmitting(false)
+
+    showToast(result.message, result.success ? 'success' : 'error')
+    if (result.success) onClose()
+  }
+
+  if (!coin) return null
+
+  const destinations = [
+    ...locations.map(location => ({ id: location.id, label: `${LOCATION_TYPE_ICONS[location.type] || ''} ${location.name}` })),
+    { id: UNASSIGNED_LOCATION, label: 'Unassigned' }
+  ].filter(option => option.id !== form.from)
+
+  const isValid = form.quantity > 0 && form.quantity <= available + 1e-10 && form.from !== form.to
+
+  return (
+    <Modal isOpen={!!coin} onClose={onClose} title={`Move ${coin.name}`}>
+      <div className="space-y-4">
+        <p className="text-sm text-gray-400">
+          Transfers only change where your {coin.symbol} is kept. Quantity and cost basis stay the same.
+        </p>
+
+        {/* Source Location */}
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">From</label>
+          <select
+            value={form.from}
+            onChange={(e) => handleFromChange(e.target.value)}
+            className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white"
+          >
+            {sources.map(source => (
+              <option key={source.locationId} value={source.locationId}>
+                {getLocationName(locations, source.locationId)} ({source.quantity.toLocaleString()} {coin.symbol})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Destination Location */}
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">To</label>
+          <select
+            value={form.to}
+            onChange={(e) => setForm({ ...form, to: e.target.value })}
+            className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white"
+          >
+            {destinations.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Quantity */}
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Quantity to Move</label>
+          <div className="relative">
+            <input
+              type="number"
+              value={form.quantity}
+              onChange={(e) => setForm({ ...form, quantity: parseFloat(e.target.value) || 0 })}
+              className="w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white pr-20"
+              step="0.00000001"
+              max={available}
+              min="0"
+            />
+            <button
+              onClick={() => setForm({ ...form, quantity: available })}
+              className="absolute right-2 top-1/2 -translate-y-1/2 px-3 py-1 bg-neon-blue/20 text-neon-blue text-xs font-semibold rounded hover:bg-neon-blue/30 transition-colors"
+            >
+              MAX
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Available: {available.toLocaleString()} {coin.symbol}
+          </p>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3 pt-4">
+          <button
+            onClick={handleConfirm}
+            disabled={!isValid || submitting}
+            className="flex-1 px-6 py-3 bg-neon-blue text-white rounded-lg hover:bg-neon-blue/80 transition-colors font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? 'Moving...' : 'Confirm Transfer'}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-6 py-3 bg-dark-tertiary text-gray-400 rounded-lg hover:bg-dark-tertiary/80 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default TransferModal
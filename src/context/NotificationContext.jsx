@@ -249,11 +249,17 @@ export const NotificationProvider = ({ children }) => {
         return `You bought ${quantity} ${coin} at ${formattedPrice}`
       case 'sell':
         return `You sold ${quantity} ${coin} at ${formattedPrice}`
+      case 'income':
+        return `You received ${quantity} ${coin} worth ${formattedPrice} each`
+      case 'recurring_buy':
+        return `Your ${formattedPrice} ${coin} recurring buy is due`
       case 'delete':
         return `You removed ${coin} from portfolio`
       case 'alert':
       case 'price_alert':
         return `Price alert for ${coin} at ${formattedPrice}`
+      case 'portfolio_alert':
+        return `Portfolio alert for ${coin}`
       default:
         return ''
     }
@@ -291,8 +297,8 @@ export const NotificationProvider = ({ children }) => {
       console.log('   Coin:', notifCoin)
     }
 
-    // Check if portfolio updates are enabled (ALWAYS allow price alerts through)
-    if (type !== 'alert' && type !== 'price_alert' && !settings.portfolioUpdates) {
+    // Check if portfolio updates are enabled (ALWAYS allow price and portfolio alerts through)
+    if (!['alert', 'price_alert', 'portfolio_alert'].includes(type) && !settings.portfolioUpdates) {
       console.log('   ⚠️ Portfolio updates disabled, skipping non-alert notification')
       console.log('='.repeat(60))
       return // Don't create notification if disabled
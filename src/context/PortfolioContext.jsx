@@ -1,15 +1,30 @@
-import React, { createContext, useState, useContext, useEffect, useCallback } from 'react'
+import React, { createContext, useState, useContext, useEffect, useCallback, useMemo, useRef } from 'react'
 import { supabase } from '../supabase/client'
 import { fetchPricesWithFallback, getCoinId } from '../services/cryptoApi'
 import { calculatePortfolioMetrics } from '../utils/calculations'
-import { savePortfolioSnapshot, migrateHistoryToSupabase } from '../utils/historyUtils'
+import { buildRealizedGainsLedger } from '../utils/realizedGains'
+import { buildTaxLots, attachTaxLots, calculateAverageLotCost, calculateLedgerPosition, getTransactionFee, getNetTransactionQuantity, isTransferTransaction, isCashTransaction, isValidCostBasisMethod, INCOME_ACTION, CASH_ACTIONS, CASH_COIN, COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD, FEE_QUOTE_CURRENCY } from '../utils/costBasis'
+import { calculateLocationBreakdown, getLocationQuantity } from '../utils/locations'
+import { buildIncomeLedger } from '../utils/income'
+import { calculateCashLedger, calculateCashByPortfolio, combineCashLedgers } from '../utils/cash'
+import { calculateAllocationDrift, validateTargetAllocation } from '../utils/rebalancing'
+import { DCA_FREQUENCY_LABELS, toPlanDate, getRunDates, getDueRuns, getNextRunDate } from '../utils/recurringBuys'
+import { calculateImportedPositions } from '../utils/importCsv'
+import { savePortfolioSnapshot, migrateHistoryToSupabase, applyBackdatedTradeToSnapshots, getHistoryForRange } from '../utils/historyUtils'
+import { getDailyCashFlows } from '../utils/returns'
+import { ALERT_CONDITIONS, isHoldingCondition } from '../utils/alertConditions'
+import { PORTFOLIO_ALERT_METRICS, getPortfolioAlertValues, getPortfolioAlertValue, evaluatePortfolioAlert, getPortfolioAlertMessage } from '../utils/portfolioAlerts'
 import { useAppStatus } from './AppStatusContext'
 import { fetchExchangeRates, convertCurrency, formatCurrencyValue, SUPPORTED_CURRENCIES } from '../services/currencyApi'
 import { useNotifications } from './NotificationContext'
-import { STORAGE_KEYS, getStorageItem } from '../utils/storage'
+import { STORAGE_KEYS, getStorageItem, setStorageItem } from '../utils/storage'
 import { useAuth } from './AuthContext'
 import * as portfolioService from '../services/portfolioService'
 import * as transactionService from '../services/transactionService'
+import * as locationService from '../services/locationService'
+import * as recurringBuyService from '../services/recurringBuyService'
+import * as portfolioAlertService from '../services/portfolioAlertService'
+import * as alertService from '../services/alertService'
 
 const PortfolioContext = createContext()
 
@@ -24,18 +39,89 @@ export const usePortfolio = () => {
 // Price refresh interval (60 seconds)
 const PRICE_REFRESH_INTERVAL = 60000
 
+// Selector value for the aggregated view across every portfolio
+export const ALL_PORTFOLIOS = 'all'
+
+// Look-back for the recorded high behind drawdown alerts
+const DRAWDOWN_HISTORY_DAYS = 3650
+
+/**
+ * Merge holdings of the same coin from different portfolios into one row
+ * @param {Array} holdings - Holdings across portfolios
+ * @returns {Array} One holding per coin with a weighted average buy price
+ */
+const mergeHoldingsByCoin = (holdings) => {
+  const merged = new Map()
+
+  holdings.forEach(holding => {
+    const existing = merged.get(holding.coinId)
+    if (!existing) {
+      merged.set(holding.coinId, { ...holding, portfolioId: null })
+      return
+    }
+
+    const quantity = existing.quantity + holding.quantity
+    merged.set(holding.coinId, {
+      ...existing,
+      quantity,
+      buyPrice: quantity > 0
+        ? (existing.quantity * existing.buyPrice + holding.quantity * holding.buyPrice) / quantity
+        : existing.buyPrice
+    })
+  })
+
+  return Array.from(merged.values())
+}
+
+/**
+ * Save one snapshot per portfolio for the current holdings
+ * @param {Array} holdings - Holdings across portfolios
+ * @param {string} userId - Supabase user ID
+ */
+const savePortfolioSnapshots = (holdings, userId) => {
+  const byPortfolio = holdings.reduce((groups, holding) => {
+    const key = holding.portfolioId || null
+    groups.set(key, [...(groups.get(key) || []), holding])
+    return groups
+  }, new Map())
+
+  byPortfolio.forEach((group, portfolioId) => {
+    const metrics = calculatePortfolioMetrics(group)
+    if (metrics.totalValue > 0) {
+      // Async snapshot save - don't block UI
+      savePortfolioSnapshot(metrics.totalValue, userId, portfolioId).catch(err =>
+        console.warn('Failed to save portfolio snapshot:', err)
+      )
+    }
+  })
+}
+
 export const PortfolioProvider = ({ children }) => {
   const { setIsLiveData, setIsLoadingPrices, setLastUpdate, setApiStatusSource } = useAppStatus()
-  const { addNotification } = useNotifications()
+  const { addNotification, settings: notificationSettings } = useNotifications()
   const { user, session } = useAuth() // Get user from AuthContext
   
+  // Holdings and transactions of every portfolio, the active one is filtered below
   const [coins, setCoins] = useState([])
   const [transactions, setTransactions] = useState([])
   const [loading, setLoading] = useState(false)
+
+  const [portfolios, setPortfolios] = useState([])
+  const [locations, setLocations] = useState([])
+  const [recurringBuys, setRecurringBuys] = useState([])
+  const [portfolioAlerts, setPortfolioAlerts] = useState([])
+  const [portfolioAlertValues, setPortfolioAlertValues] = useState({})
+  const [holdingAlerts, setHoldingAlerts] = useState([])
+  const drawdownHistoryRef = useRef({})
+  const checkingPortfolioAlertsRef = useRef(false)
+  const [activePortfolioId, setActivePortfolioId] = useState(() => getStorageItem(STORAGE_KEYS.ACTIVE_PORTFOLIO, null))
   
   // Load currency from Supabase user_settings (no localStorage fallback)
   const [currency, setCurrency] = useState('USD')
   const [currencyLoaded, setCurrencyLoaded] = useState(false)
+
+  // Cost basis method used to match sells against tax lots (user_settings)
+  const [costBasisMethod, setCostBasisMethod] = useState(DEFAULT_COST_BASIS_METHOD)
   
   const [priceLoading, setPriceLoading] = useState(false)
   const [lastUpdateLocal, setLastUpdateLocal] = useState(null)
@@ -48,6 +134,7 @@ export const PortfolioProvider = ({ children }) => {
     const loadCurrency = async () => {
       if (!user) {
         setCurrency('USD')
+        setCostBasisMethod(DEFAULT_COST_BASIS_METHOD)
         setCurrencyLoaded(true)
         return
       }
@@ -55,7 +142,7 @@ export const PortfolioProvider = ({ children }) => {
       try {
         const { data, error } = await supabase
           .from('user_settings')
-          .select('currency')
+          .select('currency, cost_basis_method')
           .eq('user_id', user.id)
           .single()
 
@@ -84,6 +171,9 @@ export const PortfolioProvider = ({ children }) => {
           }
         } else if (data) {
           setCurrency(data.currency || 'USD')
+          if (isValidCostBasisMethod(data.cost_basis_method)) {
+            setCostBasisMethod(data.cost_basis_method)
+          }
         }
       } catch (error) {
         console.error('Error loading currency:', error)
@@ -117,6 +207,11 @@ export const PortfolioProvider = ({ children }) => {
         if (!currentSession) {
           setCoins([])
           setTransactions([])
+          setPortfolios([])
+          setLocations([])
+          setRecurringBuys([])
+          setPortfolioAlerts([])
+          setHoldingAlerts([])
           setLoading(false)
           return
         }
@@ -141,10 +236,25 @@ export const PortfolioProvider = ({ children }) => {
           }
         }
 
+        // Older rows have no portfolio yet, they move into the default one
+        const userPortfolios = await portfolioService.ensureDefaultPortfolio(userId)
+        const storedPortfolioId = getStorageItem(STORAGE_KEYS.ACTIVE_PORTFOLIO, null)
+        const defaultPortfolio = userPortfolios.find(p => p.isDefault) || userPortfolios[0]
+        setPortfolios(userPortfolios)
+        setActivePortfolioId(
+          storedPortfolioId === ALL_PORTFOLIOS || userPortfolios.some(p => p.id === storedPortfolioId)
+            ? storedPortfolioId
+            : defaultPortfolio?.id || null
+        )
+
         // Always fetch from Supabase (fresh data)
-        const [holdings, txs] = await Promise.all([
+        const [holdings, txs, userLocations, userRecurringBuys, userPortfolioAlerts, userHoldingAlerts] = await Promise.all([
           portfolioService.getHoldings(userId),
-          transactionService.getTransactions(userId)
+          transactionService.getTransactions(userId),
+          locationService.getLocations(userId),
+          recurringBuyService.getRecurringBuys(userId),
+          portfolioAlertService.getPortfolioAlerts(userId),
+          alertService.getHoldingAlerts(userId)
         ])
 
         // Set coin images using CoinCap.io (more reliable than CoinGecko)
@@ -160,6 +270,10 @@ export const PortfolioProvider = ({ children }) => {
         // Update state with fetched data
         setCoins(holdings)
         setTransactions(txs)
+        setLocations(userLocations)
+        setRecurringBuys(userRecurringBuys)
+        setPortfolioAlerts(userPortfolioAlerts)
+        setHoldingAlerts(userHoldingAlerts)
       } catch (error) {
         console.error('❌ Error loading portfolio data:', error)
         setCoins([])
@@ -280,13 +394,9 @@ export const PortfolioProvider = ({ children }) => {
         }
       }
       
-      // Save portfolio snapshot after price update
-      const metrics = calculatePortfolioMetrics(updatedCoins)
-      if (metrics.totalValue > 0 && userId) {
-        // Async snapshot save - don't block UI
-        savePortfolioSnapshot(metrics.totalValue, userId).catch(err => 
-          console.warn('Failed to save portfolio snapshot:', err)
-        )
+      // Save portfolio snapshots after price update
+      if (userId) {
+        savePortfolioSnapshots(updatedCoins, userId)
       }
     } catch (error) {
       console.error('⚠️ Error updating prices:', error)
@@ -304,6 +414,18 @@ export const PortfolioProvider = ({ children }) => {
     }
   }, [coins, session, setIsLiveData, setIsLoadingPrices, setLastUpdate, setApiStatusSource])
 
+  const isAggregateView = activePortfolioId === ALL_PORTFOLIOS
+
+  /**
+   * Whether a holding or transaction belongs to the active portfolio
+   * @param {Object} item - Holding or transaction
+   * @returns {boolean}
+   */
+  const inActivePortfolio = useCallback(
+    (item) => isAggregateView || (item.portfolioId || null) === activePortfolioId,
+    [isAggregateView, activePortfolioId]
+  )
+
   /**
    * Manual refresh trigger
    */
@@ -311,6 +433,20 @@ export const PortfolioProvider = ({ children }) => {
     fetchCurrentPrices()
   }, [fetchCurrentPrices])
 
+  /**
+   * Reload holdings from Supabase (after reconciliation rewrites them)
+   */
+  const reloadHoldings = useCallback(async () => {
+    const userId = session?.user?.id
+    if (!userId) return
+
+    const holdings = await portfolioService.getHoldings(userId)
+    setCoins(holdings.map(holding => ({
+      ...holding,
+      image: coins.find(c => c.coinId === holding.coinId)?.image || holding.image
+    })))
+  }, [session, coins])
+
   const addCoin = async (coin) => {
     try {
       const coinIdToCheck = coin.coinId || getCoinId(coin.symbol)
@@ -320,38 +456,65 @@ export const PortfolioProvider = ({ children }) => {
         console.error('User must be logged in to add coins')
         return false
       }
+
+      if (isAggregateView) {
+        console.error('Select a portfolio before adding coins')
+        return false
+      }
       
-      // Check if coin already exists in portfolio (by coinId or symbol)
+      // Check if coin already exists in the active portfolio (by coinId or symbol)
       const existingCoinIndex = coins.findIndex(c => 
-        c.coinId === coinIdToCheck || 
-        c.symbol.toLowerCase() === coin.symbol.toLowerCase()
+        inActivePortfolio(c) && (
+          c.coinId === coinIdToCheck || 
+          c.symbol.toLowerCase() === coin.symbol.toLowerCase()
+        )
       )
       
       // Create transaction record
       const transactionData = {
+        portfolioId: activePortfolioId,
         coinId: coinIdToCheck,
         symbol: coin.symbol,
         name: coin.name,
-        action: 'BUY',
+        // Income is recorded like a buy at fair market value, so it gets a proper cost basis
+        action: coin.incomeType ? INCOME_ACTION : 'BUY',
+        incomeType: coin.incomeType || null,
         quantity: coin.quantity,
         price: coin.buyPrice,
-        total: coin.quantity * coin.buyPrice
+        total: coin.quantity * coin.buyPrice,
+        fee: coin.fee || 0,
+        feeCurrency: coin.fee ? coin.feeCurrency || FEE_QUOTE_CURRENCY : null,
+        locationId: coin.locationId || null,
+        timestamp: coin.timestamp
       }
+
+      // Coin fees shrink the amount received, cash fees raise the cost per coin
+      const { cashFee } = getTransactionFee(transactionData)
+      const receivedQuantity = getNetTransactionQuantity(transactionData)
+      const effectiveBuyPrice = (coin.quantity * coin.buyPrice + cashFee) / receivedQuantity
       
       // Add transaction to Supabase
       const newTransaction = await transactionService.addTransaction(transactionData, userId)
-      setTransactions(prev => [newTransaction, ...prev])
+      setTransactions(prev => [newTransaction, ...prev]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)))
+
+      // Backdated buys also count towards the snapshots recorded since the trade date
+      if (coin.timestamp) {
+        applyBackdatedTradeToSnapshots({ ...newTransaction, quantity: receivedQuantity }, userId).catch(err =>
+          console.error('Failed to update snapshots for backdated buy:', err)
+        )
+      }
       
       // Trigger notification for buy action
-      addNotification('buy', coin.symbol, coin.quantity, coin.buyPrice)
+      addNotification(coin.incomeType ? 'income' : 'buy', coin.symbol, coin.quantity, coin.buyPrice)
       
       if (existingCoinIndex !== -1) {
         // Coin exists - update the existing entry
         const existingCoin = coins[existingCoinIndex]
         const oldQuantity = existingCoin.quantity
         const oldBuyPrice = existingCoin.buyPrice
-        const newQuantity = coin.quantity
-        const newBuyPrice = coin.buyPrice
+        const newQuantity = receivedQuantity
+        const newBuyPrice = effectiveBuyPrice
         
         // Calculate new total quantity
         const totalQuantity = oldQuantity + newQuantity
@@ -381,11 +544,12 @@ export const PortfolioProvider = ({ children }) => {
       } else {
         // Coin doesn't exist - add as new
         const newHoldingData = {
+          portfolioId: activePortfolioId,
           coinId: coinIdToCheck,
           symbol: coin.symbol,
           name: coin.name,
-          quantity: coin.quantity,
-          buyPrice: coin.buyPrice,
+          quantity: receivedQuantity,
+          buyPrice: effectiveBuyPrice,
           currentPrice: coin.buyPrice,
           priceChange24h: 0
         }
@@ -426,12 +590,17 @@ export const PortfolioProvider = ({ children }) => {
       // Delete from Supabase
       await portfolioService.deleteHolding(id, userId)
       setCoins(coins.filter(c => c.id !== id))
+
+      // No ledger entry records the removal, so reconciliation is told not to bring it back
+      const removed = getStorageItem(STORAGE_KEYS.REMOVED_HOLDINGS, {})
+      removed[`${coin.portfolioId || ''}|${coin.coinId}`] = new Date().toISOString()
+      setStorageItem(STORAGE_KEYS.REMOVED_HOLDINGS, removed)
     } catch (error) {
       console.error('Error deleting coin:', error)
     }
   }
 
-  const sellCoin = async (id, sellQuantity, sellPrice) => {
+  const sellCoin = async (id, sellQuantity, sellPrice, options = {}) => {
     try {
       const coin = coins.find(c => c.id === id)
       if (!coin) {
@@ -439,27 +608,41 @@ export const PortfolioProvider = ({ children }) => {
         return false
       }
 
-      if (sellQuantity <= 0 || sellQuantity > coin.quantity) {
-        console.error('Invalid sell quantity')
+      if (isAggregateView) {
+        console.error('Select a portfolio before selling coins')
         return false
       }
 
-      const userId = session?.user?.id
-      
-      if (!userId) {
-        console.error('User must be logged in to sell coins')
-        return false
-      }
-      
-      // Create SELL transaction record
+      // Create SELL transaction record (lot method is stored so realized P/L stays stable)
       const transactionData = {
+        portfolioId: coin.portfolioId || null,
         coinId: coin.coinId,
         symbol: coin.symbol,
         name: coin.name,
         action: 'SELL',
         quantity: sellQuantity,
         price: sellPrice || coin.currentPrice,
-        total: sellQuantity * (sellPrice || coin.currentPrice)
+        total: sellQuantity * (sellPrice || coin.currentPrice),
+        fee: options.fee || 0,
+        feeCurrency: options.fee ? options.feeCurrency || FEE_QUOTE_CURRENCY : null,
+        lotMethod: costBasisMethod,
+        lotSelections: costBasisMethod === COST_BASIS_METHODS.SPECIFIC ? options.lotSelections || null : null,
+        locationId: options.locationId || null
+      }
+
+      // Coin-denominated fees leave the holding along with the sold amount
+      const disposedQuantity = getNetTransactionQuantity(transactionData)
+
+      if (sellQuantity <= 0 || disposedQuantity > coin.quantity) {
+        console.error('Invalid sell quantity')
+        return false
+      }
+
+      const userId = session?.user?.id
+      
+      if (!userId) {
+        console.error('User must be logged in to sell coins')
+        return false
       }
 
       // Add transaction to Supabase
@@ -470,17 +653,25 @@ export const PortfolioProvider = ({ children }) => {
       addNotification('sell', coin.symbol, sellQuantity, sellPrice || coin.currentPrice)
 
       // Calculate remaining quantity
-      const remainingQuantity = coin.quantity - sellQuantity
+      const remainingQuantity = coin.quantity - disposedQuantity
 
       if (remainingQuantity <= 0) {
         // Remove coin if quantity reaches zero
         await portfolioService.deleteHolding(id, userId)
         setCoins(coins.filter(c => c.id !== id))
       } else {
+        // Re-derive the average cost from the lots that are still open
+        const remainingLots = buildTaxLots(
+          [newTransaction, ...transactions].filter(tx => (tx.portfolioId || null) === transactionData.portfolioId),
+          costBasisMethod
+        )
+        const [remainingCoin] = attachTaxLots([{ ...coin, quantity: remainingQuantity }], remainingLots, costBasisMethod)
+        const remainingBuyPrice = calculateAverageLotCost(remainingCoin.lots) || coin.buyPrice
+
         // Update coin with reduced quantity
         const updated = await portfolioService.updateHolding(
           id,
-          { quantity: remainingQuantity },
+          { quantity: remainingQuantity, buy_price: remainingBuyPrice },
           userId
         )
         setCoins(coins.map(c => c.id === id ? updated : c))
@@ -493,6 +684,938 @@ export const PortfolioProvider = ({ children }) => {
     }
   }
 
+  /**
+   * Move part of a holding between locations (cost basis and quantity stay the same)
+   * @param {Object} coin - Holding being moved
+   * @param {Object} transfer - { quantity, fromLocationId, toLocationId, timestamp } (null location = unassigned)
+   * @returns {Promise<Object>} { success, message }
+   */
+  const transferCoin = async (coin, transfer) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) {
+        return { success: false, message: 'You must be logged in' }
+      }
+
+      if (isAggregateView) {
+        return { success: false, message: 'Select a portfolio before moving coins' }
+      }
+
+      const { quantity, fromLocationId = null, toLocationId = null, timestamp } = transfer
+      const available = getLocationQuantity(locationBreakdown, coin.coinId, fromLocationId)
+      if (!(quantity > 0) || quantity > available + 1e-10) {
+        return { success: false, message: `Only ${available} ${coin.symbol} available at that location` }
+      }
+
+      const newTransactions = await transactionService.addTransfer({
+        portfolioId: coin.portfolioId || null,
+        coinId: coin.coinId,
+        symbol: coin.symbol,
+        name: coin.name,
+        quantity,
+        price: coin.currentPrice,
+        fromLocationId,
+        toLocationId,
+        timestamp
+      }, userId)
+
+      setTransactions(prev => [...newTransactions, ...prev]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)))
+
+      return { success: true, message: `Moved ${quantity} ${coin.symbol}` }
+    } catch (error) {
+      console.error('Error transferring coin:', error)
+      return { success: false, message: error.message || 'Failed to record transfer' }
+    }
+  }
+
+  /**
+   * Record a cash deposit or withdrawal in the active portfolio
+   * @param {string} action - CASH_ACTIONS.DEPOSIT or CASH_ACTIONS.WITHDRAW
+   * @param {Object} entry - { amount, timestamp }
+   * @returns {Promise<Object>} { success, message }
+   */
+  const recordCashTransaction = async (action, { amount, timestamp }) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) {
+        return { success: false, message: 'You must be logged in' }
+      }
+
+      if (isAggregateView) {
+        return { success: false, message: 'Select a portfolio before moving cash' }
+      }
+
+      if (!(amount > 0)) {
+        return { success: false, message: 'Amount must be greater than 0' }
+      }
+
+      if (action === CASH_ACTIONS.WITHDRAW && amount > cash.balance + 1e-6) {
+        return { success: false, message: `Only ${formatCurrency(cash.balance)} cash available` }
+      }
+
+      const newTransaction = await transactionService.addTransaction({
+        portfolioId: activePortfolioId,
+        ...CASH_COIN,
+        action,
+        quantity: amount,
+        price: 1,
+        total: amount,
+        timestamp
+      }, userId)
+
+      setTransactions(prev => [newTransaction, ...prev]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)))
+
+      return {
+        success: true,
+        message: `${action === CASH_ACTIONS.DEPOSIT ? 'Deposited' : 'Withdrew'} ${formatCurrency(amount)}`
+      }
+    } catch (error) {
+      console.error('Error recording cash transaction:', error)
+      return { success: false, message: error.message || 'Failed to record cash transaction' }
+    }
+  }
+
+  const depositCash = (entry) => recordCashTransaction(CASH_ACTIONS.DEPOSIT, entry)
+
+  const withdrawCash = (entry) => recordCashTransaction(CASH_ACTIONS.WITHDRAW, entry)
+
+  /**
+   * Import transactions from a CSV preview and rebuild affected holdings
+   * Quantities move by the net imported amount, average cost is re-derived from tax lots.
+   * Sells that would take a position below zero are skipped and counted as failed.
+   * @param {Array} rows - Preview rows with status 'new'
+   * @returns {Promise<Object>} { success, imported, failed }
+   */
+  const importTransactions = async (rows) => {
+    const userId = session?.user?.id
+
+    if (!userId) {
+      console.error('User must be logged in to import transactions')
+      return { success: false, imported: 0, failed: rows.length }
+    }
+
+    if (isAggregateView) {
+      console.error('Select a portfolio before importing transactions')
+      return { success: false, imported: 0, failed: rows.length }
+    }
+
+    const inserted = []
+    let failed = 0
+
+    // Oldest first so the ledger replays in order
+    const ordered = [...rows].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    for (const row of ordered) {
+      try {
+        const transactionData = {
+          portfolioId: activePortfolioId,
+          coinId: row.coinId,
+          symbol: row.symbol,
+          name: coins.find(c => c.coinId === row.coinId)?.name || row.name,
+          action: row.action,
+          quantity: row.quantity,
+          price: row.price,
+          total: row.total,
+          fee: row.fee,
+          feeCurrency: row.feeCurrency,
+          // Lot method is stored so realized P/L stays stable, as for manual sells
+          lotMethod: row.action === 'SELL' ? costBasisMethod : null,
+          timestamp: row.timestamp
+        }
+
+        if (row.action === 'SELL') {
+          const preview = [...inserted, transactionData, ...transactions]
+          if (!isLedgerConsistent(preview, transactionData, getPreLedgerQuantity(transactionData, transactions))) {
+            console.error(`Skipped ${row.symbol} sell of ${row.timestamp}, it would sell more than the portfolio holds`)
+            failed++
+            continue
+          }
+        }
+
+        const newTransaction = await transactionService.addTransaction(transactionData, userId)
+        inserted.push(newTransaction)
+      } catch (error) {
+        console.error(`Error importing CSV line ${row.line}:`, error)
+        failed++
+      }
+    }
+
+    if (inserted.length === 0) {
+      return { success: false, imported: 0, failed }
+    }
+
+    const allTransactions = [...inserted, ...transactions]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    setTransactions(allTransactions)
+
+    // Rebuild holdings for every coin touched by the import
+    const lotsByCoin = buildTaxLots(allTransactions.filter(inActivePortfolio), costBasisMethod)
+    const positions = calculateImportedPositions(inserted)
+    let updatedCoins = [...coins]
+
+    for (const position of Object.values(positions)) {
+      try {
+        const existing = updatedCoins.find(c => inActivePortfolio(c) && c.coinId === position.coinId)
+        const quantity = (existing?.quantity || 0) + position.quantity
+        const holding = existing || {
+          id: position.coinId,
+          coinId: position.coinId,
+          symbol: position.symbol,
+          name: position.name,
+          buyPrice: position.lastPrice
+        }
+
+        if (quantity <= 0) {
+          if (existing) {
+            await portfolioService.deleteHolding(existing.id, userId)
+            updatedCoins = updatedCoins.filter(c => c.id !== existing.id)
+          }
+          continue
+        }
+
+        const [rebuilt] = attachTaxLots([{ ...holding, quantity }], lotsByCoin, costBasisMethod)
+        const buyPrice = calculateAverageLotCost(rebuilt.lots) || holding.buyPrice
+
+        if (existing) {
+          const updated = await portfolioService.updateHolding(
+            existing.id,
+            { quantity, buy_price: buyPrice },
+            userId
+          )
+          updatedCoins = updatedCoins.map(c => c.id === existing.id ? { ...updated, image: existing.image } : c)
+        } else {
+          const newHolding = await portfolioService.addOrUpdateHolding({
+            portfolioId: activePortfolioId,
+            coinId: position.coinId,
+            symbol: position.symbol,
+            name: position.name,
+            quantity,
+            buyPrice,
+            currentPrice: position.lastPrice,
+            priceChange24h: 0
+          }, userId)
+          updatedCoins.push({
+            ...newHolding,
+            image: `https://assets.coincap.io/assets/icons/${position.symbol.toLowerCase()}@2x.png`
+          })
+        }
+      } catch (error) {
+        console.error(`Error rebuilding ${position.symbol} holding after import:`, error)
+      }
+    }
+
+    setCoins(updatedCoins)
+
+    return { success: true, imported: inserted.length, failed }
+  }
+
+  /**
+   * Record a rebalance plan as transactions (sells first, so their proceeds fund the buys)
+   * @param {Array} trades - Trades from generateRebalancePlan
+   * @returns {Promise<Object>} { success, message }
+   */
+  const executeRebalancePlan = async (trades) => {
+    if (!trades || trades.length === 0) {
+      return { success: false, message: 'Nothing to rebalance' }
+    }
+
+    // Space the trades a millisecond apart so the ledger replays them in plan order
+    const startedAt = Date.now()
+    const rows = [...trades]
+      .sort((a, b) => (a.action === 'SELL' ? 0 : 1) - (b.action === 'SELL' ? 0 : 1))
+      .map((trade, index) => ({
+        coinId: trade.coinId,
+        symbol: trade.symbol,
+        name: trade.name,
+        action: trade.action,
+        quantity: trade.quantity,
+        price: trade.price,
+        total: trade.quantity * trade.price,
+        fee: trade.fee || 0,
+        feeCurrency: trade.fee ? FEE_QUOTE_CURRENCY : null,
+        timestamp: new Date(startedAt + index).toISOString()
+      }))
+
+    const result = await importTransactions(rows)
+    if (!result.success) {
+      return { success: false, message: 'Failed to record rebalance trades' }
+    }
+
+    return {
+      success: result.failed === 0,
+      message: result.failed === 0
+        ? `Rebalanced with ${result.imported} trade${result.imported === 1 ? '' : 's'}`
+        : `Recorded ${result.imported} of ${rows.length} trades, check your transaction history`
+    }
+  }
+
+  /**
+   * Quantity a holding has beyond what its portfolio's ledger records
+   * Holdings entered before transactions were tracked keep this through ledger changes.
+   * @param {Object} tx - Any transaction for the coin
+   * @param {Array} history - Transaction history before the change
+   * @returns {number} Untracked quantity (0 if none)
+   */
+  const getPreLedgerQuantity = (tx, history) => {
+    const portfolioId = tx.portfolioId || null
+    const existing = coins.find(c => c.coinId === tx.coinId && (c.portfolioId || null) === portfolioId)
+    if (!existing) return 0
+
+    const lotsByCoin = buildTaxLots(history.filter(t => (t.portfolioId || null) === portfolioId), costBasisMethod)
+    return Math.max(existing.quantity - calculateLedgerPosition(lotsByCoin, tx.coinId).quantity, 0)
+  }
+
+  /**
+   * Recompute a holding's quantity and average cost from the transaction history of its portfolio
+   * @param {Object} tx - Any transaction for the coin (used for symbol/name/price if the holding is new)
+   * @param {Array} allTransactions - Transaction history after the change
+   * @param {string} userId - Supabase user ID
+   * @param {number} preLedgerQuantity - Untracked quantity to keep on top of the ledger position
+   */
+  const recomputeHolding = async (tx, allTransactions, userId, preLedgerQuantity = 0) => {
+    const portfolioId = tx.portfolioId || null
+    const lotsByCoin = buildTaxLots(allTransactions.filter(t => (t.portfolioId || null) === portfolioId), costBasisMethod)
+    const quantity = preLedgerQuantity + calculateLedgerPosition(lotsByCoin, tx.coinId).quantity
+    const existing = coins.find(c => c.coinId === tx.coinId && (c.portfolioId || null) === portfolioId)
+
+    if (quantity <= 1e-10) {
+      if (existing) {
+        await portfolioService.deleteHolding(existing.id, userId)
+        setCoins(prev => prev.filter(c => c.id !== existing.id))
+      }
+      return
+    }
+
+    // Untracked quantity stays an opening lot at the holding's stored buy price
+    const holding = existing || { id: tx.coinId, coinId: tx.coinId, symbol: tx.symbol, name: tx.name, buyPrice: tx.price }
+    const [rebuilt] = attachTaxLots([{ ...holding, quantity }], lotsByCoin, costBasisMethod)
+    const averageCost = calculateAverageLotCost(rebuilt.lots) || holding.buyPrice
+
+    if (existing) {
+      const updated = await portfolioService.updateHolding(
+        existing.id,
+        { quantity, buy_price: averageCost },
+        userId
+      )
+      setCoins(prev => prev.map(c => c.id === existing.id ? { ...updated, image: existing.image } : c))
+    } else {
+      const newHolding = await portfolioService.addOrUpdateHolding({
+        portfolioId,
+        coinId: tx.coinId,
+        symbol: tx.symbol,
+        name: tx.name,
+        quantity,
+        buyPrice: averageCost,
+        currentPrice: tx.price,
+        priceChange24h: 0
+      }, userId)
+      setCoins(prev => [...prev, {
+        ...newHolding,
+        image: `https://assets.coincap.io/assets/icons/${tx.symbol.toLowerCase()}@2x.png`
+      }])
+    }
+  }
+
+  /**
+   * Check that a changed history never sells more of a coin than the portfolio held
+   * @param {Array} allTransactions - Transaction history after the change
+   * @param {Object} tx - Changed transaction (coin and portfolio to check)
+   * @param {number} preLedgerQuantity - Untracked quantity the sells can draw on
+   * @returns {boolean} True if the position stays non-negative
+   */
+  const isLedgerConsistent = (allTransactions, tx, preLedgerQuantity = 0) => {
+    const portfolioId = tx.portfolioId || null
+    const lotsByCoin = buildTaxLots(allTransactions.filter(t => (t.portfolioId || null) === portfolioId), costBasisMethod)
+    return preLedgerQuantity + calculateLedgerPosition(lotsByCoin, tx.coinId).quantity >= -1e-10
+  }
+
+  /**
+   * Check that a changed history never withdraws more cash than the portfolio holds
+   * @param {Array} allTransactions - Transaction history after the change
+   * @param {Object} tx - Changed transaction (portfolio to check)
+   * @returns {boolean} True if every withdrawal is covered
+   */
+  const isCashConsistent = (allTransactions, tx) => {
+    const portfolioId = tx.portfolioId || null
+    return calculateCashLedger(allTransactions.filter(t => (t.portfolioId || null) === portfolioId)).overdrawn <= 1e-6
+  }
+
+  const editTransaction = async (id, updates) => {
+    try {
+      const userId = session?.user?.id
+      const transaction = transactions.find(tx => tx.id === id)
+
+      if (!userId || !transaction) {
+        return { success: false, message: 'Transaction not found' }
+      }
+
+      // Editing one side would unbalance the pair
+      if (isTransferTransaction(transaction)) {
+        return { success: false, message: 'Transfers can only be deleted, not edited' }
+      }
+
+      const quantity = updates.quantity ?? transaction.quantity
+      const price = updates.price ?? transaction.price
+      if (!(quantity > 0) || !(price >= 0)) {
+        return { success: false, message: 'Quantity and price must be positive' }
+      }
+
+      const preview = transactions.map(tx => tx.id === id
+        ? { ...tx, ...updates, quantity, price, total: quantity * price }
+        : tx
+      )
+      const preLedgerQuantity = getPreLedgerQuantity(transaction, transactions)
+      if (!isLedgerConsistent(preview, transaction, preLedgerQuantity)) {
+        return { success: false, message: `Change would sell more ${transaction.symbol} than was bought` }
+      }
+      if (!isCashConsistent(preview, transaction)) {
+        return { success: false, message: 'Change would withdraw more cash than the portfolio holds' }
+      }
+
+      const updated = await transactionService.updateTransaction(id, { ...updates, quantity, price }, userId)
+      const allTransactions = transactions
+        .map(tx => tx.id === id ? updated : tx)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      setTransactions(allTransactions)
+
+      if (!isCashTransaction(updated)) {
+        await recomputeHolding(updated, allTransactions, userId, preLedgerQuantity)
+      }
+
+      return { success: true, message: 'Transaction Updated' }
+    } catch (error) {
+      console.error('Error editing transaction:', error)
+      return { success: false, message: 'Failed to update transaction' }
+    }
+  }
+
+  const removeTransaction = async (id) => {
+    try {
+      const userId = session?.user?.id
+      const transaction = transactions.find(tx => tx.id === id)
+
+      if (!userId || !transaction) {
+        return { success: false, message: 'Transaction not found' }
+      }
+
+      // Both sides of a transfer go together
+      const allTransactions = transactions.filter(tx =>
+        tx.id !== id && !(transaction.transferId && tx.transferId === transaction.transferId)
+      )
+      const preLedgerQuantity = getPreLedgerQuantity(transaction, transactions)
+      if (!isLedgerConsistent(allTransactions, transaction, preLedgerQuantity)) {
+        return { success: false, message: `Deleting this would leave more ${transaction.symbol} sold than bought` }
+      }
+      if (!isCashConsistent(allTransactions, transaction)) {
+        return { success: false, message: 'Deleting this would leave a withdrawal larger than the cash balance' }
+      }
+
+      await transactionService.deleteTransaction(id, userId)
+      setTransactions(allTransactions)
+
+      // Transfers and cash movements never changed a holding
+      if (!isTransferTransaction(transaction) && !isCashTransaction(transaction)) {
+        await recomputeHolding(transaction, allTransactions, userId, preLedgerQuantity)
+      }
+
+      return { success: true, message: 'Transaction Deleted' }
+    } catch (error) {
+      console.error('Error deleting transaction:', error)
+      return { success: false, message: 'Failed to delete transaction' }
+    }
+  }
+
+  /**
+   * Switch the active portfolio (or ALL_PORTFOLIOS for the aggregated view)
+   * @param {string} portfolioId - Portfolio UUID or ALL_PORTFOLIOS
+   */
+  const selectPortfolio = (portfolioId) => {
+    setActivePortfolioId(portfolioId)
+    setStorageItem(STORAGE_KEYS.ACTIVE_PORTFOLIO, portfolioId)
+  }
+
+  const createPortfolio = async (name) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      const portfolio = await portfolioService.createPortfolio(name, userId)
+      setPortfolios(prev => [...prev, portfolio])
+      selectPortfolio(portfolio.id)
+
+      return { success: true, message: `Created ${portfolio.name}`, portfolio }
+    } catch (error) {
+      console.error('Error creating portfolio:', error)
+      return { success: false, message: error.message || 'Failed to create portfolio' }
+    }
+  }
+
+  const renamePortfolio = async (portfolioId, name) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      const portfolio = await portfolioService.renamePortfolio(portfolioId, name, userId)
+      setPortfolios(prev => prev.map(p => p.id === portfolioId ? portfolio : p))
+
+      return { success: true, message: `Renamed to ${portfolio.name}` }
+    } catch (error) {
+      console.error('Error renaming portfolio:', error)
+      return { success: false, message: error.message || 'Failed to rename portfolio' }
+    }
+  }
+
+  const deletePortfolio = async (portfolioId) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      await portfolioService.deletePortfolio(portfolioId, userId)
+
+      const remaining = portfolios.filter(p => p.id !== portfolioId)
+      setPortfolios(remaining)
+      setCoins(prev => prev.filter(c => c.portfolioId !== portfolioId))
+      setTransactions(prev => prev.filter(tx => tx.portfolioId !== portfolioId))
+      if (activePortfolioId === portfolioId) {
+        selectPortfolio((remaining.find(p => p.isDefault) || remaining[0])?.id || null)
+      }
+
+      return { success: true, message: 'Portfolio Deleted' }
+    } catch (error) {
+      console.error('Error deleting portfolio:', error)
+      return { success: false, message: error.message || 'Failed to delete portfolio' }
+    }
+  }
+
+  /**
+   * Save the active portfolio's target allocation (null clears it)
+   * @param {Object|null} target - { mode, tolerance, weights }
+   * @returns {Promise<Object>} { success, message }
+   */
+  const saveTargetAllocation = async (target) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      if (isAggregateView || !activePortfolioId) {
+        return { success: false, message: 'Select a portfolio before setting targets' }
+      }
+
+      const validationError = target ? validateTargetAllocation(target) : null
+      if (validationError) return { success: false, message: validationError }
+
+      const portfolio = await portfolioService.updateTargetAllocation(activePortfolioId, target, userId)
+      setPortfolios(prev => prev.map(p => p.id === activePortfolioId ? portfolio : p))
+
+      return { success: true, message: target ? 'Target Allocation Saved' : 'Target Allocation Cleared' }
+    } catch (error) {
+      console.error('Error saving target allocation:', error)
+      return { success: false, message: error.message || 'Failed to save target allocation' }
+    }
+  }
+
+  /**
+   * Create a recurring buy plan in the active portfolio
+   * @param {Object} planData - { coinId, symbol, name, amount, frequency, startDate, endDate }
+   * @returns {Promise<Object>} { success, message }
+   */
+  const addRecurringBuy = async (planData) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      if (isAggregateView) {
+        return { success: false, message: 'Select a portfolio before adding a recurring buy' }
+      }
+
+      const plan = await recurringBuyService.createRecurringBuy({ ...planData, portfolioId: activePortfolioId }, userId)
+      setRecurringBuys(prev => [...prev, plan])
+
+      return { success: true, message: `${DCA_FREQUENCY_LABELS[plan.frequency]} ${plan.symbol} buy scheduled` }
+    } catch (error) {
+      console.error('Error adding recurring buy:', error)
+      return { success: false, message: error.message || 'Failed to add recurring buy' }
+    }
+  }
+
+  /**
+   * Pause or resume a recurring buy
+   * Runs missed while paused are not caught up, the plan resumes with its next run from today.
+   * @param {Object} plan - Recurring buy plan
+   * @returns {Promise<Object>} { success, message }
+   */
+  const toggleRecurringBuy = async (plan) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      let updates = { isActive: false }
+      if (!plan.isActive) {
+        const nextRunDate = getRunDates(plan, toPlanDate(), '9999-12-31', 1)[0]
+        if (!nextRunDate) {
+          return { success: false, message: 'This plan has ended, create a new one to keep buying' }
+        }
+        updates = { isActive: true, nextRunDate }
+      }
+
+      const updated = await recurringBuyService.updateRecurringBuy(plan.id, updates, userId)
+      setRecurringBuys(prev => prev.map(p => p.id === plan.id ? updated : p))
+
+      return { success: true, message: updated.isActive ? `${plan.symbol} recurring buy resumed` : `${plan.symbol} recurring buy paused` }
+    } catch (error) {
+      console.error('Error updating recurring buy:', error)
+      return { success: false, message: error.message || 'Failed to update recurring buy' }
+    }
+  }
+
+  const removeRecurringBuy = async (planId) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      await recurringBuyService.deleteRecurringBuy(planId, userId)
+      setRecurringBuys(prev => prev.filter(p => p.id !== planId))
+      setTransactions(prev => prev.map(tx => tx.recurringBuyId === planId ? { ...tx, recurringBuyId: null } : tx))
+
+      return { success: true, message: 'Recurring Buy Deleted' }
+    } catch (error) {
+      console.error('Error deleting recurring buy:', error)
+      return { success: false, message: error.message || 'Failed to delete recurring buy' }
+    }
+  }
+
+  /**
+   * Create a portfolio alert for the active portfolio (or every portfolio in the aggregated view)
+   * It is checked right away, so a threshold that is already crossed fires immediately.
+   * @param {Object} alertData - { metric, condition, threshold, coinId, symbol }
+   * @returns {Promise<Object>} { success, message }
+   */
+  const addPortfolioAlert = async (alertData) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      const alert = await portfolioAlertService.createPortfolioAlert(
+        { ...alertData, portfolioId: isAggregateView ? null : activePortfolioId },
+        userId
+      )
+      setPortfolioAlerts(prev => [alert, ...prev])
+      checkPortfolioAlerts([alert])
+
+      return { success: true, message: 'Portfolio alert created' }
+    } catch (error) {
+      console.error('Error adding portfolio alert:', error)
+      return { success: false, message: error.message || 'Failed to create portfolio alert' }
+    }
+  }
+
+  const removePortfolioAlert = async (alertId) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      await portfolioAlertService.deletePortfolioAlert(alertId, userId)
+      setPortfolioAlerts(prev => prev.filter(a => a.id !== alertId))
+
+      return { success: true, message: 'Portfolio alert deleted' }
+    } catch (error) {
+      console.error('Error deleting portfolio alert:', error)
+      return { success: false, message: error.message || 'Failed to delete portfolio alert' }
+    }
+  }
+
+  /**
+   * Attach a trailing stop or take-profit ladder to a holding
+   * A trailing stop's peak starts at the current price; sell shares are of the quantity held now.
+   * @param {Object} coin - Holding
+   * @param {Object} alertData - { condition, thresholdPercent, sellPercent, ladder }
+   * @returns {Promise<Object>} { success, message }
+   */
+  const addHoldingAlert = async (coin, alertData) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      const alert = await alertService.createAlert({
+        ...alertData,
+        coinId: coin.coinId,
+        coinName: coin.name,
+        symbol: coin.symbol,
+        portfolioId: coin.portfolioId || null,
+        peakPrice: coin.currentPrice,
+        baseQuantity: coin.quantity
+      }, userId)
+      setHoldingAlerts(prev => [...prev, alert])
+
+      const label = alert.condition === ALERT_CONDITIONS.TRAILING_STOP ? 'Trailing stop' : 'Take-profit ladder'
+      return { success: true, message: `${label} set on ${coin.symbol}` }
+    } catch (error) {
+      console.error('Error adding holding alert:', error)
+      return { success: false, message: error.message || 'Failed to set alert' }
+    }
+  }
+
+  const removeHoldingAlert = async (alertId) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      await alertService.deleteAlert(alertId, userId)
+      setHoldingAlerts(prev => prev.filter(a => a.id !== alertId))
+
+      return { success: true, message: 'Alert removed' }
+    } catch (error) {
+      console.error('Error removing holding alert:', error)
+      return { success: false, message: error.message || 'Failed to remove alert' }
+    }
+  }
+
+  /**
+   * Clear the sell a fired holding alert left for review, once it is sold or dismissed
+   * @param {string} alertId - Alert UUID
+   * @returns {Promise<Object>} { success, message }
+   */
+  const resolveAlertSell = async (alertId) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      await alertService.clearPendingSell(alertId, userId)
+      setHoldingAlerts(prev => prev
+        .map(a => a.id === alertId ? { ...a, pendingSellPercent: null } : a)
+        .filter(a => a.isActive || a.pendingSellPercent > 0))
+
+      return { success: true, message: 'Alert sell cleared' }
+    } catch (error) {
+      console.error('Error clearing alert sell:', error)
+      return { success: false, message: error.message || 'Failed to clear alert sell' }
+    }
+  }
+
+  /**
+   * Recorded daily values of one portfolio (null = all summed) for drawdown alerts
+   * Snapshots only change once a day, so they are fetched once per day per portfolio.
+   * @param {string|null} portfolioId - Portfolio UUID
+   * @param {string} today - YYYY-MM-DD
+   * @returns {Promise<Array>} [{ date, value }]
+   */
+  const getDrawdownHistory = async (portfolioId, today) => {
+    const key = portfolioId || ALL_PORTFOLIOS
+    const cached = drawdownHistoryRef.current[key]
+    if (cached?.date === today) return cached.history
+
+    const history = await getHistoryForRange(DRAWDOWN_HISTORY_DAYS, session?.user?.id, portfolioId)
+    drawdownHistoryRef.current[key] = { date: today, history }
+    return history
+  }
+
+  /**
+   * Evaluate portfolio alerts against the current holdings and fire the crossed ones
+   * Alerts are grouped by portfolio so each scope's values are worked out once.
+   * @param {Array} alerts - Portfolio alerts to check
+   * @returns {Promise<void>}
+   */
+  const checkPortfolioAlerts = async (alerts) => {
+    const userId = session?.user?.id
+    const active = alerts.filter(alert => alert.isActive)
+    if (!userId || active.length === 0 || checkingPortfolioAlertsRef.current) return
+
+    checkingPortfolioAlertsRef.current = true
+    try {
+      const today = toPlanDate()
+      const scopes = [...new Set(active.map(alert => alert.portfolioId || null))]
+      const valuesByScope = {}
+
+      for (const portfolioId of scopes) {
+        const scopedCoins = portfolioId ? coins.filter(c => c.portfolioId === portfolioId) : mergeHoldingsByCoin(coins)
+        const scopedTransactions = portfolioId ? transactions.filter(t => t.portfolioId === portfolioId) : transactions
+        const needsHistory = active.some(alert =>
+          (alert.portfolioId || null) === portfolioId && alert.metric === PORTFOLIO_ALERT_METRICS.DRAWDOWN
+        )
+
+        valuesByScope[portfolioId || ALL_PORTFOLIOS] = getPortfolioAlertValues(scopedCoins, {
+          cash: portfolioId
+            ? cashByPortfolio[portfolioId] || combineCashLedgers([])
+            : combineCashLedgers(Object.values(cashByPortfolio)),
+          history: needsHistory ? await getDrawdownHistory(portfolioId, today) : null,
+          flows: getDailyCashFlows(scopedTransactions),
+          today
+        })
+      }
+      setPortfolioAlertValues(prev => ({ ...prev, ...valuesByScope }))
+
+      for (const alert of active) {
+        const { triggered, value } = evaluatePortfolioAlert(alert, valuesByScope[alert.portfolioId || ALL_PORTFOLIOS])
+        if (!triggered) continue
+
+        // Another tab may have fired it already
+        const fired = await portfolioAlertService.triggerPortfolioAlert(alert.id, userId)
+        if (!fired) continue
+
+        setPortfolioAlerts(prev => prev.map(a => a.id === alert.id ? fired : a))
+        addNotification({
+          type: 'portfolio_alert',
+          coin: alert.portfolioId ? portfolios.find(p => p.id === alert.portfolioId)?.name || 'Portfolio' : 'All Portfolios',
+          price: value,
+          message: getPortfolioAlertMessage(alert, value, formatCurrency)
+        })
+      }
+    } catch (error) {
+      console.error('Error checking portfolio alerts:', error)
+    } finally {
+      checkingPortfolioAlertsRef.current = false
+    }
+  }
+
+  /**
+   * Fetch market prices for due recurring buys so they can be reviewed
+   * @param {Array} dueRuns - Entries of dueRecurringBuys
+   * @returns {Promise<Object>} { runs: [{ plan, date, price, quantity }], isLive }
+   */
+  const quoteRecurringBuys = async (dueRuns) => {
+    const quoteCoins = [...new Map(dueRuns.map(({ plan }) => [plan.coinId, {
+      coinId: plan.coinId,
+      symbol: plan.symbol,
+      currentPrice: coins.find(c => c.coinId === plan.coinId)?.currentPrice || 0
+    }])).values()]
+
+    const result = await fetchPricesWithFallback(quoteCoins, 'usd')
+
+    return {
+      runs: dueRuns.map(({ plan, date }) => {
+        const price = result.data[plan.coinId]?.usd || 0
+        return { plan, date, price, quantity: price > 0 ? plan.amount / price : 0 }
+      }),
+      isLive: result.success && result.source === 'api'
+    }
+  }
+
+  /**
+   * Record reviewed recurring buys as BUY transactions and move each plan to its next run
+   * Runs left out of the review are skipped, not kept for later.
+   * @param {Array} runs - [{ plan, date, price, include }] oldest first per plan
+   * @returns {Promise<Object>} { success, message }
+   */
+  const executeRecurringBuys = async (runs) => {
+    const userId = session?.user?.id
+    if (!userId) return { success: false, message: 'You must be logged in' }
+
+    const inserted = []
+    let failed = 0
+
+    for (const run of runs.filter(r => r.include)) {
+      try {
+        const quantity = run.plan.amount / run.price
+        const newTransaction = await transactionService.addTransaction({
+          portfolioId: run.plan.portfolioId,
+          coinId: run.plan.coinId,
+          symbol: run.plan.symbol,
+          name: run.plan.name,
+          action: 'BUY',
+          quantity,
+          price: run.price,
+          total: run.plan.amount,
+          recurringBuyId: run.plan.id
+        }, userId)
+        inserted.push(newTransaction)
+        addNotification('buy', run.plan.symbol, quantity, run.price)
+      } catch (error) {
+        console.error(`Error recording ${run.plan.symbol} recurring buy for ${run.date}:`, error)
+        failed++
+      }
+    }
+
+    const allTransactions = [...inserted, ...transactions]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    setTransactions(allTransactions)
+
+    // One rebuild per holding, however many runs it received
+    const touched = new Map(inserted.map(tx => [`${tx.portfolioId}:${tx.coinId}`, tx]))
+    for (const tx of touched.values()) {
+      try {
+        await recomputeHolding(tx, allTransactions, userId, getPreLedgerQuantity(tx, transactions))
+      } catch (error) {
+        console.error(`Error rebuilding ${tx.symbol} holding after recurring buy:`, error)
+      }
+    }
+
+    // Executed and skipped runs both move the plan past the latest reviewed date
+    const lastDateByPlan = new Map()
+    for (const run of runs) {
+      lastDateByPlan.set(run.plan.id, { plan: run.plan, date: run.date })
+    }
+    for (const { plan, date } of lastDateByPlan.values()) {
+      try {
+        const nextRunDate = getNextRunDate(plan, date)
+        const updated = await recurringBuyService.updateRecurringBuy(
+          plan.id,
+          { nextRunDate, isActive: !!nextRunDate },
+          userId
+        )
+        setRecurringBuys(prev => prev.map(p => p.id === plan.id ? updated : p))
+      } catch (error) {
+        console.error(`Error advancing ${plan.symbol} recurring buy:`, error)
+      }
+    }
+
+    if (failed > 0) {
+      return { success: false, message: `Recorded ${inserted.length} buys, ${failed} failed` }
+    }
+    return {
+      success: true,
+      message: inserted.length > 0
+        ? `Recorded ${inserted.length} recurring buy${inserted.length === 1 ? '' : 's'}`
+        : 'Skipped the due recurring buys'
+    }
+  }
+
+  const addLocation = async (locationData) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      const location = await locationService.createLocation(locationData, userId)
+      setLocations(prev => [...prev, location])
+
+      return { success: true, message: `Added ${location.name}`, location }
+    } catch (error) {
+      console.error('Error adding location:', error)
+      return { success: false, message: error.message || 'Failed to add location' }
+    }
+  }
+
+  const editLocation = async (locationId, updates) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      const location = await locationService.updateLocation(locationId, updates, userId)
+      setLocations(prev => prev.map(l => l.id === locationId ? location : l))
+
+      return { success: true, message: 'Location Updated' }
+    } catch (error) {
+      console.error('Error updating location:', error)
+      return { success: false, message: error.message || 'Failed to update location' }
+    }
+  }
+
+  const removeLocation = async (locationId) => {
+    try {
+      const userId = session?.user?.id
+      if (!userId) return { success: false, message: 'You must be logged in' }
+
+      await locationService.deleteLocation(locationId, userId)
+      setLocations(prev => prev.filter(l => l.id !== locationId))
+      setTransactions(prev => prev.map(tx => tx.locationId === locationId ? { ...tx, locationId: null } : tx))
+
+      return { success: true, message: 'Location Deleted' }
+    } catch (error) {
+      console.error('Error deleting location:', error)
+      return { success: false, message: error.message || 'Failed to delete location' }
+    }
+  }
+
   const changeCurrency = async (newCurrency) => {
     if (!SUPPORTED_CURRENCIES[newCurrency]) return
     
@@ -515,6 +1638,189 @@ export const PortfolioProvider = ({ children }) => {
     }
   }
 
+  const changeCostBasisMethod = async (newMethod) => {
+    if (!isValidCostBasisMethod(newMethod)) return
+
+    setCostBasisMethod(newMethod)
+
+    if (user) {
+      try {
+        const { error } = await supabase
+          .from('user_settings')
+          .update({ cost_basis_method: newMethod })
+          .eq('user_id', user.id)
+
+        if (error) {
+          console.error('Error updating cost basis method:', error)
+        }
+      } catch (error) {
+        console.error('Error updating cost basis method:', error)
+      }
+    }
+  }
+
+  // Holdings and transactions of the active portfolio (merged per coin in the aggregated view)
+  const activeTransactions = useMemo(
+    () => transactions.filter(inActivePortfolio),
+    [transactions, inActivePortfolio]
+  )
+
+  const activeCoins = useMemo(
+    () => isAggregateView ? mergeHoldingsByCoin(coins) : coins.filter(inActivePortfolio),
+    [coins, isAggregateView, inActivePortfolio]
+  )
+
+  // Holdings per portfolio, pre-ledger quantity opens a lot at the stored buy price
+  const activeHoldings = useMemo(
+    () => coins.filter(inActivePortfolio),
+    [coins, inActivePortfolio]
+  )
+
+  // Tax lots replayed from the transaction ledger, attached to each holding
+  const taxLots = useMemo(
+    () => buildTaxLots(activeTransactions, costBasisMethod, activeHoldings),
+    [activeTransactions, costBasisMethod, activeHoldings]
+  )
+
+  const coinsWithLots = useMemo(
+    () => attachTaxLots(activeCoins, taxLots, costBasisMethod),
+    [activeCoins, taxLots, costBasisMethod]
+  )
+
+  // Realized gains ledger (one entry per SELL, with coin/month/year totals)
+  const realizedGains = useMemo(
+    () => buildRealizedGainsLedger(activeTransactions, costBasisMethod, activeHoldings),
+    [activeTransactions, costBasisMethod, activeHoldings]
+  )
+
+  // Staking rewards, airdrops, mining and interest at fair market value on receipt
+  const incomeLedger = useMemo(
+    () => buildIncomeLedger(activeTransactions),
+    [activeTransactions]
+  )
+
+  // Cash balance per portfolio: deposits, withdrawals and trade settlements
+  const cashByPortfolio = useMemo(
+    () => calculateCashByPortfolio(transactions),
+    [transactions]
+  )
+
+  const cash = useMemo(
+    () => isAggregateView
+      ? combineCashLedgers(Object.values(cashByPortfolio))
+      : cashByPortfolio[activePortfolioId || ''] || combineCashLedgers([]),
+    [cashByPortfolio, isAggregateView, activePortfolioId]
+  )
+
+  // Current vs target weights (targets are set per portfolio)
+  const allocationTarget = isAggregateView
+    ? null
+    : portfolios.find(p => p.id === activePortfolioId)?.targetAllocation || null
+
+  const allocationDrift = useMemo(
+    () => allocationTarget ? calculateAllocationDrift(activeCoins, allocationTarget) : [],
+    [activeCoins, allocationTarget]
+  )
+
+  // Recurring buys waiting for review, oldest first
+  const dueRecurringBuys = useMemo(
+    () => recurringBuys
+      .filter(inActivePortfolio)
+      .flatMap(plan => getDueRuns(plan).map(date => ({ plan, date })))
+      .sort((a, b) => a.date.localeCompare(b.date)),
+    [recurringBuys, inActivePortfolio]
+  )
+
+  // Remind once a day about each plan with runs to review
+  useEffect(() => {
+    if (dueRecurringBuys.length === 0) return
+
+    const today = toPlanDate()
+    const reminded = getStorageItem(STORAGE_KEYS.RECURRING_BUY_REMINDERS, {})
+    const plans = [...new Map(dueRecurringBuys.map(({ plan }) => [plan.id, plan])).values()]
+      .filter(plan => reminded[plan.id] !== today)
+    if (plans.length === 0) return
+
+    plans.forEach(plan => {
+      const runs = dueRecurringBuys.filter(run => run.plan.id === plan.id).length
+      const schedule = `${DCA_FREQUENCY_LABELS[plan.frequency].toLowerCase()} ${formatCurrency(plan.amount)} ${plan.symbol}`
+      addNotification({
+        type: 'recurring_buy',
+        coin: plan.symbol,
+        price: plan.amount,
+        message: runs === 1
+          ? `Your ${schedule} buy is due, review it on the Portfolio page`
+          : `${runs} ${schedule} buys are due, review them on the Portfolio page`
+      })
+      reminded[plan.id] = today
+    })
+    setStorageItem(STORAGE_KEYS.RECURRING_BUY_REMINDERS, reminded)
+  }, [dueRecurringBuys])
+
+  // Portfolio alerts are checked with every price refresh
+  useEffect(() => {
+    if (!lastUpdateLocal) return
+    if (!notificationSettings.priceAlertsEnabled) return
+    checkPortfolioAlerts(portfolioAlerts)
+  }, [lastUpdateLocal])
+
+  // Holding alerts are checked by the alert engine, so their peaks and pending
+  // sells are re-read only when it writes to one of them
+  useEffect(() => {
+    const userId = session?.user?.id
+    if (!userId) return
+
+    const channel = supabase
+      .channel('holding-alerts-channel')
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'price_alerts',
+          filter: `user_id=eq.${userId}`
+        },
+        (payload) => {
+          if (isHoldingCondition(payload.new?.condition)) {
+            alertService.getHoldingAlerts(userId).then(setHoldingAlerts)
+          }
+        }
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(channel)
+    }
+  }, [session?.user?.id])
+
+  // Alerts of the active view with the value each one watches
+  const activePortfolioAlerts = useMemo(
+    () => portfolioAlerts
+      .filter(alert => isAggregateView ? !alert.portfolioId : alert.portfolioId === activePortfolioId)
+      .map(alert => {
+        const values = portfolioAlertValues[alert.portfolioId || ALL_PORTFOLIOS]
+        return { ...alert, currentValue: values ? getPortfolioAlertValue(alert, values) : null }
+      }),
+    [portfolioAlerts, portfolioAlertValues, isAggregateView, activePortfolioId]
+  )
+
+  // Quantity of each coin per location (exchange, wallet, unassigned)
+  const locationBreakdown = useMemo(
+    () => calculateLocationBreakdown(activeTransactions, activeCoins),
+    [activeTransactions, activeCoins]
+  )
+
+  // Value and cost of each portfolio, for the aggregated Dashboard breakdown
+  const portfolioBreakdown = useMemo(
+    () => portfolios.map(portfolio => ({
+      ...portfolio,
+      metrics: calculatePortfolioMetrics(coins.filter(c => c.portfolioId === portfolio.id), {
+        cash: cashByPortfolio[portfolio.id] || combineCashLedgers([])
+      })
+    })),
+    [portfolios, coins, cashByPortfolio]
+  )
+
   const formatCurrency = (amountInUSD) => {
     if (!exchangeRates) {
       // Fallback if rates not loaded yet
@@ -527,27 +1833,28 @@ export const PortfolioProvider = ({ children }) => {
 
   // Calculate portfolio metrics using utility function
   const calculateMetrics = () => {
-    return calculatePortfolioMetrics(coins)
+    return calculatePortfolioMetrics(coinsWithLots, {
+      realizedProfitLoss: realizedGains.totals.realizedProfitLoss,
+      cash
+    })
   }
 
-  // Save initial snapshot on mount if portfolio has value
+  // Save initial snapshots on mount if the portfolios have value
   useEffect(() => {
     if (coins.length > 0 && user) {
-      const metrics = calculatePortfolioMetrics(coins)
-      if (metrics.totalValue > 0) {
-        savePortfolioSnapshot(metrics.totalValue, user.id).catch(err => 
-          console.warn('Failed to save initial snapshot:', err)
-        )
-      }
+      savePortfolioSnapshots(coins, user.id)
     }
   }, []) // Run once on mount
 
   const value = {
-    coins,
+    coins: coinsWithLots,
     addCoin,
     updateCoin,
     deleteCoin,
     sellCoin,
+    importTransactions,
+    editTransaction,
+    removeTransaction,
     currency,
     changeCurrency,
     formatCurrency,
@@ -558,9 +1865,51 @@ export const PortfolioProvider = ({ children }) => {
     lastUpdate: lastUpdateLocal,
     apiStatus,
     refreshPrices,
+    reloadHoldings,
     exchangeRates,
     supportedCurrencies: SUPPORTED_CURRENCIES,
-    transactions
+    transactions: activeTransactions,
+    portfolios,
+    activePortfolioId,
+    activePortfolio: portfolios.find(p => p.id === activePortfolioId) || null,
+    isAggregateView,
+    portfolioBreakdown,
+    selectPortfolio,
+    createPortfolio,
+    renamePortfolio,
+    deletePortfolio,
+    allocationTarget,
+    allocationDrift,
+    saveTargetAllocation,
+    executeRebalancePlan,
+    recurringBuys: recurringBuys.filter(inActivePortfolio),
+    dueRecurringBuys,
+    addRecurringBuy,
+    toggleRecurringBuy,
+    removeRecurringBuy,
+    quoteRecurringBuys,
+    executeRecurringBuys,
+    portfolioAlerts: activePortfolioAlerts,
+    addPortfolioAlert,
+    removePortfolioAlert,
+    holdingAlerts: holdingAlerts.filter(inActivePortfolio),
+    addHoldingAlert,
+    removeHoldingAlert,
+    resolveAlertSell,
+    locations,
+    locationBreakdown,
+    transferCoin,
+    cash,
+    depositCash,
+    withdrawCash,
+    addLocation,
+    editLocation,
+    removeLocation,
+    taxLots,
+    realizedGains,
+    incomeLedger,
+    costBasisMethod,
+    changeCostBasisMethod
   }
 
   return (
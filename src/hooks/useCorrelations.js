@@ -0,0 +1,90 @@
+/**
+ * useCorrelationAnalysis Hook - How much held coins move together
+ * Loads daily prices for every held coin (stablecoins excluded) and derives the
+ * correlation matrix and the effective number of independent bets over a window.
+ * Weights follow live prices, only the matrix waits on history requests.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { usePortfolio } from '../context/PortfolioContext';
+import { fetchPriceSeriesForCoins } from '../services/historicalApi';
+import { STABLECOIN_IDS } from '../utils/cash';
+import {
+  getRiskWindowStartDate,
+  getDailyReturns,
+  calculateCorrelationMatrix,
+  calculateEffectiveBets
+} from '../utils/risk';
+
+export const useCorrelationAnalysis = (days = 90) => {
+  const { coins } = usePortfolio();
+  const [correlations, setCorrelations] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const holdings = coins.filter(coin =>
+    !STABLECOIN_IDS.includes(coin.coinId) && coin.quantity > 0 && coin.currentPrice > 0
+  );
+  const holdingKey = holdings.map(coin => coin.coinId).sort().join(',');
+
+  useEffect(() => {
+    if (holdings.length < 2) {
+      setCorrelations(null);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    const loadCorrelations = async () => {
+      setLoading(true);
+      try {
+        const startDate = getRiskWindowStartDate(days);
+
+        const seriesByCoin = await fetchPriceSeriesForCoins(holdings.map(coin => coin.coinId), startDate, { isCancelled: () => cancelled });
+        if (cancelled) return;
+        const returnsByCoin = Object.fromEntries(holdings.map(coin => [
+          coin.coinId,
+          getDailyReturns(seriesByCoin[coin.coinId].filter(point => point.date >= startDate))
+        ]));
+
+        setCorrelations({ startDate, ...calculateCorrelationMatrix(returnsByCoin) });
+      } catch (error) {
+        console.error('❌ Error loading correlations:', error);
+        setCorrelations(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadCorrelations();
+    return () => {
+      cancelled = true;
+    };
+  }, [days, holdingKey]);
+
+  return useMemo(() => {
+    if (!correlations) {
+      return { loading, startDate: null, holdings: [], matrix: [], effectiveBets: null };
+    }
+
+    const values = correlations.keys.map(coinId => {
+      const coin = coins.find(c => c.coinId === coinId);
+      return coin ? coin.quantity * coin.currentPrice : 0;
+    });
+    const totalValue = values.reduce((sum, value) => sum + value, 0);
+    const weights = values.map(value => totalValue > 0 ? value / totalValue : 0);
+
+    return {
+      loading,
+      startDate: correlations.startDate,
+      holdings: correlations.keys.map((coinId, i) => ({
+        coinId,
+        symbol: coins.find(c => c.coinId === coinId)?.symbol || coinId,
+        weight: weights[i] * 100
+      })),
+      matrix: correlations.matrix,
+      effectiveBets: calculateEffectiveBets(weights, correlations.matrix)
+    };
+  }, [correlations, coins, loading]);
+};
+
+export default useCorrelationAnalysis;
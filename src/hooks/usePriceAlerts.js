@@ -7,19 +7,24 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNotifications } from '../context/NotificationContext';
-import { getActiveAlerts, triggerAlert } from '../services/alertService';
-import { fetchCurrentPrices } from '../services/cryptoApi';
+import { getActiveAlerts, checkAlert } from '../services/alertService';
+import { getCoinPrices } from '../services/coinService';
+import { recordPrices } from '../services/priceBuffer';
+import { describeAlert } from '../utils/alertConditions';
 
 // Check alerts every 8 seconds for near real-time monitoring
 const ALERT_CHECK_INTERVAL = 8000;
 
+// One key per firing: a repeating alert gets a new key each time it fires
+const getFiringKey = (alert) => `${alert.id}:${alert.triggeredAt || ''}`;
+
 export const usePriceAlertChecker = () => {
   const { user } = useAuth();
   const { addNotification, settings } = useNotifications();
   const [alerts, setAlerts] = useState([]);
   const [isChecking, setIsChecking] = useState(false);
   const intervalRef = useRef(null);
-  const triggeredAlertsRef = useRef(new Set()); // Prevent duplicate triggers
+  const triggeredAlertsRef = useRef(new Set()); // Prevent duplicate triggers (per firing, so repeating alerts can fire again)
 
   /**
    * Load all active alerts for the user
@@ -61,8 +66,8 @@ export const usePriceAlertChecker = () => {
       // Group alerts by coin to minimize API calls
       const coinMap = new Map();
       alerts.forEach(alert => {
-        // Skip if already triggered in this session (duplicate prevention)
-        if (triggeredAlertsRef.current.has(alert.id)) {
+        // Skip if this firing was already handled in this session (duplicate prevention)
+        if (triggeredAlertsRef.current.has(getFiringKey(alert))) {
           return;
         }
         
@@ -81,91 +86,72 @@ export const usePriceAlertChecker = () => {
       console.log(`📈 Fetching prices for ${coinMap.size} coins...`);
 
       // Fetch current prices for all coins with alerts
-      const coins = Array.from(coinMap.keys()).map(coinId => ({ coinId }));
-      const pricesResult = await fetchCurrentPrices(coins, 'usd');
+      const prices = await getCoinPrices(Array.from(coinMap.keys()), 'usd');
 
-      if (!pricesResult.success) {
+      if (!prices || Object.keys(prices).length === 0) {
         console.warn('⚠️ Failed to fetch prices for alert checking');
         setIsChecking(false);
         return;
       }
 
+      // Feed the rolling buffer that percentage-move alerts look back over
+      recordPrices(Object.fromEntries(Object.entries(prices).map(([coinId, quote]) => [coinId, quote.price])));
+
       // Check each alert against current price
       const triggeredAlerts = [];
+      let needsReload = false;
 
       for (const [coinId, coinAlerts] of coinMap.entries()) {
-        const priceData = pricesResult.data[coinId];
+        const quote = prices[coinId];
         
-        if (!priceData || !priceData.usd) {
+        if (!quote || !quote.price) {
           console.warn(`⚠️ No price data for ${coinId}`);
           continue;
         }
 
-        // SAFE NUMBER COMPARISON - Always convert to Number
-        const currentPrice = Number(priceData.usd);
+        const currentPrice = Number(quote.price);
 
         console.log(`💰 ${coinId}: Current price = $${currentPrice}`);
 
         for (const alert of coinAlerts) {
-          const targetPrice = Number(alert.targetPrice);
-          let shouldTrigger = false;
-
-          console.log(`   📌 Alert: ${alert.condition} $${targetPrice}`);
-
-          // Safe number comparison with explicit Number() conversion
-          if (alert.condition === 'above' && currentPrice >= targetPrice) {
-            shouldTrigger = true;
-            console.log(`   ✅ TRIGGER: Price $${currentPrice} >= $${targetPrice}`);
-          } else if (alert.condition === 'below' && currentPrice <= targetPrice) {
-            shouldTrigger = true;
-            console.log(`   ✅ TRIGGER: Price $${currentPrice} <= $${targetPrice}`);
+          console.log(`   📌 Alert: ${describeAlert(alert)}`);
+
+          // Mark the firing in session first so an overlapping check can't repeat it
+          const firingKey = getFiringKey(alert);
+          triggeredAlertsRef.current.add(firingKey);
+
+          try {
+            // Arms, evaluates and atomically fires the alert (updates the row and logs the event)
+            const check = await checkAlert(alert, quote, user.id);
+
+            if (!check.triggered) {
+              triggeredAlertsRef.current.delete(firingKey);
+              // Re-armed, or another checker fired it first: either way the local copy is stale
+              needsReload = needsReload || check.alert !== alert || !!check.result?.triggered;
+              continue;
+            }
+
+            console.log(`   ✅ TRIGGER: ${describeAlert(alert)} at $${currentPrice}`);
+            triggeredAlerts.push(alert);
+
+            await addNotification({
+              type: 'alert',
+              coin: alert.coinName,
+              message: check.message,
+              price: currentPrice,
+              quantity: alert.targetPrice ?? 0
+            });
+            console.log(`✅ Alert triggered successfully: ${alert.symbol} ${describeAlert(alert)}`);
+          } catch (error) {
+            console.error('❌ Error processing triggered alert:', error);
+            // Remove from triggered set if processing failed (allow retry)
+            triggeredAlertsRef.current.delete(firingKey);
           }
-
-          if (shouldTrigger) {
-            triggeredAlerts.push({ alert, currentPrice });
-          }
-        }
-      }
-
-      // Process triggered alerts
-      if (triggeredAlerts.length > 0) {
-        console.log(`🔔 Processing ${triggeredAlerts.length} triggered alert(s)...`);
-      }
-
-      for (const { alert, currentPrice } of triggeredAlerts) {
-        try {
-          // Mark as triggered in session to prevent duplicates
-          triggeredAlertsRef.current.add(alert.id);
-
-          console.log(`🚀 Triggering alert: ${alert.symbol} ${alert.condition} $${alert.targetPrice}`);
-
-          // 1. Mark alert as triggered in database (sets is_active = false, triggered_at = NOW())
-          await triggerAlert(alert.id, user.id);
-          console.log(`   ✓ Database updated`);
-
-          // 2. Create notification
-          const conditionText = alert.condition === 'above' ? 'above' : 'below';
-          const message = `${alert.symbol.toUpperCase()} crossed your ${conditionText} target of $${alert.targetPrice.toLocaleString()}. Current price: $${currentPrice.toLocaleString()}`;
-
-          await addNotification({
-            type: 'alert',
-            coin: alert.coinName,
-            message: message,
-            price: currentPrice,
-            quantity: alert.targetPrice
-          });
-          console.log(`   ✓ Notification created`);
-
-          console.log(`✅ Alert triggered successfully: ${alert.symbol} ${conditionText} $${alert.targetPrice}`);
-        } catch (error) {
-          console.error('❌ Error processing triggered alert:', error);
-          // Remove from triggered set if processing failed (allow retry)
-          triggeredAlertsRef.current.delete(alert.id);
         }
       }
 
-      // Reload alerts to remove triggered ones from state
-      if (triggeredAlerts.length > 0) {
+      // Reload alerts to drop one-shot alerts and pick up new firing times
+      if (triggeredAlerts.length > 0 || needsReload) {
         console.log('🔄 Reloading alerts after triggers...');
         await loadAlerts();
       }
@@ -11,6 +11,12 @@ import HealthMeter from '../components/HealthMeter'
 import InsightCard from '../components/InsightCard'
 import ComparisonChart from '../components/ComparisonChart'
 import SnapshotCard from '../components/SnapshotCard'
+import ReturnsCard from '../components/ReturnsCard'
+import BacktestCard from '../components/BacktestCard'
+import RiskCard from '../components/RiskCard'
+import CorrelationCard from '../components/CorrelationCard'
+import ScenarioCard from '../components/ScenarioCard'
+import { calculateStablecoinValue } from '../utils/cash'
 
 // Feature Flags - Control visibility of dashboard sections
 const FEATURE_HISTORY_ANALYTICS = false // Historical Performance section staged for v1.2
@@ -20,9 +26,20 @@ const Dashboard = () => {
     coins, 
     formatCurrency, 
     loading, 
-    priceLoading
+    priceLoading,
+    realizedGains,
+    isAggregateView,
+    activePortfolio,
+    portfolioBreakdown,
+    selectPortfolio
   } = usePortfolio()
   const metrics = usePortfolio().calculateMetrics()
+  const stablecoinValue = calculateStablecoinValue(coins)
+
+  // Realized return relative to the cost basis of the lots that were sold
+  const realizedReturnPercentage = realizedGains.totals.costBasis > 0
+    ? (realizedGains.totals.realizedProfitLoss / realizedGains.totals.costBasis) * 100
+    : 0
 
   if (loading) {
     return (
@@ -42,30 +59,53 @@ const Dashboard = () => {
       {coins.length > 0 && (
         <div className="mb-2">
           <h1 className="text-4xl font-black text-white mb-2 tracking-tight">Dashboard</h1>
-          <p className="text-base text-gray-400 opacity-70">Overview of your crypto portfolio</p>
+          <p className="text-base text-gray-400 opacity-70">
+            {isAggregateView ? 'Combined overview of all your portfolios' : `Overview of ${activePortfolio?.name || 'your crypto portfolio'}`}
+          </p>
         </div>
       )}
 
       {/* Stats Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         <StatCard
           title="Total Portfolio Value"
           value={formatCurrency(metrics.totalValue || 0)}
           icon="💰"
           color="blue"
-          subtitle={`Invested: ${formatCurrency(metrics.totalInvested || 0)}`}
+          subtitle={`Cash: ${formatCurrency(metrics.cashBalance || 0)} · Stablecoins: ${formatCurrency(stablecoinValue)}`}
           loading={priceLoading}
         />
+
+        <StatCard
+          title="Net Invested Capital"
+          value={formatCurrency(metrics.netInvested || 0)}
+          icon="🏦"
+          color="purple"
+          subtitle={`Holdings cost basis: ${formatCurrency(metrics.totalInvested || 0)}`}
+          trend={(metrics.accountProfitLoss || 0) >= 0 ? "up" : "down"}
+          trendValue={`${(metrics.accountProfitLoss || 0) >= 0 ? '+' : '-'}${Math.abs(metrics.accountReturnPercentage || 0).toFixed(2)}%`}
+        />
         
         <StatCard
-          title="Total Profit/Loss"
+          title="Unrealized P/L"
           value={formatCurrency(Math.abs(metrics.totalProfitLoss || 0))}
+          subtitle="Paper gains on current holdings"
           icon={(metrics.totalProfitLoss || 0) >= 0 ? "📈" : "📉"}
           color={(metrics.totalProfitLoss || 0) >= 0 ? "green" : "pink"}
           trend={(metrics.totalProfitLoss || 0) >= 0 ? "up" : "down"}
           trendValue={`${(metrics.totalProfitLoss || 0) >= 0 ? '+' : '-'}${Math.abs(metrics.profitLossPercentage || 0).toFixed(2)}%`}
           loading={priceLoading}
         />
+
+        <StatCard
+          title="Realized P/L"
+          value={formatCurrency(Math.abs(metrics.realizedProfitLoss || 0))}
+          subtitle={`Locked in from ${realizedGains.totals.sellCount} sell${realizedGains.totals.sellCount !== 1 ? 's' : ''}`}
+          icon="🔒"
+          color={(metrics.realizedProfitLoss || 0) >= 0 ? "green" : "pink"}
+          trend={(metrics.realizedProfitLoss || 0) >= 0 ? "up" : "down"}
+          trendValue={`${(metrics.realizedProfitLoss || 0) >= 0 ? '+' : '-'}${Math.abs(realizedReturnPercentage).toFixed(2)}%`}
+        />
         
         <StatCard
           title="Best Performer"
@@ -90,6 +130,44 @@ const Dashboard = () => {
         />
       </div>
 
+      {/* Per-portfolio breakdown (aggregated view only) */}
+      {isAggregateView && (
+        <div className="bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-blue/40 transition-all duration-500 hover:shadow-xl hover:shadow-neon-blue/10 animate-fadeIn">
+          <div className="mb-6">
+            <h2 className="text-2xl font-bold text-white mb-2">Portfolios</h2>
+            <p className="text-sm text-gray-400 opacity-70">How the combined value splits across your portfolios</p>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+            {portfolioBreakdown.map(portfolio => {
+              const share = metrics.totalValue > 0 ? (portfolio.metrics.totalValue / metrics.totalValue) * 100 : 0
+              const isPositive = portfolio.metrics.totalProfitLoss >= 0
+
+              return (
+                <button
+                  key={portfolio.id}
+                  onClick={() => selectPortfolio(portfolio.id)}
+                  className="text-left bg-dark-tertiary rounded-xl p-5 border-2 border-transparent hover:border-neon-blue/40 transition-all duration-300"
+                  title={`Open ${portfolio.name}`}
+                >
+                  <div className="flex items-center justify-between mb-3">
+                    <p className="text-white font-bold truncate">{portfolio.name}</p>
+                    <span className="text-xs text-gray-400 tabular-nums">{share.toFixed(1)}%</span>
+                  </div>
+                  <p className="text-2xl font-black text-white tabular-nums">{formatCurrency(portfolio.metrics.totalValue)}</p>
+                  <p className={`text-sm font-semibold tabular-nums mt-1 ${isPositive ? 'text-neon-green' : 'text-neon-pink'}`}>
+                    {isPositive ? '+' : '-'}{formatCurrency(Math.abs(portfolio.metrics.totalProfitLoss))}
+                    {' '}({isPositive ? '+' : '-'}{Math.abs(portfolio.metrics.profitLossPercentage).toFixed(2)}%)
+                  </p>
+                  <div className="h-1.5 bg-dark-secondary rounded-full mt-4 overflow-hidden">
+                    <div className="h-full bg-neon-blue rounded-full" style={{ width: `${share}%` }} />
+                  </div>
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Charts Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Pie Chart */}
@@ -147,6 +225,21 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Time- and money-weighted returns vs BTC/ETH */}
+      <ReturnsCard />
+
+      {/* Volatility, risk-adjusted returns and drawdowns */}
+      <RiskCard />
+
+      {/* Which holdings move together */}
+      <CorrelationCard />
+
+      {/* Shocks and historical replays against today's holdings */}
+      <ScenarioCard />
+
+      {/* What-if strategies over past prices */}
+      <BacktestCard />
+
       {/* Historical Performance Section - Feature Staged for Future Release */}
       {FEATURE_HISTORY_ANALYTICS && (
         <div>
@@ -7,14 +7,20 @@ import CoinTable from '../components/CoinTable'
 import EmptyState from '../components/EmptyState'
 import AddCoinModal from '../components/AddCoinModal'
 import CoinDetailsModal from '../components/CoinDetailsModal'
+import CashModal from '../components/CashModal'
+import RebalancePlanner from '../components/RebalancePlanner'
+import RecurringBuysCard from '../components/RecurringBuysCard'
 import Loader from '../components/Loader'
 import { exportPortfolioOnly } from '../utils/exportCsv'
+import { calculateCoinProfitLoss } from '../utils/calculations'
+import { COST_BASIS_METHOD_LABELS, CASH_ACTIONS } from '../utils/costBasis'
+import { LOCATION_TYPE_ICONS, groupHoldingsByLocation, getLocationName } from '../utils/locations'
 
 // Feature flags
 const ENABLE_EXPORT_BUTTONS = false // Set to true to re-enable PDF, CSV, Share buttons
 
 const Portfolio = () => {
-  const { coins, formatCurrency, loading } = usePortfolio()
+  const { coins, formatCurrency, loading, costBasisMethod, changeCostBasisMethod, isAggregateView, locations, locationBreakdown, cash } = usePortfolio()
   const metrics = usePortfolio().calculateMetrics()
   const { showToast } = useNotifications()
   const { user } = useAuth()
@@ -22,6 +28,9 @@ const Portfolio = () => {
   // Buy Coin Modal state
   const [showAddCoin, setShowAddCoin] = useState(false)
   
+  // Cash Modal state (DEPOSIT or WITHDRAW while open)
+  const [cashAction, setCashAction] = useState(null)
+
   // Export loading state
   const [isExporting, setIsExporting] = useState(false)
   
@@ -48,11 +57,9 @@ const Portfolio = () => {
 
     // Type filter
     if (filterType === 'gainers') {
-      const pl = (coin.quantity * coin.currentPrice) - (coin.quantity * coin.buyPrice)
-      return pl > 0
+      return calculateCoinProfitLoss(coin).profitLoss > 0
     } else if (filterType === 'losers') {
-      const pl = (coin.quantity * coin.currentPrice) - (coin.quantity * coin.buyPrice)
-      return pl < 0
+      return calculateCoinProfitLoss(coin).profitLoss < 0
     }
     
     return true
@@ -72,8 +79,8 @@ const Portfolio = () => {
         bValue = b.quantity * b.currentPrice
         break
       case 'profit':
-        aValue = (a.quantity * a.currentPrice) - (a.quantity * a.buyPrice)
-        bValue = (b.quantity * b.currentPrice) - (b.quantity * b.buyPrice)
+        aValue = calculateCoinProfitLoss(a).profitLoss
+        bValue = calculateCoinProfitLoss(b).profitLoss
         break
       default:
         return 0
@@ -84,6 +91,12 @@ const Portfolio = () => {
     return 0
   })
   
+  // Only worth showing once the user has set up somewhere to keep coins
+  const locationGroups = locations.length > 0 ? groupHoldingsByLocation(locationBreakdown, coins) : []
+
+  // Realized P/L includes positions that have since been sold completely
+  const realizedProfitLoss = metrics.realizedProfitLoss || 0
+
   // Pagination calculations
   const totalPages = Math.ceil(sortedCoins.length / itemsPerPage)
   const startIndex = (currentPage - 1) * itemsPerPage
@@ -186,8 +199,9 @@ const Portfolio = () => {
           {/* Buy Coin Button */}
           <button
             onClick={() => setShowAddCoin(true)}
-            className="group inline-flex items-center justify-center space-x-2 px-6 py-3.5 bg-gradient-to-r from-neon-blue to-neon-purple text-white rounded-xl hover:shadow-xl hover:shadow-neon-blue/50 transition-all duration-300 font-bold hover:scale-105"
-            title="Buy Cryptocurrency"
+            disabled={isAggregateView}
+            className="group inline-flex items-center justify-center space-x-2 px-6 py-3.5 bg-gradient-to-r from-neon-blue to-neon-purple text-white rounded-xl hover:shadow-xl hover:shadow-neon-blue/50 transition-all duration-300 font-bold hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+            title={isAggregateView ? 'Select a portfolio to buy into' : 'Buy Cryptocurrency'}
           >
             <svg className="w-5 h-5 group-hover:rotate-90 transition-transform duration-300" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2.5}>
               <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
@@ -199,7 +213,7 @@ const Portfolio = () => {
 
       {/* Summary Cards */}
       {coins.length > 0 && (
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6">
           <div className="bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-blue/40 transition-all duration-500 hover:shadow-xl hover:shadow-neon-blue/10 group">
             <p className="text-sm text-gray-400 mb-3 uppercase tracking-wider font-semibold opacity-70">Total Holdings</p>
             <p className="text-4xl font-black text-white mb-2 tracking-tight">{coins.length}</p>
@@ -215,7 +229,7 @@ const Portfolio = () => {
           </div>
           
           <div className="bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-green/40 transition-all duration-500 hover:shadow-xl hover:shadow-neon-green/10 group">
-            <p className="text-sm text-gray-400 mb-3 uppercase tracking-wider font-semibold opacity-70">Total P/L</p>
+            <p className="text-sm text-gray-400 mb-3 uppercase tracking-wider font-semibold opacity-70">Unrealized P/L</p>
             <p className={`text-4xl font-black mb-2 tracking-tight tabular-nums ${(metrics.totalProfitLoss || 0) >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
               {formatCurrency(Math.abs(metrics.totalProfitLoss || 0))}
             </p>
@@ -224,6 +238,51 @@ const Portfolio = () => {
               {Math.abs(metrics.profitLossPercentage || 0).toFixed(2)}%
             </p>
           </div>
+
+          <div className="bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-green/40 transition-all duration-500 hover:shadow-xl hover:shadow-neon-green/10 group">
+            <p className="text-sm text-gray-400 mb-3 uppercase tracking-wider font-semibold opacity-70">Realized P/L</p>
+            <p className={`text-4xl font-black mb-2 tracking-tight tabular-nums ${realizedProfitLoss >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+              {realizedProfitLoss >= 0 ? '+' : '-'}{formatCurrency(Math.abs(realizedProfitLoss))}
+            </p>
+            <p className="text-sm text-gray-400 font-medium opacity-70">
+              Cost basis: {costBasisMethod}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Cash Balance */}
+      {coins.length > 0 && (
+        <div className="bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-green/30 transition-all duration-500">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-6">
+            <div>
+              <p className="text-sm text-gray-400 mb-3 uppercase tracking-wider font-semibold opacity-70">Cash Balance</p>
+              <p className="text-4xl font-black text-white mb-2 tracking-tight tabular-nums">{formatCurrency(cash.balance)}</p>
+              <p className="text-sm text-gray-400 font-medium opacity-70">
+                Net invested: <span className="tabular-nums">{formatCurrency(metrics.netInvested || 0)}</span>
+                {' · '}Deposited: <span className="tabular-nums">{formatCurrency(cash.deposited)}</span>
+                {' · '}Withdrawn: <span className="tabular-nums">{formatCurrency(cash.withdrawn)}</span>
+              </p>
+            </div>
+            {/* Cash moves belong to one portfolio, so they're hidden in the combined view */}
+            {!isAggregateView && (
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => setCashAction(CASH_ACTIONS.DEPOSIT)}
+                  className="px-5 py-2.5 bg-neon-green/20 text-neon-green rounded-xl hover:bg-neon-green/30 transition-colors text-sm font-semibold"
+                >
+                  Deposit
+                </button>
+                <button
+                  onClick={() => setCashAction(CASH_ACTIONS.WITHDRAW)}
+                  disabled={cash.balance <= 0}
+                  className="px-5 py-2.5 bg-neon-pink/20 text-neon-pink rounded-xl hover:bg-neon-pink/30 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Withdraw
+                </button>
+              </div>
+            )}
+          </div>
         </div>
       )}
 
@@ -235,6 +294,21 @@ const Portfolio = () => {
               <h2 className="text-2xl font-bold text-white tracking-tight">Your Holdings</h2>
               <p className="text-sm text-gray-400 mt-1.5 opacity-70">All your cryptocurrency positions</p>
             </div>
+            {/* Cost Basis Method */}
+            <div className="flex items-center space-x-3">
+              <label htmlFor="cost-basis-method" className="text-sm text-gray-400 font-medium">Cost basis</label>
+              <select
+                id="cost-basis-method"
+                value={costBasisMethod}
+                onChange={(e) => changeCostBasisMethod(e.target.value)}
+                className="px-4 py-2.5 bg-dark-tertiary border-2 border-dark-tertiary rounded-xl focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:border-neon-blue text-white text-sm font-semibold"
+                title="Method used to match sells against purchase lots"
+              >
+                {Object.entries(COST_BASIS_METHOD_LABELS).map(([method, label]) => (
+                  <option key={method} value={method}>{label}</option>
+                ))}
+              </select>
+            </div>
             {/* Export Buttons - temporarily hidden via feature flag */}
             {ENABLE_EXPORT_BUTTONS && (
               <div className="flex items-center space-x-3">
@@ -397,9 +471,52 @@ const Portfolio = () => {
         )}
       </div>
 
+      {/* Holdings by Location */}
+      {locationGroups.length > 0 && (
+        <div className="bg-dark-secondary rounded-[20px] border-2 border-dark-tertiary p-8 hover:border-neon-blue/30 transition-all duration-500">
+          <h2 className="text-2xl font-bold text-white tracking-tight">Holdings by Location</h2>
+          <p className="text-sm text-gray-400 mt-1.5 mb-6 opacity-70">Where your coins are kept</p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+            {locationGroups.map(group => {
+              const location = locations.find(l => l.id === group.locationId)
+              const share = metrics.holdingsValue > 0 ? (group.value / metrics.holdingsValue) * 100 : 0
+              return (
+                <div key={group.locationId} className="bg-dark-tertiary/50 rounded-xl p-5">
+                  <div className="flex items-center justify-between mb-3">
+                    <p className="text-white font-semibold">
+                      {location ? `${LOCATION_TYPE_ICONS[location.type] || ''} ` : ''}{getLocationName(locations, group.locationId)}
+                    </p>
+                    <p className="text-xs text-gray-400 font-semibold">{share.toFixed(1)}%</p>
+                  </div>
+                  <p className="text-2xl font-black text-white tabular-nums mb-3">{formatCurrency(group.value)}</p>
+                  <div className="space-y-1">
+                    {group.coins.map(coin => (
+                      <div key={coin.coinId} className="flex items-center justify-between text-sm">
+                        <span className="text-gray-400">{coin.quantity.toLocaleString()} {coin.symbol}</span>
+                        <span className="text-gray-300 tabular-nums">{formatCurrency(coin.value)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Recurring Buys (DCA) */}
+      <RecurringBuysCard />
+
+      {/* Target Allocation and Rebalancing */}
+      {coins.length > 0 && <RebalancePlanner />}
+
       {/* Buy Coin Modal */}
       <AddCoinModal isOpen={showAddCoin} onClose={() => setShowAddCoin(false)} />
       
+      {/* Cash Modal */}
+      <CashModal action={cashAction} onClose={() => setCashAction(null)} />
+
       {/* Coin Details Modal */}
       <CoinDetailsModal 
         isOpen={showDetailsModal}
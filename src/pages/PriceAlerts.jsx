@@ -1,35 +1,276 @@
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef, Fragment } from 'react'
 import { useAuth } from '../context/AuthContext'
 import { usePortfolio } from '../context/PortfolioContext'
 import { useNotifications } from '../context/NotificationContext'
 import { supabase } from '../supabase/client'
 import { getCoinPrices } from '../services/coinService'
+import { fetchTopCoins } from '../services/cryptoApi'
+import { createAlert, evaluateAlertImmediately, formatAlert, getAlertEvents } from '../services/alertService'
+import {
+  ALERT_CONDITIONS,
+  ALERT_CONDITION_LABELS,
+  COIN_ALERT_CONDITIONS,
+  WINDOW_CONDITIONS,
+  ALERT_WINDOW_OPTIONS,
+  DEFAULT_WINDOW_HOURS,
+  isPriceCondition,
+  getWindowLabel,
+  validateAlertCondition,
+  describeAlert
+} from '../utils/alertConditions'
+import {
+  ALERT_REPEAT_MODES,
+  ALERT_REPEAT_LABELS,
+  COOLDOWN_OPTIONS,
+  DEFAULT_COOLDOWN_MINUTES,
+  DEFAULT_HYSTERESIS_PERCENT,
+  validateAlertRepeat,
+  getCooldownLabel,
+  describeRepeat,
+  describeRearm
+} from '../utils/alertRepeat'
+import {
+  RULE_FIELDS,
+  RULE_FIELD_LABELS,
+  RULE_OPERATORS,
+  MAX_RULE_GROUPS,
+  MAX_GROUP_CONDITIONS,
+  createRuleCondition,
+  createRuleGroup
+} from '../utils/alertRules'
 import EmptyState from '../components/EmptyState'
+import PortfolioAlertsPanel from '../components/PortfolioAlertsPanel'
 import Loader from '../components/Loader'
 
+const inputClass = 'w-full px-4 py-3 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white'
+
+const createAlertForm = (coinId = '') => ({
+  coinId,
+  condition: ALERT_CONDITIONS.ABOVE,
+  targetPrice: '',
+  thresholdPercent: '',
+  windowHours: DEFAULT_WINDOW_HOURS,
+  repeatMode: ALERT_REPEAT_MODES.ONCE,
+  cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+  hysteresisPercent: DEFAULT_HYSTERESIS_PERCENT,
+  rules: { operator: RULE_OPERATORS.AND, groups: [createRuleGroup(RULE_FIELDS.PRICE)] }
+})
+
+// Coin alert conditions plus rule alerts, which only this form can build
+const FORM_CONDITIONS = [...COIN_ALERT_CONDITIONS, ALERT_CONDITIONS.COMPOUND]
+
+const RULE_VALUE_PLACEHOLDERS = {
+  price: 'USD, e.g. 2500',
+  change_24h: '%, e.g. -5',
+  volume: 'USD, e.g. 1000000000',
+  market_cap_rank: 'e.g. 10',
+  fear_greed: '0-100, e.g. 25'
+}
+
+// Rule values come from number inputs as strings
+const parseRules = (rules) => ({
+  operator: rules.operator,
+  groups: rules.groups.map(group => ({
+    operator: group.operator,
+    conditions: group.conditions.map(condition => ({ ...condition, value: parseFloat(condition.value) }))
+  }))
+})
+
+const OperatorToggle = ({ value, onChange }) => (
+  <div className="inline-flex rounded-lg bg-dark-tertiary p-0.5">
+    {Object.values(RULE_OPERATORS).map(operator => (
+      <button
+        key={operator}
+        type="button"
+        onClick={() => onChange(operator)}
+        className={`px-3 py-1 rounded-md text-xs font-semibold transition-colors ${
+          value === operator ? 'bg-neon-blue/20 text-neon-blue' : 'text-gray-400 hover:text-white'
+        }`}
+      >
+        {operator.toUpperCase()}
+      </button>
+    ))}
+  </div>
+)
+
+/**
+ * Editor for a rule alert: groups of conditions on price, 24h change, volume,
+ * market cap rank and Fear & Greed, joined with AND/OR within and between groups
+ */
+const AlertRuleEditor = ({ rules, onChange }) => {
+  const updateGroup = (groupIndex, update) => {
+    onChange({ ...rules, groups: rules.groups.map((group, i) => i === groupIndex ? update(group) : group) })
+  }
+
+  const updateCondition = (groupIndex, conditionIndex, changes) => {
+    updateGroup(groupIndex, group => ({
+      ...group,
+      conditions: group.conditions.map((condition, i) => i === conditionIndex ? { ...condition, ...changes } : condition)
+    }))
+  }
+
+  const removeCondition = (groupIndex, conditionIndex) => {
+    const group = rules.groups[groupIndex]
+    if (group.conditions.length === 1) {
+      onChange({ ...rules, groups: rules.groups.filter((_, i) => i !== groupIndex) })
+      return
+    }
+    updateGroup(groupIndex, current => ({
+      ...current,
+      conditions: current.conditions.filter((_, i) => i !== conditionIndex)
+    }))
+  }
+
+  return (
+    <div className="md:col-span-2 lg:col-span-4 space-y-3">
+      {rules.groups.map((group, groupIndex) => (
+        <Fragment key={groupIndex}>
+          {groupIndex > 0 && (
+            <OperatorToggle value={rules.operator} onChange={operator => onChange({ ...rules, operator })} />
+          )}
+          <div className="p-4 rounded-lg border border-dark-tertiary bg-dark-tertiary/20 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-medium text-gray-400">Group {groupIndex + 1}</span>
+              {group.conditions.length > 1 && (
+                <OperatorToggle
+                  value={group.operator}
+                  onChange={operator => updateGroup(groupIndex, current => ({ ...current, operator }))}
+                />
+              )}
+            </div>
+            {group.conditions.map((condition, conditionIndex) => (
+              <div key={conditionIndex} className="grid grid-cols-[1fr_auto_1fr_auto] gap-2 items-center">
+                <select
+                  value={condition.field}
+                  onChange={(e) => updateCondition(groupIndex, conditionIndex, createRuleCondition(e.target.value))}
+                  className={inputClass}
+                >
+                  {Object.values(RULE_FIELDS).map(field => (
+                    <option key={field} value={field}>{RULE_FIELD_LABELS[field]}</option>
+                  ))}
+                </select>
+                <select
+                  value={condition.comparator}
+                  onChange={(e) => updateCondition(groupIndex, conditionIndex, { comparator: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="above">&gt;</option>
+                  <option value="below">&lt;</option>
+                </select>
+                <input
+                  type="number"
+                  step="any"
+                  value={condition.value}
+                  onChange={(e) => updateCondition(groupIndex, conditionIndex, { value: e.target.value })}
+                  placeholder={RULE_VALUE_PLACEHOLDERS[condition.field]}
+                  className={inputClass}
+                  required
+                />
+                <button
+                  type="button"
+                  onClick={() => removeCondition(groupIndex, conditionIndex)}
+                  disabled={rules.groups.length === 1 && group.conditions.length === 1}
+                  className="w-8 text-gray-400 hover:text-red-400 transition-colors disabled:opacity-30"
+                  title="Remove condition"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            {group.conditions.length < MAX_GROUP_CONDITIONS && (
+              <button
+                type="button"
+                onClick={() => updateGroup(groupIndex, current => ({
+                  ...current,
+                  conditions: [...current.conditions, createRuleCondition(RULE_FIELDS.FEAR_GREED)]
+                }))}
+                className="text-sm text-neon-blue hover:text-neon-blue/80 transition-colors"
+              >
+                + Add Condition
+              </button>
+            )}
+          </div>
+        </Fragment>
+      ))}
+      {rules.groups.length < MAX_RULE_GROUPS && (
+        <button
+          type="button"
+          onClick={() => onChange({ ...rules, groups: [...rules.groups, createRuleGroup(RULE_FIELDS.PRICE)] })}
+          className="text-sm text-neon-purple hover:text-neon-purple/80 transition-colors"
+        >
+          + Add Group
+        </button>
+      )}
+    </div>
+  )
+}
+
+const CONDITION_BADGE_STYLES = {
+  above: 'bg-green-500/10 text-green-400',
+  below: 'bg-red-500/10 text-red-400'
+}
+
+const CONDITION_BADGE_LABELS = {
+  above: '↑ Above',
+  below: '↓ Below'
+}
+
+// Firings of an alert, newest first; alerts that fired before events were recorded show their last firing
+const getAlertTimeline = (alert, events) => {
+  if (events && events.length > 0) return events
+  if (!alert.triggered_at) return []
+  return [{ id: alert.id, price: alert.last_triggered_price, message: null, triggeredAt: alert.triggered_at }]
+}
+
 const PriceAlerts = () => {
   const { user } = useAuth()
-  const { formatCurrency } = usePortfolio()
+  const { coins, formatCurrency, activePortfolio } = usePortfolio()
   const { showToast, settings, updateSettings } = useNotifications()
   
   const [alerts, setAlerts] = useState([])
   const [loading, setLoading] = useState(true)
   const [deleting, setDeleting] = useState(null)
   const [currentPrices, setCurrentPrices] = useState({})
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(() => createAlertForm(coins[0]?.coinId))
+  const [topCoins, setTopCoins] = useState([])
+  const [creating, setCreating] = useState(false)
+  const [alertEvents, setAlertEvents] = useState({})
+  const [expandedAlertId, setExpandedAlertId] = useState(null)
   const priceRefreshIntervalRef = useRef(null)
 
+  // Held coins first, then the largest coins by market cap
+  useEffect(() => {
+    if (!showForm || topCoins.length > 0) return
+    fetchTopCoins('usd', 20).then(data => {
+      setTopCoins(data.map(coin => ({ coinId: coin.id, symbol: coin.symbol.toUpperCase(), name: coin.name })))
+    })
+  }, [showForm])
+
+  const coinOptions = [
+    ...coins.map(coin => ({ coinId: coin.coinId, symbol: coin.symbol, name: coin.name })),
+    ...topCoins.filter(coin => !coins.some(held => held.coinId === coin.coinId))
+  ]
+
   // Fetch alerts from Supabase
   const fetchAlerts = async () => {
     if (!user?.id) return
     
     setLoading(true)
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('price_alerts')
         .select('*')
         .eq('user_id', user.id)
         .order('created_at', { ascending: false })
 
+      // The aggregated view lists alerts from every portfolio
+      if (activePortfolio) {
+        query = query.eq('portfolio_id', activePortfolio.id)
+      }
+
+      const { data, error } = await query
+
       if (error) {
         console.error('Error fetching alerts:', error)
         showToast('Failed to load alerts', 'error')
@@ -38,9 +279,13 @@ const PriceAlerts = () => {
 
       setAlerts(data || [])
       
-      // Fetch live prices after loading alerts
+      // Fetch live prices and firing history after loading alerts
       if (data && data.length > 0) {
-        await fetchLivePrices(data)
+        const [, events] = await Promise.all([
+          fetchLivePrices(data),
+          getAlertEvents(user.id, data.map(alert => alert.id))
+        ])
+        setAlertEvents(events)
       }
     } catch (error) {
       console.error('Exception fetching alerts:', error)
@@ -81,6 +326,65 @@ const PriceAlerts = () => {
     }
   }
 
+  // Create alert, then check it right away against the live quote
+  const handleCreateAlert = async (e) => {
+    e.preventDefault()
+    if (!user?.id) return
+
+    const isRuleAlert = form.condition === ALERT_CONDITIONS.COMPOUND
+    const coin = coinOptions.find(option => option.coinId === form.coinId)
+    const alertData = {
+      coinId: form.coinId,
+      coinName: coin?.name,
+      symbol: coin?.symbol,
+      condition: form.condition,
+      targetPrice: parseFloat(form.targetPrice),
+      thresholdPercent: parseFloat(form.thresholdPercent),
+      windowHours: form.windowHours,
+      repeatMode: form.repeatMode,
+      cooldownMinutes: form.cooldownMinutes,
+      hysteresisPercent: parseFloat(form.hysteresisPercent),
+      rules: isRuleAlert ? parseRules(form.rules) : null,
+      portfolioId: activePortfolio?.id || null
+    }
+
+    if (!coin) {
+      showToast('Please select a coin', 'error')
+      return
+    }
+
+    const validationError = validateAlertCondition(alertData) || validateAlertRepeat(alertData)
+    if (validationError) {
+      showToast(validationError, 'error')
+      return
+    }
+
+    setCreating(true)
+    try {
+      const newAlert = await createAlert(alertData, user.id)
+
+      const prices = await getCoinPrices([newAlert.coinId], 'usd')
+      const evaluation = prices[newAlert.coinId]
+        ? await evaluateAlertImmediately(newAlert, prices[newAlert.coinId], user.id)
+        : { triggered: false }
+
+      showToast(
+        evaluation.triggered
+          ? `Alert triggered: ${evaluation.message}`
+          : `Alert created: ${newAlert.symbol} ${describeAlert(newAlert)}`,
+        'success'
+      )
+      setForm(createAlertForm(form.coinId))
+      setShowForm(false)
+      await fetchAlerts()
+    } catch (error) {
+      console.error('Exception creating alert:', error)
+      showToast('Failed to create alert', 'error')
+    } finally {
+      setCreating(false)
+    }
+  }
+
   // Delete alert
   const handleDeleteAlert = async (alertId) => {
     setDeleting(alertId)
@@ -141,7 +445,7 @@ const PriceAlerts = () => {
 
   useEffect(() => {
     fetchAlerts()
-  }, [user?.id])
+  }, [user?.id, activePortfolio?.id])
 
   // Set up auto-refresh for live prices every 60 seconds
   useEffect(() => {
@@ -189,6 +493,19 @@ const PriceAlerts = () => {
           fetchAlerts()
         }
       )
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'alert_events',
+          filter: `user_id=eq.${user.id}`
+        },
+        () => {
+          // Each firing of a repeating alert adds to its timeline
+          fetchAlerts()
+        }
+      )
       .subscribe((status) => {
         console.log('📡 Price alerts subscription status:', status)
         if (status === 'SUBSCRIBED') {
@@ -201,10 +518,10 @@ const PriceAlerts = () => {
       console.log('🔕 Cleaning up price alerts subscription...')
       supabase.removeChannel(channel)
     }
-  }, [user?.id])
+  }, [user?.id, activePortfolio?.id])
 
   // Calculate statistics
-  const activeAlertsCount = alerts.filter(a => a.is_active && !a.triggered_at).length
+  const activeAlertsCount = alerts.filter(a => a.is_active).length
   const triggeredAlertsCount = alerts.filter(a => a.triggered_at).length
 
   if (loading) {
@@ -281,6 +598,178 @@ const PriceAlerts = () => {
         </div>
       </div>
 
+      {/* New Alert */}
+      <div className="bg-dark-secondary/50 backdrop-blur-md border border-dark-tertiary rounded-xl p-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-white">New Alert</h2>
+            <p className="text-xs text-gray-400">
+              Price targets, percentage moves over a time window, or AND/OR rules on price, volume, rank and Fear &amp; Greed, once or on repeat
+            </p>
+          </div>
+          <button
+            onClick={() => setShowForm(prev => !prev)}
+            className="px-4 py-2 rounded-lg text-sm font-semibold bg-neon-blue/10 text-neon-blue hover:bg-neon-blue/20 transition-colors duration-150"
+          >
+            {showForm ? 'Cancel' : '+ Add Alert'}
+          </button>
+        </div>
+
+        {showForm && (
+          <form onSubmit={handleCreateAlert} className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mt-6 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">Coin</label>
+              <select
+                value={form.coinId}
+                onChange={(e) => setForm(prev => ({ ...prev, coinId: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">Select a coin</option>
+                {coinOptions.map(option => (
+                  <option key={option.coinId} value={option.coinId}>{option.name} ({option.symbol})</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">Condition</label>
+              <select
+                value={form.condition}
+                onChange={(e) => {
+                  const condition = e.target.value
+                  setForm(prev => ({
+                    ...prev,
+                    condition,
+                    // Rule alerts have no price to retreat from
+                    repeatMode: condition === ALERT_CONDITIONS.COMPOUND && prev.repeatMode === ALERT_REPEAT_MODES.HYSTERESIS
+                      ? ALERT_REPEAT_MODES.ONCE
+                      : prev.repeatMode
+                  }))
+                }}
+                className={inputClass}
+              >
+                {FORM_CONDITIONS.map(condition => (
+                  <option key={condition} value={condition}>{ALERT_CONDITION_LABELS[condition]}</option>
+                ))}
+              </select>
+            </div>
+
+            {form.condition === ALERT_CONDITIONS.COMPOUND ? (
+              <AlertRuleEditor
+                rules={form.rules}
+                onChange={rules => setForm(prev => ({ ...prev, rules }))}
+              />
+            ) : isPriceCondition(form.condition) ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">Target Price (USD)</label>
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={form.targetPrice}
+                  onChange={(e) => setForm(prev => ({ ...prev, targetPrice: e.target.value }))}
+                  placeholder="Enter target price"
+                  className={inputClass}
+                  required
+                />
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">
+                  {form.condition === ALERT_CONDITIONS.DROP_FROM_HIGH ? 'Drop From High (%)' : 'Move, Up or Down (%)'}
+                </label>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={form.thresholdPercent}
+                  onChange={(e) => setForm(prev => ({ ...prev, thresholdPercent: e.target.value }))}
+                  placeholder="e.g. 5"
+                  className={inputClass}
+                  required
+                />
+              </div>
+            )}
+
+            {WINDOW_CONDITIONS.includes(form.condition) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">
+                  {form.condition === ALERT_CONDITIONS.DROP_FROM_HIGH ? 'High Over' : 'Within'}
+                </label>
+                <select
+                  value={form.windowHours}
+                  onChange={(e) => setForm(prev => ({ ...prev, windowHours: parseInt(e.target.value) }))}
+                  className={inputClass}
+                >
+                  {ALERT_WINDOW_OPTIONS.map(hours => (
+                    <option key={hours} value={hours}>
+                      {getWindowLabel(hours)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">Fire</label>
+              <select
+                value={form.repeatMode}
+                onChange={(e) => setForm(prev => ({ ...prev, repeatMode: e.target.value }))}
+                className={inputClass}
+              >
+                {Object.values(ALERT_REPEAT_MODES)
+                  .filter(mode => form.condition !== ALERT_CONDITIONS.COMPOUND || mode !== ALERT_REPEAT_MODES.HYSTERESIS)
+                  .map(mode => (
+                    <option key={mode} value={mode}>{ALERT_REPEAT_LABELS[mode]}</option>
+                  ))}
+              </select>
+            </div>
+
+            {form.repeatMode === ALERT_REPEAT_MODES.COOLDOWN && (
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">Cooldown</label>
+                <select
+                  value={form.cooldownMinutes}
+                  onChange={(e) => setForm(prev => ({ ...prev, cooldownMinutes: parseInt(e.target.value) }))}
+                  className={inputClass}
+                >
+                  {COOLDOWN_OPTIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>{getCooldownLabel(minutes)}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {form.repeatMode === ALERT_REPEAT_MODES.HYSTERESIS && (
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">Retreat Before Re-arming (%)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={form.hysteresisPercent}
+                  onChange={(e) => setForm(prev => ({ ...prev, hysteresisPercent: e.target.value }))}
+                  placeholder="e.g. 2"
+                  className={inputClass}
+                  required
+                />
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={creating}
+              className="px-6 py-3 rounded-lg font-semibold text-white bg-gradient-to-r from-neon-blue to-neon-purple hover:shadow-lg hover:shadow-neon-blue/30 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {creating ? 'Creating...' : 'Create Alert'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Portfolio-level alerts */}
+      <PortfolioAlertsPanel />
+
       {/* Alerts Table */}
       {alerts.length === 0 ? (
         <EmptyState
@@ -290,7 +779,7 @@ const PriceAlerts = () => {
             </svg>
           }
           title="No Price Alerts"
-          message="You haven't set up any price alerts yet. Create alerts to get notified when your favorite coins reach specific prices."
+          message="You haven't set up any price alerts yet. Create alerts to get notified when your favorite coins reach specific prices or make big moves."
         />
       ) : (
         <div className="bg-dark-secondary/50 backdrop-blur-md border border-dark-tertiary rounded-xl overflow-hidden">
@@ -308,7 +797,7 @@ const PriceAlerts = () => {
                     Coin Name
                   </th>
                   <th className="px-6 py-4 text-left text-xs font-semibold text-gray-400 uppercase tracking-wider">
-                    Target Price
+                    Target
                   </th>
                   <th className="px-6 py-4 text-left text-xs font-semibold text-gray-400 uppercase tracking-wider">
                     Condition
@@ -319,105 +808,161 @@ const PriceAlerts = () => {
                   <th className="px-6 py-4 text-left text-xs font-semibold text-gray-400 uppercase tracking-wider">
                     Status
                   </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-400 uppercase tracking-wider">
+                    History
+                  </th>
                   <th className="px-6 py-4 text-left text-xs font-semibold text-gray-400 uppercase tracking-wider">
                     Action
                   </th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-dark-tertiary/50">
-                {alerts.map((alert) => (
-                  <tr 
-                    key={alert.id} 
-                    className="hover:bg-dark-tertiary/30 transition-colors duration-150"
-                  >
-                    {/* Coin Name */}
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center space-x-3">
-                        {alert.icon_url && (
-                          <img 
-                            src={alert.icon_url} 
-                            alt={alert.coin_name}
-                            className="w-8 h-8 rounded-full"
-                            onError={(e) => e.target.style.display = 'none'}
-                          />
-                        )}
-                        <div>
-                          <div className="text-sm font-medium text-white">{alert.coin_name}</div>
-                          <div className="text-xs text-gray-400">{alert.symbol?.toUpperCase()}</div>
+                {alerts.map((alert) => {
+                  const appAlert = formatAlert(alert)
+                  const timeline = getAlertTimeline(alert, alertEvents[alert.id])
+                  const rearm = describeRearm(appAlert)
+
+                  return (
+                    <Fragment key={alert.id}>
+                    <tr className="hover:bg-dark-tertiary/30 transition-colors duration-150">
+                      {/* Coin Name */}
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center space-x-3">
+                          {alert.icon_url && (
+                            <img 
+                              src={alert.icon_url} 
+                              alt={alert.coin_name}
+                              className="w-8 h-8 rounded-full"
+                              onError={(e) => e.target.style.display = 'none'}
+                            />
+                          )}
+                          <div>
+                            <div className="text-sm font-medium text-white">{alert.coin_name}</div>
+                            <div className="text-xs text-gray-400">{alert.symbol?.toUpperCase()}</div>
+                          </div>
                         </div>
-                      </div>
-                    </td>
-
-                    {/* Target Price */}
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm font-semibold text-white">
-                        {formatCurrency(alert.target_price)}
-                      </div>
-                    </td>
-
-                    {/* Condition */}
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
-                        alert.condition === 'above' 
-                          ? 'bg-green-500/10 text-green-400' 
-                          : 'bg-red-500/10 text-red-400'
-                      }`}>
-                        {alert.condition === 'above' ? '↑ Above' : '↓ Below'}
-                      </span>
-                    </td>
-
-                    {/* Current Price */}
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm font-medium text-white">
-                        {currentPrices[alert.coin_id] !== undefined 
-                          ? formatCurrency(currentPrices[alert.coin_id]) 
-                          : '—'}
-                      </div>
-                    </td>
-
-                    {/* Status */}
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      {alert.triggered_at ? (
-                        <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-neon-purple/10 text-neon-purple">
-                          <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
-                            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                          </svg>
-                          Triggered
-                        </span>
-                      ) : alert.is_active ? (
-                        <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-neon-blue/10 text-neon-blue">
-                          <span className="w-2 h-2 bg-neon-blue rounded-full mr-1.5 animate-pulse"></span>
-                          Active
-                        </span>
-                      ) : (
-                        <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-500/10 text-gray-400">
-                          Inactive
+                      </td>
+
+                      {/* Target */}
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className={`text-sm font-semibold text-white ${
+                          alert.condition === ALERT_CONDITIONS.COMPOUND ? 'whitespace-normal max-w-xs' : ''
+                        }`}>
+                          {isPriceCondition(alert.condition)
+                            ? formatCurrency(alert.target_price)
+                            : describeAlert(appAlert)}
+                        </div>
+                        <div className="text-xs text-gray-400">{describeRepeat(appAlert)}</div>
+                      </td>
+
+                      {/* Condition */}
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
+                          CONDITION_BADGE_STYLES[alert.condition] || 'bg-neon-purple/10 text-neon-purple'
+                        }`}>
+                          {CONDITION_BADGE_LABELS[alert.condition] || ALERT_CONDITION_LABELS[alert.condition]}
                         </span>
-                      )}
-                    </td>
-
-                    {/* Action */}
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <button
-                        onClick={() => handleDeleteAlert(alert.id)}
-                        disabled={deleting === alert.id}
-                        className="text-red-400 hover:text-red-300 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
-                        title="Delete alert"
-                      >
-                        {deleting === alert.id ? (
-                          <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
-                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                          </svg>
+                      </td>
+
+                      {/* Current Price */}
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-white">
+                          {currentPrices[alert.coin_id] !== undefined 
+                            ? formatCurrency(currentPrices[alert.coin_id]) 
+                            : '—'}
+                        </div>
+                      </td>
+
+                      {/* Status */}
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {rearm ? (
+                          <span
+                            className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-yellow-400/10 text-yellow-400"
+                            title={rearm}
+                          >
+                            Re-arming
+                          </span>
+                        ) : !alert.is_active && alert.triggered_at ? (
+                          <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-neon-purple/10 text-neon-purple">
+                            <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
+                              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+                            </svg>
+                            Triggered
+                          </span>
+                        ) : alert.is_active ? (
+                          <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-neon-blue/10 text-neon-blue">
+                            <span className="w-2 h-2 bg-neon-blue rounded-full mr-1.5 animate-pulse"></span>
+                            Active
+                          </span>
                         ) : (
-                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                          </svg>
+                          <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-500/10 text-gray-400">
+                            Inactive
+                          </span>
                         )}
-                      </button>
-                    </td>
-                  </tr>
-                ))}
+                      </td>
+
+                      {/* History */}
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {timeline.length > 0 ? (
+                          <button
+                            onClick={() => setExpandedAlertId(prev => prev === alert.id ? null : alert.id)}
+                            className="text-sm text-neon-blue hover:text-neon-blue/80 transition-colors duration-150"
+                          >
+                            {timeline.length} {timeline.length === 1 ? 'firing' : 'firings'} {expandedAlertId === alert.id ? '▴' : '▾'}
+                          </button>
+                        ) : (
+                          <span className="text-sm text-gray-500">Never fired</span>
+                        )}
+                      </td>
+
+                      {/* Action */}
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <button
+                          onClick={() => handleDeleteAlert(alert.id)}
+                          disabled={deleting === alert.id}
+                          className="text-red-400 hover:text-red-300 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+                          title="Delete alert"
+                        >
+                          {deleting === alert.id ? (
+                            <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
+                              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                            </svg>
+                          ) : (
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          )}
+                        </button>
+                      </td>
+                    </tr>
+
+                    {/* Firing timeline */}
+                    {expandedAlertId === alert.id && (
+                      <tr className="bg-dark-tertiary/20">
+                        <td colSpan={7} className="px-6 py-4">
+                          <ol className="relative border-l border-dark-tertiary ml-2 space-y-4">
+                            {timeline.map(event => (
+                              <li key={event.id} className="ml-4">
+                                <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-neon-purple"></span>
+                                <div className="flex flex-wrap items-baseline gap-x-3">
+                                  <span className="text-sm font-medium text-white">
+                                    {new Date(event.triggeredAt).toLocaleString()}
+                                  </span>
+                                  {event.price !== null && event.price !== undefined && (
+                                    <span className="text-xs text-gray-400">at {formatCurrency(event.price)}</span>
+                                  )}
+                                </div>
+                                {event.message && <p className="text-xs text-gray-400 mt-1">{event.message}</p>}
+                              </li>
+                            ))}
+                          </ol>
+                        </td>
+                      </tr>
+                    )}
+                    </Fragment>
+                  )
+                })}
               </tbody>
             </table>
           </div>
@@ -2,15 +2,46 @@ import React, { useState, useEffect } from 'react'
 import { supabase } from '../supabase/client'
 import { useAuth } from '../context/AuthContext'
 import { useNotifications } from '../context/NotificationContext'
+import { usePortfolio } from '../context/PortfolioContext'
 import { resetAppData } from '../utils/storage'
+import { exportTaxReport } from '../utils/exportCsv'
+import { getTaxYears, DEFAULT_LONG_TERM_DAYS } from '../utils/taxReport'
 import * as portfolioService from '../services/portfolioService'
 import * as transactionService from '../services/transactionService'
+import { reconcileHoldings, DISCREPANCY_LABELS } from '../services/reconciliationService'
+import { backfillPortfolioHistory } from '../services/backfillService'
 import { getPortfolioHistory } from '../utils/historyUtils'
+import { LOCATION_TYPES, LOCATION_TYPE_LABELS, LOCATION_TYPE_ICONS } from '../utils/locations'
 
 const Settings = () => {
-  const { user, session } = useAuth()
-  const { updateSettings } = useNotifications()
+  const { user, session, isAdmin } = useAuth()
+  const { updateSettings, showToast } = useNotifications()
+  const { transactions, costBasisMethod, formatCurrency, reloadHoldings, portfolios, locations, addLocation, editLocation, removeLocation } = usePortfolio()
   const [loading, setLoading] = useState(true)
+
+  // Tax report options
+  const taxYears = getTaxYears(transactions)
+  const [taxYear, setTaxYear] = useState(new Date().getFullYear())
+  const [longTermDays, setLongTermDays] = useState(DEFAULT_LONG_TERM_DAYS)
+  const [isExportingTax, setIsExportingTax] = useState(false)
+
+  // Holdings reconciliation (dry run result or last applied run)
+  const [reconciliation, setReconciliation] = useState(null)
+  const [isReconciling, setIsReconciling] = useState(false)
+  // Portfolio history backfill
+  const [backfill, setBackfill] = useState(null)
+  const [isBackfilling, setIsBackfilling] = useState(false)
+
+  // Holding locations (exchanges and wallets)
+  const [newLocation, setNewLocation] = useState({ name: '', type: LOCATION_TYPES.EXCHANGE })
+  const [isSavingLocation, setIsSavingLocation] = useState(false)
+
+  // Default to the most recent year with sales once transactions load
+  useEffect(() => {
+    if (taxYears.length > 0 && !taxYears.includes(Number(taxYear))) {
+      setTaxYear(taxYears[0])
+    }
+  }, [transactions])
   
   // Load notification preferences from Supabase
   const [notifications, setNotifications] = useState({
@@ -35,7 +66,7 @@ const Settings = () => {
       try {
         const { data, error } = await supabase
           .from('user_settings')
-          .select('portfolio_updates, market_trends, price_alerts_enabled')
+          .select('portfolio_updates, market_trends, price_alerts_enabled, tax_long_term_days')
           .eq('user_id', user.id)
           .single()
 
@@ -71,6 +102,7 @@ const Settings = () => {
             marketTrends: data.market_trends,
             priceAlertsEnabled: data.price_alerts_enabled ?? true
           })
+          setLongTermDays(data.tax_long_term_days || DEFAULT_LONG_TERM_DAYS)
         }
       } catch (error) {
         console.error('Error loading settings:', error)
@@ -168,6 +200,7 @@ const Settings = () => {
         await Promise.all([
           supabase.from('holdings').delete().eq('user_id', user.id),
           supabase.from('transactions').delete().eq('user_id', user.id),
+          supabase.from('transaction_audit_log').delete().eq('user_id', user.id),
           supabase.from('portfolio_snapshots').delete().eq('user_id', user.id),
           supabase.from('notifications').delete().eq('user_id', user.id)
         ])
@@ -184,12 +217,137 @@ const Settings = () => {
     }
   }
 
-  const handleExportData = async () => {
+  // Replay the transaction ledger and compare with stored holdings
+  const handleReconcile = async (dryRun = true) => {
+    if (!user) return
+
+    if (!dryRun && !window.confirm('Rewrite holdings to match the transaction ledger? Only holdings short of the ledger are changed, quantity from before transactions were tracked is kept.')) {
+      return
+    }
+
+    try {
+      setIsReconciling(true)
+      const result = await reconcileHoldings(user.id, { dryRun, method: costBasisMethod })
+      setReconciliation(result)
+
+      if (dryRun) {
+        showToast(
+          result.discrepancies.length === 0 ? 'Holdings Match Transaction Ledger' : `Found ${result.discrepancies.length} Discrepancies`,
+          result.discrepancies.length === 0 ? 'success' : 'info'
+        )
+      } else {
+        await reloadHoldings()
+        showToast(
+          `Fixed ${result.applied} Holdings${result.failed > 0 ? ` (${result.failed} failed)` : ''}`,
+          result.failed > 0 ? 'error' : 'success'
+        )
+      }
+    } catch (error) {
+      console.error('Error reconciling holdings:', error)
+      showToast('Failed to reconcile holdings', 'error')
+    } finally {
+      setIsReconciling(false)
+    }
+  }
+
+  // Rebuild missing daily snapshots from transactions and historical prices
+  const handleBackfillHistory = async (persist = false) => {
+    if (!user) return
+
+    try {
+      setIsBackfilling(true)
+      const result = await backfillPortfolioHistory(user.id, { days: 365, persist })
+      setBackfill(persist ? { ...result, missingDates: [] } : result)
+
+      if (persist) {
+        showToast(`Saved ${result.written} Snapshots`, 'success')
+      } else {
+        showToast(
+          result.missingDates.length === 0 ? 'History Has No Gaps' : `Found ${result.missingDates.length} Missing Days`,
+          result.missingDates.length === 0 ? 'success' : 'info'
+        )
+      }
+    } catch (error) {
+      console.error('Error backfilling history:', error)
+      showToast('Failed to rebuild portfolio history', 'error')
+    } finally {
+      setIsBackfilling(false)
+    }
+  }
+
+  // Persist the long-term holding threshold used by the tax report
+  const handleLongTermDaysBlur = async () => {
+    if (!user) return
+
+    const days = Math.max(1, parseInt(longTermDays, 10) || DEFAULT_LONG_TERM_DAYS)
+    setLongTermDays(days)
+
+    try {
+      const { error } = await supabase
+        .from('user_settings')
+        .update({ tax_long_term_days: days })
+        .eq('user_id', user.id)
+
+      if (error) {
+        console.error('Error updating tax settings:', error)
+      }
+    } catch (error) {
+      console.error('Error updating tax settings:', error)
+    }
+  }
+
+  const handleAddLocation = async () => {
+    setIsSavingLocation(true)
+    const result = await addLocation(newLocation)
+    setIsSavingLocation(false)
+
+    showToast(result.message, result.success ? 'success' : 'error')
+    if (result.success) {
+      setNewLocation({ name: '', type: newLocation.type })
+    }
+  }
+
+  const handleRenameLocation = async (location) => {
+    const name = window.prompt('Rename location', location.name)
+    if (!name || name.trim() === location.name) return
+
+    const result = await editLocation(location.id, { name, type: location.type })
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  const handleDeleteLocation = async (location) => {
+    if (!window.confirm(`Delete ${location.name}? Coins recorded there will show as unassigned.`)) {
+      return
+    }
+    const result = await removeLocation(location.id)
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  const handleExportData = async (type = 'json') => {
     if (!user) {
       alert('You must be logged in to export data.')
       return
     }
 
+    // Capital gains tax report (Form 8949 CSV + summary CSV)
+    if (type === 'tax') {
+      try {
+        setIsExportingTax(true)
+        const result = await exportTaxReport({
+          taxYear: Number(taxYear),
+          method: costBasisMethod,
+          longTermDays: Math.max(1, parseInt(longTermDays, 10) || DEFAULT_LONG_TERM_DAYS)
+        })
+        showToast(result.message, result.success ? 'success' : 'error')
+      } catch (error) {
+        console.error('Error exporting tax report:', error)
+        showToast('Failed to export tax report', 'error')
+      } finally {
+        setIsExportingTax(false)
+      }
+      return
+    }
+
     try {
       // Fetch all data from Supabase
       const [holdings, transactions, snapshots] = await Promise.all([
@@ -330,6 +488,67 @@ const Settings = () => {
         </div>
       </div>
 
+      {/* Holding Locations */}
+      <div className="bg-dark-secondary rounded-xl border border-dark-tertiary p-6">
+        <div className="mb-6">
+          <h2 className="text-xl font-bold text-white mb-2">Holding Locations</h2>
+          <p className="text-sm text-gray-400">Exchanges and wallets where you keep your coins</p>
+        </div>
+        <div className="space-y-3">
+          {locations.map(location => (
+            <div key={location.id} className="flex items-center justify-between p-4 bg-dark-tertiary/60 rounded-lg">
+              <div className="flex items-center space-x-3">
+                <span className="text-2xl">{LOCATION_TYPE_ICONS[location.type]}</span>
+                <div>
+                  <h3 className="font-medium text-white">{location.name}</h3>
+                  <p className="text-sm text-gray-400">{LOCATION_TYPE_LABELS[location.type]}</p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleRenameLocation(location)}
+                  className="px-3 py-1.5 text-sm text-gray-400 hover:text-neon-blue transition-colors"
+                >
+                  Rename
+                </button>
+                <button
+                  onClick={() => handleDeleteLocation(location)}
+                  className="px-3 py-1.5 text-sm text-gray-400 hover:text-neon-pink transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex flex-col md:flex-row gap-2">
+            <input
+              type="text"
+              value={newLocation.name}
+              onChange={(e) => setNewLocation({ ...newLocation, name: e.target.value })}
+              placeholder="e.g. Coinbase, Ledger Nano"
+              className="flex-1 px-4 py-2 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white text-sm"
+            />
+            <select
+              value={newLocation.type}
+              onChange={(e) => setNewLocation({ ...newLocation, type: e.target.value })}
+              className="px-4 py-2 bg-dark-tertiary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white text-sm"
+            >
+              {Object.entries(LOCATION_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleAddLocation}
+              disabled={isSavingLocation || !newLocation.name.trim()}
+              className="px-4 py-2 bg-neon-blue/20 text-neon-blue border border-neon-blue/40 rounded-lg hover:bg-neon-blue/30 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSavingLocation ? 'Adding...' : 'Add Location'}
+            </button>
+          </div>
+        </div>
+      </div>
+
       {/* Data Management */}
       <div className="bg-dark-secondary rounded-xl border border-dark-tertiary p-6">
         <div className="mb-6">
@@ -338,7 +557,7 @@ const Settings = () => {
         </div>
         <div className="space-y-3">
           <button
-            onClick={handleExportData}
+            onClick={() => handleExportData('json')}
             className="w-full flex items-center justify-between p-4 bg-dark-tertiary rounded-lg hover:bg-neon-blue/10 hover:border-neon-blue/30 border-2 border-transparent transition-all"
           >
             <div className="flex items-center space-x-3">
@@ -352,6 +571,151 @@ const Settings = () => {
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
             </svg>
           </button>
+
+          {/* Capital Gains Tax Report */}
+          <div className="p-4 bg-dark-tertiary rounded-lg border-2 border-transparent">
+            <div className="flex items-center space-x-3 mb-4">
+              <span className="text-2xl">🧾</span>
+              <div className="text-left">
+                <h3 className="text-white font-medium">Capital Gains Tax Report</h3>
+                <p className="text-sm text-gray-400">Form 8949-style CSV and summary totals using {costBasisMethod} cost basis</p>
+              </div>
+            </div>
+            <div className="flex flex-col md:flex-row md:items-end gap-3">
+              <div className="flex-1">
+                <label htmlFor="tax-year" className="block text-xs text-gray-400 mb-1.5">Tax year</label>
+                <select
+                  id="tax-year"
+                  value={taxYear}
+                  onChange={(e) => setTaxYear(Number(e.target.value))}
+                  className="w-full px-3 py-2 bg-dark-secondary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white text-sm"
+                >
+                  {(taxYears.length > 0 ? taxYears : [new Date().getFullYear()]).map(year => (
+                    <option key={year} value={year}>{year}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex-1">
+                <label htmlFor="long-term-days" className="block text-xs text-gray-400 mb-1.5">Long-term after (days held)</label>
+                <input
+                  id="long-term-days"
+                  type="number"
+                  min="1"
+                  value={longTermDays}
+                  onChange={(e) => setLongTermDays(e.target.value)}
+                  onBlur={handleLongTermDaysBlur}
+                  className="w-full px-3 py-2 bg-dark-secondary border border-dark-tertiary rounded-lg focus:outline-none focus:border-neon-blue text-white text-sm"
+                />
+              </div>
+              <button
+                onClick={() => handleExportData('tax')}
+                disabled={isExportingTax}
+                className="px-5 py-2 bg-neon-blue/20 text-neon-blue border border-neon-blue/40 rounded-lg hover:bg-neon-blue/30 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isExportingTax ? 'Exporting...' : 'Export Tax Report'}
+              </button>
+            </div>
+          </div>
+
+          {/* Holdings Reconciliation */}
+          <div className="p-4 bg-dark-tertiary rounded-lg border-2 border-transparent">
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center space-x-3">
+                <span className="text-2xl">🔍</span>
+                <div className="text-left">
+                  <h3 className="text-white font-medium">Reconcile Holdings</h3>
+                  <p className="text-sm text-gray-400">Replay every transaction and compare with stored holdings</p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleReconcile(true)}
+                  disabled={isReconciling}
+                  className="px-4 py-2 bg-dark-secondary text-white border border-dark-tertiary rounded-lg hover:border-neon-blue/40 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isReconciling ? 'Checking...' : 'Dry Run'}
+                </button>
+                {isAdmin && (
+                  <button
+                    onClick={() => handleReconcile(false)}
+                    disabled={isReconciling || !reconciliation?.dryRun || !reconciliation.discrepancies.some(d => d.fix)}
+                    className="px-4 py-2 bg-neon-blue/20 text-neon-blue border border-neon-blue/40 rounded-lg hover:bg-neon-blue/30 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Run a dry run first to review the changes"
+                  >
+                    Apply Fixes
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {reconciliation && (
+              <div className="space-y-2">
+                <p className="text-xs text-gray-400">
+                  {reconciliation.dryRun
+                    ? `Dry run: checked ${reconciliation.checkedCoins} coins, nothing was written.`
+                    : `Applied ${reconciliation.applied} fixes across ${reconciliation.checkedCoins} coins.`}
+                </p>
+                {reconciliation.discrepancies.length === 0 ? (
+                  <p className="text-sm text-neon-green">✓ Holdings match the transaction ledger</p>
+                ) : (
+                  reconciliation.discrepancies.map(d => (
+                    <div key={`${d.portfolioId}-${d.coinId}-${d.type}`} className="flex items-center justify-between text-sm px-3 py-2 rounded-lg bg-dark-secondary/60">
+                      <div>
+                        <span className="text-white font-medium mr-2">{d.symbol}</span>
+                        {portfolios.length > 1 && (
+                          <span className="text-gray-500 text-xs mr-2">{portfolios.find(p => p.id === d.portfolioId)?.name}</span>
+                        )}
+                        <span className={d.fix ? 'text-yellow-400' : d.untrackedQuantity ? 'text-gray-300' : 'text-neon-pink'}>{DISCREPANCY_LABELS[d.type]}</span>
+                      </div>
+                      <span className="text-gray-400 text-xs tabular-nums text-right">
+                        {d.stored ? `${d.stored.quantity} @ ${formatCurrency(d.stored.buyPrice)}` : 'none'}
+                        {' → '}
+                        {d.untrackedQuantity ? `kept, ${Number(d.untrackedQuantity.toFixed(8))} untracked` : !d.fix ? 'edit transactions first' : `${Number(d.expected.quantity.toFixed(8))} @ ${formatCurrency(d.expected.buyPrice)}`}
+                      </span>
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Portfolio History Backfill */}
+          <div className="p-4 bg-dark-tertiary rounded-lg border-2 border-transparent">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-3">
+                <span className="text-2xl">📈</span>
+                <div className="text-left">
+                  <h3 className="text-white font-medium">Backfill Portfolio History</h3>
+                  <p className="text-sm text-gray-400">Rebuild missing daily values (last 365 days) from transactions and historical prices</p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleBackfillHistory(false)}
+                  disabled={isBackfilling}
+                  className="px-4 py-2 bg-dark-secondary text-white border border-dark-tertiary rounded-lg hover:border-neon-blue/40 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isBackfilling ? 'Checking...' : 'Find Gaps'}
+                </button>
+                <button
+                  onClick={() => handleBackfillHistory(true)}
+                  disabled={isBackfilling || !backfill || backfill.missingDates.length === 0}
+                  className="px-4 py-2 bg-neon-blue/20 text-neon-blue border border-neon-blue/40 rounded-lg hover:bg-neon-blue/30 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Save Missing Days
+                </button>
+              </div>
+            </div>
+
+            {backfill && (
+              <p className="text-xs text-gray-400 mt-3">
+                {backfill.written > 0
+                  ? `Saved ${backfill.written} snapshots.`
+                  : `${backfill.series.length} days reconstructed, ${backfill.missingDates.length} without a saved snapshot.`}
+                {' '}Holdings added before transactions were tracked are counted from the start of the range.
+              </p>
+            )}
+          </div>
         </div>
       </div>
 
@@ -1,12 +1,51 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { usePortfolio } from '../context/PortfolioContext'
+import { useAuth } from '../context/AuthContext'
 import { useNotifications } from '../context/NotificationContext'
-import { exportTransactionsOnly } from '../utils/exportCsv'
+import { exportTransactionsOnly, exportTaxReport } from '../utils/exportCsv'
+import { getTaxYears } from '../utils/taxReport'
+import { sortLedgerGroup } from '../utils/realizedGains'
+import { TRANSFER_ACTIONS, isTransferTransaction, isIncomeTransaction, isCashTransaction } from '../utils/costBasis'
+import { INCOME_TYPE_LABELS, calculateMonthlyIncome } from '../utils/income'
+import { getLocationName } from '../utils/locations'
+import ImportTransactionsModal from '../components/ImportTransactionsModal'
+import { getTransactionAuditLog } from '../services/transactionService'
+
+// Realized gains breakdown groupings
+const LEDGER_GROUPS = [
+  { key: 'byCoin', label: 'By Coin' },
+  { key: 'byMonth', label: 'By Month' },
+  { key: 'byYear', label: 'By Year' }
+]
 
 const TransactionHistory = () => {
-  const { transactions, currency, supportedCurrencies } = usePortfolio()
+  const { transactions, currency, supportedCurrencies, realizedGains, incomeLedger, calculateMetrics, costBasisMethod, editTransaction, removeTransaction, isAggregateView, locations } = usePortfolio()
   const { showToast } = useNotifications()
+  const { user } = useAuth()
   const [isExporting, setIsExporting] = useState(false)
+  const [ledgerGroup, setLedgerGroup] = useState('byCoin')
+  const [showImportModal, setShowImportModal] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [editForm, setEditForm] = useState({ quantity: '', price: '', timestamp: '' })
+  const [isSaving, setIsSaving] = useState(false)
+  const [auditLog, setAuditLog] = useState([])
+  const [showAuditLog, setShowAuditLog] = useState(false)
+  const [isExportingTax, setIsExportingTax] = useState(false)
+  const taxYears = getTaxYears(transactions)
+  const [selectedTaxYear, setSelectedTaxYear] = useState(null)
+  const taxYear = selectedTaxYear || taxYears[0]
+
+  // Reload the audit trail whenever the transaction list changes
+  useEffect(() => {
+    if (!user) return
+    getTransactionAuditLog(user.id).then(setAuditLog)
+  }, [user, transactions])
+
+  const unrealizedProfitLoss = calculateMetrics().totalProfitLoss || 0
+  const realizedProfitLoss = realizedGains.totals.realizedProfitLoss
+  const ledgerRows = sortLedgerGroup(realizedGains[ledgerGroup])
+  const incomeMonths = calculateMonthlyIncome(incomeLedger)
+  const totalIncome = incomeLedger.reduce((sum, entry) => sum + entry.value, 0)
 
   const formatDate = (timestamp) => {
     const date = new Date(timestamp)
@@ -34,6 +73,10 @@ const TransactionHistory = () => {
     })}`
   }
 
+  const formatSignedCurrency = (amount) => {
+    return `${amount >= 0 ? '+' : '-'}${formatCurrency(Math.abs(amount))}`
+  }
+
   const formatQuantity = (quantity) => {
     return quantity.toLocaleString('en-US', {
       minimumFractionDigits: 2,
@@ -41,6 +84,75 @@ const TransactionHistory = () => {
     })
   }
 
+  // datetime-local inputs work in local time without a zone suffix
+  const toDateTimeInputValue = (timestamp) => {
+    const date = new Date(timestamp)
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+  }
+
+  const startEditing = (transaction) => {
+    setEditingId(transaction.id)
+    setEditForm({
+      quantity: transaction.quantity,
+      price: transaction.price,
+      timestamp: toDateTimeInputValue(transaction.timestamp)
+    })
+  }
+
+  const handleSaveEdit = async () => {
+    // A cleared date input has no value to convert
+    if (!editForm.timestamp || isNaN(new Date(editForm.timestamp).getTime())) {
+      showToast('Enter a valid date and time', 'error')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      const result = await editTransaction(editingId, {
+        quantity: parseFloat(editForm.quantity),
+        price: parseFloat(editForm.price),
+        timestamp: new Date(editForm.timestamp).toISOString()
+      })
+      showToast(result.message, result.success ? 'success' : 'error')
+      if (result.success) {
+        setEditingId(null)
+      }
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDeleteTransaction = async (transaction) => {
+    const message = isTransferTransaction(transaction)
+      ? `Delete this transfer of ${formatQuantity(transaction.quantity)} ${transaction.symbol}? Both sides of the transfer will be removed.`
+      : `Delete this ${transaction.action} of ${formatQuantity(transaction.quantity)} ${transaction.symbol}? Your holding will be recalculated.`
+    if (!window.confirm(message)) {
+      return
+    }
+    const result = await removeTransaction(transaction.id)
+    showToast(result.message, result.success ? 'success' : 'error')
+  }
+
+  const describeAuditEntry = (entry) => {
+    const tx = entry.before || entry.after
+    const label = `${tx.action} ${formatQuantity(tx.quantity)} ${tx.symbol}`
+    if (entry.action === 'DELETE') {
+      return `Deleted ${label} @ ${formatCurrency(tx.price)}`
+    }
+
+    const changes = []
+    if (entry.before.quantity !== entry.after.quantity) {
+      changes.push(`qty ${formatQuantity(entry.before.quantity)} → ${formatQuantity(entry.after.quantity)}`)
+    }
+    if (entry.before.price !== entry.after.price) {
+      changes.push(`price ${formatCurrency(entry.before.price)} → ${formatCurrency(entry.after.price)}`)
+    }
+    if (entry.before.timestamp !== entry.after.timestamp) {
+      changes.push(`date ${formatDate(entry.before.timestamp)} → ${formatDate(entry.after.timestamp)}`)
+    }
+    return `Edited ${label}${changes.length > 0 ? `: ${changes.join(', ')}` : ''}`
+  }
+
   // Handle CSV Export
   const handleExportCSV = async () => {
     try {
@@ -60,6 +172,20 @@ const TransactionHistory = () => {
     }
   }
 
+  // Handle Tax Report Export (long-term threshold comes from user settings)
+  const handleExportTaxReport = async () => {
+    try {
+      setIsExportingTax(true)
+      const result = await exportTaxReport({ taxYear, method: costBasisMethod })
+      showToast(result.message, result.success ? 'success' : 'error')
+    } catch (error) {
+      console.error('❌ Tax report export error:', error)
+      showToast('Failed to export tax report', 'error')
+    } finally {
+      setIsExportingTax(false)
+    }
+  }
+
   return (
     <div className="flex flex-col h-full p-6">
       {/* Fixed Header Section */}
@@ -70,18 +196,58 @@ const TransactionHistory = () => {
           </h1>
           <p className="text-gray-400">Track all your portfolio activities</p>
         </div>
-        {/* Export CSV Button */}
-        <button
-          onClick={handleExportCSV}
-          disabled={isExporting || transactions.length === 0}
-          className="group inline-flex items-center justify-center space-x-2 px-6 py-3.5 bg-dark-tertiary text-white rounded-xl hover:bg-neon-green/10 hover:border-neon-green/50 border-2 border-transparent hover:shadow-lg hover:shadow-neon-green/30 transition-all duration-300 font-bold hover:scale-105 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:scale-100 disabled:hover:shadow-none"
-          title="Export transactions and portfolio as CSV"
-        >
-          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2.5}>
-            <path strokeLinecap="round" strokeLinejoin="round" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-          </svg>
-          <span>{isExporting ? 'Exporting...' : 'Export CSV'}</span>
-        </button>
+        <div className="flex items-center space-x-3">
+          {/* Tax Report Export */}
+          {taxYears.length > 0 && (
+            <div className="flex items-center space-x-2">
+              <select
+                value={taxYear}
+                onChange={(e) => setSelectedTaxYear(Number(e.target.value))}
+                className="px-3 py-3.5 bg-dark-tertiary border-2 border-transparent rounded-xl focus:outline-none focus:border-neon-blue/50 text-white text-sm font-bold"
+                title="Tax year"
+              >
+                {taxYears.map(year => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleExportTaxReport}
+                disabled={isExportingTax}
+                className="group inline-flex items-center justify-center space-x-2 px-6 py-3.5 bg-dark-tertiary text-white rounded-xl hover:bg-neon-blue/10 hover:border-neon-blue/50 border-2 border-transparent hover:shadow-lg hover:shadow-neon-blue/30 transition-all duration-300 font-bold hover:scale-105 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:scale-100 disabled:hover:shadow-none"
+                title="Export capital gains tax report (Form 8949 CSV + summary)"
+              >
+                <span>🧾</span>
+                <span>{isExportingTax ? 'Exporting...' : 'Tax Report'}</span>
+              </button>
+            </div>
+          )}
+
+          {/* Import CSV Button */}
+          <button
+            onClick={() => setShowImportModal(true)}
+            disabled={isAggregateView}
+            className="group inline-flex items-center justify-center space-x-2 px-6 py-3.5 bg-dark-tertiary text-white rounded-xl hover:bg-neon-purple/10 hover:border-neon-purple/50 border-2 border-transparent hover:shadow-lg hover:shadow-neon-purple/30 transition-all duration-300 font-bold hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+            title={isAggregateView ? 'Select a portfolio to import into' : 'Import transactions from an exchange CSV'}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2.5}>
+              <path strokeLinecap="round" strokeLinejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+            </svg>
+            <span>Import CSV</span>
+          </button>
+
+          {/* Export CSV Button */}
+          <button
+            onClick={handleExportCSV}
+            disabled={isExporting || transactions.length === 0}
+            className="group inline-flex items-center justify-center space-x-2 px-6 py-3.5 bg-dark-tertiary text-white rounded-xl hover:bg-neon-green/10 hover:border-neon-green/50 border-2 border-transparent hover:shadow-lg hover:shadow-neon-green/30 transition-all duration-300 font-bold hover:scale-105 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:scale-100 disabled:hover:shadow-none"
+            title="Export transactions and portfolio as CSV"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2.5}>
+              <path strokeLinecap="round" strokeLinejoin="round" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+            </svg>
+            <span>{isExporting ? 'Exporting...' : 'Export CSV'}</span>
+          </button>
+        </div>
       </div>
 
       {/* Scrollable Transaction List */}
@@ -135,47 +301,168 @@ const TransactionHistory = () => {
                       <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold ${
                         transaction.action === 'BUY' 
                           ? 'bg-neon-green/10 text-neon-green border border-neon-green/30'
-                          : 'bg-neon-pink/10 text-neon-pink border border-neon-pink/30'
+                          : isTransferTransaction(transaction)
+                            ? 'bg-neon-blue/10 text-neon-blue border border-neon-blue/30'
+                            : isIncomeTransaction(transaction)
+                              ? 'bg-neon-purple/10 text-neon-purple border border-neon-purple/30'
+                              : isCashTransaction(transaction)
+                                ? 'bg-gray-500/10 text-gray-300 border border-gray-500/30'
+                                : 'bg-neon-pink/10 text-neon-pink border border-neon-pink/30'
                       }`}>
-                        {transaction.action}
+                        {isIncomeTransaction(transaction)
+                          ? INCOME_TYPE_LABELS[transaction.incomeType] || transaction.action
+                          : transaction.action}
                       </span>
+
+                      {transaction.recurringBuyId && (
+                        <span className="text-neon-blue text-xs hidden md:inline" title="Recorded by a recurring buy">🔁 Recurring</span>
+                      )}
+
+                      {/* Location */}
+                      {(transaction.locationId || isTransferTransaction(transaction)) && (
+                        <span className="text-gray-500 text-xs hidden md:inline">
+                          {transaction.action === TRANSFER_ACTIONS.OUT ? 'from ' : transaction.action === TRANSFER_ACTIONS.IN ? 'to ' : 'at '}
+                          {getLocationName(locations, transaction.locationId)}
+                        </span>
+                      )}
                     </div>
 
                     {/* Right: Transaction Details */}
                     <div className="flex items-center space-x-6 ml-auto">
-                      {/* Quantity */}
-                      <div className="text-right hidden sm:block">
-                        <p className="text-gray-400 text-xs mb-1">Quantity</p>
-                        <p className="text-white font-mono font-medium text-sm">
-                          {formatQuantity(transaction.quantity)}
-                        </p>
-                      </div>
+                      {editingId === transaction.id ? (
+                        <>
+                          <div className="text-right">
+                            <p className="text-gray-400 text-xs mb-1">Quantity</p>
+                            <input
+                              type="number"
+                              step="any"
+                              min="0"
+                              value={editForm.quantity}
+                              onChange={(e) => setEditForm({ ...editForm, quantity: e.target.value })}
+                              className="w-28 px-2 py-1 bg-dark-tertiary border border-dark-tertiary rounded-lg text-white font-mono text-sm text-right focus:outline-none focus:border-neon-blue/50"
+                            />
+                          </div>
+                          <div className="text-right">
+                            <p className="text-gray-400 text-xs mb-1">Price</p>
+                            <input
+                              type="number"
+                              step="any"
+                              min="0"
+                              value={editForm.price}
+                              onChange={(e) => setEditForm({ ...editForm, price: e.target.value })}
+                              className="w-28 px-2 py-1 bg-dark-tertiary border border-dark-tertiary rounded-lg text-white font-mono text-sm text-right focus:outline-none focus:border-neon-blue/50"
+                            />
+                          </div>
+                          <div className="text-right">
+                            <p className="text-gray-400 text-xs mb-1">Date</p>
+                            <input
+                              type="datetime-local"
+                              value={editForm.timestamp}
+                              onChange={(e) => setEditForm({ ...editForm, timestamp: e.target.value })}
+                              className="px-2 py-1 bg-dark-tertiary border border-dark-tertiary rounded-lg text-white text-sm focus:outline-none focus:border-neon-blue/50"
+                            />
+                          </div>
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={handleSaveEdit}
+                              disabled={isSaving || !editForm.quantity || !editForm.price || !editForm.timestamp}
+                              className="px-3 py-1.5 bg-neon-blue text-white rounded-lg hover:bg-neon-blue/80 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              {isSaving ? 'Saving...' : 'Save'}
+                            </button>
+                            <button
+                              onClick={() => setEditingId(null)}
+                              className="px-3 py-1.5 bg-dark-tertiary text-gray-400 rounded-lg hover:bg-dark-tertiary/80 transition-colors text-sm"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        </>
+                      ) : (
+                        <>
+                          {/* Quantity */}
+                          <div className="text-right hidden sm:block">
+                            <p className="text-gray-400 text-xs mb-1">Quantity</p>
+                            <p className="text-white font-mono font-medium text-sm">
+                              {formatQuantity(transaction.quantity)}
+                            </p>
+                          </div>
 
-                      {/* Price */}
-                      <div className="text-right hidden md:block">
-                        <p className="text-gray-400 text-xs mb-1">Price</p>
-                        <p className="text-white font-mono font-medium text-sm">
-                          {formatCurrency(transaction.price)}
-                        </p>
-                      </div>
+                          {/* Price */}
+                          <div className="text-right hidden md:block">
+                            <p className="text-gray-400 text-xs mb-1">Price</p>
+                            <p className="text-white font-mono font-medium text-sm">
+                              {formatCurrency(transaction.price)}
+                            </p>
+                          </div>
 
-                      {/* Total */}
-                      <div className="text-right">
-                        <p className="text-gray-400 text-xs mb-1">Total</p>
-                        <p className="text-neon-blue font-mono font-bold text-base">
-                          {formatCurrency(transaction.total)}
-                        </p>
-                      </div>
+                          {/* Total */}
+                          <div className="text-right">
+                            <p className="text-gray-400 text-xs mb-1">Total</p>
+                            <p className="text-neon-blue font-mono font-bold text-base">
+                              {formatCurrency(transaction.total)}
+                            </p>
+                            {transaction.fee > 0 && (
+                              <p className="text-gray-500 text-xs font-mono">
+                                Fee {transaction.feeCurrency && transaction.feeCurrency !== 'USD'
+                                  ? `${formatQuantity(transaction.fee)} ${transaction.feeCurrency}`
+                                  : formatCurrency(transaction.fee)}
+                              </p>
+                            )}
+                          </div>
 
-                      {/* Date & Time */}
-                      <div className="text-right hidden lg:block">
-                        <p className="text-white font-medium text-sm">
-                          {formatDate(transaction.timestamp)}
-                        </p>
-                        <p className="text-gray-500 text-xs">
-                          {formatTime(transaction.timestamp)}
-                        </p>
-                      </div>
+                          {/* Realized P/L (sells only) */}
+                          {transaction.action === 'SELL' && realizedGains.bySellId[transaction.id] && (
+                            <div className="text-right">
+                              <p className="text-gray-400 text-xs mb-1">Realized</p>
+                              <p className={`font-mono font-bold text-sm ${
+                                realizedGains.bySellId[transaction.id].realizedProfitLoss >= 0 ? 'text-neon-green' : 'text-neon-pink'
+                              }`}>
+                                {formatSignedCurrency(realizedGains.bySellId[transaction.id].realizedProfitLoss)}
+                              </p>
+                              {realizedGains.bySellId[transaction.id].unmatchedQuantity > 0 && (
+                                <p className="text-yellow-400 text-xs" title="Part of this sell has no matching buy, its cost basis is unknown">
+                                  {formatQuantity(realizedGains.bySellId[transaction.id].unmatchedQuantity)} basis unknown
+                                </p>
+                              )}
+                            </div>
+                          )}
+
+                          {/* Date & Time */}
+                          <div className="text-right hidden lg:block">
+                            <p className="text-white font-medium text-sm">
+                              {formatDate(transaction.timestamp)}
+                            </p>
+                            <p className="text-gray-500 text-xs">
+                              {formatTime(transaction.timestamp)}
+                            </p>
+                          </div>
+
+                          {/* Row Actions */}
+                          <div className="flex items-center space-x-1">
+                            {!isTransferTransaction(transaction) && !isCashTransaction(transaction) && (
+                              <button
+                                onClick={() => startEditing(transaction)}
+                                className="p-2 text-gray-500 hover:text-neon-blue hover:bg-dark-tertiary rounded-lg transition-colors"
+                                title="Edit transaction"
+                              >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                                </svg>
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleDeleteTransaction(transaction)}
+                              className="p-2 text-gray-500 hover:text-neon-pink hover:bg-dark-tertiary rounded-lg transition-colors"
+                              title="Delete transaction"
+                            >
+                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                              </svg>
+                            </button>
+                          </div>
+                        </>
+                      )}
                     </div>
                   </div>
 
@@ -208,11 +495,37 @@ const TransactionHistory = () => {
       {transactions.length > 0 && (
         <div className="flex-shrink-0 mt-4 bg-dark-secondary border border-dark-tertiary rounded-xl p-6">
           {/* Total Transactions Header */}
-          <div className="mb-5">
-            <p className="text-gray-400 text-sm mb-1">Total Transactions</p>
-            <p className="text-2xl font-bold text-white">{transactions.length}</p>
+          <div className="mb-5 flex items-start justify-between">
+            <div>
+              <p className="text-gray-400 text-sm mb-1">Total Transactions</p>
+              <p className="text-2xl font-bold text-white">{transactions.length}</p>
+            </div>
+            {auditLog.length > 0 && (
+              <button
+                onClick={() => setShowAuditLog(!showAuditLog)}
+                className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-dark-tertiary/50 text-gray-400 hover:text-white transition-colors"
+              >
+                {showAuditLog ? 'Hide' : 'Show'} Edit History ({auditLog.length})
+              </button>
+            )}
           </div>
 
+          {/* Audit Trail */}
+          {showAuditLog && (
+            <div className="mb-5 space-y-1.5 max-h-40 overflow-y-auto">
+              {auditLog.map(entry => (
+                <div key={entry.id} className="flex items-center justify-between text-sm px-3 py-2 rounded-lg bg-dark-tertiary/30">
+                  <span className={entry.action === 'DELETE' ? 'text-neon-pink' : 'text-gray-300'}>
+                    {describeAuditEntry(entry)}
+                  </span>
+                  <span className="text-gray-500 text-xs whitespace-nowrap ml-4">
+                    {formatDate(entry.createdAt)} {formatTime(entry.createdAt)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Divider */}
           <div className="border-t border-white/[0.06] mb-5"></div>
 
@@ -256,8 +569,96 @@ const TransactionHistory = () => {
               </p>
             </div>
           </div>
+
+          {/* Realized vs Unrealized P/L */}
+          <div className="grid grid-cols-2 gap-4 mt-4">
+            <div className="bg-dark-tertiary/40 border border-dark-tertiary rounded-lg p-4">
+              <p className="text-gray-400 text-sm font-medium mb-2">Realized P/L</p>
+              <p className={`text-2xl font-bold ${realizedProfitLoss >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+                {formatSignedCurrency(realizedProfitLoss)}
+              </p>
+              <p className="text-gray-500 text-xs mt-1">Locked in from sells</p>
+            </div>
+            <div className="bg-dark-tertiary/40 border border-dark-tertiary rounded-lg p-4">
+              <p className="text-gray-400 text-sm font-medium mb-2">Unrealized P/L</p>
+              <p className={`text-2xl font-bold ${unrealizedProfitLoss >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+                {formatSignedCurrency(unrealizedProfitLoss)}
+              </p>
+              <p className="text-gray-500 text-xs mt-1">Paper gains on current holdings</p>
+            </div>
+          </div>
+
+          {/* Realized Gains Breakdown */}
+          {ledgerRows.length > 0 && (
+            <div className="mt-5">
+              <div className="flex items-center justify-between mb-3">
+                <p className="text-gray-400 text-sm font-medium">Realized Gains</p>
+                <div className="flex space-x-2">
+                  {LEDGER_GROUPS.map(group => (
+                    <button
+                      key={group.key}
+                      onClick={() => setLedgerGroup(group.key)}
+                      className={`px-3 py-1 rounded-lg text-xs font-semibold transition-colors ${
+                        ledgerGroup === group.key
+                          ? 'bg-neon-blue/20 text-neon-blue border border-neon-blue/40'
+                          : 'bg-dark-tertiary text-gray-400 border border-transparent hover:text-white'
+                      }`}
+                    >
+                      {group.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="space-y-1.5 max-h-40 overflow-y-auto">
+                {ledgerRows.map(row => (
+                  <div key={row.key} className="flex items-center justify-between text-sm px-3 py-2 rounded-lg bg-dark-tertiary/30">
+                    <span className="text-white font-medium">{row.label}</span>
+                    <div className="flex items-center space-x-6">
+                      <span className="text-gray-500 text-xs hidden sm:inline">
+                        {row.sellCount} sell{row.sellCount !== 1 ? 's' : ''} · Proceeds {formatCurrency(row.proceeds)}
+                      </span>
+                      <span className={`font-mono font-bold ${row.realizedProfitLoss >= 0 ? 'text-neon-green' : 'text-neon-pink'}`}>
+                        {formatSignedCurrency(row.realizedProfitLoss)}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Income Ledger */}
+          {incomeMonths.length > 0 && (
+            <div className="mt-5">
+              <div className="flex items-center justify-between mb-3">
+                <p className="text-gray-400 text-sm font-medium">Income</p>
+                <p className="text-sm font-mono font-bold text-neon-purple">{formatCurrency(totalIncome)}</p>
+              </div>
+              <div className="space-y-1.5 max-h-40 overflow-y-auto">
+                {incomeMonths.map(month => (
+                  <div key={month.month} className="flex items-center justify-between text-sm px-3 py-2 rounded-lg bg-dark-tertiary/30">
+                    <span className="text-white font-medium">{month.month}</span>
+                    <div className="flex items-center space-x-6">
+                      <span className="text-gray-500 text-xs hidden sm:inline">
+                        {Object.keys(month.byType).map(type => INCOME_TYPE_LABELS[type] || type).join(', ')} · {month.count} payment{month.count !== 1 ? 's' : ''}
+                      </span>
+                      <span className="font-mono font-bold text-neon-purple">
+                        {formatCurrency(month.total)}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <p className="text-gray-500 text-xs mt-2">Valued at fair market value when received</p>
+            </div>
+          )}
         </div>
       )}
+
+      <ImportTransactionsModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+      />
     </div>
   )
 }
@@ -6,6 +6,9 @@
 
 import { supabase } from '../supabase/client'
 import { getCoinPrices } from './coinService'
+import { formatAlert, checkAlert } from './alertService'
+import { recordPrices } from './priceBuffer'
+import { describeAlert } from '../utils/alertConditions'
 
 // Check interval: 60 seconds
 const CHECK_INTERVAL = 60000
@@ -82,13 +85,12 @@ const checkAlerts = async () => {
   try {
     console.log('🔍 Alert Engine: Checking alerts...')
 
-    // Step 1: Fetch all active alerts for the user
+    // Step 1: Fetch all active alerts for the user (repeating alerts stay active after firing)
     const { data: alerts, error: fetchError } = await supabase
       .from('price_alerts')
       .select('*')
       .eq('user_id', currentUserId)
       .eq('is_active', true)
-      .is('triggered_at', null)
 
     if (fetchError) {
       console.error('❌ Alert Engine: Error fetching alerts:', fetchError)
@@ -126,6 +128,9 @@ const checkAlerts = async () => {
 
     console.log(`   Received prices for ${Object.keys(prices).length} coins`)
 
+    // Feed the rolling buffer that percentage-move alerts look back over
+    recordPrices(Object.fromEntries(Object.entries(prices).map(([coinId, quote]) => [coinId, quote.price])))
+
     // Step 4: Check each alert against current price
     const triggeredAlerts = []
 
@@ -143,30 +148,25 @@ const checkAlerts = async () => {
 
       // Check each alert for this coin
       for (const alert of coinAlerts) {
-        const shouldTrigger = checkCondition(
-          alert.condition,
-          currentPrice,
-          alert.target_price
-        )
-
-        console.log(
-          `     Alert ${alert.id.substring(0, 8)}: ` +
-          `Target $${Number(alert.target_price).toFixed(2)} ${alert.condition} ` +
-          `Current $${currentPrice.toFixed(2)} - ` +
-          `${shouldTrigger ? '✅ TRIGGERING' : '❌ NOT MET'}`
-        )
-
-        if (shouldTrigger) {
-          try {
-            // Trigger the alert
-            const success = await triggerAlert(alert, currentPrice)
-            if (success) {
-              triggeredAlerts.push(alert)
-              console.log(`     ✅ Triggered successfully`)
-            }
-          } catch (error) {
-            console.error(`     ❌ Failed to trigger:`, error.message)
+        const appAlert = formatAlert(alert)
+
+        try {
+          // Arms, evaluates and atomically fires the alert
+          const check = await checkAlert(appAlert, priceData, alert.user_id)
+
+          console.log(
+            `     Alert ${alert.id.substring(0, 8)}: ` +
+            `${describeAlert(appAlert)} ` +
+            `Current $${currentPrice.toFixed(2)} - ` +
+            `${check.triggered ? '✅ TRIGGERED' : '❌ NOT MET'}`
+          )
+
+          if (check.triggered) {
+            await notifyAlert(alert, currentPrice, check.message)
+            triggeredAlerts.push(alert)
           }
+        } catch (error) {
+          console.error(`     ❌ Failed to check:`, error.message)
         }
       }
     }
@@ -191,82 +191,19 @@ const checkAlerts = async () => {
 }
 
 /**
- * Check if alert condition is met
- * @param {string} condition - 'above' or 'below'
- * @param {number} currentPrice - Current market price
- * @param {number} targetPrice - Target price from alert
- * @returns {boolean} True if condition is met
- */
-const checkCondition = (condition, currentPrice, targetPrice) => {
-  // Ensure both values are numbers for accurate comparison
-  const current = Number(currentPrice)
-  const target = Number(targetPrice)
-  
-  if (isNaN(current) || isNaN(target)) {
-    console.warn('⚠️ Invalid price values for comparison:', { currentPrice, targetPrice })
-    return false
-  }
-  
-  if (condition === 'above') {
-    return current >= target
-  } else if (condition === 'below') {
-    return current <= target
-  }
-  return false
-}
-
-/**
- * Trigger an alert (update Supabase + create notification)
- * @param {Object} alert - Alert object from database
- * @param {number} currentPrice - Current price that triggered the alert
+ * Create the notification for a fired alert
+ * @param {Object} alert - Alert row from database
+ * @param {number} currentPrice - Price that triggered the alert
+ * @param {string} message - Notification text
  * @returns {Promise<boolean>} Success status
  */
-const triggerAlert = async (alert, currentPrice) => {
+const notifyAlert = async (alert, currentPrice, message) => {
   try {
-    const now = new Date().toISOString()
-
-    console.log('     📋 Triggering alert atomically...')
-    console.log('     📋 Alert ID:', alert.id.substring(0, 8))
-    console.log('     📋 Ensuring alert is still active and not triggered...')
-
-    // Step 1: Update alert status in Supabase with atomic check
-    // Only update if alert is STILL active and NOT triggered (prevents race conditions)
-    const { data: updateData, error: updateError } = await supabase
-      .from('price_alerts')
-      .update({
-        is_active: false,
-        triggered_at: now
-      })
-      .eq('id', alert.id)
-      .eq('is_active', true)  // Only update if still active
-      .is('triggered_at', null)  // Only update if not already triggered
-      .select()
-
-    if (updateError) {
-      console.error('     ❌ Failed to update alert:', updateError)
-      return false
-    }
-
-    // If no rows were updated, alert was already triggered by another process
-    if (!updateData || updateData.length === 0) {
-      console.log('     ⚠️ Alert was already triggered by another process, skipping')
-      return false
-    }
-
-    console.log('     ✅ Alert marked as triggered')
-    console.log('     ✅ is_active:', false)
-    console.log('     ✅ triggered_at:', now)
-
-    // Step 2: Create notification message
-    const direction = alert.condition === 'above' ? 'risen above' : 'fallen below'
-    const message = `${alert.coin_name} (${alert.symbol}) has ${direction} $${parseFloat(alert.target_price).toFixed(2)}! Current price: $${currentPrice.toFixed(2)}`
-
     console.log('     📝 Creating notification...')
     console.log('     📝 Message:', message)
     console.log('     📝 User ID:', alert.user_id)
     console.log('     📝 Type: price_alert')
 
-    // Step 3: Insert notification row
     const notificationData = {
       user_id: alert.user_id,
       type: 'price_alert',
@@ -275,7 +212,7 @@ const triggerAlert = async (alert, currentPrice) => {
       price: currentPrice,
       message: message,
       read: false,
-      created_at: now
+      created_at: new Date().toISOString()
     }
 
     const { data: notifData, error: notificationError } = await supabase
@@ -288,9 +225,7 @@ const triggerAlert = async (alert, currentPrice) => {
       console.error('     ❌ Failed to create notification:', notificationError)
       console.error('     ❌ Error code:', notificationError.code)
       console.error('     ❌ Error message:', notificationError.message)
-      // Alert was updated but notification failed
-      // Still return true since alert was marked as triggered
-      return true
+      return false
     }
 
     console.log('     ✅ Notification created successfully!')
@@ -299,7 +234,7 @@ const triggerAlert = async (alert, currentPrice) => {
 
     return true
   } catch (error) {
-    console.error('     ❌ Exception in triggerAlert:', error)
+    console.error('     ❌ Exception in notifyAlert:', error)
     return false
   }
 }
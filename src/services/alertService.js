@@ -4,44 +4,109 @@
  */
 
 import { supabase } from '../supabase/client';
+import { ensurePriceHistory } from './priceBuffer';
+import { getCoinMarkets } from './coinService';
+import { getFearGreedIndex } from './marketService';
+import {
+  ALERT_CONDITIONS,
+  HOLDING_CONDITIONS,
+  isPriceCondition,
+  isHoldingCondition,
+  getAlertHistoryHours,
+  validateAlertCondition,
+  evaluateAlertCondition,
+  getAlertMessage
+} from '../utils/alertConditions';
+import {
+  ALERT_REPEAT_MODES,
+  ALERT_ARMING,
+  validateAlertRepeat,
+  getAlertArming,
+  getTriggerUpdate
+} from '../utils/alertRepeat';
+import { getHoldingTriggerUpdate } from '../utils/holdingAlerts';
+import { RULE_FIELDS, COIN_MARKET_FIELDS, getRuleFields } from '../utils/alertRules';
+
+// Percentage alerts have no target price, price alerts no threshold
+const parseOptionalNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Convert a price_alerts row to app format
+ * @param {Object} alert - Supabase row
+ * @returns {Object} Alert in app format
+ */
+export const formatAlert = (alert) => ({
+  id: alert.id,
+  portfolioId: alert.portfolio_id,
+  coinId: alert.coin_id,
+  coinName: alert.coin_name,
+  symbol: alert.symbol,
+  targetPrice: parseOptionalNumber(alert.target_price),
+  condition: alert.condition,
+  thresholdPercent: parseOptionalNumber(alert.threshold_percent),
+  windowHours: alert.window_hours ?? null,
+  repeatMode: alert.repeat_mode || ALERT_REPEAT_MODES.ONCE,
+  cooldownMinutes: alert.cooldown_minutes ?? null,
+  hysteresisPercent: parseOptionalNumber(alert.hysteresis_percent),
+  rearmPrice: parseOptionalNumber(alert.rearm_price),
+  lastTriggeredPrice: parseOptionalNumber(alert.last_triggered_price),
+  peakPrice: parseOptionalNumber(alert.peak_price),
+  sellPercent: parseOptionalNumber(alert.sell_percent),
+  baseQuantity: parseOptionalNumber(alert.base_quantity),
+  pendingSellPercent: parseOptionalNumber(alert.pending_sell_percent),
+  ladder: alert.ladder || null,
+  rules: alert.rules || null,
+  isActive: alert.is_active,
+  triggeredAt: alert.triggered_at,
+  createdAt: alert.created_at
+});
+
+/**
+ * Convert an alert_events row to app format
+ * @param {Object} event - Supabase row
+ * @returns {Object} Event in app format
+ */
+const formatAlertEvent = (event) => ({
+  id: event.id,
+  alertId: event.alert_id,
+  price: parseFloat(event.price),
+  value: parseOptionalNumber(event.value),
+  message: event.message,
+  triggeredAt: event.triggered_at
+});
 
 /**
  * Get all active alerts for the current user
  * @param {string} userId - Supabase user ID
+ * @param {string|null} portfolioId - Limit to one portfolio (null = every portfolio)
  * @returns {Promise<Array>} Array of active alerts
  */
-export const getActiveAlerts = async (userId) => {
+export const getActiveAlerts = async (userId, portfolioId = null) => {
   try {
     if (!userId) {
       return [];
     }
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('price_alerts')
       .select('*')
       .eq('user_id', userId)
       .eq('is_active', true)
       .order('created_at', { ascending: false });
 
+    if (portfolioId) {
+      query = query.eq('portfolio_id', portfolioId);
+    }
+
+    const { data, error } = await query;
+
     if (error) {
       console.error('❌ Error fetching alerts:', error.message);
       throw error;
     }
 
     // Convert Supabase format to app format
-    const alerts = data.map(alert => ({
-      id: alert.id,
-      coinId: alert.coin_id,
-      coinName: alert.coin_name,
-      symbol: alert.symbol,
-      targetPrice: parseFloat(alert.target_price),
-      condition: alert.condition,
-      isActive: alert.is_active,
-      triggeredAt: alert.triggered_at,
-      createdAt: alert.created_at
-    }));
-
-    return alerts;
+    return data.map(formatAlert);
   } catch (error) {
     console.error('❌ Error in getActiveAlerts:', error);
     return [];
@@ -74,19 +139,7 @@ export const getAlertsByCoin = async (userId, coinId) => {
     }
 
     // Convert Supabase format to app format
-    const alerts = data.map(alert => ({
-      id: alert.id,
-      coinId: alert.coin_id,
-      coinName: alert.coin_name,
-      symbol: alert.symbol,
-      targetPrice: parseFloat(alert.target_price),
-      condition: alert.condition,
-      isActive: alert.is_active,
-      triggeredAt: alert.triggered_at,
-      createdAt: alert.created_at
-    }));
-
-    return alerts;
+    return data.map(formatAlert);
   } catch (error) {
     console.error('❌ Error in getAlertsByCoin:', error);
     return [];
@@ -105,30 +158,49 @@ export const createAlert = async (alertData, userId) => {
       throw new Error('User ID required for creating alerts');
     }
 
-    const { coinId, coinName, symbol, targetPrice, condition } = alertData;
+    const {
+      coinId, coinName, symbol, targetPrice, condition, thresholdPercent, windowHours, portfolioId,
+      cooldownMinutes, hysteresisPercent, peakPrice, sellPercent, baseQuantity, ladder, rules
+    } = alertData;
+    // Holding alerts fire once (a ladder once per tier)
+    const repeatMode = isHoldingCondition(condition) ? ALERT_REPEAT_MODES.ONCE : alertData.repeatMode || ALERT_REPEAT_MODES.ONCE;
 
     // Validate input
-    if (!coinId || !coinName || !symbol || !targetPrice || !condition) {
+    if (!coinId || !coinName || !symbol || !condition) {
       throw new Error('Missing required alert data');
     }
 
-    if (!['above', 'below'].includes(condition)) {
-      throw new Error('Invalid condition. Must be "above" or "below"');
-    }
-
-    if (targetPrice <= 0) {
-      throw new Error('Target price must be greater than 0');
+    const validationError = validateAlertCondition(alertData) || validateAlertRepeat({ ...alertData, repeatMode });
+    if (validationError) {
+      throw new Error(validationError);
     }
 
+    const priceCondition = isPriceCondition(condition);
+    const ruleCondition = condition === ALERT_CONDITIONS.COMPOUND;
     const { data, error } = await supabase
       .from('price_alerts')
       .insert({
         user_id: userId,
+        portfolio_id: portfolioId || null,
         coin_id: coinId,
         coin_name: coinName,
         symbol: symbol,
-        target_price: targetPrice,
+        target_price: priceCondition ? targetPrice : null,
         condition: condition,
+        threshold_percent: priceCondition || ruleCondition ? null : thresholdPercent,
+        window_hours: getAlertHistoryHours({ condition, windowHours }) || null,
+        repeat_mode: repeatMode,
+        cooldown_minutes: repeatMode === ALERT_REPEAT_MODES.COOLDOWN ? cooldownMinutes : null,
+        hysteresis_percent: repeatMode === ALERT_REPEAT_MODES.HYSTERESIS ? hysteresisPercent : null,
+        peak_price: condition === ALERT_CONDITIONS.TRAILING_STOP ? peakPrice || null : null,
+        sell_percent: condition === ALERT_CONDITIONS.TRAILING_STOP ? sellPercent || null : null,
+        base_quantity: isHoldingCondition(condition) ? baseQuantity || null : null,
+        ladder: condition === ALERT_CONDITIONS.TAKE_PROFIT
+          ? ladder
+            .map(tier => ({ targetPrice: tier.targetPrice, sellPercent: tier.sellPercent || null, triggeredAt: null }))
+            .sort((a, b) => a.targetPrice - b.targetPrice)
+          : null,
+        rules: ruleCondition ? rules : null,
         is_active: true
       })
       .select()
@@ -136,16 +208,7 @@ export const createAlert = async (alertData, userId) => {
 
     if (error) throw error;
 
-    return {
-      id: data.id,
-      coinId: data.coin_id,
-      coinName: data.coin_name,
-      symbol: data.symbol,
-      targetPrice: parseFloat(data.target_price),
-      condition: data.condition,
-      isActive: data.is_active,
-      createdAt: data.created_at
-    };
+    return formatAlert(data);
   } catch (error) {
     console.error('❌ Error in createAlert:', error);
     throw error;
@@ -180,12 +243,158 @@ export const deleteAlert = async (alertId, userId) => {
 };
 
 /**
- * Mark alert as triggered and deactivate it
+ * Record a firing: update the alert for its repeat mode and log the event
+ * Only updates an alert that hasn't fired since it was read, so two checkers
+ * racing on the same alert fire it once.
+ * @param {Object} alert - Alert in app format
+ * @param {number} price - Price it fired at (USD)
+ * @param {Object} result - Output of evaluateAlertCondition
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object|null>} Updated alert, null when it had already fired
+ */
+export const triggerAlert = async (alert, price, result, userId) => {
+  try {
+    if (!userId || !alert?.id) {
+      throw new Error('User ID and Alert ID required');
+    }
+
+    const firedAt = new Date().toISOString();
+    let query = supabase
+      .from('price_alerts')
+      .update({
+        ...getTriggerUpdate(alert, price, result, firedAt),
+        ...getHoldingTriggerUpdate(alert, result, firedAt)
+      })
+      .eq('id', alert.id)
+      .eq('user_id', userId)
+      .eq('is_active', true);
+
+    query = alert.triggeredAt ? query.eq('triggered_at', alert.triggeredAt) : query.is('triggered_at', null);
+
+    const { data, error } = await query.select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    const { error: eventError } = await supabase
+      .from('alert_events')
+      .insert({
+        user_id: userId,
+        alert_id: alert.id,
+        price,
+        value: result.value ?? null,
+        message: getAlertMessage(alert, price, result),
+        triggered_at: firedAt
+      });
+
+    // The alert has fired either way, a missing event only leaves a gap in its timeline
+    if (eventError) {
+      console.error('❌ Error recording alert event:', eventError);
+    }
+
+    return formatAlert(data[0]);
+  } catch (error) {
+    console.error('❌ Error in triggerAlert:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-arm a hysteresis alert once the price has retreated past its band
+ * @param {Object} alert - Alert in app format
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Re-armed alert
+ */
+export const rearmAlert = async (alert, userId) => {
+  try {
+    if (!userId || !alert?.id) {
+      throw new Error('User ID and Alert ID required');
+    }
+
+    const { error } = await supabase
+      .from('price_alerts')
+      .update({ rearm_price: null })
+      .eq('id', alert.id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return { ...alert, rearmPrice: null };
+  } catch (error) {
+    console.error('❌ Error in rearmAlert:', error);
+    throw error;
+  }
+};
+
+/**
+ * Raise the running peak of a trailing stop
+ * Only ever raises it, so a checker with an older price can't pull it down.
+ * @param {Object} alert - Alert in app format
+ * @param {number} price - New peak price (USD)
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Alert with the new peak
+ */
+export const updateAlertPeak = async (alert, price, userId) => {
+  try {
+    if (!userId || !alert?.id) {
+      throw new Error('User ID and Alert ID required');
+    }
+
+    let query = supabase
+      .from('price_alerts')
+      .update({ peak_price: price })
+      .eq('id', alert.id)
+      .eq('user_id', userId);
+
+    query = alert.peakPrice ? query.lt('peak_price', price) : query.is('peak_price', null);
+
+    const { error } = await query;
+
+    if (error) throw error;
+
+    return { ...alert, peakPrice: price };
+  } catch (error) {
+    console.error('❌ Error in updateAlertPeak:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the trailing stops and take-profit ladders of the current user
+ * Includes fired ones whose sell hasn't been reviewed yet.
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Array>} Array of alerts
+ */
+export const getHoldingAlerts = async (userId) => {
+  try {
+    if (!userId) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('price_alerts')
+      .select('*')
+      .eq('user_id', userId)
+      .in('condition', HOLDING_CONDITIONS)
+      .or('is_active.eq.true,pending_sell_percent.gt.0')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return data.map(formatAlert);
+  } catch (error) {
+    console.error('❌ Error in getHoldingAlerts:', error);
+    return [];
+  }
+};
+
+/**
+ * Clear the sell a holding alert left for review (sold or dismissed)
  * @param {string} alertId - Alert UUID
  * @param {string} userId - Supabase user ID
  * @returns {Promise<boolean>} Success status
  */
-export const triggerAlert = async (alertId, userId) => {
+export const clearPendingSell = async (alertId, userId) => {
   try {
     if (!userId || !alertId) {
       throw new Error('User ID and Alert ID required');
@@ -193,10 +402,7 @@ export const triggerAlert = async (alertId, userId) => {
 
     const { error } = await supabase
       .from('price_alerts')
-      .update({
-        is_active: false,
-        triggered_at: new Date().toISOString()
-      })
+      .update({ pending_sell_percent: null })
       .eq('id', alertId)
       .eq('user_id', userId);
 
@@ -204,11 +410,42 @@ export const triggerAlert = async (alertId, userId) => {
 
     return true;
   } catch (error) {
-    console.error('❌ Error in triggerAlert:', error);
+    console.error('❌ Error in clearPendingSell:', error);
     throw error;
   }
 };
 
+/**
+ * Get the firing history of alerts, newest first
+ * @param {string} userId - Supabase user ID
+ * @param {Array<string>} alertIds - Alert UUIDs
+ * @returns {Promise<Object>} alertId -> [events]
+ */
+export const getAlertEvents = async (userId, alertIds) => {
+  try {
+    if (!userId || !alertIds || alertIds.length === 0) {
+      return {};
+    }
+
+    const { data, error } = await supabase
+      .from('alert_events')
+      .select('*')
+      .eq('user_id', userId)
+      .in('alert_id', alertIds)
+      .order('triggered_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data.map(formatAlertEvent).reduce((byAlert, event) => {
+      (byAlert[event.alertId] = byAlert[event.alertId] || []).push(event);
+      return byAlert;
+    }, {});
+  } catch (error) {
+    console.error('❌ Error in getAlertEvents:', error);
+    return {};
+  }
+};
+
 /**
  * Deactivate an alert without marking as triggered
  * @param {string} alertId - Alert UUID
@@ -238,50 +475,111 @@ export const deactivateAlert = async (alertId, userId) => {
   }
 };
 
+/**
+ * Add the market data a rule alert reads beyond the live quote
+ * Volume and rank come from the coin's market data and Fear & Greed from its index;
+ * the demo index is left out so a rule never fires on made-up sentiment.
+ * @param {Object} alert - Rule alert in app format
+ * @param {Object} quote - { price, change24h }
+ * @returns {Promise<Object>} - { price, change24h, volume, marketCapRank, fearGreed }
+ */
+const getRuleMarket = async (alert, quote) => {
+  const fields = getRuleFields(alert.rules);
+  const market = { ...quote, volume: null, marketCapRank: null, fearGreed: null };
+
+  if (fields.some(field => COIN_MARKET_FIELDS.includes(field))) {
+    const coinMarket = (await getCoinMarkets([alert.coinId], 'usd'))[alert.coinId];
+    if (coinMarket) {
+      market.volume = coinMarket.volume;
+      market.marketCapRank = coinMarket.marketCapRank;
+    }
+  }
+
+  if (fields.includes(RULE_FIELDS.FEAR_GREED)) {
+    const index = await getFearGreedIndex();
+    market.fearGreed = index.isDemo ? null : index.value;
+  }
+
+  return market;
+};
+
+/**
+ * Evaluate an alert against a live quote
+ * Alerts that watch a time window read recent prices from the price buffer,
+ * backfilling it from the market chart when it doesn't reach back far enough.
+ * Rule alerts also fetch the volume, rank and Fear & Greed values they use.
+ * @param {Object} alert - Alert in app format
+ * @param {Object} quote - { price, change24h }
+ * @returns {Promise<Object>} - Output of evaluateAlertCondition
+ */
+export const evaluateAlert = async (alert, quote) => {
+  if (alert.condition === ALERT_CONDITIONS.COMPOUND) {
+    return evaluateAlertCondition(alert, await getRuleMarket(alert, quote));
+  }
+
+  const hours = getAlertHistoryHours(alert);
+  const history = hours > 0 ? await ensurePriceHistory(alert.coinId, hours) : [];
+  return evaluateAlertCondition(alert, { ...quote, history });
+};
+
+/**
+ * Check an alert against a live quote and fire it when it is armed and met
+ * Cooling-down alerts are skipped; hysteresis alerts whose price has retreated
+ * past the band are re-armed first, and trailing stops move their peak up.
+ * @param {Object} alert - Alert in app format
+ * @param {Object} quote - { price, change24h }
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} { triggered, alert, result, message }
+ */
+export const checkAlert = async (alert, quote, userId) => {
+  const price = Number(quote.price);
+  const arming = getAlertArming(alert, price);
+  if (arming === ALERT_ARMING.WAITING) {
+    return { triggered: false, alert, result: null };
+  }
+
+  let armed = arming === ALERT_ARMING.REARM ? await rearmAlert(alert, userId) : alert;
+
+  // Trailing stops follow the highest price seen since they were set
+  if (armed.condition === ALERT_CONDITIONS.TRAILING_STOP && price > (armed.peakPrice || 0)) {
+    armed = await updateAlertPeak(armed, price, userId);
+  }
+
+  const result = await evaluateAlert(armed, quote);
+  if (!result.triggered) {
+    return { triggered: false, alert: armed, result };
+  }
+
+  const fired = await triggerAlert(armed, price, result, userId);
+  if (!fired) {
+    return { triggered: false, alert: armed, result };
+  }
+
+  return { triggered: true, alert: fired, result, message: getAlertMessage(armed, price, result) };
+};
+
 /**
  * Evaluate alert immediately after creation with current price
  * If conditions are met, trigger the alert and create notification
  * @param {Object} alert - The newly created alert object
- * @param {number} currentPrice - Current market price
+ * @param {Object} quote - Current market quote ({ price, change24h })
  * @param {string} userId - Supabase user ID
  * @returns {Promise<Object>} Result with triggered status and notification
  */
-export const evaluateAlertImmediately = async (alert, currentPrice, userId) => {
+export const evaluateAlertImmediately = async (alert, quote, userId) => {
   try {
-    let shouldTrigger = false;
+    const currentPrice = quote.price;
+    const check = await checkAlert(alert, quote, userId);
 
-    // Evaluate trigger conditions
-    if (alert.condition === 'above' && currentPrice >= alert.targetPrice) {
-      shouldTrigger = true;
-    } else if (alert.condition === 'below' && currentPrice <= alert.targetPrice) {
-      shouldTrigger = true;
-    }
-
-    if (!shouldTrigger) {
+    if (!check.triggered) {
       return {
         triggered: false,
-        alert: alert
+        alert: check.alert
       };
     }
 
-    // 1. Update alert status in database
-    const { error: updateError } = await supabase
-      .from('price_alerts')
-      .update({
-        is_active: false,
-        triggered_at: new Date().toISOString()
-      })
-      .eq('id', alert.id)
-      .eq('user_id', userId);
-
-    if (updateError) {
-      console.error('❌ Error updating alert status:', updateError);
-      throw updateError;
-    }
-
-    // 2. Create notification
-    const conditionText = alert.condition === 'above' ? 'above' : 'below';
-    const message = `${alert.symbol.toUpperCase()} crossed your ${conditionText} target of $${alert.targetPrice.toLocaleString()}. Current price: $${currentPrice.toLocaleString()}`;
+    // Create notification
+    const message = check.message;
 
     const { data: notification, error: notificationError } = await supabase
       .from('notifications')
@@ -289,7 +587,7 @@ export const evaluateAlertImmediately = async (alert, currentPrice, userId) => {
         user_id: userId,
         type: 'alert',
         coin: alert.symbol,
-        quantity: alert.targetPrice, // Store target price in quantity field
+        quantity: alert.targetPrice ?? 0, // Store target price in quantity field
         price: currentPrice,
         message: message,
         read: false
@@ -304,11 +602,8 @@ export const evaluateAlertImmediately = async (alert, currentPrice, userId) => {
 
     return {
       triggered: true,
-      alert: {
-        ...alert,
-        isActive: false,
-        triggeredAt: new Date().toISOString()
-      },
+      message,
+      alert: check.alert,
       notification: {
         id: notification.id,
         type: notification.type,
@@ -327,11 +622,19 @@ export const evaluateAlertImmediately = async (alert, currentPrice, userId) => {
 };
 
 export default {
+  formatAlert,
   getActiveAlerts,
   getAlertsByCoin,
   createAlert,
   deleteAlert,
   triggerAlert,
+  rearmAlert,
+  updateAlertPeak,
+  getHoldingAlerts,
+  clearPendingSell,
+  getAlertEvents,
   deactivateAlert,
+  evaluateAlert,
+  checkAlert,
   evaluateAlertImmediately
 };
@@ -0,0 +1,297 @@
+/**
+ * Backfill Service - Reconstruct daily portfolio values from the transaction ledger
+ * Snapshots are only saved while the app is open, so this replays transactions
+ * against daily historical prices to fill the missing days
+ */
+
+import { supabase } from '../supabase/client';
+import { getTransactions } from './transactionService';
+import { getHoldings } from './portfolioService';
+import { fetchPriceSeriesForCoins, findPriceOnDate } from './historicalApi';
+import { getHistoryForRange } from '../utils/historyUtils';
+import { getNetTransactionQuantity, isCashTransaction, isTransferTransaction, sortTransactionsChronologically } from '../utils/costBasis';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as a YYYY-MM-DD snapshot key (UTC)
+ * @param {string|number|Date} date - Date to format
+ * @returns {string} Snapshot date
+ */
+const toSnapshotDate = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * List every day between two snapshot dates (inclusive)
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Array<string>} Snapshot dates, oldest first
+ */
+export const getDateRange = (startDate, endDate) => {
+  const dates = [];
+  for (let time = new Date(`${startDate}T00:00:00Z`).getTime(); time <= new Date(`${endDate}T00:00:00Z`).getTime(); time += MS_PER_DAY) {
+    dates.push(toSnapshotDate(time));
+  }
+  return dates;
+};
+
+/**
+ * Replay transactions into an end-of-day portfolio value for each day
+ * Coins without historical prices fall back to their last traded price.
+ * The replay starts from the opening quantities, if any.
+ * @param {Array} transactions - Transaction history (any order)
+ * @param {Object} priceSeriesByCoin - coinId -> historical data ({ date, timestamp, value })
+ * @param {Object} options - { startDate, endDate } as YYYY-MM-DD (defaults: first trade, today),
+ *   { openingQuantities, openingPrices } as coinId -> value
+ * @returns {Array} Gap-free series ({ date, value, holdings })
+ */
+export const buildPortfolioValueSeries = (transactions, priceSeriesByCoin = {}, options = {}) => {
+  const sorted = sortTransactionsChronologically(transactions || []);
+  if (sorted.length === 0) return [];
+
+  const startDate = options.startDate || toSnapshotDate(sorted[0].timestamp);
+  const endDate = options.endDate || toSnapshotDate(Date.now());
+
+  const quantities = { ...options.openingQuantities };
+  const lastTradePrices = { ...options.openingPrices };
+  let txIndex = 0;
+
+  return getDateRange(startDate, endDate).map(date => {
+    const endOfDay = `${date}T23:59:59.999Z`;
+
+    // Apply every trade made up to the end of this day (transfers don't change the total)
+    while (txIndex < sorted.length && new Date(sorted[txIndex].timestamp) <= new Date(endOfDay)) {
+      const tx = sorted[txIndex];
+      if (isTransferTransaction(tx)) {
+        txIndex++;
+        continue;
+      }
+      const netQuantity = getNetTransactionQuantity(tx);
+      quantities[tx.coinId] = (quantities[tx.coinId] || 0) + (tx.action === 'SELL' ? -netQuantity : netQuantity);
+      lastTradePrices[tx.coinId] = tx.price;
+      txIndex++;
+    }
+
+    const holdings = {};
+    const value = Object.entries(quantities).reduce((sum, [coinId, quantity]) => {
+      if (quantity <= 1e-10) return sum;
+
+      const point = findPriceOnDate(priceSeriesByCoin[coinId], endOfDay);
+      const price = point ? point.value : lastTradePrices[coinId];
+      holdings[coinId] = quantity;
+      return sum + quantity * price;
+    }, 0);
+
+    return { date, value, holdings };
+  });
+};
+
+/**
+ * Quantity each holding carries beyond the ledger, summed per coin
+ * Holdings entered before transactions were tracked held it from the start, the same
+ * way buildTaxLots seeds their opening lots; it is valued at the stored buy price
+ * when a coin has no historical prices.
+ * @param {Array} holdings - Holdings in app format
+ * @param {Array} transactions - Coin transactions of the same portfolios
+ * @returns {Object} { openingQuantities, openingPrices } as coinId -> value
+ */
+const getUntrackedPositions = (holdings, transactions) => {
+  const ledgerQuantities = {};
+  transactions.filter(tx => !isTransferTransaction(tx)).forEach(tx => {
+    const key = `${tx.portfolioId || ''}|${tx.coinId}`;
+    const netQuantity = getNetTransactionQuantity(tx);
+    ledgerQuantities[key] = (ledgerQuantities[key] || 0) + (tx.action === 'SELL' ? -netQuantity : netQuantity);
+  });
+
+  const openingQuantities = {};
+  const openingPrices = {};
+  holdings.forEach(holding => {
+    const untracked = holding.quantity - (ledgerQuantities[`${holding.portfolioId || ''}|${holding.coinId}`] || 0);
+    if (untracked > 1e-10) {
+      openingQuantities[holding.coinId] = (openingQuantities[holding.coinId] || 0) + untracked;
+      openingPrices[holding.coinId] = holding.buyPrice;
+    }
+  });
+
+  return { openingQuantities, openingPrices };
+};
+
+/**
+ * Fetch daily price series for every coin the replay values
+ * @param {Array} transactions - Transaction history
+ * @param {Object} opening - { openingQuantities } from getUntrackedPositions
+ * @param {string} startDate - Earliest day needed (YYYY-MM-DD)
+ * @returns {Promise<Object>} coinId -> historical data (empty when unavailable)
+ */
+const fetchPriceSeriesForLedger = async (transactions, opening, startDate) => {
+  const coinIds = [...transactions.map(tx => tx.coinId), ...Object.keys(opening.openingQuantities)];
+  return fetchPriceSeriesForCoins(coinIds, `${startDate}T00:00:00Z`);
+};
+
+/**
+ * Work out which days between the first trade (or range start) and yesterday held coins but have no snapshot
+ * @param {Array} transactions - Transaction history
+ * @param {Object} opening - { openingQuantities, openingPrices } from getUntrackedPositions
+ * @param {Array} stored - Stored snapshots for the range
+ * @param {number} days - Range length in days
+ * @returns {Object} { startDate, today, missingDates }
+ */
+const findMissingSnapshotDates = (transactions, opening, stored, days) => {
+  const today = toSnapshotDate(Date.now());
+  const cutoff = toSnapshotDate(Date.now() - days * MS_PER_DAY);
+  const firstTrade = toSnapshotDate(sortTransactionsChronologically(transactions)[0].timestamp);
+  const startDate = firstTrade > cutoff ? firstTrade : cutoff;
+
+  // A price-less replay is enough to tell which days held anything at all
+  const storedDates = new Set(stored.map(snapshot => snapshot.date));
+  const missingDates = buildPortfolioValueSeries(transactions, {}, { ...opening, startDate, endDate: today })
+    .filter(point => point.date < today && point.value > 0 && !storedDates.has(point.date))
+    .map(point => point.date);
+
+  return { startDate, today, missingDates };
+};
+
+/**
+ * Group a ledger by the portfolio each transaction belongs to
+ * @param {Array} transactions - Transaction history
+ * @returns {Map} portfolioId (or null) -> transactions
+ */
+const groupByPortfolio = (transactions) => {
+  return transactions.reduce((groups, tx) => {
+    const key = tx.portfolioId || null;
+    groups.set(key, [...(groups.get(key) || []), tx]);
+    return groups;
+  }, new Map());
+};
+
+/**
+ * Reconstruct the daily portfolio value series and optionally save missing snapshots
+ * Today is never written, the live snapshot covers it. Snapshots are stored per
+ * portfolio, so the ledger is replayed once for each portfolio when persisting.
+ * @param {string} userId - Supabase user ID
+ * @param {Object} options - { days = 90, persist = false, overwrite = false, portfolioId = null (all) }
+ * @returns {Promise<Object>} { series, missingDates, written }
+ */
+export const backfillPortfolioHistory = async (userId, options = {}) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for history backfill');
+    }
+
+    const { days = 90, persist = false, overwrite = false, portfolioId = null } = options;
+
+    const [ledger, holdings, stored] = await Promise.all([
+      getTransactions(userId, null, portfolioId),
+      getHoldings(userId, portfolioId),
+      getHistoryForRange(days, userId, portfolioId)
+    ]);
+
+    // Snapshots value holdings only, deposits and withdrawals don't move them
+    const transactions = ledger.filter(tx => !isCashTransaction(tx));
+
+    if (transactions.length === 0) {
+      return { series: [], missingDates: [], written: 0 };
+    }
+
+    const opening = getUntrackedPositions(holdings, transactions);
+    const { startDate, today, missingDates } = findMissingSnapshotDates(transactions, opening, stored, days);
+
+    const priceSeriesByCoin = await fetchPriceSeriesForLedger(transactions, opening, startDate);
+    const series = buildPortfolioValueSeries(transactions, priceSeriesByCoin, { ...opening, startDate, endDate: today });
+
+    let written = 0;
+
+    if (persist) {
+      for (const [groupPortfolioId, groupTransactions] of groupByPortfolio(transactions)) {
+        const groupStored = portfolioId || !groupPortfolioId
+          ? stored
+          : await getHistoryForRange(days, userId, groupPortfolioId);
+        const storedDates = new Set(groupStored.map(snapshot => snapshot.date));
+
+        const groupOpening = getUntrackedPositions(
+          holdings.filter(holding => (holding.portfolioId || null) === groupPortfolioId),
+          groupTransactions
+        );
+        const rows = buildPortfolioValueSeries(groupTransactions, priceSeriesByCoin, { ...groupOpening, startDate, endDate: today })
+          .filter(point => point.date < today && point.value > 0)
+          .filter(point => overwrite || !storedDates.has(point.date))
+          .map(point => ({
+            user_id: userId,
+            portfolio_id: groupPortfolioId,
+            snapshot_date: point.date,
+            total_value: point.value
+          }));
+
+        if (rows.length > 0) {
+          const { error } = await supabase
+            .from('portfolio_snapshots')
+            .upsert(rows, {
+              onConflict: 'user_id,portfolio_id,snapshot_date'
+            });
+
+          if (error) throw error;
+          written += rows.length;
+        }
+      }
+    }
+
+    return { series, missingDates, written };
+  } catch (error) {
+    console.error('❌ Error in backfillPortfolioHistory:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get portfolio history for a range with missing days filled in from the ledger
+ * Stored snapshots win over reconstructed values. Gaps are only filled in memory unless
+ * persist is set; saving them is left to the explicit backfill in Settings.
+ * @param {number} days - Number of days to retrieve (7, 30, 90)
+ * @param {string} userId - Supabase user ID
+ * @param {string|null} portfolioId - Limit to one portfolio (null = all portfolios summed)
+ * @param {boolean} persist - Save the reconstructed days as snapshots
+ * @returns {Promise<Array>} Gap-free snapshots ({ date, value, timestamp })
+ */
+export const getBackfilledHistory = async (days, userId, portfolioId = null, persist = false) => {
+  try {
+    if (!userId) return [];
+
+    const [ledger, holdings, stored] = await Promise.all([
+      getTransactions(userId, null, portfolioId),
+      getHoldings(userId, portfolioId),
+      getHistoryForRange(days, userId, portfolioId)
+    ]);
+
+    // Snapshots value holdings only, deposits and withdrawals don't move them
+    const transactions = ledger.filter(tx => !isCashTransaction(tx));
+
+    // Only hit the price API when there is actually a gap to fill
+    if (transactions.length === 0 || findMissingSnapshotDates(transactions, getUntrackedPositions(holdings, transactions), stored, days).missingDates.length === 0) {
+      return stored;
+    }
+
+    const { series } = await backfillPortfolioHistory(userId, { days, persist, portfolioId });
+
+    const storedByDate = new Map(stored.map(snapshot => [snapshot.date, snapshot]));
+    series.forEach(point => {
+      if (!storedByDate.has(point.date) && point.value > 0) {
+        storedByDate.set(point.date, {
+          date: point.date,
+          value: point.value,
+          timestamp: new Date(`${point.date}T00:00:00Z`).getTime()
+        });
+      }
+    });
+
+    return [...storedByDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  } catch (error) {
+    console.error('❌ Error in getBackfilledHistory:', error);
+    return getHistoryForRange(days, userId, portfolioId);
+  }
+};
+
+export default {
+  getDateRange,
+  buildPortfolioValueSeries,
+  backfillPortfolioHistory,
+  getBackfilledHistory
+};
@@ -342,6 +342,67 @@ export const getCoinPrices = async (coinIds, currency = 'usd') => {
   }
 }
 
+/**
+ * Get market data (volume and market cap rank) for multiple coins by IDs
+ * @param {Array<string>} coinIds - Array of coin IDs
+ * @param {string} currency - Currency for prices (default: 'usd')
+ * @returns {Promise<Object>} Object mapping coin IDs to market data
+ */
+export const getCoinMarkets = async (coinIds, currency = 'usd') => {
+  if (!coinIds || coinIds.length === 0) {
+    return {}
+  }
+
+  const cacheKey = `markets-${coinIds.join(',')}-${currency}`
+
+  try {
+    const cached = coinCache.get(cacheKey)
+    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+      console.log('✓ Using cached market data')
+      return cached.data
+    }
+
+    const ids = coinIds.join(',')
+    const url = `${COINGECKO_BASE_URL}/coins/markets?vs_currency=${currency}&ids=${ids}&sparkline=false`
+    const response = await fetchWithTimeout(url)
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch market data: ${response.status}`)
+    }
+
+    const data = await response.json()
+
+    const markets = {}
+    data.forEach(coin => {
+      markets[coin.id] = {
+        price: coin.current_price,
+        change24h: coin.price_change_percentage_24h ?? null,
+        volume: coin.total_volume ?? null,
+        marketCapRank: coin.market_cap_rank ?? null
+      }
+    })
+
+    coinCache.set(cacheKey, {
+      data: markets,
+      timestamp: Date.now()
+    })
+
+    console.log(`✅ Market data fetched for ${Object.keys(markets).length} coins`)
+    return markets
+  } catch (error) {
+    console.error('❌ Error fetching coin market data:', error.message)
+
+    const cached = coinCache.get(cacheKey)
+    if (cached) {
+      const age = Math.round((Date.now() - cached.timestamp) / 1000)
+      console.warn(`⚠️ Using stale market cache (${age}s old) as fallback`)
+      return cached.data
+    }
+
+    return {}
+  }
+}
+
 /**
  * Get top coins by market cap
  * @param {number} limit - Number of coins to fetch (default: 10)
@@ -383,5 +444,6 @@ export default {
   searchCoins,
   findCoinIdBySymbol,
   getCoinPrices,
+  getCoinMarkets,
   getTopCoins
 }
@@ -15,6 +15,9 @@ const priceCache = new Map()
 let lastHistoricalRequestTime = 0
 const MIN_REQUEST_INTERVAL = 2000 // Minimum 2 seconds between historical requests
 
+// Requests in flight, so panels loading the same history share one call
+const pendingRequests = new Map()
+
 /**
  * Generate cache key
  * @param {string} coinId - Coin identifier
@@ -33,13 +36,33 @@ const isCacheValid = (timestamp) => {
 }
 
 /**
- * Fetch historical market data from CoinGecko with retry logic
+ * Fetch historical market data from CoinGecko
+ * Concurrent calls for the same coin and range share one request.
+ * @param {string} coinId - Coin ID (bitcoin, ethereum)
+ * @param {number} days - Number of days (7, 30, 90)
+ * @returns {Promise<Object>} - Historical data with success flag
+ */
+export const fetchHistoricalData = (coinId, days) => {
+  const cacheKey = getCacheKey(coinId, days)
+
+  if (!pendingRequests.has(cacheKey)) {
+    pendingRequests.set(
+      cacheKey,
+      requestHistoricalData(coinId, days).finally(() => pendingRequests.delete(cacheKey))
+    )
+  }
+
+  return pendingRequests.get(cacheKey)
+}
+
+/**
+ * Request historical market data with retry logic
  * @param {string} coinId - Coin ID (bitcoin, ethereum)
  * @param {number} days - Number of days (7, 30, 90)
  * @param {number} retryCount - Current retry attempt
  * @returns {Promise<Object>} - Historical data with success flag
  */
-export const fetchHistoricalData = async (coinId, days, retryCount = 0) => {
+const requestHistoricalData = async (coinId, days, retryCount = 0) => {
   const cacheKey = getCacheKey(coinId, days)
   
   // Check cache first
@@ -109,7 +132,7 @@ export const fetchHistoricalData = async (coinId, days, retryCount = 0) => {
     // Retry logic for network errors (not rate limits)
     if (retryCount < MAX_RETRIES && error.message !== 'RATE_LIMIT_EXCEEDED') {
       await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * (retryCount + 1)))
-      return fetchHistoricalData(coinId, days, retryCount + 1)
+      return requestHistoricalData(coinId, days, retryCount + 1)
     }
     
     // Fall through to mock data
@@ -174,6 +197,80 @@ export const fetchMarketComparison = async (days) => {
   }
 }
 
+// Fixed lookback windows so date lookups share cached series instead of one fetch per day count
+const LOOKBACK_WINDOWS = [7, 30, 90, 180, 365]
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Pick the smallest lookback window that reaches a given date
+ * @param {string|number|Date} date - Date to cover
+ * @returns {number|string} - Days value for fetchHistoricalData ('max' beyond a year)
+ */
+export const getLookbackWindow = (date) => {
+  const daysAgo = Math.ceil((Date.now() - new Date(date).getTime()) / MS_PER_DAY) + 1
+  return LOOKBACK_WINDOWS.find(window => window >= daysAgo) || 'max'
+}
+
+/**
+ * Find the daily price in effect at a date (latest point at or before it)
+ * @param {Array} series - Historical data ({ date, timestamp, value }), oldest first
+ * @param {string|number|Date} date - Target date
+ * @returns {Object|null} - Data point (earliest one if the date predates the series) or null if empty
+ */
+export const findPriceOnDate = (series, date) => {
+  if (!series || series.length === 0) return null
+
+  const target = new Date(date).getTime()
+  const earlier = series.filter(point => point.timestamp <= target)
+  return earlier.length > 0 ? earlier[earlier.length - 1] : series[0]
+}
+
+/**
+ * Fetch a coin's price series reaching back to a date
+ * @param {string} coinId - Coin ID
+ * @param {string|number|Date} date - Earliest date needed
+ * @returns {Promise<Object>} - Historical data with success flag (mock data is never used for lookups)
+ */
+export const fetchPriceSeriesSince = async (coinId, date) => {
+  const result = await fetchHistoricalData(coinId, getLookbackWindow(date))
+  return result.source === 'mock' ? { ...result, data: [] } : result
+}
+
+/**
+ * Fetch the price series of several coins reaching back to a date
+ * One coin at a time, the history API is rate limited.
+ * @param {Array<string>} coinIds - Coin IDs (each fetched once)
+ * @param {string|number|Date} date - Earliest date needed
+ * @param {Object} options - { isCancelled } stops before the next coin once it returns true
+ * @returns {Promise<Object>} - coinId -> historical data (empty when unavailable)
+ */
+export const fetchPriceSeriesForCoins = async (coinIds, date, options = {}) => {
+  const seriesByCoin = {}
+  for (const coinId of [...new Set(coinIds)]) {
+    if (options.isCancelled?.()) break
+    const result = await fetchPriceSeriesSince(coinId, date)
+    seriesByCoin[coinId] = result.data
+  }
+  return seriesByCoin
+}
+
+/**
+ * Look up a coin's USD price on a past date
+ * @param {string} coinId - Coin ID
+ * @param {string|number|Date} date - Trade date
+ * @returns {Promise<Object>} - { success, price, date, error }
+ */
+export const fetchHistoricalPrice = async (coinId, date) => {
+  const result = await fetchPriceSeriesSince(coinId, date)
+  const point = findPriceOnDate(result.data, date)
+
+  if (!point) {
+    return { success: false, price: null, date: null, error: result.error || 'No price data for date' }
+  }
+
+  return { success: true, price: point.value, date: point.date, source: result.source }
+}
+
 /**
  * Generate mock historical data for fallback
  * @param {number} days - Number of days
@@ -263,6 +360,10 @@ export default {
   fetchBitcoinHistory,
   fetchEthereumHistory,
   fetchMarketComparison,
+  fetchPriceSeriesSince,
+  fetchHistoricalPrice,
+  findPriceOnDate,
+  getLookbackWindow,
   normalizeHistoricalData,
   mergeHistoricalDatasets,
   clearCache,
@@ -0,0 +1,162 @@
+/**
+ * Location Service - Data persistence layer for holding locations
+ * Handles Supabase database operations for exchanges and wallets coins are kept in
+ */
+
+import { supabase } from '../supabase/client';
+import { LOCATION_TYPES } from '../utils/locations';
+
+/**
+ * Convert a Supabase location row to app format
+ * @param {Object} row - locations row
+ * @returns {Object} Location
+ */
+const formatLocation = (row) => ({
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  createdAt: row.created_at
+});
+
+/**
+ * Validate a location name and type
+ * @param {string} name - Location name
+ * @param {string} type - One of LOCATION_TYPES
+ */
+const validateLocation = (name, type) => {
+  if (!name || !name.trim()) {
+    throw new Error('Location name is required');
+  }
+  if (!Object.values(LOCATION_TYPES).includes(type)) {
+    throw new Error('Invalid location type');
+  }
+};
+
+/**
+ * Get all locations for the current user
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Array>} Array of locations
+ */
+export const getLocations = async (userId) => {
+  try {
+    if (!userId) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('locations')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return data.map(formatLocation);
+  } catch (error) {
+    console.error('❌ Error in getLocations:', error);
+    return [];
+  }
+};
+
+/**
+ * Create a new location
+ * @param {Object} locationData - { name, type }
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Created location
+ */
+export const createLocation = async (locationData, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for creating locations');
+    }
+
+    const { name, type } = locationData;
+    validateLocation(name, type);
+
+    const { data, error } = await supabase
+      .from('locations')
+      .insert({
+        user_id: userId,
+        name: name.trim(),
+        type
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return formatLocation(data);
+  } catch (error) {
+    console.error('❌ Error in createLocation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a location's name or type
+ * @param {string} locationId - Location UUID
+ * @param {Object} updates - { name, type }
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Updated location
+ */
+export const updateLocation = async (locationId, updates, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for updating locations');
+    }
+
+    validateLocation(updates.name, updates.type);
+
+    const { data, error } = await supabase
+      .from('locations')
+      .update({ name: updates.name.trim(), type: updates.type })
+      .eq('id', locationId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return formatLocation(data);
+  } catch (error) {
+    console.error('❌ Error in updateLocation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a location
+ * Transactions at the location stay in the ledger as unassigned
+ * @param {string} locationId - Location UUID
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteLocation = async (locationId, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for deleting locations');
+    }
+
+    // Unassign first in case the foreign key was added without ON DELETE SET NULL
+    const { error: unassignError } = await supabase
+      .from('transactions')
+      .update({ location_id: null })
+      .eq('user_id', userId)
+      .eq('location_id', locationId);
+
+    if (unassignError) throw unassignError;
+
+    const { error } = await supabase
+      .from('locations')
+      .delete()
+      .eq('id', locationId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error in deleteLocation:', error);
+    throw error;
+  }
+};
@@ -14,6 +14,10 @@ const TOP_COINS_CACHE_DURATION = 60000 // 60 seconds for top 10 coins
 // Simple cache to reduce API calls
 const cache = new Map()
 
+// Fear & Greed result cache key and the fetch in flight, if any
+const FEAR_GREED_CACHE_KEY = 'fear-greed'
+let fearGreedRequest = null
+
 // Circuit Breaker Configuration
 const CIRCUIT_BREAKER = {
   CLOSED: 'CLOSED',       // Normal operation
@@ -422,11 +426,8 @@ export const getGlobalMarketData = async (currency = 'usd') => {
   }
 }
 
-/**
- * Fetch Fear & Greed Index from Alternative.me
- * @returns {Promise<Object>} Fear & Greed Index data
- */
-export const getFearGreedIndex = async () => {
+// Uncached Fear & Greed fetch, falling back to the demo index
+const fetchFearGreedIndex = async () => {
   try {
     console.log('😨 Fetching Fear & Greed Index...')
     const data = await fetchWithRetry('https://api.alternative.me/fng/', {}, 2) // Fewer retries for external API
@@ -451,6 +452,31 @@ export const getFearGreedIndex = async () => {
   }
 }
 
+/**
+ * Fetch Fear & Greed Index from Alternative.me
+ * The index changes once a day, so a result is reused for 3 minutes and callers
+ * asking while a fetch is running share it (rule alerts read it on every check).
+ * @returns {Promise<Object>} Fear & Greed Index data
+ */
+export const getFearGreedIndex = async () => {
+  const cached = cache.get(FEAR_GREED_CACHE_KEY)
+  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+    return cached.data
+  }
+
+  if (!fearGreedRequest) {
+    fearGreedRequest = fetchFearGreedIndex()
+      .then(result => {
+        cache.set(FEAR_GREED_CACHE_KEY, { data: result, timestamp: Date.now() })
+        return result
+      })
+      .finally(() => {
+        fearGreedRequest = null
+      })
+  }
+  return fearGreedRequest
+}
+
 /**
  * Fetch top coins by market cap with price and volume data
  * Implements 60-second cache for top 10 coins to reduce API calls
@@ -0,0 +1,153 @@
+/**
+ * Portfolio Alert Service - Data persistence layer for portfolio-level alerts
+ * Handles Supabase database operations for alerts on value, P/L, drawdown and allocation
+ */
+
+import { supabase } from '../supabase/client';
+import { validatePortfolioAlert } from '../utils/portfolioAlerts';
+
+/**
+ * Convert a Supabase portfolio_alerts row to app format
+ * @param {Object} row - portfolio_alerts row
+ * @returns {Object} Portfolio alert
+ */
+const formatPortfolioAlert = (row) => ({
+  id: row.id,
+  portfolioId: row.portfolio_id || null,
+  metric: row.metric,
+  condition: row.condition,
+  threshold: parseFloat(row.threshold),
+  coinId: row.coin_id || null,
+  symbol: row.symbol || null,
+  isActive: !!row.is_active,
+  triggeredAt: row.triggered_at || null,
+  createdAt: row.created_at
+});
+
+/**
+ * Get all portfolio alerts for the current user
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Array>} Array of alerts
+ */
+export const getPortfolioAlerts = async (userId) => {
+  try {
+    if (!userId) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('portfolio_alerts')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data.map(formatPortfolioAlert);
+  } catch (error) {
+    console.error('❌ Error in getPortfolioAlerts:', error);
+    return [];
+  }
+};
+
+/**
+ * Create a portfolio alert
+ * @param {Object} alertData - { portfolioId, metric, condition, threshold, coinId, symbol }
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Created alert
+ */
+export const createPortfolioAlert = async (alertData, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for creating portfolio alerts');
+    }
+
+    const validationError = validatePortfolioAlert(alertData);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const perCoin = alertData.metric === 'allocation';
+    const { data, error } = await supabase
+      .from('portfolio_alerts')
+      .insert({
+        user_id: userId,
+        portfolio_id: alertData.portfolioId || null,
+        metric: alertData.metric,
+        condition: alertData.condition,
+        threshold: alertData.threshold,
+        coin_id: perCoin ? alertData.coinId : null,
+        symbol: perCoin ? alertData.symbol : null,
+        is_active: true
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return formatPortfolioAlert(data);
+  } catch (error) {
+    console.error('❌ Error in createPortfolioAlert:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a portfolio alert as triggered and deactivate it
+ * Only updates an alert that is still active, so two tabs can't both fire it.
+ * @param {string} alertId - Alert UUID
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object|null>} Updated alert, null when it had already fired
+ */
+export const triggerPortfolioAlert = async (alertId, userId) => {
+  try {
+    if (!userId || !alertId) {
+      throw new Error('User ID and Alert ID required');
+    }
+
+    const { data, error } = await supabase
+      .from('portfolio_alerts')
+      .update({
+        is_active: false,
+        triggered_at: new Date().toISOString()
+      })
+      .eq('id', alertId)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .select();
+
+    if (error) throw error;
+
+    return data && data.length > 0 ? formatPortfolioAlert(data[0]) : null;
+  } catch (error) {
+    console.error('❌ Error in triggerPortfolioAlert:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a portfolio alert
+ * @param {string} alertId - Alert UUID
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const deletePortfolioAlert = async (alertId, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for deleting portfolio alerts');
+    }
+
+    const { error } = await supabase
+      .from('portfolio_alerts')
+      .delete()
+      .eq('id', alertId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error in deletePortfolioAlert:', error);
+    throw error;
+  }
+};
@@ -1,18 +1,295 @@
 /**
- * Portfolio Service - Data persistence layer for holdings
- * Handles Supabase database operations for user portfolio holdings
+ * Portfolio Service - Data persistence layer for portfolios and holdings
+ * Handles Supabase database operations for named portfolios and their holdings
  */
 
 import { supabase } from '../supabase/client';
 import { STORAGE_KEYS, getStorageItem } from '../utils/storage';
 import { findCoinIdBySymbol } from './coinService';
 
+export const DEFAULT_PORTFOLIO_NAME = 'Main Portfolio';
+
+// Tables whose rows belong to a portfolio
+const PORTFOLIO_SCOPED_TABLES = ['holdings', 'transactions', 'price_alerts', 'portfolio_snapshots', 'recurring_buys'];
+
+/**
+ * Convert a Supabase portfolio row to app format
+ * @param {Object} row - portfolios row
+ * @returns {Object} Portfolio
+ */
+const formatPortfolio = (row) => ({
+  id: row.id,
+  name: row.name,
+  isDefault: !!row.is_default,
+  targetAllocation: row.target_allocation || null,
+  createdAt: row.created_at
+});
+
+/**
+ * Get all portfolios for the current user (default first)
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Array>} Array of portfolios
+ */
+export const getPortfolios = async (userId) => {
+  try {
+    if (!userId) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('portfolios')
+      .select('*')
+      .eq('user_id', userId)
+      .order('is_default', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return data.map(formatPortfolio);
+  } catch (error) {
+    console.error('❌ Error in getPortfolios:', error);
+    return [];
+  }
+};
+
+/**
+ * Move rows saved before portfolios existed (portfolio_id NULL) to the default portfolio
+ * A day that already has a snapshot in the default portfolio keeps that one; the
+ * unassigned snapshot for it is deleted, since the unique index would reject the move.
+ * @param {string} userId - Supabase user ID
+ * @param {string} portfolioId - Default portfolio UUID
+ */
+const moveUnassignedRows = async (userId, portfolioId) => {
+  const [assigned, unassigned] = await Promise.all([
+    supabase.from('portfolio_snapshots').select('snapshot_date').eq('user_id', userId).eq('portfolio_id', portfolioId),
+    supabase.from('portfolio_snapshots').select('id, snapshot_date').eq('user_id', userId).is('portfolio_id', null)
+  ]);
+  if (assigned.error) throw assigned.error;
+  if (unassigned.error) throw unassigned.error;
+
+  const assignedDates = new Set(assigned.data.map(row => row.snapshot_date));
+  const conflictIds = unassigned.data.filter(row => assignedDates.has(row.snapshot_date)).map(row => row.id);
+  if (conflictIds.length > 0) {
+    const { error } = await supabase
+      .from('portfolio_snapshots')
+      .delete()
+      .eq('user_id', userId)
+      .in('id', conflictIds);
+
+    if (error) throw error;
+  }
+
+  const results = await Promise.all(PORTFOLIO_SCOPED_TABLES.map(table =>
+    supabase
+      .from(table)
+      .update({ portfolio_id: portfolioId })
+      .eq('user_id', userId)
+      .is('portfolio_id', null)
+  ));
+
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
+};
+
+/**
+ * Make sure the user has a default portfolio and move unscoped rows into it
+ * Rows written before portfolios existed have no portfolio_id
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Array>} Array of portfolios
+ */
+export const ensureDefaultPortfolio = async (userId) => {
+  try {
+    if (!userId) {
+      return [];
+    }
+
+    let portfolios = await getPortfolios(userId);
+    let defaultPortfolio = portfolios.find(p => p.isDefault) || portfolios[0];
+
+    if (!defaultPortfolio) {
+      const { data, error } = await supabase
+        .from('portfolios')
+        .insert({
+          user_id: userId,
+          name: DEFAULT_PORTFOLIO_NAME,
+          is_default: true
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      defaultPortfolio = formatPortfolio(data);
+      portfolios = [defaultPortfolio];
+    }
+
+    try {
+      await moveUnassignedRows(userId, defaultPortfolio.id);
+    } catch (error) {
+      // Rows left unassigned are moved again on the next load
+      console.error('❌ Error moving unassigned rows to the default portfolio:', error);
+    }
+
+    return portfolios;
+  } catch (error) {
+    console.error('❌ Error in ensureDefaultPortfolio:', error);
+    return [];
+  }
+};
+
+/**
+ * Create a new named portfolio
+ * @param {string} name - Portfolio name
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Created portfolio
+ */
+export const createPortfolio = async (name, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for creating portfolios');
+    }
+    if (!name || !name.trim()) {
+      throw new Error('Portfolio name is required');
+    }
+
+    const { data, error } = await supabase
+      .from('portfolios')
+      .insert({
+        user_id: userId,
+        name: name.trim(),
+        is_default: false
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return formatPortfolio(data);
+  } catch (error) {
+    console.error('❌ Error in createPortfolio:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename a portfolio
+ * @param {string} portfolioId - Portfolio UUID
+ * @param {string} name - New name
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Updated portfolio
+ */
+export const renamePortfolio = async (portfolioId, name, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for renaming portfolios');
+    }
+    if (!name || !name.trim()) {
+      throw new Error('Portfolio name is required');
+    }
+
+    const { data, error } = await supabase
+      .from('portfolios')
+      .update({ name: name.trim() })
+      .eq('id', portfolioId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return formatPortfolio(data);
+  } catch (error) {
+    console.error('❌ Error in renamePortfolio:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save (or clear) a portfolio's target allocation
+ * @param {string} portfolioId - Portfolio UUID
+ * @param {Object|null} targetAllocation - { mode, tolerance, weights }, null to clear
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Updated portfolio
+ */
+export const updateTargetAllocation = async (portfolioId, targetAllocation, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for updating portfolios');
+    }
+
+    const { data, error } = await supabase
+      .from('portfolios')
+      .update({ target_allocation: targetAllocation })
+      .eq('id', portfolioId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return formatPortfolio(data);
+  } catch (error) {
+    console.error('❌ Error in updateTargetAllocation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a portfolio and everything scoped to it
+ * The default portfolio can't be deleted
+ * @param {string} portfolioId - Portfolio UUID
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const deletePortfolio = async (portfolioId, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for deleting portfolios');
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('portfolios')
+      .select('is_default')
+      .eq('id', portfolioId)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError) throw fetchError;
+    if (existing.is_default) {
+      throw new Error('The default portfolio cannot be deleted');
+    }
+
+    // Child rows first in case the foreign keys were added without ON DELETE CASCADE
+    await Promise.all(PORTFOLIO_SCOPED_TABLES.map(table =>
+      supabase
+        .from(table)
+        .delete()
+        .eq('user_id', userId)
+        .eq('portfolio_id', portfolioId)
+    ));
+
+    const { error } = await supabase
+      .from('portfolios')
+      .delete()
+      .eq('id', portfolioId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error in deletePortfolio:', error);
+    throw error;
+  }
+};
+
 /**
  * Get all holdings for the current user
  * @param {string} userId - Supabase user ID
+ * @param {string|null} portfolioId - Limit to one portfolio (null = every portfolio)
  * @returns {Promise<Array>} Array of holdings
  */
-export const getHoldings = async (userId) => {
+export const getHoldings = async (userId, portfolioId = null) => {
   try {
     if (!userId) {
       // No user logged in, return empty array
@@ -20,12 +297,18 @@ export const getHoldings = async (userId) => {
     }
 
     // Fetch from Supabase only (no localStorage fallback)
-    const { data, error } = await supabase
+    let query = supabase
       .from('holdings')
       .select('*')
       .eq('user_id', userId)
       .order('created_at', { ascending: true });
 
+    if (portfolioId) {
+      query = query.eq('portfolio_id', portfolioId);
+    }
+
+    const { data, error } = await query;
+
     if (error) {
       console.error('❌ Supabase fetch failed:', error.message);
       throw error;
@@ -34,6 +317,7 @@ export const getHoldings = async (userId) => {
     // Convert Supabase format to app format
     const holdings = data.map(holding => ({
       id: holding.id,
+      portfolioId: holding.portfolio_id,
       coinId: holding.coin_id,
       symbol: holding.symbol,
       name: holding.name,
@@ -66,15 +350,20 @@ export const addOrUpdateHolding = async (holdingData, userId) => {
       throw new Error('User ID required for adding holdings');
     }
 
-    const { coinId, symbol, name, quantity, buyPrice, currentPrice, priceChange24h } = holdingData;
+    const { coinId, symbol, name, quantity, buyPrice, currentPrice, priceChange24h, portfolioId } = holdingData;
 
-    // Check if holding already exists
-    const { data: existing } = await supabase
+    // Check if holding already exists (in the same portfolio)
+    let existingQuery = supabase
       .from('holdings')
       .select('*')
       .eq('user_id', userId)
-      .eq('coin_id', coinId)
-      .single();
+      .eq('coin_id', coinId);
+
+    if (portfolioId) {
+      existingQuery = existingQuery.eq('portfolio_id', portfolioId);
+    }
+
+    const { data: existing } = await existingQuery.single();
 
     if (existing) {
       // Update existing holding (for averaging)
@@ -103,6 +392,7 @@ export const addOrUpdateHolding = async (holdingData, userId) => {
 
       return {
         id: data.id,
+        portfolioId: data.portfolio_id,
         coinId: data.coin_id,
         symbol: data.symbol,
         name: data.name,
@@ -117,6 +407,7 @@ export const addOrUpdateHolding = async (holdingData, userId) => {
         .from('holdings')
         .insert({
           user_id: userId,
+          portfolio_id: portfolioId || null,
           coin_id: coinId,
           symbol,
           name,
@@ -132,6 +423,7 @@ export const addOrUpdateHolding = async (holdingData, userId) => {
 
       return {
         id: data.id,
+        portfolioId: data.portfolio_id,
         coinId: data.coin_id,
         symbol: data.symbol,
         name: data.name,
@@ -175,6 +467,7 @@ export const updateHolding = async (holdingId, updates, userId) => {
 
     return {
       id: data.id,
+      portfolioId: data.portfolio_id,
       coinId: data.coin_id,
       symbol: data.symbol,
       name: data.name,
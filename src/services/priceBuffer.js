@@ -0,0 +1,147 @@
+/**
+ * Price Buffer Service
+ * Rolling record of recent prices per coin for percentage-move alerts.
+ * Every alert check adds a sample; gaps (first run, app closed for a while) are
+ * filled from the market chart. Kept in localStorage so a reload keeps the window.
+ */
+
+import { fetchMarketChart } from './cryptoApi'
+import { STORAGE_KEYS, getStorageItem, setStorageItem } from '../utils/storage'
+import { MAX_WINDOW_HOURS } from '../utils/alertConditions'
+
+const MS_PER_HOUR = 60 * 60 * 1000
+const RETENTION = MAX_WINDOW_HOURS * MS_PER_HOUR
+
+// Samples closer together than this replace the latest one instead of piling up
+const MIN_SAMPLE_SPACING = 5 * 60 * 1000
+
+// The chart API is hourly beyond one day, so a buffer this close to the window start covers it
+const COVERAGE_TOLERANCE = MS_PER_HOUR
+
+// Minimum time between chart backfills for the same coin
+const BACKFILL_COOLDOWN = 15 * 60 * 1000
+
+// coinId -> [{ timestamp, price }], oldest first
+let buffer = null
+const lastBackfill = new Map()
+const pendingBackfills = new Map()
+
+const getBuffer = () => {
+  if (!buffer) {
+    buffer = getStorageItem(STORAGE_KEYS.PRICE_BUFFER, {}) || {}
+  }
+  return buffer
+}
+
+const saveBuffer = () => {
+  setStorageItem(STORAGE_KEYS.PRICE_BUFFER, buffer)
+}
+
+/**
+ * Add samples to a coin's series, oldest first
+ * The newest sample always stays; it replaces the previous one while that is
+ * still within MIN_SAMPLE_SPACING of the sample before it.
+ * @param {Array} samples - Existing samples, oldest first
+ * @param {Array} incoming - New samples
+ * @param {number} now - Reference time in ms
+ * @returns {Array} - Merged samples inside the retention window
+ */
+const mergeSamples = (samples, incoming, now) => {
+  const sorted = [...samples, ...incoming]
+    .filter(sample => sample.price > 0 && sample.timestamp >= now - RETENTION)
+    .sort((a, b) => a.timestamp - b.timestamp)
+
+  return sorted.reduce((merged, sample) => {
+    const anchor = merged[merged.length - 2]
+    if (anchor && sample.timestamp - anchor.timestamp < MIN_SAMPLE_SPACING) {
+      merged[merged.length - 1] = sample
+    } else {
+      merged.push(sample)
+    }
+    return merged
+  }, [])
+}
+
+/**
+ * Record the latest prices
+ * @param {Object} pricesByCoin - coinId -> price
+ * @param {number} now - Sample time in ms (defaults to now)
+ */
+export const recordPrices = (pricesByCoin, now = Date.now()) => {
+  const current = getBuffer()
+  let changed = false
+
+  Object.entries(pricesByCoin).forEach(([coinId, price]) => {
+    if (!(price > 0)) return
+    current[coinId] = mergeSamples(current[coinId] || [], [{ timestamp: now, price: Number(price) }], now)
+    changed = true
+  })
+
+  if (changed) saveBuffer()
+}
+
+/**
+ * Samples for one coin over the last few hours
+ * @param {string} coinId - Coin ID
+ * @param {number} hours - Look-back in hours
+ * @param {number} now - Reference time in ms (defaults to now)
+ * @returns {Array} - [{ timestamp, price }], oldest first
+ */
+export const getRecentPrices = (coinId, hours, now = Date.now()) => {
+  const since = now - hours * MS_PER_HOUR
+  return (getBuffer()[coinId] || []).filter(sample => sample.timestamp >= since)
+}
+
+/**
+ * Samples for one coin, backfilled from the market chart when the buffer
+ * doesn't reach back far enough yet
+ * Concurrent calls for the same coin share one chart request.
+ * @param {string} coinId - Coin ID
+ * @param {number} hours - Look-back in hours
+ * @returns {Promise<Array>} - [{ timestamp, price }], oldest first
+ */
+export const ensurePriceHistory = async (coinId, hours) => {
+  const now = Date.now()
+  const samples = getBuffer()[coinId] || []
+  const covered = samples.length > 0 && samples[0].timestamp <= now - hours * MS_PER_HOUR + COVERAGE_TOLERANCE
+
+  if (!covered && now - (lastBackfill.get(coinId) || 0) >= BACKFILL_COOLDOWN) {
+    if (!pendingBackfills.has(coinId)) {
+      lastBackfill.set(coinId, now)
+      pendingBackfills.set(
+        coinId,
+        backfillPrices(coinId, Math.max(1, Math.ceil(hours / 24))).finally(() => pendingBackfills.delete(coinId))
+      )
+    }
+    await pendingBackfills.get(coinId)
+  }
+
+  return getRecentPrices(coinId, hours)
+}
+
+/**
+ * Merge market chart prices into the buffer
+ * @param {string} coinId - Coin ID
+ * @param {number} days - Days of chart to request (one day comes in 5-minute steps, more in hourly)
+ * @returns {Promise<void>}
+ */
+const backfillPrices = async (coinId, days) => {
+  try {
+    const chart = await fetchMarketChart(coinId, 'usd', days)
+    const incoming = (chart?.prices || []).map(([timestamp, price]) => ({ timestamp, price }))
+    if (incoming.length === 0) return
+
+    const current = getBuffer()
+    current[coinId] = mergeSamples(current[coinId] || [], incoming, Date.now())
+    saveBuffer()
+    console.log(`📈 Price buffer: backfilled ${incoming.length} samples for ${coinId}`)
+  } catch (error) {
+    console.error(`❌ Price buffer: backfill failed for ${coinId}:`, error)
+  }
+}
+
+export default {
+  recordPrices,
+  getRecentPrices,
+  ensurePriceHistory
+}
@@ -0,0 +1,209 @@
+/**
+ * Reconciliation Service - Rebuild holdings from the transaction ledger
+ * Replays every transaction per coin and portfolio, compares the result with stored
+ * holdings and reports (or fixes) any drift between the two tables.
+ * Holding quantity beyond the ledger was entered before transactions were tracked;
+ * it is reported but never removed, only holdings short of the ledger are fixed.
+ */
+
+import { getHoldings, addOrUpdateHolding, updateHolding } from './portfolioService';
+import { getTransactions } from './transactionService';
+import { buildTaxLots, calculateLedgerPosition, isCashTransaction, DEFAULT_COST_BASIS_METHOD } from '../utils/costBasis';
+import { STORAGE_KEYS, getStorageItem } from '../utils/storage';
+
+// Differences below these thresholds are rounding noise, not drift
+const QUANTITY_TOLERANCE = 1e-8;
+const PRICE_TOLERANCE = 0.01;
+
+export const DISCREPANCY_TYPES = {
+  MISSING_HOLDING: 'missing_holding',
+  UNTRACKED_QUANTITY: 'untracked_quantity',
+  QUANTITY_DRIFT: 'quantity_drift',
+  COST_DRIFT: 'cost_drift',
+  OVERSOLD: 'oversold'
+};
+
+export const DISCREPANCY_LABELS = {
+  missing_holding: 'Holding missing for transactions',
+  untracked_quantity: 'Holding has quantity from before transactions were tracked',
+  quantity_drift: 'Holding is short of the ledger',
+  cost_drift: 'Average cost differs from ledger',
+  oversold: 'Ledger sells more than it buys'
+};
+
+/**
+ * Check whether the user removed a holding after its last transaction
+ * Removing a holding writes no ledger entry, so its transactions still show a position.
+ * @param {Object} removedHoldings - { "<portfolioId>|<coinId>": removedAt ISO }
+ * @param {string|null} portfolioId - Portfolio UUID
+ * @param {string} coinId - Coin ID
+ * @param {Array} transactions - Transaction history of the portfolio
+ * @returns {boolean}
+ */
+const wasRemovedByUser = (removedHoldings, portfolioId, coinId, transactions) => {
+  const removedAt = removedHoldings[`${portfolioId || ''}|${coinId}`];
+  if (!removedAt) return false;
+  return !transactions.some(tx => tx.coinId === coinId && new Date(tx.timestamp) > new Date(removedAt));
+};
+
+/**
+ * Compare stored holdings with the positions replayed from transactions
+ * Both lists must belong to the same portfolio.
+ * @param {Array} holdings - Holdings in app format
+ * @param {Array} transactions - Full transaction history
+ * @param {string} method - Cost basis method used for average cost
+ * @param {Object} removedHoldings - Holdings the user removed ({ "<portfolioId>|<coinId>": removedAt ISO })
+ * @returns {Array} Discrepancies ({ coinId, symbol, name, type, holdingId, stored, expected, fix })
+ */
+export const findHoldingDiscrepancies = (holdings, transactions, method = DEFAULT_COST_BASIS_METHOD, removedHoldings = {}) => {
+  const lotsByCoin = buildTaxLots(transactions, method);
+  const coinIds = new Set([...holdings.map(h => h.coinId), ...Object.keys(lotsByCoin)]);
+  const discrepancies = [];
+
+  coinIds.forEach(coinId => {
+    const holding = holdings.find(h => h.coinId === coinId);
+    const entry = lotsByCoin[coinId];
+    const { quantity, averageCost } = calculateLedgerPosition(lotsByCoin, coinId);
+
+    const base = {
+      coinId,
+      portfolioId: holding?.portfolioId || entry?.openLots[0]?.portfolioId || null,
+      symbol: holding?.symbol || entry?.symbol,
+      name: holding?.name || entry?.name,
+      holdingId: holding?.id || null,
+      stored: holding ? { quantity: holding.quantity, buyPrice: holding.buyPrice } : null,
+      expected: { quantity: Math.max(quantity, 0), buyPrice: averageCost }
+    };
+
+    if (holding && holding.quantity - quantity > QUANTITY_TOLERANCE) {
+      // Quantity from before the ledger, sells may already draw on it; kept as it is
+      discrepancies.push({
+        ...base,
+        type: DISCREPANCY_TYPES.UNTRACKED_QUANTITY,
+        expected: { quantity: holding.quantity, buyPrice: holding.buyPrice },
+        untrackedQuantity: holding.quantity - quantity,
+        fix: null
+      });
+      return;
+    }
+
+    if (quantity < -QUANTITY_TOLERANCE) {
+      // Can't be fixed automatically, the user has to correct the history first
+      discrepancies.push({ ...base, type: DISCREPANCY_TYPES.OVERSOLD, fix: null });
+      return;
+    }
+
+    if (!holding) {
+      if (quantity > QUANTITY_TOLERANCE && !wasRemovedByUser(removedHoldings, base.portfolioId, coinId, transactions)) {
+        discrepancies.push({ ...base, type: DISCREPANCY_TYPES.MISSING_HOLDING, fix: 'create' });
+      }
+    } else if (quantity - holding.quantity > QUANTITY_TOLERANCE) {
+      discrepancies.push({ ...base, type: DISCREPANCY_TYPES.QUANTITY_DRIFT, fix: 'update' });
+    } else if (quantity > QUANTITY_TOLERANCE && Math.abs(holding.buyPrice - averageCost) > PRICE_TOLERANCE) {
+      discrepancies.push({ ...base, type: DISCREPANCY_TYPES.COST_DRIFT, fix: 'update' });
+    }
+  });
+
+  return discrepancies;
+};
+
+/**
+ * Apply a single discrepancy fix to the holdings table
+ * @param {Object} discrepancy - Discrepancy from findHoldingDiscrepancies
+ * @param {Array} transactions - Full transaction history (for the latest known price)
+ * @param {string} userId - Supabase user ID
+ */
+const applyFix = async (discrepancy, transactions, userId) => {
+  const { fix, holdingId, expected } = discrepancy;
+
+  if (fix === 'update') {
+    await updateHolding(holdingId, { quantity: expected.quantity, buy_price: expected.buyPrice }, userId);
+  } else if (fix === 'create') {
+    // Transactions are newest first, so the first match is the latest trade price
+    const latest = transactions.find(tx => tx.coinId === discrepancy.coinId);
+    await addOrUpdateHolding({
+      portfolioId: discrepancy.portfolioId,
+      coinId: discrepancy.coinId,
+      symbol: discrepancy.symbol,
+      name: discrepancy.name,
+      quantity: expected.quantity,
+      buyPrice: expected.buyPrice,
+      currentPrice: latest?.price || expected.buyPrice,
+      priceChange24h: 0
+    }, userId);
+  }
+};
+
+/**
+ * Split holdings and transactions by the portfolio they belong to
+ * @param {Array} holdings - Holdings in app format
+ * @param {Array} transactions - Transaction history
+ * @returns {Array} [{ portfolioId, holdings, transactions }]
+ */
+const groupByPortfolio = (holdings, transactions) => {
+  const portfolioIds = new Set([...holdings, ...transactions].map(item => item.portfolioId || null));
+
+  return [...portfolioIds].map(portfolioId => ({
+    portfolioId,
+    holdings: holdings.filter(h => (h.portfolioId || null) === portfolioId),
+    transactions: transactions.filter(tx => (tx.portfolioId || null) === portfolioId)
+  }));
+};
+
+/**
+ * Reconcile holdings against the transaction ledger, one portfolio at a time
+ * @param {string} userId - Supabase user ID
+ * @param {Object} options - { dryRun = true, method, portfolioId = null (all) }
+ * @returns {Promise<Object>} { dryRun, checkedCoins, discrepancies, applied, failed }
+ */
+export const reconcileHoldings = async (userId, options = {}) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for reconciliation');
+    }
+
+    const { dryRun = true, method = DEFAULT_COST_BASIS_METHOD, portfolioId = null } = options;
+
+    const [holdings, transactions] = await Promise.all([
+      getHoldings(userId, portfolioId),
+      getTransactions(userId, null, portfolioId)
+    ]);
+    const removedHoldings = getStorageItem(STORAGE_KEYS.REMOVED_HOLDINGS, {});
+
+    const discrepancies = groupByPortfolio(holdings, transactions).flatMap(group =>
+      findHoldingDiscrepancies(group.holdings, group.transactions, method, removedHoldings)
+        .map(discrepancy => ({ ...discrepancy, portfolioId: group.portfolioId }))
+    );
+    const checkedCoins = new Set([...holdings.map(h => h.coinId), ...transactions.filter(tx => !isCashTransaction(tx)).map(tx => tx.coinId)]).size;
+
+    let applied = 0;
+    let failed = 0;
+
+    if (!dryRun) {
+      for (const discrepancy of discrepancies.filter(d => d.fix)) {
+        try {
+          await applyFix(
+            discrepancy,
+            transactions.filter(tx => (tx.portfolioId || null) === discrepancy.portfolioId),
+            userId
+          );
+          applied++;
+        } catch (error) {
+          console.error(`❌ Error fixing ${discrepancy.symbol} holding:`, error);
+          failed++;
+        }
+      }
+    }
+
+    return {
+      dryRun,
+      checkedCoins,
+      discrepancies,
+      applied,
+      failed
+    };
+  } catch (error) {
+    console.error('❌ Error in reconcileHoldings:', error);
+    throw error;
+  }
+};
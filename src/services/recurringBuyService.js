@@ -0,0 +1,159 @@
+/**
+ * Recurring Buy Service - Data persistence layer for DCA plans
+ * Handles Supabase database operations for recurring buy schedules
+ */
+
+import { supabase } from '../supabase/client';
+import { validateRecurringBuy } from '../utils/recurringBuys';
+
+/**
+ * Convert a Supabase recurring_buys row to app format
+ * @param {Object} row - recurring_buys row
+ * @returns {Object} Recurring buy plan
+ */
+const formatRecurringBuy = (row) => ({
+  id: row.id,
+  portfolioId: row.portfolio_id || null,
+  coinId: row.coin_id,
+  symbol: row.symbol,
+  name: row.name,
+  amount: parseFloat(row.amount),
+  frequency: row.frequency,
+  startDate: row.start_date,
+  endDate: row.end_date || null,
+  nextRunDate: row.next_run_date || null,
+  isActive: !!row.is_active,
+  createdAt: row.created_at
+});
+
+/**
+ * Get all recurring buy plans for the current user
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Array>} Array of plans
+ */
+export const getRecurringBuys = async (userId) => {
+  try {
+    if (!userId) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('recurring_buys')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return data.map(formatRecurringBuy);
+  } catch (error) {
+    console.error('❌ Error in getRecurringBuys:', error);
+    return [];
+  }
+};
+
+/**
+ * Create a recurring buy plan (the first run is the start date)
+ * @param {Object} planData - { portfolioId, coinId, symbol, name, amount, frequency, startDate, endDate }
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Created plan
+ */
+export const createRecurringBuy = async (planData, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for creating recurring buys');
+    }
+
+    const validationError = validateRecurringBuy(planData);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const { data, error } = await supabase
+      .from('recurring_buys')
+      .insert({
+        user_id: userId,
+        portfolio_id: planData.portfolioId || null,
+        coin_id: planData.coinId,
+        symbol: planData.symbol,
+        name: planData.name,
+        amount: planData.amount,
+        frequency: planData.frequency,
+        start_date: planData.startDate,
+        end_date: planData.endDate || null,
+        next_run_date: planData.startDate,
+        is_active: true
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return formatRecurringBuy(data);
+  } catch (error) {
+    console.error('❌ Error in createRecurringBuy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a plan's schedule state
+ * @param {string} planId - Plan UUID
+ * @param {Object} updates - { nextRunDate, isActive }
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Updated plan
+ */
+export const updateRecurringBuy = async (planId, updates, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for updating recurring buys');
+    }
+
+    const row = {};
+    if (updates.nextRunDate !== undefined) row.next_run_date = updates.nextRunDate;
+    if (updates.isActive !== undefined) row.is_active = updates.isActive;
+
+    const { data, error } = await supabase
+      .from('recurring_buys')
+      .update(row)
+      .eq('id', planId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return formatRecurringBuy(data);
+  } catch (error) {
+    console.error('❌ Error in updateRecurringBuy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a plan
+ * Buys it already recorded stay in the ledger
+ * @param {string} planId - Plan UUID
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteRecurringBuy = async (planId, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for deleting recurring buys');
+    }
+
+    const { error } = await supabase
+      .from('recurring_buys')
+      .delete()
+      .eq('id', planId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error in deleteRecurringBuy:', error);
+    throw error;
+  }
+};
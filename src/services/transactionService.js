@@ -5,14 +5,42 @@
 
 import { supabase } from '../supabase/client';
 import { STORAGE_KEYS, getStorageItem } from '../utils/storage';
+import { validateFeeCurrency } from '../utils/costBasis';
+
+/**
+ * Convert a Supabase transaction row to app format
+ * @param {Object} tx - Row from the transactions table
+ * @returns {Object} Transaction in app format
+ */
+const formatTransaction = (tx) => ({
+  id: tx.id,
+  portfolioId: tx.portfolio_id || null,
+  coinId: tx.coin_id,
+  symbol: tx.symbol,
+  name: tx.name,
+  action: tx.action,
+  incomeType: tx.income_type || null,
+  quantity: parseFloat(tx.quantity),
+  price: parseFloat(tx.price),
+  total: parseFloat(tx.total),
+  fee: parseFloat(tx.fee) || 0,
+  feeCurrency: tx.fee_currency || null,
+  timestamp: tx.timestamp,
+  lotMethod: tx.lot_method || null,
+  lotSelections: tx.lot_selections || null,
+  locationId: tx.location_id || null,
+  transferId: tx.transfer_id || null,
+  recurringBuyId: tx.recurring_buy_id || null
+});
 
 /**
  * Get all transactions for the current user
  * @param {string} userId - Supabase user ID
  * @param {number} limit - Optional limit for number of transactions
+ * @param {string|null} portfolioId - Limit to one portfolio (null = every portfolio)
  * @returns {Promise<Array>} Array of transactions
  */
-export const getTransactions = async (userId, limit = null) => {
+export const getTransactions = async (userId, limit = null, portfolioId = null) => {
   try {
     if (!userId) {
       // No user logged in, return empty array
@@ -30,6 +58,10 @@ export const getTransactions = async (userId, limit = null) => {
       query = query.limit(limit);
     }
 
+    if (portfolioId) {
+      query = query.eq('portfolio_id', portfolioId);
+    }
+
     const { data, error } = await query;
 
     if (error) {
@@ -38,17 +70,7 @@ export const getTransactions = async (userId, limit = null) => {
     }
 
     // Convert Supabase format to app format
-    const transactions = data.map(tx => ({
-      id: tx.id,
-      coinId: tx.coin_id,
-      symbol: tx.symbol,
-      name: tx.name,
-      action: tx.action,
-      quantity: parseFloat(tx.quantity),
-      price: parseFloat(tx.price),
-      total: parseFloat(tx.total),
-      timestamp: tx.timestamp
-    }));
+    const transactions = data.map(formatTransaction);
 
     return transactions;
   } catch (error) {
@@ -69,43 +91,283 @@ export const addTransaction = async (transactionData, userId) => {
       throw new Error('User ID required for adding transactions');
     }
 
-    const { coinId, symbol, name, action, quantity, price, total } = transactionData;
+    const { coinId, symbol, name, action, incomeType, quantity, price, total, fee, feeCurrency, lotMethod, lotSelections, timestamp, portfolioId, locationId, recurringBuyId } = transactionData;
+
+    const feeError = validateFeeCurrency(transactionData);
+    if (feeError) {
+      throw new Error(feeError);
+    }
 
     const { data, error } = await supabase
       .from('transactions')
       .insert({
         user_id: userId,
+        portfolio_id: portfolioId || null,
         coin_id: coinId,
         symbol,
         name,
         action,
+        income_type: action === 'INCOME' ? incomeType || null : null,
         quantity,
         price,
         total,
-        timestamp: new Date().toISOString()
+        fee: fee || 0,
+        fee_currency: fee ? feeCurrency || null : null,
+        lot_method: lotMethod || null,
+        lot_selections: lotSelections || null,
+        location_id: locationId || null,
+        recurring_buy_id: recurringBuyId || null,
+        // Imported and backdated trades carry their own timestamp
+        timestamp: timestamp || new Date().toISOString()
       })
       .select()
       .single();
 
     if (error) throw error;
 
-    return {
-      id: data.id,
-      coinId: data.coin_id,
-      symbol: data.symbol,
-      name: data.name,
-      action: data.action,
-      quantity: parseFloat(data.quantity),
-      price: parseFloat(data.price),
-      total: parseFloat(data.total),
-      timestamp: data.timestamp
-    };
+    return formatTransaction(data);
   } catch (error) {
     console.error('Error in addTransaction:', error);
     throw error;
   }
 };
 
+/**
+ * Record a transfer between two locations as a TRANSFER_OUT / TRANSFER_IN pair
+ * Both rows share a transfer_id; price is the market price at the time (for reference only)
+ * @param {Object} transferData - { coinId, symbol, name, quantity, price, fromLocationId, toLocationId, timestamp, portfolioId }
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Array>} [transferOut, transferIn]
+ */
+export const addTransfer = async (transferData, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for adding transfers');
+    }
+
+    const { coinId, symbol, name, quantity, price, fromLocationId, toLocationId, timestamp, portfolioId } = transferData;
+
+    if (!(quantity > 0)) {
+      throw new Error('Transfer quantity must be greater than 0');
+    }
+    if ((fromLocationId || null) === (toLocationId || null)) {
+      throw new Error('Transfer needs two different locations');
+    }
+
+    const transferId = crypto.randomUUID();
+    const base = {
+      user_id: userId,
+      portfolio_id: portfolioId || null,
+      coin_id: coinId,
+      symbol,
+      name,
+      quantity,
+      price: price || 0,
+      total: quantity * (price || 0),
+      fee: 0,
+      transfer_id: transferId,
+      timestamp: timestamp || new Date().toISOString()
+    };
+
+    const { data, error } = await supabase
+      .from('transactions')
+      .insert([
+        { ...base, action: 'TRANSFER_OUT', location_id: fromLocationId || null },
+        { ...base, action: 'TRANSFER_IN', location_id: toLocationId || null }
+      ])
+      .select();
+
+    if (error) throw error;
+
+    const rows = data.map(formatTransaction);
+    return [rows.find(tx => tx.action === 'TRANSFER_OUT'), rows.find(tx => tx.action === 'TRANSFER_IN')];
+  } catch (error) {
+    console.error('Error in addTransfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a change to a transaction in the audit trail
+ * Failures are logged but never block the edit itself
+ * @param {string} userId - Supabase user ID
+ * @param {string} transactionId - Transaction UUID
+ * @param {string} action - 'UPDATE' or 'DELETE'
+ * @param {Object} before - Transaction before the change
+ * @param {Object|null} after - Transaction after the change (null for deletes)
+ */
+const recordTransactionAudit = async (userId, transactionId, action, before, after) => {
+  const { error } = await supabase
+    .from('transaction_audit_log')
+    .insert({
+      user_id: userId,
+      transaction_id: transactionId,
+      action,
+      before,
+      after
+    });
+
+  if (error) {
+    console.error('❌ Error recording transaction audit:', error);
+  }
+};
+
+/**
+ * Fetch a single transaction row owned by the user
+ * @param {string} transactionId - Transaction UUID
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Raw Supabase row
+ */
+const getTransactionRow = async (transactionId, userId) => {
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('*')
+    .eq('id', transactionId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Update an existing transaction
+ * Total is recalculated from quantity and price
+ * @param {string} transactionId - Transaction UUID
+ * @param {Object} updates - Fields to update (action, incomeType, quantity, price, fee, feeCurrency, timestamp)
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<Object>} Updated transaction
+ */
+export const updateTransaction = async (transactionId, updates, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for updating transactions');
+    }
+
+    const existing = await getTransactionRow(transactionId, userId);
+
+    const quantity = updates.quantity ?? parseFloat(existing.quantity);
+    const price = updates.price ?? parseFloat(existing.price);
+    const fee = updates.fee ?? (parseFloat(existing.fee) || 0);
+
+    const feeError = validateFeeCurrency({ fee, feeCurrency: updates.feeCurrency || existing.fee_currency, symbol: existing.symbol });
+    if (feeError) {
+      throw new Error(feeError);
+    }
+
+    const { data, error } = await supabase
+      .from('transactions')
+      .update({
+        action: updates.action || existing.action,
+        income_type: updates.incomeType || existing.income_type || null,
+        quantity,
+        price,
+        total: quantity * price,
+        fee,
+        fee_currency: fee ? updates.feeCurrency || existing.fee_currency : null,
+        timestamp: updates.timestamp || existing.timestamp
+      })
+      .eq('id', transactionId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const updated = formatTransaction(data);
+    await recordTransactionAudit(userId, transactionId, 'UPDATE', formatTransaction(existing), updated);
+
+    return updated;
+  } catch (error) {
+    console.error('Error in updateTransaction:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a transaction
+ * Deleting either side of a transfer deletes both rows
+ * @param {string} transactionId - Transaction UUID
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteTransaction = async (transactionId, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID required for deleting transactions');
+    }
+
+    const existing = await getTransactionRow(transactionId, userId);
+
+    let rows = [existing];
+    if (existing.transfer_id) {
+      const { data, error: pairError } = await supabase
+        .from('transactions')
+        .select('*')
+        .eq('transfer_id', existing.transfer_id)
+        .eq('user_id', userId);
+
+      if (pairError) throw pairError;
+      rows = data;
+    }
+
+    const { error } = await supabase
+      .from('transactions')
+      .delete()
+      .in('id', rows.map(row => row.id))
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    for (const row of rows) {
+      await recordTransactionAudit(userId, row.id, 'DELETE', formatTransaction(row), null);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error in deleteTransaction:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the transaction audit trail for a user
+ * @param {string} userId - Supabase user ID
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} Audit entries, newest first
+ */
+export const getTransactionAuditLog = async (userId, limit = 50) => {
+  try {
+    if (!userId) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('transaction_audit_log')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('❌ Error fetching transaction audit log:', error.message);
+      throw error;
+    }
+
+    return data.map(entry => ({
+      id: entry.id,
+      transactionId: entry.transaction_id,
+      action: entry.action,
+      before: entry.before,
+      after: entry.after,
+      createdAt: entry.created_at
+    }));
+  } catch (error) {
+    console.error('❌ Error in getTransactionAuditLog:', error);
+    return [];
+  }
+};
+
 /**
  * Get transaction statistics for a user
  * @param {string} userId - Supabase user ID
@@ -261,17 +523,7 @@ export const getTransactionsByCoin = async (coinId, userId) => {
       return []
     }
 
-    return data.map(tx => ({
-      id: tx.id,
-      coinId: tx.coin_id,
-      symbol: tx.symbol,
-      name: tx.name,
-      action: tx.action,
-      quantity: parseFloat(tx.quantity),
-      price: parseFloat(tx.price),
-      total: parseFloat(tx.total),
-      timestamp: tx.timestamp
-    }));
+    return data.map(formatTransaction);
   } catch (error) {
     console.error('Error in getTransactionsByCoin:', error);
     return [];
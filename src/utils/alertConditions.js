@@ -0,0 +1,329 @@
+/**
+ * Alert Condition Utility
+ * What each price alert type watches and when it fires. Absolute targets compare
+ * against the live price; percentage alerts look at the 24h change or at recent
+ * prices from the rolling price buffer. Trailing stops and take-profit ladders are
+ * attached to a holding and can leave a sell to review when they fire. Rule alerts
+ * combine several market conditions with AND/OR (see alertRules).
+ */
+
+import { validateAlertRules, evaluateAlertRules, describeAlertRules, describeRuleMarket } from './alertRules'
+
+export const ALERT_CONDITIONS = {
+  ABOVE: 'above',
+  BELOW: 'below',
+  MOVE_PERCENT: 'move_percent',
+  CHANGE_24H: 'change_24h',
+  DROP_FROM_HIGH: 'drop_from_high',
+  TRAILING_STOP: 'trailing_stop',
+  TAKE_PROFIT: 'take_profit',
+  COMPOUND: 'compound'
+}
+
+export const ALERT_CONDITION_LABELS = {
+  above: 'Above',
+  below: 'Below',
+  move_percent: 'Moves ±%',
+  change_24h: '24h Change',
+  drop_from_high: 'Drop From High',
+  trailing_stop: 'Trailing Stop',
+  take_profit: 'Take Profit',
+  compound: 'Rules (AND/OR)'
+}
+
+// Conditions with a price target, the rest take a percentage threshold
+export const PRICE_CONDITIONS = [ALERT_CONDITIONS.ABOVE, ALERT_CONDITIONS.BELOW]
+
+// Conditions attached to a holding row rather than created from the alert forms
+export const HOLDING_CONDITIONS = [ALERT_CONDITIONS.TRAILING_STOP, ALERT_CONDITIONS.TAKE_PROFIT]
+
+// Conditions offered by the coin alert forms, rule alerts have their own editor
+export const COIN_ALERT_CONDITIONS = Object.values(ALERT_CONDITIONS)
+  .filter(condition => !HOLDING_CONDITIONS.includes(condition) && condition !== ALERT_CONDITIONS.COMPOUND)
+
+// Most tiers a take-profit ladder can have
+export const MAX_LADDER_TIERS = 5
+
+// Conditions that look back over window_hours of recent prices
+export const WINDOW_CONDITIONS = [ALERT_CONDITIONS.MOVE_PERCENT, ALERT_CONDITIONS.DROP_FROM_HIGH]
+
+export const ALERT_WINDOW_OPTIONS = [1, 4, 12, 24, 72, 168]
+export const DEFAULT_WINDOW_HOURS = 24
+export const MAX_WINDOW_HOURS = 168
+
+const MS_PER_HOUR = 60 * 60 * 1000
+
+/**
+ * Whether a condition compares against a price target
+ * @param {string} condition - Alert condition
+ * @returns {boolean}
+ */
+export const isPriceCondition = (condition) => PRICE_CONDITIONS.includes(condition)
+
+/**
+ * Whether a condition is a holding alert (trailing stop or take-profit ladder)
+ * @param {string} condition - Alert condition
+ * @returns {boolean}
+ */
+export const isHoldingCondition = (condition) => HOLDING_CONDITIONS.includes(condition)
+
+/**
+ * Price a trailing stop fires at
+ * @param {Object} alert - { thresholdPercent, peakPrice }
+ * @param {number} price - Current price, counted in the peak
+ * @returns {number|null}
+ */
+export const getTrailingStopPrice = (alert, price = 0) => {
+  const peak = Math.max(Number(alert.peakPrice) || 0, Number(price) || 0)
+  return peak > 0 ? peak * (1 - alert.thresholdPercent / 100) : null
+}
+
+/**
+ * Take-profit tiers that haven't fired yet, lowest target first
+ * @param {Object} alert - { ladder: [{ targetPrice, sellPercent, triggeredAt }] }
+ * @returns {Array}
+ */
+export const getOpenLadderTiers = (alert) => {
+  return (alert.ladder || [])
+    .filter(tier => !tier.triggeredAt)
+    .sort((a, b) => a.targetPrice - b.targetPrice)
+}
+
+const validateSellPercent = (sellPercent) => {
+  if (sellPercent === null || sellPercent === undefined) return null
+  return sellPercent > 0 && sellPercent <= 100 ? null : 'Sell amount must be between 0 and 100%'
+}
+
+const validateHoldingCondition = (alert) => {
+  if (alert.condition === ALERT_CONDITIONS.TRAILING_STOP) {
+    if (!(alert.thresholdPercent > 0 && alert.thresholdPercent < 100)) return 'Trailing distance must be between 0 and 100%'
+    return validateSellPercent(alert.sellPercent)
+  }
+
+  const ladder = alert.ladder || []
+  if (ladder.length === 0) return 'Add at least one take-profit tier'
+  if (ladder.length > MAX_LADDER_TIERS) return `A ladder can have at most ${MAX_LADDER_TIERS} tiers`
+  if (ladder.some(tier => !(tier.targetPrice > 0))) return 'Every tier needs a target price'
+  if (new Set(ladder.map(tier => tier.targetPrice)).size !== ladder.length) return 'Tier targets must be different'
+
+  const sellError = ladder.map(tier => validateSellPercent(tier.sellPercent)).find(Boolean)
+  if (sellError) return sellError
+  const totalSell = ladder.reduce((sum, tier) => sum + (tier.sellPercent || 0), 0)
+  return totalSell <= 100 ? null : 'Tiers can sell at most 100% in total'
+}
+
+/**
+ * Hours of recent prices an alert needs to be evaluated
+ * @param {Object} alert - Alert ({ condition, windowHours })
+ * @returns {number} - 0 when the live quote is enough
+ */
+export const getAlertHistoryHours = (alert) => {
+  return WINDOW_CONDITIONS.includes(alert.condition) ? alert.windowHours || DEFAULT_WINDOW_HOURS : 0
+}
+
+/**
+ * Check an alert before it is saved
+ * @param {Object} alert - { condition, targetPrice, thresholdPercent, windowHours }
+ * @returns {string|null} - Error message, null when valid
+ */
+export const validateAlertCondition = (alert) => {
+  if (!Object.values(ALERT_CONDITIONS).includes(alert.condition)) return 'Invalid alert condition'
+  if (isHoldingCondition(alert.condition)) return validateHoldingCondition(alert)
+  if (alert.condition === ALERT_CONDITIONS.COMPOUND) return validateAlertRules(alert.rules)
+  if (isPriceCondition(alert.condition)) {
+    return alert.targetPrice > 0 ? null : 'Target price must be greater than 0'
+  }
+
+  if (!(alert.thresholdPercent > 0)) return 'Percentage must be greater than 0'
+  if (alert.condition === ALERT_CONDITIONS.DROP_FROM_HIGH && alert.thresholdPercent >= 100) {
+    return 'A drop must be less than 100%'
+  }
+  if (WINDOW_CONDITIONS.includes(alert.condition) && !(alert.windowHours > 0 && alert.windowHours <= MAX_WINDOW_HOURS)) {
+    return `Time window must be between 1 and ${MAX_WINDOW_HOURS} hours`
+  }
+  return null
+}
+
+/**
+ * Evaluate an alert against the market
+ * Window alerts only use the prices the buffer has, so a short buffer can miss
+ * a move but never reports one that didn't happen.
+ * @param {Object} alert - { condition, targetPrice, thresholdPercent, windowHours, peakPrice, ladder, rules }
+ * @param {Object} market - { price, change24h, history: [{ timestamp, price }] }, rule alerts
+ *   also read volume, marketCapRank and fearGreed
+ * @param {number} now - Reference time in ms (defaults to now)
+ * @returns {Object} - { triggered, value, reference } where value is the measured move in percent;
+ *   take-profit results also list the tiers that were reached, rule results the market they saw
+ */
+export const evaluateAlertCondition = (alert, market, now = Date.now()) => {
+  const price = Number(market.price)
+  const threshold = Number(alert.thresholdPercent)
+  if (!(price > 0)) return { triggered: false, value: null, reference: null }
+
+  switch (alert.condition) {
+    case ALERT_CONDITIONS.ABOVE:
+    case ALERT_CONDITIONS.BELOW: {
+      const target = Number(alert.targetPrice)
+      if (isNaN(target)) return { triggered: false, value: null, reference: null }
+      const triggered = alert.condition === ALERT_CONDITIONS.ABOVE ? price >= target : price <= target
+      return { triggered, value: price, reference: target }
+    }
+
+    case ALERT_CONDITIONS.CHANGE_24H: {
+      const change = Number(market.change24h)
+      if (isNaN(change)) return { triggered: false, value: null, reference: null }
+      return { triggered: Math.abs(change) >= threshold, value: change, reference: null }
+    }
+
+    case ALERT_CONDITIONS.MOVE_PERCENT:
+    case ALERT_CONDITIONS.DROP_FROM_HIGH: {
+      const since = now - getAlertHistoryHours(alert) * MS_PER_HOUR
+      const prices = (market.history || [])
+        .filter(sample => sample.timestamp >= since && sample.price > 0)
+        .map(sample => sample.price)
+      if (prices.length === 0) return { triggered: false, value: null, reference: null }
+
+      const high = Math.max(price, ...prices)
+      if (alert.condition === ALERT_CONDITIONS.DROP_FROM_HIGH) {
+        const drop = (high - price) / high * 100
+        return { triggered: drop >= threshold, value: -drop, reference: high }
+      }
+
+      // The move from whichever end of the window's range is further away
+      const low = Math.min(price, ...prices)
+      const rise = (price / low - 1) * 100
+      const fall = (price / high - 1) * 100
+      const move = rise >= Math.abs(fall) ? rise : fall
+      return { triggered: Math.abs(move) >= threshold, value: move, reference: move >= 0 ? low : high }
+    }
+
+    case ALERT_CONDITIONS.TRAILING_STOP: {
+      const peak = Math.max(Number(alert.peakPrice) || 0, price)
+      const drop = (peak - price) / peak * 100
+      return { triggered: drop >= threshold, value: -drop, reference: peak }
+    }
+
+    case ALERT_CONDITIONS.TAKE_PROFIT: {
+      const tiers = getOpenLadderTiers(alert).filter(tier => price >= tier.targetPrice)
+      if (tiers.length === 0) return { triggered: false, value: price, reference: null, tiers }
+      return { triggered: true, value: price, reference: tiers[tiers.length - 1].targetPrice, tiers }
+    }
+
+    case ALERT_CONDITIONS.COMPOUND: {
+      const { triggered, matched } = evaluateAlertRules(alert.rules, market)
+      return { triggered, value: price, reference: null, matched, snapshot: describeRuleMarket(alert.rules, market) }
+    }
+
+    default:
+      return { triggered: false, value: null, reference: null }
+  }
+}
+
+/**
+ * Long label for a time window option
+ * @param {number} hours - Window in hours
+ * @returns {string} - e.g. "4 hours" or "3 days"
+ */
+export const getWindowLabel = (hours) => {
+  if (hours >= 24 && hours % 24 === 0) return `${hours / 24} day${hours === 24 ? '' : 's'}`
+  return `${hours} hour${hours === 1 ? '' : 's'}`
+}
+
+const formatWindow = (hours) => hours > 24 && hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`
+
+const formatPrice = (price) => `$${Number(price).toLocaleString()}`
+
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`
+
+const getSellNote = (sellPercent) => sellPercent > 0 ? `. A ${sellPercent}% sell is ready to review` : ''
+
+/**
+ * Short description of what an alert watches
+ * @param {Object} alert - { condition, targetPrice, thresholdPercent, windowHours }
+ * @returns {string} - e.g. "Above $70,000" or "±5% within 4h"
+ */
+export const describeAlert = (alert) => {
+  const window = formatWindow(alert.windowHours || DEFAULT_WINDOW_HOURS)
+
+  switch (alert.condition) {
+    case ALERT_CONDITIONS.ABOVE:
+      return `Above ${formatPrice(alert.targetPrice)}`
+    case ALERT_CONDITIONS.BELOW:
+      return `Below ${formatPrice(alert.targetPrice)}`
+    case ALERT_CONDITIONS.MOVE_PERCENT:
+      return `±${alert.thresholdPercent}% within ${window}`
+    case ALERT_CONDITIONS.CHANGE_24H:
+      return `24h change ±${alert.thresholdPercent}%`
+    case ALERT_CONDITIONS.DROP_FROM_HIGH:
+      return `${alert.thresholdPercent}% below ${window} high`
+    case ALERT_CONDITIONS.TRAILING_STOP: {
+      const stop = getTrailingStopPrice(alert)
+      return `${alert.thresholdPercent}% below peak${stop ? ` (stop ${formatPrice(stop.toPrecision(6))})` : ''}`
+    }
+    case ALERT_CONDITIONS.TAKE_PROFIT: {
+      const tiers = alert.ladder || []
+      const hit = tiers.length - getOpenLadderTiers(alert).length
+      return `${tiers.length} tier${tiers.length === 1 ? '' : 's'} up to ${formatPrice(Math.max(...tiers.map(t => t.targetPrice)))} (${hit} hit)`
+    }
+    case ALERT_CONDITIONS.COMPOUND:
+      return describeAlertRules(alert.rules)
+    default:
+      return alert.condition
+  }
+}
+
+/**
+ * Notification text for a triggered alert
+ * @param {Object} alert - Alert ({ symbol, condition, targetPrice, thresholdPercent, windowHours, rules })
+ * @param {number} price - Price that triggered it
+ * @param {Object} result - Output of evaluateAlertCondition
+ * @returns {string}
+ */
+export const getAlertMessage = (alert, price, result) => {
+  const symbol = alert.symbol.toUpperCase()
+  const current = `Current price: ${formatPrice(price)}`
+  const window = formatWindow(alert.windowHours || DEFAULT_WINDOW_HOURS)
+
+  switch (alert.condition) {
+    case ALERT_CONDITIONS.MOVE_PERCENT:
+      return `${symbol} moved ${formatPercent(result.value)} within ${window}. ${current}`
+    case ALERT_CONDITIONS.CHANGE_24H:
+      return `${symbol} is ${result.value >= 0 ? 'up' : 'down'} ${Math.abs(result.value).toFixed(2)}% over 24h. ${current}`
+    case ALERT_CONDITIONS.DROP_FROM_HIGH:
+      return `${symbol} is ${Math.abs(result.value).toFixed(2)}% below its ${window} high of ${formatPrice(result.reference)}. ${current}`
+    case ALERT_CONDITIONS.TRAILING_STOP:
+      return `${symbol} hit your trailing stop, ${Math.abs(result.value).toFixed(2)}% below its peak of ${formatPrice(result.reference)}. ${current}${getSellNote(alert.sellPercent)}`
+    case ALERT_CONDITIONS.TAKE_PROFIT: {
+      const targets = result.tiers.map(tier => formatPrice(tier.targetPrice)).join(', ')
+      const sellPercent = result.tiers.reduce((sum, tier) => sum + (tier.sellPercent || 0), 0)
+      return `${symbol} reached your take-profit target${result.tiers.length === 1 ? '' : 's'} of ${targets}. ${current}${getSellNote(sellPercent)}`
+    }
+    case ALERT_CONDITIONS.COMPOUND:
+      return `${symbol} matched your rules: ${describeAlertRules(alert.rules)}. Now: ${result.snapshot}`
+    default:
+      return `${symbol} crossed your ${alert.condition} target of ${formatPrice(alert.targetPrice)}. ${current}`
+  }
+}
+
+export default {
+  ALERT_CONDITIONS,
+  ALERT_CONDITION_LABELS,
+  PRICE_CONDITIONS,
+  HOLDING_CONDITIONS,
+  COIN_ALERT_CONDITIONS,
+  MAX_LADDER_TIERS,
+  WINDOW_CONDITIONS,
+  ALERT_WINDOW_OPTIONS,
+  DEFAULT_WINDOW_HOURS,
+  MAX_WINDOW_HOURS,
+  isPriceCondition,
+  isHoldingCondition,
+  getTrailingStopPrice,
+  getOpenLadderTiers,
+  getAlertHistoryHours,
+  getWindowLabel,
+  validateAlertCondition,
+  evaluateAlertCondition,
+  describeAlert,
+  getAlertMessage
+}
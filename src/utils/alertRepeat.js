@@ -0,0 +1,188 @@
+/**
+ * Alert Repeat Utility
+ * What happens after a price alert fires. One-shot alerts switch off; repeating
+ * alerts stay active and re-arm after a cooldown or once the price has retreated
+ * by a hysteresis band from where it fired, so a level can be watched again and again.
+ */
+
+import { ALERT_CONDITIONS } from './alertConditions'
+
+export const ALERT_REPEAT_MODES = {
+  ONCE: 'once',
+  COOLDOWN: 'cooldown',
+  HYSTERESIS: 'hysteresis'
+}
+
+export const ALERT_REPEAT_LABELS = {
+  once: 'Once',
+  cooldown: 'Again After Cooldown',
+  hysteresis: 'Again After Price Retreats'
+}
+
+export const COOLDOWN_OPTIONS = [15, 60, 240, 720, 1440]
+export const DEFAULT_COOLDOWN_MINUTES = 60
+export const DEFAULT_HYSTERESIS_PERCENT = 2
+
+// Where a repeating alert stands before it is evaluated
+export const ALERT_ARMING = {
+  ARMED: 'armed',
+  REARM: 'rearm',
+  WAITING: 'waiting'
+}
+
+const MS_PER_MINUTE = 60 * 1000
+
+/**
+ * Check the repeat settings before an alert is saved
+ * @param {Object} alert - { condition, repeatMode, cooldownMinutes, hysteresisPercent }
+ * @returns {string|null} - Error message, null when valid
+ */
+export const validateAlertRepeat = (alert) => {
+  const mode = alert.repeatMode || ALERT_REPEAT_MODES.ONCE
+  if (!Object.values(ALERT_REPEAT_MODES).includes(mode)) return 'Invalid repeat mode'
+  if (mode === ALERT_REPEAT_MODES.COOLDOWN && !(alert.cooldownMinutes > 0)) {
+    return 'Cooldown must be greater than 0'
+  }
+  // A rule alert has no single price to retreat from
+  if (mode === ALERT_REPEAT_MODES.HYSTERESIS && alert.condition === ALERT_CONDITIONS.COMPOUND) {
+    return 'Rule alerts can only repeat after a cooldown'
+  }
+  if (mode === ALERT_REPEAT_MODES.HYSTERESIS && !(alert.hysteresisPercent > 0 && alert.hysteresisPercent < 100)) {
+    return 'Retreat band must be between 0 and 100%'
+  }
+  return null
+}
+
+/**
+ * Whether an active alert may fire at this price
+ * A hysteresis alert that has crossed back over its re-arm price comes back as
+ * REARM so the caller can clear the stored band before evaluating it.
+ * @param {Object} alert - { isActive, repeatMode, cooldownMinutes, triggeredAt, rearmPrice, lastTriggeredPrice }
+ * @param {number} price - Current price (USD)
+ * @param {number} now - Reference time in ms (defaults to now)
+ * @returns {string} - One of ALERT_ARMING
+ */
+export const getAlertArming = (alert, price, now = Date.now()) => {
+  if (!alert.isActive) return ALERT_ARMING.WAITING
+
+  switch (alert.repeatMode) {
+    case ALERT_REPEAT_MODES.COOLDOWN: {
+      if (!alert.triggeredAt) return ALERT_ARMING.ARMED
+      const readyAt = new Date(alert.triggeredAt).getTime() + alert.cooldownMinutes * MS_PER_MINUTE
+      return now >= readyAt ? ALERT_ARMING.ARMED : ALERT_ARMING.WAITING
+    }
+
+    case ALERT_REPEAT_MODES.HYSTERESIS: {
+      if (alert.rearmPrice === null || alert.rearmPrice === undefined) return ALERT_ARMING.ARMED
+      const retreated = alert.rearmPrice < alert.lastTriggeredPrice
+        ? price <= alert.rearmPrice
+        : price >= alert.rearmPrice
+      return retreated ? ALERT_ARMING.REARM : ALERT_ARMING.WAITING
+    }
+
+    default:
+      return ALERT_ARMING.ARMED
+  }
+}
+
+/**
+ * Price a hysteresis alert has to retreat to before it can fire again
+ * Alerts that fired on a rise re-arm below the firing price, the rest above it.
+ * @param {Object} alert - { condition, hysteresisPercent }
+ * @param {number} price - Price it fired at
+ * @param {Object} result - Output of evaluateAlertCondition
+ * @returns {number}
+ */
+export const getRearmPrice = (alert, price, result) => {
+  const firedOnRise = alert.condition === ALERT_CONDITIONS.ABOVE ||
+    ((alert.condition === ALERT_CONDITIONS.MOVE_PERCENT || alert.condition === ALERT_CONDITIONS.CHANGE_24H) && result.value >= 0)
+  const band = alert.hysteresisPercent / 100
+  return firedOnRise ? price * (1 - band) : price * (1 + band)
+}
+
+/**
+ * Column updates for an alert that just fired
+ * @param {Object} alert - Alert in app format
+ * @param {number} price - Price it fired at
+ * @param {Object} result - Output of evaluateAlertCondition
+ * @param {string} firedAt - ISO timestamp
+ * @returns {Object} - price_alerts columns to update
+ */
+export const getTriggerUpdate = (alert, price, result, firedAt) => {
+  switch (alert.repeatMode) {
+    case ALERT_REPEAT_MODES.COOLDOWN:
+      return { triggered_at: firedAt, last_triggered_price: price }
+    case ALERT_REPEAT_MODES.HYSTERESIS:
+      return { triggered_at: firedAt, last_triggered_price: price, rearm_price: getRearmPrice(alert, price, result) }
+    default:
+      return { is_active: false, triggered_at: firedAt, last_triggered_price: price }
+  }
+}
+
+const formatCooldown = (minutes) => {
+  if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60}h`
+  return `${minutes}m`
+}
+
+/**
+ * Long label for a cooldown option
+ * @param {number} minutes - Cooldown in minutes
+ * @returns {string} - e.g. "15 minutes" or "4 hours"
+ */
+export const getCooldownLabel = (minutes) => {
+  if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
+/**
+ * Short description of how an alert repeats
+ * @param {Object} alert - { repeatMode, cooldownMinutes, hysteresisPercent }
+ * @returns {string} - e.g. "Repeats every 1h" or "Once"
+ */
+export const describeRepeat = (alert) => {
+  switch (alert.repeatMode) {
+    case ALERT_REPEAT_MODES.COOLDOWN:
+      return `Repeats every ${formatCooldown(alert.cooldownMinutes)}`
+    case ALERT_REPEAT_MODES.HYSTERESIS:
+      return `Repeats after a ${alert.hysteresisPercent}% retreat`
+    default:
+      return 'Once'
+  }
+}
+
+/**
+ * When a repeating alert that is waiting can fire again
+ * @param {Object} alert - Alert in app format
+ * @returns {string|null} - e.g. "Re-arms at 14:05" or "Re-arms below $68,600", null when armed
+ */
+export const describeRearm = (alert) => {
+  if (!alert.isActive || !alert.triggeredAt) return null
+
+  if (alert.repeatMode === ALERT_REPEAT_MODES.COOLDOWN) {
+    const readyAt = new Date(alert.triggeredAt).getTime() + alert.cooldownMinutes * MS_PER_MINUTE
+    return readyAt > Date.now() ? `Re-arms at ${new Date(readyAt).toLocaleString()}` : null
+  }
+
+  if (alert.repeatMode === ALERT_REPEAT_MODES.HYSTERESIS && alert.rearmPrice !== null && alert.rearmPrice !== undefined) {
+    const side = alert.rearmPrice < alert.lastTriggeredPrice ? 'below' : 'above'
+    return `Re-arms ${side} $${Number(alert.rearmPrice.toPrecision(6)).toLocaleString()}`
+  }
+
+  return null
+}
+
+export default {
+  ALERT_REPEAT_MODES,
+  ALERT_REPEAT_LABELS,
+  COOLDOWN_OPTIONS,
+  DEFAULT_COOLDOWN_MINUTES,
+  DEFAULT_HYSTERESIS_PERCENT,
+  ALERT_ARMING,
+  validateAlertRepeat,
+  getAlertArming,
+  getRearmPrice,
+  getTriggerUpdate,
+  getCooldownLabel,
+  describeRepeat,
+  describeRearm
+}
@@ -0,0 +1,229 @@
+/**
+ * Alert Rule Utility
+ * Rule alerts combine conditions on a coin's price, 24h change, volume and market
+ * cap rank with the market-wide Fear & Greed value. Conditions sit in groups; each
+ * group joins its conditions with AND or OR, and the groups are joined the same way.
+ * A condition whose value is unavailable never counts as met.
+ */
+
+export const RULE_FIELDS = {
+  PRICE: 'price',
+  CHANGE_24H: 'change_24h',
+  VOLUME: 'volume',
+  MARKET_CAP_RANK: 'market_cap_rank',
+  FEAR_GREED: 'fear_greed'
+}
+
+export const RULE_FIELD_LABELS = {
+  price: 'Price',
+  change_24h: '24h Change',
+  volume: '24h Volume',
+  market_cap_rank: 'Market Cap Rank',
+  fear_greed: 'Fear & Greed'
+}
+
+// Key of each field on the market data a rule is evaluated against
+const RULE_MARKET_KEYS = {
+  price: 'price',
+  change_24h: 'change24h',
+  volume: 'volume',
+  market_cap_rank: 'marketCapRank',
+  fear_greed: 'fearGreed'
+}
+
+// Fields the simple price quote doesn't carry and that need the coin's market data
+export const COIN_MARKET_FIELDS = [RULE_FIELDS.VOLUME, RULE_FIELDS.MARKET_CAP_RANK]
+
+export const RULE_COMPARATORS = {
+  ABOVE: 'above',
+  BELOW: 'below'
+}
+
+export const RULE_OPERATORS = {
+  AND: 'and',
+  OR: 'or'
+}
+
+export const MAX_RULE_GROUPS = 3
+export const MAX_GROUP_CONDITIONS = 4
+
+/**
+ * A new rule condition
+ * @param {string} field - One of RULE_FIELDS
+ * @returns {Object} - { field, comparator, value }
+ */
+export const createRuleCondition = (field = RULE_FIELDS.PRICE) => ({
+  field,
+  comparator: field === RULE_FIELDS.FEAR_GREED ? RULE_COMPARATORS.BELOW : RULE_COMPARATORS.ABOVE,
+  value: ''
+})
+
+/**
+ * A new group holding a single condition
+ * @param {string} field - Field of its first condition
+ * @returns {Object} - { operator, conditions }
+ */
+export const createRuleGroup = (field) => ({
+  operator: RULE_OPERATORS.AND,
+  conditions: [createRuleCondition(field)]
+})
+
+/**
+ * Fields a rule set reads
+ * @param {Object} rules - { operator, groups: [{ operator, conditions }] }
+ * @returns {Array<string>}
+ */
+export const getRuleFields = (rules) => {
+  const fields = (rules?.groups || []).flatMap(group => group.conditions.map(condition => condition.field))
+  return [...new Set(fields)]
+}
+
+const validateRuleCondition = (condition) => {
+  if (!Object.values(RULE_FIELDS).includes(condition.field)) return 'Invalid rule field'
+  if (!Object.values(RULE_COMPARATORS).includes(condition.comparator)) return 'Invalid rule comparison'
+
+  const label = RULE_FIELD_LABELS[condition.field]
+  const value = condition.value
+  if (typeof value !== 'number' || isNaN(value)) return `${label} needs a value`
+
+  switch (condition.field) {
+    case RULE_FIELDS.CHANGE_24H:
+      return null
+    case RULE_FIELDS.MARKET_CAP_RANK:
+      return Number.isInteger(value) && value >= 1 ? null : 'Market cap rank must be a whole number from 1'
+    case RULE_FIELDS.FEAR_GREED:
+      return value >= 0 && value <= 100 ? null : 'Fear & Greed must be between 0 and 100'
+    default:
+      return value > 0 ? null : `${label} must be greater than 0`
+  }
+}
+
+/**
+ * Check a rule set before it is saved
+ * @param {Object} rules - { operator, groups: [{ operator, conditions: [{ field, comparator, value }] }] }
+ * @returns {string|null} - Error message, null when valid
+ */
+export const validateAlertRules = (rules) => {
+  const groups = rules?.groups || []
+  if (groups.length === 0) return 'Add at least one rule'
+  if (groups.length > MAX_RULE_GROUPS) return `A rule alert can have at most ${MAX_RULE_GROUPS} groups`
+
+  const operators = Object.values(RULE_OPERATORS)
+  if (!operators.includes(rules.operator) || groups.some(group => !operators.includes(group.operator))) {
+    return 'Rules must be joined with AND or OR'
+  }
+  if (groups.some(group => !group.conditions || group.conditions.length === 0)) return 'A group needs at least one condition'
+  if (groups.some(group => group.conditions.length > MAX_GROUP_CONDITIONS)) {
+    return `A group can have at most ${MAX_GROUP_CONDITIONS} conditions`
+  }
+
+  return groups.flatMap(group => group.conditions).map(validateRuleCondition).find(Boolean) || null
+}
+
+const matchesCondition = (condition, market) => {
+  const value = market[RULE_MARKET_KEYS[condition.field]]
+  if (value === null || value === undefined || isNaN(Number(value))) return false
+  return condition.comparator === RULE_COMPARATORS.ABOVE
+    ? Number(value) > condition.value
+    : Number(value) < condition.value
+}
+
+const combine = (operator, results) => {
+  return operator === RULE_OPERATORS.OR ? results.some(Boolean) : results.every(Boolean)
+}
+
+/**
+ * Evaluate a rule set against the market
+ * @param {Object} rules - { operator, groups }
+ * @param {Object} market - { price, change24h, volume, marketCapRank, fearGreed }
+ * @returns {Object} - { triggered, matched } where matched lists the conditions that held
+ */
+export const evaluateAlertRules = (rules, market) => {
+  const groups = rules?.groups || []
+  if (groups.length === 0) return { triggered: false, matched: [] }
+
+  const matched = []
+  const groupResults = groups.map(group => {
+    const results = group.conditions.map(condition => {
+      const met = matchesCondition(condition, market)
+      if (met) matched.push(condition)
+      return met
+    })
+    return combine(group.operator, results)
+  })
+
+  return { triggered: combine(rules.operator, groupResults), matched }
+}
+
+const formatCompact = (value) => `$${Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 2 }).format(value)}`
+
+/**
+ * Format a field value for display
+ * @param {string} field - One of RULE_FIELDS
+ * @param {number} value - Value of the field
+ * @returns {string} - e.g. "$2,500", "-4.2%", "$1.2B", "#12" or "25"
+ */
+export const formatRuleValue = (field, value) => {
+  switch (field) {
+    case RULE_FIELDS.PRICE:
+      return `$${Number(value).toLocaleString()}`
+    case RULE_FIELDS.CHANGE_24H:
+      return `${value >= 0 ? '+' : ''}${Number(Number(value).toFixed(2))}%`
+    case RULE_FIELDS.VOLUME:
+      return formatCompact(value)
+    case RULE_FIELDS.MARKET_CAP_RANK:
+      return `#${value}`
+    default:
+      return `${value}`
+  }
+}
+
+const describeCondition = (condition) => {
+  const comparator = condition.comparator === RULE_COMPARATORS.ABOVE ? '>' : '<'
+  return `${RULE_FIELD_LABELS[condition.field]} ${comparator} ${formatRuleValue(condition.field, condition.value)}`
+}
+
+/**
+ * Short description of a rule set
+ * @param {Object} rules - { operator, groups }
+ * @returns {string} - e.g. "Price < $2,500 AND Fear & Greed < 25"
+ */
+export const describeAlertRules = (rules) => {
+  const groups = rules?.groups || []
+  const parts = groups.map(group => {
+    const text = group.conditions.map(describeCondition).join(` ${group.operator.toUpperCase()} `)
+    return groups.length > 1 && group.conditions.length > 1 ? `(${text})` : text
+  })
+  return parts.join(` ${(rules?.operator || RULE_OPERATORS.AND).toUpperCase()} `)
+}
+
+/**
+ * Current values of the fields a rule set reads
+ * @param {Object} rules - { operator, groups }
+ * @param {Object} market - { price, change24h, volume, marketCapRank, fearGreed }
+ * @returns {string} - e.g. "Price $2,480, Fear & Greed 22"
+ */
+export const describeRuleMarket = (rules, market) => {
+  return getRuleFields(rules)
+    .filter(field => market[RULE_MARKET_KEYS[field]] !== null && market[RULE_MARKET_KEYS[field]] !== undefined)
+    .map(field => `${RULE_FIELD_LABELS[field]} ${formatRuleValue(field, market[RULE_MARKET_KEYS[field]])}`)
+    .join(', ')
+}
+
+export default {
+  RULE_FIELDS,
+  RULE_FIELD_LABELS,
+  COIN_MARKET_FIELDS,
+  RULE_COMPARATORS,
+  RULE_OPERATORS,
+  MAX_RULE_GROUPS,
+  MAX_GROUP_CONDITIONS,
+  createRuleCondition,
+  createRuleGroup,
+  getRuleFields,
+  validateAlertRules,
+  evaluateAlertRules,
+  formatRuleValue,
+  describeAlertRules,
+  describeRuleMarket
+}
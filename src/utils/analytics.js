@@ -21,6 +21,16 @@ const COIN_CATEGORIES = {
   defi: ['UNI', 'AAVE', 'LINK', 'MKR', 'uniswap', 'aave', 'chainlink', 'maker']
 }
 
+// Display names for categorizeCoin results
+export const COIN_CATEGORY_LABELS = {
+  bluechip: 'Blue Chip',
+  stable: 'Stablecoins',
+  largecap: 'Large Cap',
+  meme: 'Meme',
+  defi: 'DeFi',
+  other: 'Other'
+}
+
 /**
  * Categorize a coin by symbol or coinId
  * @param {Object} coin - Coin object with symbol and coinId
@@ -43,9 +53,10 @@ export const categorizeCoin = (coin) => {
  * Calculate portfolio health score (0-100)
  * Based on diversification, performance, and risk factors
  * @param {Array} coins - Array of coin objects
+ * @param {Object} options - { effectiveBets } from the correlation analysis, when loaded
  * @returns {Object} - Health score and breakdown
  */
-export const calculatePortfolioHealth = (coins) => {
+export const calculatePortfolioHealth = (coins, options = {}) => {
   if (coins.length === 0) {
     return {
       score: 0,
@@ -63,12 +74,17 @@ export const calculatePortfolioHealth = (coins) => {
   const totalValue = calculateTotalValue(coins)
 
   // 1. Diversification Score (0-30 points)
+  // Counts independent bets rather than coins once correlations are known,
+  // five altcoins that track BTC are closer to one position than five
   let diversificationScore = 0
   const numCoins = coins.length
-  
-  if (numCoins >= 5) diversificationScore = 30
-  else if (numCoins >= 3) diversificationScore = 20
-  else if (numCoins >= 2) diversificationScore = 10
+  const effectiveBets = options.effectiveBets ?? null
+  const positions = effectiveBets ?? numCoins
+  const [high, medium, low] = effectiveBets === null ? [5, 3, 2] : [4, 2.5, 1.5]
+
+  if (positions >= high) diversificationScore = 30
+  else if (positions >= medium) diversificationScore = 20
+  else if (positions >= low) diversificationScore = 10
   else diversificationScore = 5
 
   // Penalty for over-concentration (>50% in one coin)
@@ -153,6 +169,7 @@ export const calculatePortfolioHealth = (coins) => {
     },
     metadata: {
       maxAllocation,
+      effectiveBets,
       profitRatio,
       avgProfitLoss: Math.round(avgProfitLoss * 100) / 100,
       categories: {
@@ -200,6 +217,13 @@ export const generateSmartInsights = (coins, healthData) => {
       message: `${topCoin.symbol} represents ${metadata.maxAllocation.toFixed(1)}% of your portfolio. Consider diversifying to reduce risk.`,
       priority: 1
     })
+  } else if (metadata.effectiveBets !== null && coins.length >= 3 && metadata.effectiveBets < 2) {
+    insights.push({
+      type: 'warning',
+      title: 'Holdings Move Together',
+      message: `Your ${coins.length} holdings behave like ${metadata.effectiveBets.toFixed(1)} independent bets. Most of them rise and fall together.`,
+      priority: 1
+    })
   } else if (coins.length >= 5 && metadata.maxAllocation < 30) {
     insights.push({
       type: 'success',
@@ -301,9 +325,10 @@ export const generateSmartInsights = (coins, healthData) => {
 /**
  * Get diversification warnings and recommendations
  * @param {Array} diversityData - Output from calculatePortfolioDiversity
+ * @param {Array} drift - Output from calculateAllocationDrift (optional, when targets are set)
  * @returns {Object} - Warning status and details
  */
-export const getDiversificationWarnings = (diversityData) => {
+export const getDiversificationWarnings = (diversityData, drift = []) => {
   if (diversityData.length === 0) {
     return { hasWarning: false, warnings: [] }
   }
@@ -313,6 +338,23 @@ export const getDiversificationWarnings = (diversityData) => {
     (a, b) => b.allocationPercentage - a.allocationPercentage
   )
 
+  // With targets set, drift outside the tolerance band replaces the fixed thresholds
+  if (drift.length > 0) {
+    drift.filter(row => row.outOfBand).forEach(row => {
+      warnings.push({
+        type: Math.abs(row.drift) > 2 * row.tolerance ? 'high' : 'medium',
+        message: `${row.label} is at ${row.currentWeight.toFixed(1)}% against a ${row.targetWeight.toFixed(1)}% target`,
+        recommendation: `${row.drift > 0 ? 'Overweight' : 'Underweight'} by ${Math.abs(row.drift).toFixed(1)} points, see the rebalancing planner on the Portfolio page`
+      })
+    })
+
+    return {
+      hasWarning: warnings.length > 0,
+      warnings,
+      topAllocations: sortedByAllocation.slice(0, 3)
+    }
+  }
+
   const topCoin = sortedByAllocation[0]
 
   if (topCoin.allocationPercentage > 50) {
@@ -377,6 +419,7 @@ export const getBottomPerformers = (coins, limit = 3) => {
 }
 
 export default {
+  COIN_CATEGORY_LABELS,
   categorizeCoin,
   calculatePortfolioHealth,
   generateSmartInsights,
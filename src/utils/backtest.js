@@ -0,0 +1,215 @@
+/**
+ * Backtest Utility
+ * Replays DCA, lump-sum and periodic-rebalance strategies over daily price history.
+ * Every strategy buys the same weighted basket with the same total budget (what the
+ * DCA schedule would have spent), so the only difference between them is timing.
+ */
+
+import { DCA_FREQUENCIES, getRunDates } from './recurringBuys'
+import { calculateMaxDrawdown } from './risk'
+import { WEIGHT_EPSILON } from './rebalancing'
+
+export const BACKTEST_STRATEGIES = {
+  DCA: 'dca',
+  LUMP_SUM: 'lump_sum',
+  REBALANCE: 'rebalance'
+}
+
+export const BACKTEST_STRATEGY_LABELS = {
+  dca: 'DCA',
+  lump_sum: 'Lump Sum',
+  rebalance: 'Rebalanced Basket'
+}
+
+/**
+ * Check a backtest before any history is fetched
+ * @param {Object} config - { basket: [{ coinId, weight }], startDate, endDate, amount, frequency, rebalanceFrequency }
+ * @returns {string|null} - Error message, null when valid
+ */
+export const validateBacktest = (config) => {
+  const basket = config.basket || []
+  if (basket.length === 0 || basket.some(coin => !coin.coinId)) return 'Pick at least one coin'
+  if (new Set(basket.map(coin => coin.coinId)).size !== basket.length) return 'Each coin can only be added once'
+  if (basket.some(coin => !(coin.weight > 0))) return 'Weights must be greater than 0'
+
+  const totalWeight = basket.reduce((sum, coin) => sum + coin.weight, 0)
+  if (Math.abs(totalWeight - 100) > WEIGHT_EPSILON) return `Weights add up to ${totalWeight.toFixed(2)}%, not 100%`
+
+  if (!(config.amount > 0)) return 'Amount must be greater than 0'
+  if (!Object.values(DCA_FREQUENCIES).includes(config.frequency)) return 'Invalid buy frequency'
+  if (basket.length > 1 && !Object.values(DCA_FREQUENCIES).includes(config.rebalanceFrequency)) return 'Invalid rebalance frequency'
+  if (!config.startDate || !config.endDate) return 'Start and end dates are required'
+  if (config.endDate <= config.startDate) return 'End date must be after the start date'
+  return null
+}
+
+/**
+ * Line up daily prices for every coin in the basket
+ * Only days where all coins have a price are kept, so the backtest starts once
+ * the youngest coin has history.
+ * @param {Object} seriesByCoin - coinId -> historical data ({ date, value }), oldest first
+ * @param {string} startDate - First day included (YYYY-MM-DD)
+ * @param {string} endDate - Last day included (YYYY-MM-DD)
+ * @returns {Array} - [{ date, prices: { coinId: price } }], oldest first
+ */
+export const buildPriceTable = (seriesByCoin, startDate, endDate) => {
+  const coinIds = Object.keys(seriesByCoin)
+  if (coinIds.length === 0) return []
+
+  // The latest point of a day wins (the API appends the current price to the last day)
+  const pricesByDate = {}
+  for (const coinId of coinIds) {
+    for (const point of seriesByCoin[coinId] || []) {
+      if (point.date < startDate || point.date > endDate || !(point.value > 0)) continue
+      pricesByDate[point.date] = { ...pricesByDate[point.date], [coinId]: point.value }
+    }
+  }
+
+  return Object.keys(pricesByDate)
+    .sort()
+    .filter(date => coinIds.every(coinId => pricesByDate[date][coinId] > 0))
+    .map(date => ({ date, prices: pricesByDate[date] }))
+}
+
+/**
+ * Value of a basket at a day's prices
+ * @param {Object} holdings - coinId -> quantity
+ * @param {Object} prices - coinId -> price
+ * @returns {number} - Value in USD
+ */
+const getHoldingsValue = (holdings, prices) => {
+  return Object.entries(holdings).reduce((sum, [coinId, quantity]) => sum + quantity * prices[coinId], 0)
+}
+
+/**
+ * Replay one strategy over the price table
+ * Contributions are split across the basket by weight. Scheduled dates that fall
+ * on a day without prices are executed on the next day that has them.
+ * @param {Array} table - Output of buildPriceTable
+ * @param {Array} basket - [{ coinId, weight }]
+ * @param {Object} schedule - { contributions: [{ date, amount }], rebalanceDates: [YYYY-MM-DD], feeRate }
+ * @returns {Object} - { timeline: [{ date, invested, value }], metrics }
+ */
+const simulateStrategy = (table, basket, schedule) => {
+  const feeRate = (schedule.feeRate || 0) / 100
+  const contributions = schedule.contributions || []
+  const rebalanceDates = schedule.rebalanceDates || []
+
+  const holdings = {}
+  const flows = {}
+  const timeline = []
+  let invested = 0
+  let fees = 0
+  let nextContribution = 0
+  let nextRebalance = 0
+
+  for (const { date, prices } of table) {
+    let flow = 0
+    while (nextContribution < contributions.length && contributions[nextContribution].date <= date) {
+      flow += contributions[nextContribution].amount
+      nextContribution++
+    }
+
+    if (flow > 0) {
+      for (const coin of basket) {
+        const spend = flow * coin.weight / 100
+        holdings[coin.coinId] = (holdings[coin.coinId] || 0) + spend / (1 + feeRate) / prices[coin.coinId]
+      }
+      fees += flow - flow / (1 + feeRate)
+      invested += flow
+      flows[date] = flow
+    }
+
+    let rebalanceDue = false
+    while (nextRebalance < rebalanceDates.length && rebalanceDates[nextRebalance] <= date) {
+      rebalanceDue = true
+      nextRebalance++
+    }
+
+    if (rebalanceDue) {
+      const value = getHoldingsValue(holdings, prices)
+      // Both legs of every trade pay the fee, charged before the new targets are set
+      const traded = basket.reduce((sum, coin) => {
+        return sum + Math.abs((holdings[coin.coinId] || 0) * prices[coin.coinId] - value * coin.weight / 100)
+      }, 0)
+      const fee = traded * feeRate
+      fees += fee
+
+      for (const coin of basket) {
+        holdings[coin.coinId] = (value - fee) * coin.weight / 100 / prices[coin.coinId]
+      }
+    }
+
+    timeline.push({ date, invested, value: getHoldingsValue(holdings, prices) })
+  }
+
+  const finalValue = timeline.length > 0 ? timeline[timeline.length - 1].value : 0
+  const profitLoss = finalValue - invested
+
+  return {
+    timeline,
+    metrics: {
+      finalValue,
+      totalInvested: invested,
+      profitLoss,
+      returnPercentage: invested > 0 ? (profitLoss / invested) * 100 : 0,
+      maxDrawdown: calculateMaxDrawdown(timeline, flows),
+      fees
+    }
+  }
+}
+
+/**
+ * Run every strategy over the same history
+ * @param {Object} seriesByCoin - coinId -> historical data ({ date, value }), oldest first
+ * @param {Object} config - { basket, startDate, endDate, amount, frequency, rebalanceFrequency, feeRate }
+ * @returns {Object|null} - { startDate, endDate, runs, strategies: { key: { timeline, metrics } }, chartData }, null without prices
+ */
+export const runBacktest = (seriesByCoin, config) => {
+  const table = buildPriceTable(seriesByCoin, config.startDate, config.endDate)
+  if (table.length < 2) return null
+
+  const startDate = table[0].date
+  const endDate = table[table.length - 1].date
+  const runDates = getRunDates({ startDate, frequency: config.frequency }, startDate, endDate)
+  const budget = runDates.length * config.amount
+  const feeRate = config.feeRate || 0
+
+  const strategies = {
+    [BACKTEST_STRATEGIES.DCA]: simulateStrategy(table, config.basket, {
+      contributions: runDates.map(date => ({ date, amount: config.amount })),
+      feeRate
+    }),
+    [BACKTEST_STRATEGIES.LUMP_SUM]: simulateStrategy(table, config.basket, {
+      contributions: [{ date: startDate, amount: budget }],
+      feeRate
+    })
+  }
+
+  // A single coin can't drift, rebalancing it would just repeat the lump sum
+  if (config.basket.length > 1) {
+    strategies[BACKTEST_STRATEGIES.REBALANCE] = simulateStrategy(table, config.basket, {
+      contributions: [{ date: startDate, amount: budget }],
+      rebalanceDates: getRunDates({ startDate, frequency: config.rebalanceFrequency }, startDate, endDate).slice(1),
+      feeRate
+    })
+  }
+
+  const chartData = table.map(({ date }, i) => {
+    const point = { date, invested: strategies[BACKTEST_STRATEGIES.DCA].timeline[i].invested }
+    for (const [key, strategy] of Object.entries(strategies)) {
+      point[key] = strategy.timeline[i].value
+    }
+    return point
+  })
+
+  return { startDate, endDate, runs: runDates.length, strategies, chartData }
+}
+
+export default {
+  BACKTEST_STRATEGIES,
+  BACKTEST_STRATEGY_LABELS,
+  validateBacktest,
+  buildPriceTable,
+  runBacktest
+}
@@ -21,36 +21,68 @@ export const calculateTotalValue = (coins) => {
  */
 export const calculateTotalInvested = (coins) => {
   return coins.reduce((total, coin) => {
-    return total + (coin.quantity * coin.buyPrice)
+    return total + calculateCoinCostBasis(coin)
+  }, 0)
+}
+
+/**
+ * Calculate cost basis of a coin's remaining position
+ * Uses open tax lots when attached, otherwise the average buy price
+ * @param {Object} coin - Coin object with quantity and buyPrice (optional lots)
+ * @returns {number} - Cost basis of the remaining quantity
+ */
+export const calculateCoinCostBasis = (coin) => {
+  if (Array.isArray(coin.lots) && coin.lots.length > 0) {
+    return coin.lots.reduce((total, lot) => total + (lot.remainingQuantity * lot.costPerUnit), 0)
+  }
+  return coin.quantity * coin.buyPrice
+}
+
+/**
+ * Cost of positions held before the transaction ledger started
+ * (the synthetic opening lots attached by the cost basis utility)
+ * @param {Array} coins - Array of coin objects with lots
+ * @returns {number} - Cost basis not backed by any recorded buy
+ */
+export const calculateUntrackedCost = (coins) => {
+  return coins.reduce((total, coin) => {
+    return total + (coin.lots || [])
+      .filter(lot => lot.synthetic)
+      .reduce((sum, lot) => sum + lot.remainingQuantity * lot.costPerUnit, 0)
   }, 0)
 }
 
 /**
  * Calculate profit/loss for a single coin
  * @param {Object} coin - Coin object with quantity, buyPrice, and currentPrice
- * @returns {Object} - Profit/loss data
+ * @returns {Object} - Profit/loss data (unrealized, plus realized from closed lots)
  */
 export const calculateCoinProfitLoss = (coin) => {
-  const invested = coin.quantity * coin.buyPrice
+  const invested = calculateCoinCostBasis(coin)
   const currentValue = coin.quantity * coin.currentPrice
   const profitLoss = currentValue - invested
   const profitLossPercentage = invested > 0 ? ((profitLoss / invested) * 100) : 0
+  const realizedProfitLoss = coin.realizedProfitLoss || 0
 
   return {
     invested,
     currentValue,
     profitLoss,
     profitLossPercentage,
+    realizedProfitLoss,
     isProfit: profitLoss >= 0
   }
 }
 
 /**
  * Calculate total profit/loss for entire portfolio
+ * profitLoss is unrealized (paper) P/L on current holdings; realized P/L from
+ * sells is passed in separately since sold positions are no longer in coins
  * @param {Array} coins - Array of coin objects
+ * @param {number} realizedProfitLoss - Realized P/L from the transaction ledger
  * @returns {Object} - Total profit/loss data
  */
-export const calculateTotalProfitLoss = (coins) => {
+export const calculateTotalProfitLoss = (coins, realizedProfitLoss = 0) => {
   const totalValue = calculateTotalValue(coins)
   const totalInvested = calculateTotalInvested(coins)
   const profitLoss = totalValue - totalInvested
@@ -61,6 +93,9 @@ export const calculateTotalProfitLoss = (coins) => {
     totalInvested,
     profitLoss,
     profitLossPercentage,
+    unrealizedProfitLoss: profitLoss,
+    realizedProfitLoss,
+    combinedProfitLoss: profitLoss + realizedProfitLoss,
     isProfit: profitLoss >= 0
   }
 }
@@ -119,24 +154,40 @@ export const findWorstPerformer = (coins) => {
 
 /**
  * Calculate comprehensive portfolio metrics
+ * totalValue is the account value (holdings plus cash), holdingsValue the coins alone.
+ * Net invested capital is the money paid in minus withdrawn, so accountProfitLoss
+ * covers realized, unrealized and income together.
  * @param {Array} coins - Array of coin objects
+ * @param {Object} options - Optional { realizedProfitLoss, cash } from the transaction ledger
  * @returns {Object} - Complete portfolio metrics
  */
-export const calculatePortfolioMetrics = (coins) => {
+export const calculatePortfolioMetrics = (coins, options = {}) => {
+  const realizedProfitLoss = options.realizedProfitLoss || 0
+  const cashBalance = options.cash ? options.cash.balance : 0
+
   if (coins.length === 0) {
+    const netInvested = options.cash ? options.cash.netInvested : 0
     return {
-      totalValue: 0,
+      totalValue: cashBalance,
+      holdingsValue: 0,
+      cashBalance,
+      netInvested,
+      accountProfitLoss: cashBalance - netInvested,
+      accountReturnPercentage: netInvested > 0 ? ((cashBalance - netInvested) / netInvested) * 100 : 0,
       totalInvested: 0,
       totalProfitLoss: 0,
       profitLossPercentage: 0,
+      unrealizedProfitLoss: 0,
+      realizedProfitLoss,
+      combinedProfitLoss: realizedProfitLoss,
       bestCoin: null,
       worstCoin: null,
       coinsWithPerformance: []
     }
   }
 
-  const { totalValue, totalInvested, profitLoss, profitLossPercentage } = 
-    calculateTotalProfitLoss(coins)
+  const { totalValue, totalInvested, profitLoss, profitLossPercentage, combinedProfitLoss } = 
+    calculateTotalProfitLoss(coins, realizedProfitLoss)
 
   const bestCoin = findBestPerformer(coins)
   const worstCoin = findWorstPerformer(coins)
@@ -147,11 +198,26 @@ export const calculatePortfolioMetrics = (coins) => {
     ...calculateCoinProfitLoss(coin)
   }))
 
+  // Without a cash ledger, the cost of the current holdings is all that was invested
+  const accountValue = totalValue + cashBalance
+  const netInvested = options.cash
+    ? options.cash.netInvested + calculateUntrackedCost(coins)
+    : totalInvested
+  const accountProfitLoss = accountValue - netInvested
+
   return {
-    totalValue,
+    totalValue: accountValue,
+    holdingsValue: totalValue,
+    cashBalance,
+    netInvested,
+    accountProfitLoss,
+    accountReturnPercentage: netInvested > 0 ? (accountProfitLoss / netInvested) * 100 : 0,
     totalInvested,
     totalProfitLoss: profitLoss,
     profitLossPercentage,
+    unrealizedProfitLoss: profitLoss,
+    realizedProfitLoss,
+    combinedProfitLoss,
     bestCoin,
     worstCoin,
     coinsWithPerformance
@@ -269,6 +335,8 @@ export const calculateRiskScore = (coin, allocationPercentage) => {
 export default {
   calculateTotalValue,
   calculateTotalInvested,
+  calculateCoinCostBasis,
+  calculateUntrackedCost,
   calculateCoinProfitLoss,
   calculateTotalProfitLoss,
   findBestPerformer,
@@ -0,0 +1,129 @@
+/**
+ * Cash Balance Utility
+ * Replays deposits, withdrawals and trade settlements into a cash balance per portfolio.
+ * Sells credit their net proceeds, buys debit their cost. A buy costing more than the
+ * cash on hand is treated as new money paid in, so older ledgers without deposits
+ * still add up to the capital that was actually invested.
+ */
+
+import { CASH_ACTIONS, getTransactionFee, isIncomeTransaction, isTransferTransaction, sortTransactionsChronologically } from './costBasis'
+
+// Dollar stablecoins count alongside cash in the account summary
+export const STABLECOIN_IDS = ['tether', 'usd-coin', 'dai', 'first-digital-usd', 'paypal-usd', 'true-usd']
+
+// Ignore sub-cent rounding left over after fees
+const CASH_EPSILON = 1e-6
+
+const createCashLedger = () => ({
+  balance: 0,
+  deposited: 0,
+  withdrawn: 0,
+  autoFunded: 0,
+  proceeds: 0,
+  spent: 0,
+  overdrawn: 0,
+  netInvested: 0
+})
+
+/**
+ * Cash a coin trade settles for
+ * @param {Object} tx - BUY or SELL transaction
+ * @returns {number} - Net proceeds (SELL) or total cost (BUY), cash fees included
+ */
+export const getTradeCashAmount = (tx) => {
+  const gross = tx.quantity * tx.price
+  const { cashFee } = getTransactionFee(tx)
+  return tx.action === 'SELL' ? gross - cashFee : gross + cashFee
+}
+
+/**
+ * Replay one portfolio's transactions into its cash balance
+ * @param {Array} transactions - Transactions of a single portfolio (any order)
+ * @returns {Object} - { balance, deposited, withdrawn, autoFunded, proceeds, spent, overdrawn, netInvested }
+ */
+export const calculateCashLedger = (transactions) => {
+  const ledger = createCashLedger()
+
+  sortTransactionsChronologically(transactions || []).forEach(tx => {
+    if (!tx || isTransferTransaction(tx) || isIncomeTransaction(tx)) return
+
+    if (tx.action === CASH_ACTIONS.DEPOSIT) {
+      ledger.balance += tx.total
+      ledger.deposited += tx.total
+    } else if (tx.action === CASH_ACTIONS.WITHDRAW) {
+      // Withdrawing more than the balance is kept as a shortfall for validation
+      const taken = Math.min(Math.max(ledger.balance, 0), tx.total)
+      ledger.balance -= taken
+      ledger.withdrawn += taken
+      ledger.overdrawn += tx.total - taken
+    } else if (tx.action === 'SELL') {
+      const amount = getTradeCashAmount(tx)
+      ledger.balance += amount
+      ledger.proceeds += amount
+    } else if (tx.action === 'BUY') {
+      const amount = getTradeCashAmount(tx)
+      const paid = Math.min(Math.max(ledger.balance, 0), amount)
+      ledger.balance -= paid
+      ledger.autoFunded += amount - paid
+      ledger.spent += amount
+    }
+  })
+
+  if (Math.abs(ledger.balance) < CASH_EPSILON) ledger.balance = 0
+  ledger.netInvested = ledger.deposited + ledger.autoFunded - ledger.withdrawn
+
+  return ledger
+}
+
+/**
+ * Cash ledgers for every portfolio in a transaction history
+ * @param {Array} transactions - Transactions of any number of portfolios
+ * @returns {Object} - portfolioId ('' for unassigned) -> cash ledger
+ */
+export const calculateCashByPortfolio = (transactions) => {
+  const groups = {}
+
+  for (const tx of transactions || []) {
+    const key = tx.portfolioId || ''
+    if (!groups[key]) groups[key] = []
+    groups[key].push(tx)
+  }
+
+  return Object.fromEntries(
+    Object.entries(groups).map(([portfolioId, txs]) => [portfolioId, calculateCashLedger(txs)])
+  )
+}
+
+/**
+ * Add several cash ledgers together (aggregated view)
+ * @param {Array} ledgers - Cash ledgers
+ * @returns {Object} - Combined cash ledger
+ */
+export const combineCashLedgers = (ledgers) => {
+  return (ledgers || []).reduce((combined, ledger) => {
+    Object.keys(combined).forEach(key => {
+      combined[key] += ledger[key] || 0
+    })
+    return combined
+  }, createCashLedger())
+}
+
+/**
+ * Value of stablecoin holdings
+ * @param {Array} coins - Holdings
+ * @returns {number} - Stablecoin value at current prices
+ */
+export const calculateStablecoinValue = (coins) => {
+  return (coins || [])
+    .filter(coin => STABLECOIN_IDS.includes(coin.coinId))
+    .reduce((sum, coin) => sum + coin.quantity * (coin.currentPrice || 0), 0)
+}
+
+export default {
+  STABLECOIN_IDS,
+  getTradeCashAmount,
+  calculateCashLedger,
+  calculateCashByPortfolio,
+  combineCashLedgers,
+  calculateStablecoinValue
+}
@@ -0,0 +1,533 @@
+/**
+ * Cost Basis Utility
+ * Builds tax lots from the transaction ledger and matches sells against them
+ * Every BUY or INCOME opens a lot, every SELL consumes lots by the selected method,
+ * transfers only move coins between locations and leave lots untouched,
+ * cash deposits and withdrawals never touch coin lots
+ */
+
+export const COST_BASIS_METHODS = {
+  FIFO: 'FIFO',
+  LIFO: 'LIFO',
+  HIFO: 'HIFO',
+  SPECIFIC: 'SPECIFIC'
+}
+
+export const COST_BASIS_METHOD_LABELS = {
+  FIFO: 'FIFO – First In, First Out',
+  LIFO: 'LIFO – Last In, First Out',
+  HIFO: 'HIFO – Highest Cost First',
+  SPECIFIC: 'Specific Lot'
+}
+
+export const DEFAULT_COST_BASIS_METHOD = COST_BASIS_METHODS.FIFO
+
+// Ignore floating point dust left over after partial lot consumption
+const QUANTITY_EPSILON = 1e-10
+
+// Fees are paid in the quote currency or in the coin being traded
+export const FEE_QUOTE_CURRENCY = 'USD'
+
+// Currencies valued 1:1 with USD, as quote or fee currency
+export const USD_CURRENCIES = ['USD', 'ZUSD', 'USDT', 'USDC', 'BUSD', 'FDUSD']
+
+export const TRANSFER_ACTIONS = {
+  IN: 'TRANSFER_IN',
+  OUT: 'TRANSFER_OUT'
+}
+
+// Staking rewards, airdrops, mining and interest, recorded at fair market value on receipt
+export const INCOME_ACTION = 'INCOME'
+
+// Fiat moved into or out of a portfolio's cash balance
+export const CASH_ACTIONS = {
+  DEPOSIT: 'DEPOSIT',
+  WITHDRAW: 'WITHDRAW'
+}
+
+// Cash transactions are stored against this pseudo coin
+export const CASH_COIN = {
+  coinId: 'cash',
+  symbol: 'USD',
+  name: 'Cash'
+}
+
+/**
+ * Check if a transaction moves coins between locations (no cost basis effect)
+ * @param {Object} tx - Transaction
+ * @returns {boolean} - True for TRANSFER_IN and TRANSFER_OUT
+ */
+export const isTransferTransaction = (tx) => {
+  return tx.action === TRANSFER_ACTIONS.IN || tx.action === TRANSFER_ACTIONS.OUT
+}
+
+/**
+ * Check if a transaction is received income (opens a lot at fair market value)
+ * @param {Object} tx - Transaction
+ * @returns {boolean} - True for INCOME
+ */
+export const isIncomeTransaction = (tx) => {
+  return tx.action === INCOME_ACTION
+}
+
+/**
+ * Check if a transaction deposits or withdraws cash (no coin involved)
+ * @param {Object} tx - Transaction
+ * @returns {boolean} - True for DEPOSIT and WITHDRAW
+ */
+export const isCashTransaction = (tx) => {
+  return tx.action === CASH_ACTIONS.DEPOSIT || tx.action === CASH_ACTIONS.WITHDRAW
+}
+
+/**
+ * Check if a fee is paid in the traded coin
+ * @param {Object} tx - Transaction with feeCurrency and symbol
+ * @returns {boolean}
+ */
+const isCoinFee = (tx) => {
+  return !!tx.feeCurrency && tx.feeCurrency.toUpperCase() === (tx.symbol || '').toUpperCase()
+}
+
+/**
+ * Check if a fee is paid in USD (no fee currency means USD)
+ * @param {Object} tx - Transaction with optional feeCurrency
+ * @returns {boolean}
+ */
+const isUsdFee = (tx) => {
+  return !tx.feeCurrency || USD_CURRENCIES.includes(tx.feeCurrency.toUpperCase())
+}
+
+/**
+ * Check that a transaction's fee can be valued
+ * Only USD (or a USD stablecoin) and the traded coin itself have a known price at the trade
+ * @param {Object} tx - Transaction with optional fee, feeCurrency and symbol
+ * @returns {string|null} - Error message, null when valid
+ */
+export const validateFeeCurrency = (tx) => {
+  if (!(tx.fee > 0) || isUsdFee(tx) || isCoinFee(tx)) return null
+  return `Fees paid in ${tx.feeCurrency.toUpperCase()} can't be valued, only USD or ${(tx.symbol || 'coin').toUpperCase()} fees are supported`
+}
+
+/**
+ * Split a transaction's fee into cash paid and coin quantity consumed
+ * A fee in any other asset has no price here and is left out rather than counted as USD
+ * @param {Object} tx - Transaction with optional fee and feeCurrency
+ * @returns {Object} - { feeValue (total fee in USD), cashFee, feeQuantity }
+ */
+export const getTransactionFee = (tx) => {
+  const fee = tx.fee || 0
+  if (fee <= 0) return { feeValue: 0, cashFee: 0, feeQuantity: 0 }
+
+  // Coin-denominated fee: the exchange kept part of the coin
+  if (isCoinFee(tx)) {
+    return { feeValue: fee * tx.price, cashFee: 0, feeQuantity: fee }
+  }
+
+  if (!isUsdFee(tx)) return { feeValue: 0, cashFee: 0, feeQuantity: 0 }
+
+  return { feeValue: fee, cashFee: fee, feeQuantity: 0 }
+}
+
+/**
+ * Quantity a transaction actually adds to (BUY) or removes from (SELL) the position
+ * @param {Object} tx - Transaction
+ * @returns {number} - Quantity after coin-denominated fees
+ */
+export const getNetTransactionQuantity = (tx) => {
+  const { feeQuantity } = getTransactionFee(tx)
+  return tx.action === 'SELL' ? tx.quantity + feeQuantity : tx.quantity - feeQuantity
+}
+
+/**
+ * Check if a value is a supported cost basis method
+ * @param {string} method - Method name
+ * @returns {boolean} - True if supported
+ */
+export const isValidCostBasisMethod = (method) => {
+  return Object.values(COST_BASIS_METHODS).includes(method)
+}
+
+/**
+ * Sort transactions oldest first (ledger replay order)
+ * @param {Array} transactions - Array of transactions
+ * @returns {Array} - New sorted array
+ */
+export const sortTransactionsChronologically = (transactions) => {
+  return [...transactions].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+}
+
+/**
+ * Order open lots in the sequence they should be consumed
+ * @param {Array} lots - Open lots
+ * @param {string} method - FIFO, LIFO or HIFO
+ * @returns {Array} - New ordered array
+ */
+const orderLotsForMethod = (lots, method) => {
+  switch (method) {
+    case COST_BASIS_METHODS.LIFO:
+      return [...lots].sort((a, b) => new Date(b.acquiredAt) - new Date(a.acquiredAt))
+    case COST_BASIS_METHODS.HIFO:
+      return [...lots].sort((a, b) => b.costPerUnit - a.costPerUnit)
+    case COST_BASIS_METHODS.FIFO:
+    default:
+      return [...lots].sort((a, b) => new Date(a.acquiredAt) - new Date(b.acquiredAt))
+  }
+}
+
+/**
+ * Create a new open lot from a BUY or INCOME transaction
+ * Cash fees raise the cost per unit, coin fees shrink the lot
+ * @param {Object} tx - BUY or INCOME transaction
+ * @returns {Object} - Lot object
+ */
+const createLot = (tx) => {
+  const { cashFee } = getTransactionFee(tx)
+  const quantity = getNetTransactionQuantity(tx)
+
+  return {
+    id: tx.id,
+    portfolioId: tx.portfolioId || null,
+    coinId: tx.coinId,
+    symbol: tx.symbol,
+    name: tx.name,
+    acquiredAt: tx.timestamp,
+    quantity,
+    remainingQuantity: quantity,
+    costPerUnit: quantity > 0 ? (tx.quantity * tx.price + cashFee) / quantity : tx.price,
+    incomeType: isIncomeTransaction(tx) ? tx.incomeType || null : null
+  }
+}
+
+/**
+ * Consume open lots for a single SELL transaction
+ * Coin fees are disposed of alongside the sale, cash fees reduce proceeds
+ * Mutates remainingQuantity on the lots it consumes
+ * @param {Array} openLots - Open lots for the coin
+ * @param {Object} sell - SELL transaction
+ * @param {string} method - Method to use if the sell has none recorded
+ * @returns {Object} - { disposals, unmatchedQuantity }
+ */
+export const matchSellToLots = (openLots, sell, method = DEFAULT_COST_BASIS_METHOD) => {
+  const sellMethod = sell.lotMethod || method
+  const disposals = []
+  const sellQuantity = getNetTransactionQuantity(sell)
+  const { cashFee } = getTransactionFee(sell)
+  const netProceeds = sell.quantity * sell.price - cashFee
+  const proceedsPerUnit = sellQuantity > 0 ? netProceeds / sellQuantity : sell.price
+  let remaining = sellQuantity
+
+  const take = (lot, quantity) => {
+    if (quantity <= QUANTITY_EPSILON) return
+
+    lot.remainingQuantity -= quantity
+    remaining -= quantity
+
+    const costBasis = quantity * lot.costPerUnit
+    const proceeds = quantity * proceedsPerUnit
+
+    disposals.push({
+      lotId: lot.id,
+      sellTransactionId: sell.id,
+      coinId: sell.coinId,
+      symbol: sell.symbol,
+      name: sell.name,
+      acquiredAt: lot.acquiredAt,
+      disposedAt: sell.timestamp,
+      quantity,
+      costPerUnit: lot.costPerUnit,
+      proceedsPerUnit,
+      costBasis,
+      proceeds,
+      realizedProfitLoss: proceeds - costBasis,
+      unmatched: false
+    })
+  }
+
+  // Specific lot: honour the user's selections first
+  if (sellMethod === COST_BASIS_METHODS.SPECIFIC && Array.isArray(sell.lotSelections)) {
+    sell.lotSelections.forEach(({ lotId, quantity }) => {
+      const lot = openLots.find(l => l.id === lotId)
+      if (!lot || remaining <= QUANTITY_EPSILON) return
+      take(lot, Math.min(quantity, lot.remainingQuantity, remaining))
+    })
+  }
+
+  // Anything left (or no specific selection) is consumed in method order,
+  // specific-lot sells without enough selections fall back to FIFO
+  const orderMethod = sellMethod === COST_BASIS_METHODS.SPECIFIC ? COST_BASIS_METHODS.FIFO : sellMethod
+  for (const lot of orderLotsForMethod(openLots, orderMethod)) {
+    if (remaining <= QUANTITY_EPSILON) break
+    if (lot.remainingQuantity <= QUANTITY_EPSILON) continue
+    take(lot, Math.min(lot.remainingQuantity, remaining))
+  }
+
+  // Sold more than the ledger holds and no opening lot covers it: the cost basis is
+  // unknown, so the disposal carries no basis or P/L instead of counting as pure gain
+  let unmatchedQuantity = 0
+  if (remaining > QUANTITY_EPSILON) {
+    unmatchedQuantity = remaining
+    disposals.push({
+      lotId: null,
+      sellTransactionId: sell.id,
+      coinId: sell.coinId,
+      symbol: sell.symbol,
+      name: sell.name,
+      acquiredAt: null,
+      disposedAt: sell.timestamp,
+      quantity: remaining,
+      costPerUnit: null,
+      proceedsPerUnit,
+      costBasis: null,
+      proceeds: remaining * proceedsPerUnit,
+      realizedProfitLoss: null,
+      unmatched: true
+    })
+  }
+
+  return { disposals, unmatchedQuantity }
+}
+
+const getLotPoolKey = (item) => `${item.portfolioId || ''}|${item.coinId}`
+
+/**
+ * Opening lot for quantity a holding has beyond what the ledger records
+ * Holdings entered before transactions were tracked keep that quantity at their stored buy price
+ * @param {Object} coin - Holding object
+ * @param {number} quantity - Quantity the ledger doesn't account for
+ * @returns {Object} - Synthetic lot
+ */
+const createOpeningLot = (coin, quantity) => ({
+  id: `holding-${coin.id}`,
+  portfolioId: coin.portfolioId || null,
+  coinId: coin.coinId,
+  symbol: coin.symbol,
+  name: coin.name,
+  acquiredAt: coin.createdAt || null,
+  quantity,
+  remainingQuantity: quantity,
+  costPerUnit: coin.buyPrice,
+  synthetic: true
+})
+
+/**
+ * Replay the transaction ledger into tax lots per coin
+ * Sells only match lots from their own portfolio; the result is merged per coin.
+ * When holdings are passed, quantity a holding has beyond the ledger's net position
+ * opens its pool as a lot at the holding's buy price (as attachTaxLots does), so
+ * sells of pre-ledger coins are matched against it rather than left without a basis
+ * @param {Array} transactions - Array of transactions (any order)
+ * @param {string} method - Default cost basis method for sells without one recorded
+ * @param {Array} holdings - Holdings to seed opening lots from (per portfolio, not merged)
+ * @returns {Object} - Map of coinId to { openLots, closedLots, realizedProfitLoss, unmatchedQuantity }
+ */
+export const buildTaxLots = (transactions, method = DEFAULT_COST_BASIS_METHOD, holdings = []) => {
+  const lotsByCoin = {}
+  const lotPools = {}
+
+  const getLotPool = (tx) => {
+    const key = getLotPoolKey(tx)
+    if (!lotPools[key]) {
+      lotPools[key] = { coinId: tx.coinId, lots: [] }
+    }
+    return lotPools[key]
+  }
+
+  const getCoinEntry = (tx) => {
+    if (!lotsByCoin[tx.coinId]) {
+      lotsByCoin[tx.coinId] = {
+        coinId: tx.coinId,
+        symbol: tx.symbol,
+        name: tx.name,
+        openLots: [],
+        closedLots: [],
+        realizedProfitLoss: 0,
+        unmatchedQuantity: 0
+      }
+    }
+    return lotsByCoin[tx.coinId]
+  }
+
+  if (holdings.length > 0) {
+    const ledgerQuantities = {}
+    for (const tx of transactions || []) {
+      if (!tx || !tx.coinId || isCashTransaction(tx) || isTransferTransaction(tx)) continue
+      const key = getLotPoolKey(tx)
+      const quantity = getNetTransactionQuantity(tx)
+      ledgerQuantities[key] = (ledgerQuantities[key] || 0) + (tx.action === 'SELL' ? -quantity : quantity)
+    }
+
+    holdings.forEach(coin => {
+      const opening = coin.quantity - (ledgerQuantities[getLotPoolKey(coin)] || 0)
+      if (opening > QUANTITY_EPSILON) {
+        getCoinEntry(coin)
+        getLotPool(coin).lots.push(createOpeningLot(coin, opening))
+      }
+    })
+  }
+
+  sortTransactionsChronologically(transactions || []).forEach(tx => {
+    if (!tx || !tx.coinId || isCashTransaction(tx)) return
+    const entry = getCoinEntry(tx)
+
+    const pool = getLotPool(tx)
+
+    if (tx.action === 'BUY' || isIncomeTransaction(tx)) {
+      pool.lots.push(createLot(tx))
+    } else if (tx.action === 'SELL') {
+      const { disposals, unmatchedQuantity } = matchSellToLots(pool.lots, tx, method)
+      entry.closedLots.push(...disposals)
+      entry.realizedProfitLoss += disposals.filter(d => !d.unmatched).reduce((sum, d) => sum + d.realizedProfitLoss, 0)
+      entry.unmatchedQuantity += unmatchedQuantity
+      pool.lots = pool.lots.filter(lot => lot.remainingQuantity > QUANTITY_EPSILON)
+    }
+  })
+
+  Object.values(lotPools).forEach(pool => {
+    lotsByCoin[pool.coinId].openLots.push(...pool.lots)
+  })
+
+  return lotsByCoin
+}
+
+/**
+ * Calculate unrealized profit/loss for a single open lot
+ * @param {Object} lot - Open lot
+ * @param {number} currentPrice - Current coin price
+ * @returns {Object} - Lot with cost basis, value and P/L fields
+ */
+export const calculateLotProfitLoss = (lot, currentPrice) => {
+  const costBasis = lot.remainingQuantity * lot.costPerUnit
+  const currentValue = lot.remainingQuantity * (currentPrice || 0)
+  const unrealizedProfitLoss = currentValue - costBasis
+  const unrealizedProfitLossPercentage = costBasis > 0 ? (unrealizedProfitLoss / costBasis) * 100 : 0
+
+  return {
+    ...lot,
+    costBasis,
+    currentValue,
+    unrealizedProfitLoss,
+    unrealizedProfitLossPercentage,
+    isProfit: unrealizedProfitLoss >= 0
+  }
+}
+
+/**
+ * Align a coin's open lots with its holding quantity
+ * Holdings created before transactions were recorded get a synthetic lot at the
+ * stored average buy price; lots for quantity removed outside the ledger are trimmed
+ * @param {Object} coin - Holding object
+ * @param {Array} openLots - Open lots from the ledger
+ * @param {string} method - Method used to pick which lots to trim
+ * @returns {Array} - Lots whose quantities sum to coin.quantity
+ */
+const alignLotsWithHolding = (coin, openLots, method) => {
+  const lots = openLots.map(lot => ({ ...lot }))
+  const lotQuantity = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0)
+  const difference = coin.quantity - lotQuantity
+
+  if (difference > QUANTITY_EPSILON) {
+    lots.unshift(createOpeningLot(coin, difference))
+    return lots
+  }
+
+  if (difference < -QUANTITY_EPSILON) {
+    let excess = -difference
+    const orderMethod = method === COST_BASIS_METHODS.SPECIFIC ? COST_BASIS_METHODS.FIFO : method
+    for (const lot of orderLotsForMethod(lots, orderMethod)) {
+      if (excess <= QUANTITY_EPSILON) break
+      const trimmed = Math.min(lot.remainingQuantity, excess)
+      lot.remainingQuantity -= trimmed
+      excess -= trimmed
+    }
+    return lots.filter(lot => lot.remainingQuantity > QUANTITY_EPSILON)
+  }
+
+  return lots
+}
+
+/**
+ * Attach open lots and realized P/L to each holding
+ * @param {Array} coins - Holdings
+ * @param {Object} lotsByCoin - Result of buildTaxLots
+ * @param {string} method - Cost basis method
+ * @returns {Array} - Holdings with lots, realizedProfitLoss and closedLots
+ */
+export const attachTaxLots = (coins, lotsByCoin, method = DEFAULT_COST_BASIS_METHOD) => {
+  return coins.map(coin => {
+    const entry = lotsByCoin[coin.coinId]
+    const lots = alignLotsWithHolding(coin, entry ? entry.openLots : [], method)
+
+    return {
+      ...coin,
+      lots,
+      closedLots: entry ? entry.closedLots : [],
+      realizedProfitLoss: entry ? entry.realizedProfitLoss : 0
+    }
+  })
+}
+
+/**
+ * Average cost per unit of the remaining open lots
+ * @param {Array} lots - Open lots
+ * @returns {number} - Weighted average cost (0 if no lots)
+ */
+export const calculateAverageLotCost = (lots) => {
+  const quantity = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0)
+  if (quantity <= QUANTITY_EPSILON) return 0
+  const cost = lots.reduce((sum, lot) => sum + lot.remainingQuantity * lot.costPerUnit, 0)
+  return cost / quantity
+}
+
+/**
+ * Net position for a coin as recorded by the ledger alone
+ * Quantity goes negative when sells exceed the recorded buys
+ * @param {Object} lotsByCoin - Result of buildTaxLots
+ * @param {string} coinId - Coin ID
+ * @returns {Object} - { quantity, averageCost }
+ */
+export const calculateLedgerPosition = (lotsByCoin, coinId) => {
+  const entry = lotsByCoin[coinId]
+  if (!entry) return { quantity: 0, averageCost: 0 }
+
+  const openQuantity = entry.openLots.reduce((sum, lot) => sum + lot.remainingQuantity, 0)
+  return {
+    quantity: openQuantity - entry.unmatchedQuantity,
+    averageCost: calculateAverageLotCost(entry.openLots)
+  }
+}
+
+/**
+ * Total realized P/L across all coins, including positions that were fully sold
+ * @param {Object} lotsByCoin - Result of buildTaxLots
+ * @returns {number} - Realized profit/loss
+ */
+export const calculateTotalRealizedProfitLoss = (lotsByCoin) => {
+  return Object.values(lotsByCoin).reduce((sum, entry) => sum + entry.realizedProfitLoss, 0)
+}
+
+export default {
+  COST_BASIS_METHODS,
+  COST_BASIS_METHOD_LABELS,
+  DEFAULT_COST_BASIS_METHOD,
+  FEE_QUOTE_CURRENCY,
+  USD_CURRENCIES,
+  TRANSFER_ACTIONS,
+  INCOME_ACTION,
+  CASH_ACTIONS,
+  CASH_COIN,
+  isTransferTransaction,
+  isIncomeTransaction,
+  isCashTransaction,
+  validateFeeCurrency,
+  getTransactionFee,
+  getNetTransactionQuantity,
+  isValidCostBasisMethod,
+  sortTransactionsChronologically,
+  matchSellToLots,
+  buildTaxLots,
+  calculateLotProfitLoss,
+  attachTaxLots,
+  calculateAverageLotCost,
+  calculateLedgerPosition,
+  calculateTotalRealizedProfitLoss
+}
@@ -4,6 +4,10 @@
  */
 
 import { supabase } from '../supabase/client';
+import { getTransactions } from '../services/transactionService';
+import { getHoldings } from '../services/portfolioService';
+import { generateTaxReport, DEFAULT_LONG_TERM_DAYS } from './taxReport';
+import { DEFAULT_COST_BASIS_METHOD } from './costBasis';
 
 /**
  * Fetch portfolio holdings from Supabase
@@ -80,10 +84,16 @@ export const fetchTransactionData = async (userId) => {
     // Transform data to match CSV format
     const transactionData = data.map(tx => ({
       type: tx.action,
+      income_type: tx.income_type || '',
       coin: tx.name,
-      quantity: parseFloat(tx.quantity),
-      price: parseFloat(tx.price),
+      symbol: tx.symbol,
+      // Strings keep quantities, prices and coin-denominated fees from being rounded to
+      // 2 decimals, so the CSV importer can read the file back without loss
+      quantity: String(parseFloat(tx.quantity)),
+      price: String(parseFloat(tx.price)),
       total: parseFloat(tx.total),
+      fee: String(parseFloat(tx.fee) || 0),
+      fee_currency: tx.fee_currency || '',
       created_at: tx.timestamp
     }));
 
@@ -248,10 +258,14 @@ export const exportTransactionsOnly = async () => {
     // Define CSV headers
     const transactionHeaders = [
       { key: 'type', label: 'Type' },
+      { key: 'income_type', label: 'Income Type' },
       { key: 'coin', label: 'Coin' },
+      { key: 'symbol', label: 'Symbol' },
       { key: 'quantity', label: 'Quantity' },
       { key: 'price', label: 'Price' },
       { key: 'total', label: 'Total' },
+      { key: 'fee', label: 'Fee' },
+      { key: 'fee_currency', label: 'Fee Currency' },
       { key: 'created_at', label: 'Date' }
     ];
 
@@ -276,6 +290,119 @@ export const exportTransactionsOnly = async () => {
   }
 };
 
+/**
+ * Export capital gains tax report for a tax year
+ * Downloads a Form 8949-style detail CSV plus a short/long-term summary CSV,
+ * and an ordinary income CSV when coins were received as income. Sales without a
+ * known cost basis are flagged in both CSVs and left out of the totals
+ * @param {Object} options - { taxYear, method, longTermDays } (method and threshold default to user settings)
+ * @returns {Promise<Object>} Object with success status and message
+ */
+export const exportTaxReport = async (options = {}) => {
+  try {
+    // Get authenticated user
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    
+    if (authError || !user) {
+      throw new Error('User not authenticated');
+    }
+
+    const taxYear = options.taxYear || new Date().getFullYear();
+
+    // Fall back to the user's saved cost basis method and long-term threshold
+    let { method, longTermDays } = options;
+    if (!method || !longTermDays) {
+      const { data: settings } = await supabase
+        .from('user_settings')
+        .select('cost_basis_method, tax_long_term_days')
+        .eq('user_id', user.id)
+        .single();
+
+      method = method || settings?.cost_basis_method || DEFAULT_COST_BASIS_METHOD;
+      longTermDays = longTermDays || settings?.tax_long_term_days || DEFAULT_LONG_TERM_DAYS;
+    }
+
+    // Full history is needed, lots sold this year may have been bought years ago
+    // Holdings cover coins held before transactions were tracked
+    const [transactions, holdings] = await Promise.all([
+      getTransactions(user.id),
+      getHoldings(user.id)
+    ]);
+    const report = generateTaxReport(transactions, { taxYear, method, longTermDays, holdings });
+
+    if (report.rows.length === 0 && report.incomeRows.length === 0) {
+      return {
+        success: false,
+        message: `No Sales or Income Found for ${taxYear}`
+      };
+    }
+
+    // Form 8949 columns (a), (b), (c), (d), (e), (h) plus holding term
+    const detailHeaders = [
+      { key: 'description', label: 'Description of Property' },
+      { key: 'date_acquired', label: 'Date Acquired' },
+      { key: 'date_sold', label: 'Date Sold' },
+      { key: 'proceeds', label: 'Proceeds' },
+      { key: 'cost_basis', label: 'Cost Basis' },
+      { key: 'gain_loss', label: 'Gain or Loss' },
+      { key: 'term', label: 'Term' },
+      { key: 'note', label: 'Note' }
+    ];
+
+    const summaryHeaders = [
+      { key: 'category', label: 'Category' },
+      { key: 'count', label: 'Dispositions' },
+      { key: 'proceeds', label: 'Proceeds' },
+      { key: 'cost_basis', label: 'Cost Basis' },
+      { key: 'gain_loss', label: 'Gain or Loss' }
+    ];
+
+    // Counts are integers, keep them out of the 2-decimal number formatting
+    const summaryData = report.summary.map(row => ({ ...row, count: String(row.count) }));
+
+    if (report.rows.length > 0) {
+      downloadCSV(`tax_report_${taxYear}_form8949.csv`, convertToCSV(report.rows, detailHeaders));
+      downloadCSV(`tax_report_${taxYear}_summary.csv`, convertToCSV(summaryData, summaryHeaders));
+    }
+
+    if (report.incomeRows.length > 0) {
+      const incomeHeaders = [
+        { key: 'date_received', label: 'Date Received' },
+        { key: 'description', label: 'Description' },
+        { key: 'income_type', label: 'Income Type' },
+        { key: 'fair_market_value', label: 'Fair Market Value' },
+        { key: 'income', label: 'Income' }
+      ];
+
+      const incomeData = [
+        ...report.incomeRows,
+        { date_received: 'Total', income: report.incomeTotal }
+      ];
+
+      downloadCSV(`tax_report_${taxYear}_income.csv`, convertToCSV(incomeData, incomeHeaders));
+    }
+
+    if (report.unknownBasisCount > 0) {
+      return {
+        success: true,
+        message: `${taxYear} Tax Report Downloaded. ${report.unknownBasisCount} sale${report.unknownBasisCount === 1 ? ' has' : 's have'} no known cost basis and ${report.unknownBasisCount === 1 ? 'is' : 'are'} flagged`
+      };
+    }
+
+    return {
+      success: true,
+      message: `${taxYear} Tax Report Downloaded Successfully`
+    };
+
+  } catch (error) {
+    console.error('❌ Error exporting tax report:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to export tax report'
+    };
+  }
+};
+
 /**
  * Main export function - fetches data and downloads both CSV files
  * @param {string} userId - Authenticated user ID
@@ -321,10 +448,14 @@ export const exportPortfolioCSV = async (userId) => {
 
     const transactionHeaders = [
       { key: 'type', label: 'Type' },
+      { key: 'income_type', label: 'Income Type' },
       { key: 'coin', label: 'Coin' },
+      { key: 'symbol', label: 'Symbol' },
       { key: 'quantity', label: 'Quantity' },
       { key: 'price', label: 'Price' },
       { key: 'total', label: 'Total' },
+      { key: 'fee', label: 'Fee' },
+      { key: 'fee_currency', label: 'Fee Currency' },
       { key: 'created_at', label: 'Date' }
     ];
 
@@ -6,26 +6,54 @@
 
 import { supabase } from '../supabase/client'
 import { STORAGE_KEYS, getStorageItem } from './storage'
+import { fetchPriceSeriesSince, findPriceOnDate } from '../services/historicalApi'
 
 const MAX_HISTORY_DAYS = 90
 
+/**
+ * Convert snapshot rows to app format, summing portfolios that share a day
+ * @param {Array} rows - portfolio_snapshots rows, oldest first
+ * @returns {Array} - Array of snapshot objects { date, value, timestamp }
+ */
+const toDailySnapshots = (rows) => {
+  const byDate = new Map()
+
+  rows.forEach(snapshot => {
+    const existing = byDate.get(snapshot.snapshot_date)
+    const timestamp = new Date(snapshot.created_at).getTime()
+    byDate.set(snapshot.snapshot_date, {
+      date: snapshot.snapshot_date,
+      value: (existing?.value || 0) + parseFloat(snapshot.total_value),
+      timestamp: Math.max(existing?.timestamp || 0, timestamp)
+    })
+  })
+
+  return Array.from(byDate.values())
+}
+
 /**
  * Get portfolio history from Supabase
  * @param {string} userId - User ID
+ * @param {string|null} portfolioId - Limit to one portfolio (null = all portfolios summed)
  * @returns {Promise<Array>} - Array of snapshot objects { date, value, timestamp }
  */
-export const getPortfolioHistory = async (userId) => {
+export const getPortfolioHistory = async (userId, portfolioId = null) => {
   try {
     if (!userId) {
       return []
     }
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('portfolio_snapshots')
       .select('*')
       .eq('user_id', userId)
       .order('snapshot_date', { ascending: true })
-      .limit(MAX_HISTORY_DAYS)
+
+    query = portfolioId
+      ? query.eq('portfolio_id', portfolioId).limit(MAX_HISTORY_DAYS)
+      : query
+
+    const { data, error } = await query
 
     if (error) {
       console.error('Error fetching portfolio history:', error)
@@ -33,11 +61,7 @@ export const getPortfolioHistory = async (userId) => {
     }
 
     // Convert to app format
-    return data.map(snapshot => ({
-      date: snapshot.snapshot_date,
-      value: parseFloat(snapshot.total_value),
-      timestamp: new Date(snapshot.created_at).getTime()
-    }))
+    return toDailySnapshots(data).slice(0, MAX_HISTORY_DAYS)
   } catch (error) {
     console.error('Error in getPortfolioHistory:', error)
     return []
@@ -46,12 +70,13 @@ export const getPortfolioHistory = async (userId) => {
 
 /**
  * Save snapshot to portfolio history in Supabase
- * Only saves one snapshot per day (upserts on conflict)
+ * Only saves one snapshot per day per portfolio (upserts on conflict)
  * @param {number} portfolioValue - Current total portfolio value
  * @param {string} userId - User ID
+ * @param {string|null} portfolioId - Portfolio the value belongs to
  * @returns {Promise<boolean>} - Success status
  */
-export const savePortfolioSnapshot = async (portfolioValue, userId) => {
+export const savePortfolioSnapshot = async (portfolioValue, userId, portfolioId = null) => {
   try {
     if (portfolioValue <= 0) return false
     if (!userId) {
@@ -67,10 +92,11 @@ export const savePortfolioSnapshot = async (portfolioValue, userId) => {
       .from('portfolio_snapshots')
       .upsert({
         user_id: userId,
+        portfolio_id: portfolioId,
         snapshot_date: dateString,
         total_value: portfolioValue
       }, {
-        onConflict: 'user_id,snapshot_date'
+        onConflict: 'user_id,portfolio_id,snapshot_date'
       })
 
     if (error) {
@@ -89,13 +115,14 @@ export const savePortfolioSnapshot = async (portfolioValue, userId) => {
  * Get portfolio value from N days ago
  * @param {number} daysAgo - Number of days in the past
  * @param {string} userId - User ID
+ * @param {string|null} portfolioId - Limit to one portfolio (null = all portfolios summed)
  * @returns {Promise<Object|null>} - Snapshot object or null if not found
  */
-export const getSnapshotDaysAgo = async (daysAgo, userId) => {
+export const getSnapshotDaysAgo = async (daysAgo, userId, portfolioId = null) => {
   try {
     if (!userId) return null
 
-    const history = await getPortfolioHistory(userId)
+    const history = await getPortfolioHistory(userId, portfolioId)
     if (history.length === 0) return null
     
     const targetDate = new Date()
@@ -122,9 +149,10 @@ export const getSnapshotDaysAgo = async (daysAgo, userId) => {
  * Get portfolio history for a specific time range
  * @param {number} days - Number of days to retrieve (7, 30, 90)
  * @param {string} userId - User ID
+ * @param {string|null} portfolioId - Limit to one portfolio (null = all portfolios summed)
  * @returns {Promise<Array>} - Array of snapshots within range
  */
-export const getHistoryForRange = async (days, userId) => {
+export const getHistoryForRange = async (days, userId, portfolioId = null) => {
   try {
     if (!userId) return []
 
@@ -132,29 +160,111 @@ export const getHistoryForRange = async (days, userId) => {
     cutoffDate.setDate(cutoffDate.getDate() - days)
     const cutoffDateString = cutoffDate.toISOString().split('T')[0]
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('portfolio_snapshots')
       .select('*')
       .eq('user_id', userId)
       .gte('snapshot_date', cutoffDateString)
       .order('snapshot_date', { ascending: true })
 
+    if (portfolioId) {
+      query = query.eq('portfolio_id', portfolioId)
+    }
+
+    const { data, error } = await query
+
     if (error) {
       console.error('Error getting history range:', error)
       return []
     }
 
-    return data.map(snapshot => ({
-      date: snapshot.snapshot_date,
-      value: parseFloat(snapshot.total_value),
-      timestamp: new Date(snapshot.created_at).getTime()
-    }))
+    return toDailySnapshots(data)
   } catch (error) {
     console.error('Error getting history range:', error)
     return []
   }
 }
 
+/**
+ * Add a backdated position to the snapshots recorded since its trade date
+ * Each past snapshot gains the position's value at that day's historical price.
+ * Today's snapshot is left alone, it is rewritten from live holdings on the next refresh.
+ * @param {Object} trade - { coinId, quantity, timestamp, portfolioId } (quantity negative for disposals)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of snapshots written
+ */
+export const applyBackdatedTradeToSnapshots = async (trade, userId) => {
+  try {
+    if (!userId || !trade?.coinId || !trade.quantity) return 0
+
+    const tradeDate = new Date(trade.timestamp).toISOString().split('T')[0]
+    const today = new Date().toISOString().split('T')[0]
+    if (tradeDate >= today) return 0
+
+    let query = supabase
+      .from('portfolio_snapshots')
+      .select('snapshot_date, total_value')
+      .eq('user_id', userId)
+      .lt('snapshot_date', today)
+      .order('snapshot_date', { ascending: true })
+
+    if (trade.portfolioId) {
+      query = query.eq('portfolio_id', trade.portfolioId)
+    }
+
+    const { data, error } = await query
+
+    if (error) {
+      console.error('Error fetching snapshots for backdated trade:', error)
+      return 0
+    }
+
+    const { data: series } = await fetchPriceSeriesSince(trade.coinId, trade.timestamp)
+    if (series.length === 0) return 0
+
+    const positionValueOn = (date) => trade.quantity * findPriceOnDate(series, `${date}T00:00:00Z`).value
+
+    const updates = data
+      .filter(snapshot => snapshot.snapshot_date >= tradeDate)
+      .map(snapshot => ({
+        user_id: userId,
+        portfolio_id: trade.portfolioId || null,
+        snapshot_date: snapshot.snapshot_date,
+        total_value: Math.max(parseFloat(snapshot.total_value) + positionValueOn(snapshot.snapshot_date), 0)
+      }))
+
+    // Start the history on the trade date so charts show when the position was opened
+    if (!data.some(snapshot => snapshot.snapshot_date === tradeDate)) {
+      const previous = [...data].reverse().find(snapshot => snapshot.snapshot_date < tradeDate)
+      updates.push({
+        user_id: userId,
+        portfolio_id: trade.portfolioId || null,
+        snapshot_date: tradeDate,
+        total_value: Math.max((previous ? parseFloat(previous.total_value) : 0) + positionValueOn(tradeDate), 0)
+      })
+    }
+
+    const rows = updates.filter(row => row.total_value > 0)
+    if (rows.length === 0) return 0
+
+    const { error: upsertError } = await supabase
+      .from('portfolio_snapshots')
+      .upsert(rows, {
+        onConflict: 'user_id,portfolio_id,snapshot_date'
+      })
+
+    if (upsertError) {
+      console.error('Error updating snapshots for backdated trade:', upsertError)
+      return 0
+    }
+
+    return rows.length
+  } catch (error) {
+    console.error('Error applying backdated trade to snapshots:', error)
+    return 0
+  }
+}
+
 /**
  * Calculate percentage change between two values
  * @param {number} oldValue - Original value
@@ -302,10 +412,11 @@ export const migrateHistoryToSupabase = async (userId) => {
       total_value: item.value
     }))
 
+    // Saved without a portfolio, they move into the default portfolio on the next load
     const { error } = await supabase
       .from('portfolio_snapshots')
       .upsert(snapshots, {
-        onConflict: 'user_id,snapshot_date'
+        onConflict: 'user_id,portfolio_id,snapshot_date'
       })
 
     if (error) {
@@ -328,6 +439,7 @@ export default {
   savePortfolioSnapshot,
   getSnapshotDaysAgo,
   getHistoryForRange,
+  applyBackdatedTradeToSnapshots,
   calculatePercentageChange,
   normalizeToPercentage,
   clearPortfolioHistory,
@@ -0,0 +1,88 @@
+/**
+ * Holding Alert Utility
+ * Trailing stops and take-profit ladders attached to a holding. The running peak
+ * of a trailing stop is kept on the alert; when either fires, the share of the
+ * holding it was set to sell is left as a pending sell for the holding row.
+ * Shares are of the quantity held when the alert was set, so a 50%/50% ladder
+ * sells the whole position.
+ */
+
+import { ALERT_CONDITIONS, getOpenLadderTiers } from './alertConditions'
+
+export const DEFAULT_TRAILING_PERCENT = 10
+
+/**
+ * Add a fired sell to the one already waiting, capped at the whole holding
+ * @param {number|null} pending - Percent already waiting
+ * @param {number|null} sellPercent - Percent the firing adds
+ * @returns {number|null}
+ */
+const addPendingSell = (pending, sellPercent) => {
+  const total = (pending || 0) + (sellPercent || 0)
+  return total > 0 ? Math.min(total, 100) : null
+}
+
+/**
+ * Column updates for a holding alert that just fired
+ * A ladder stays active until its last tier fires; a trailing stop fires once.
+ * @param {Object} alert - Alert in app format
+ * @param {Object} result - Output of evaluateAlertCondition
+ * @param {string} firedAt - ISO timestamp
+ * @returns {Object} - price_alerts columns to update, empty for other alerts
+ */
+export const getHoldingTriggerUpdate = (alert, result, firedAt) => {
+  if (alert.condition === ALERT_CONDITIONS.TRAILING_STOP) {
+    return {
+      is_active: false,
+      peak_price: result.reference,
+      pending_sell_percent: addPendingSell(alert.pendingSellPercent, alert.sellPercent)
+    }
+  }
+
+  if (alert.condition === ALERT_CONDITIONS.TAKE_PROFIT) {
+    const reached = new Set(result.tiers.map(tier => tier.targetPrice))
+    const ladder = (alert.ladder || []).map(tier =>
+      !tier.triggeredAt && reached.has(tier.targetPrice) ? { ...tier, triggeredAt: firedAt } : tier
+    )
+    return {
+      ladder,
+      is_active: ladder.some(tier => !tier.triggeredAt),
+      pending_sell_percent: addPendingSell(
+        alert.pendingSellPercent,
+        result.tiers.reduce((sum, tier) => sum + (tier.sellPercent || 0), 0)
+      )
+    }
+  }
+
+  return {}
+}
+
+/**
+ * Quantity a pending sell covers, capped at what is still held
+ * Alerts saved without a base quantity fall back to the current holding.
+ * @param {Object} coin - Holding ({ quantity })
+ * @param {Object} alert - Holding alert ({ baseQuantity, pendingSellPercent })
+ * @returns {number}
+ */
+export const getSellQuantity = (coin, alert) => {
+  const base = alert.baseQuantity > 0 ? alert.baseQuantity : coin.quantity
+  return Math.min(base * Math.min(alert.pendingSellPercent || 0, 100) / 100, coin.quantity)
+}
+
+/**
+ * Short badge text for a holding alert on its row
+ * @param {Object} alert - Alert in app format
+ * @returns {string} - e.g. "Stop -12%" or "TP 1/3"
+ */
+export const getHoldingAlertBadge = (alert) => {
+  if (alert.condition === ALERT_CONDITIONS.TRAILING_STOP) return `Stop -${alert.thresholdPercent}%`
+  const tiers = alert.ladder || []
+  return `TP ${tiers.length - getOpenLadderTiers(alert).length}/${tiers.length}`
+}
+
+export default {
+  DEFAULT_TRAILING_PERCENT,
+  getHoldingTriggerUpdate,
+  getSellQuantity,
+  getHoldingAlertBadge
+}
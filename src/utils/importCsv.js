@@ -0,0 +1,462 @@
+/**
+ * Import CSV Utility - Parse exchange CSV exports into transactions
+ * Inverse of convertToCSV: maps exchange columns through presets, resolves coin IDs
+ * and flags rows that already exist in the user's transaction history
+ */
+
+import { findCoinIdBySymbol } from '../services/coinService';
+import { getCoinId } from '../services/cryptoApi';
+import { getNetTransactionQuantity, validateFeeCurrency, FEE_QUOTE_CURRENCY, USD_CURRENCIES, TRANSFER_ACTIONS, INCOME_ACTION, CASH_ACTIONS } from './costBasis';
+
+/**
+ * Column-mapping presets for common CSV formats
+ * Column names are matched case-insensitively; `pair` columns (e.g. BTCUSDT)
+ * are split into base symbol and quote currency when no symbol column is available.
+ * Prices are stored in USD, so rows quoted in any other currency are rejected.
+ * Fees without a fee currency column are assumed to be paid in USD
+ */
+export const IMPORT_PRESETS = {
+  app: {
+    label: 'Crypto Portfolio Analyzer',
+    columns: {
+      timestamp: 'Date',
+      action: 'Type',
+      symbol: 'Symbol',
+      name: 'Coin',
+      quantity: 'Quantity',
+      price: 'Price',
+      total: 'Total',
+      fee: 'Fee',
+      feeCurrency: 'Fee Currency'
+    }
+  },
+  coinbase: {
+    label: 'Coinbase',
+    columns: {
+      timestamp: 'Timestamp',
+      action: 'Transaction Type',
+      symbol: 'Asset',
+      quantity: 'Quantity Transacted',
+      price: 'Spot Price at Transaction',
+      quoteCurrency: 'Spot Price Currency',
+      total: 'Subtotal',
+      fee: 'Fees and/or Spread'
+    }
+  },
+  binance: {
+    label: 'Binance (Trade History)',
+    columns: {
+      timestamp: 'Date(UTC)',
+      action: 'Type',
+      pair: 'Market',
+      quantity: 'Amount',
+      price: 'Price',
+      total: 'Total',
+      fee: 'Fee',
+      feeCurrency: 'Fee Coin'
+    }
+  },
+  kraken: {
+    label: 'Kraken (Trades)',
+    columns: {
+      timestamp: 'time',
+      action: 'type',
+      pair: 'pair',
+      quantity: 'vol',
+      price: 'price',
+      total: 'cost',
+      fee: 'fee'
+    }
+  }
+};
+
+export const IMPORT_ROW_STATUS = {
+  NEW: 'new',
+  DUPLICATE: 'duplicate',
+  ERROR: 'error'
+};
+
+// Exchange transaction types that map to BUY / SELL
+const BUY_TYPES = ['buy', 'advanced trade buy', 'purchase', 'bought'];
+const SELL_TYPES = ['sell', 'advanced trade sell', 'sold'];
+
+// Types the app's own export contains that only BUY / SELL imports can't recreate
+const UNSUPPORTED_APP_TYPES = [INCOME_ACTION, ...Object.values(CASH_ACTIONS), ...Object.values(TRANSFER_ACTIONS)];
+
+// Quote currencies stripped from trading pairs, longest first
+const QUOTE_CURRENCIES = ['ZUSD', 'ZEUR', 'ZGBP', 'USDT', 'USDC', 'BUSD', 'FDUSD', 'USD', 'EUR', 'GBP', 'BTC', 'ETH', 'BNB'];
+
+// Legacy exchange tickers that differ from the standard symbol
+const SYMBOL_ALIASES = {
+  XBT: 'BTC',
+  XDG: 'DOGE'
+};
+
+/**
+ * Parse CSV text into an array of rows
+ * Handles quoted fields, escaped quotes, CRLF line endings and a UTF-8 BOM
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} Rows of cell values (blank lines removed)
+ */
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  // Last line without trailing newline
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Find the column index for each mapped field
+ * @param {Array<string>} headerRow - Header cells
+ * @param {Object} columns - Preset column mapping
+ * @returns {Object} Map of field to column index (-1 if missing)
+ */
+const getColumnIndexes = (headerRow, columns) => {
+  const normalized = headerRow.map(h => h.trim().toLowerCase());
+  return Object.fromEntries(
+    Object.entries(columns).map(([field, header]) => [field, normalized.indexOf(header.toLowerCase())])
+  );
+};
+
+/**
+ * Check that a header row has every column a preset needs
+ * @param {Object} indexes - Result of getColumnIndexes
+ * @returns {boolean} True if the row can be imported with the preset
+ */
+const hasRequiredColumns = (indexes) => {
+  return indexes.timestamp >= 0 &&
+    indexes.action >= 0 &&
+    indexes.quantity >= 0 &&
+    (indexes.symbol >= 0 || indexes.pair >= 0) &&
+    (indexes.price >= 0 || indexes.total >= 0);
+};
+
+/**
+ * Detect which preset matches a CSV file
+ * Some exchanges put report metadata above the header, so the first rows are scanned
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {Object|null} { presetKey, headerIndex } or null if no preset matches
+ */
+export const detectPreset = (rows) => {
+  const scanLimit = Math.min(rows.length, 20);
+
+  for (let headerIndex = 0; headerIndex < scanLimit; headerIndex++) {
+    for (const [presetKey, preset] of Object.entries(IMPORT_PRESETS)) {
+      if (hasRequiredColumns(getColumnIndexes(rows[headerIndex], preset.columns))) {
+        return { presetKey, headerIndex };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse a numeric cell, ignoring currency symbols and thousands separators
+ * @param {string} value - Cell value
+ * @returns {number} Parsed number (NaN if empty)
+ */
+const parseNumber = (value) => {
+  if (value === undefined || value === null) return NaN;
+  const cleaned = String(value).replace(/[^0-9.\-eE]/g, '');
+  return cleaned === '' ? NaN : parseFloat(cleaned);
+};
+
+/**
+ * Parse an exchange timestamp, treating zone-less timestamps as UTC
+ * @param {string} value - Cell value
+ * @returns {string|null} ISO timestamp or null if invalid
+ */
+const parseTimestamp = (value) => {
+  let text = (value || '').trim().replace(/\s+UTC$/i, 'Z');
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    text = `${text.replace(' ', 'T')}Z`;
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Normalize an exchange transaction type to BUY or SELL
+ * @param {string} value - Cell value
+ * @returns {string|null} BUY, SELL or null if unsupported
+ */
+const parseAction = (value) => {
+  const type = (value || '').trim().toLowerCase();
+  if (BUY_TYPES.includes(type)) return 'BUY';
+  if (SELL_TYPES.includes(type)) return 'SELL';
+  return null;
+};
+
+/**
+ * Split a trading pair into base symbol and quote currency
+ * @param {string} pair - Pair such as BTCUSDT, XXBTZUSD or ETH/EUR
+ * @returns {Object} { symbol, quote } where quote is null when it can't be recognized
+ */
+export const parsePair = (pair) => {
+  const text = (pair || '').trim().toUpperCase();
+  const parts = text.split(/[/\-_]/);
+  let base = parts[0];
+  let quote = parts.length > 1 ? parts[parts.length - 1] : null;
+
+  if (base === text) {
+    quote = QUOTE_CURRENCIES.find(q => base.endsWith(q) && base.length - q.length >= 2) || null;
+    if (quote) base = base.slice(0, -quote.length);
+  }
+
+  // Kraken legacy codes are prefixed with X (e.g. XXBT, XETH)
+  if (base.length === 4 && base.startsWith('X')) {
+    base = base.slice(1);
+  }
+
+  return { symbol: SYMBOL_ALIASES[base] || base, quote };
+};
+
+/**
+ * Map parsed CSV rows to transactions using a preset
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @param {string} presetKey - Key of IMPORT_PRESETS
+ * @param {number} headerIndex - Index of the header row
+ * @returns {Array} Mapped rows ({ line, timestamp, action, symbol, name, quantity, price, total, fee, feeCurrency, quote, error })
+ */
+export const mapRows = (rows, presetKey, headerIndex = 0) => {
+  const preset = IMPORT_PRESETS[presetKey];
+  if (!preset || !rows[headerIndex]) return [];
+
+  const indexes = getColumnIndexes(rows[headerIndex], preset.columns);
+  if (!hasRequiredColumns(indexes)) {
+    throw new Error(`CSV does not match the ${preset.label} format`);
+  }
+
+  const cell = (row, field) => (indexes[field] >= 0 ? (row[indexes[field]] || '').trim() : '');
+
+  return rows.slice(headerIndex + 1).map((row, index) => {
+    const quantity = Math.abs(parseNumber(cell(row, 'quantity')));
+    const total = Math.abs(parseNumber(cell(row, 'total')));
+    let price = Math.abs(parseNumber(cell(row, 'price')));
+    if (isNaN(price) && quantity > 0) {
+      price = total / quantity;
+    }
+
+    const pair = indexes.symbol >= 0
+      ? { symbol: cell(row, 'symbol'), quote: cell(row, 'quoteCurrency') || FEE_QUOTE_CURRENCY }
+      : parsePair(cell(row, 'pair'));
+    const symbol = pair.symbol.toUpperCase();
+    const quote = pair.quote ? pair.quote.toUpperCase() : null;
+
+    const fee = Math.abs(parseNumber(cell(row, 'fee')));
+
+    const mapped = {
+      line: headerIndex + index + 2,
+      timestamp: parseTimestamp(cell(row, 'timestamp')),
+      action: parseAction(cell(row, 'action')),
+      symbol,
+      name: cell(row, 'name') || symbol,
+      quantity,
+      price,
+      total: isNaN(total) ? quantity * price : total,
+      fee: isNaN(fee) ? 0 : fee,
+      feeCurrency: fee > 0 ? (cell(row, 'feeCurrency') || FEE_QUOTE_CURRENCY).toUpperCase() : null,
+      quote,
+      error: null
+    };
+
+    if (!mapped.timestamp) {
+      mapped.error = 'Invalid date';
+    } else if (!mapped.action) {
+      const type = cell(row, 'action');
+      mapped.error = UNSUPPORTED_APP_TYPES.includes(type.toUpperCase())
+        ? `${type.toUpperCase()} rows can't be imported, only BUY and SELL`
+        : `Unsupported type "${type}"`;
+    } else if (!mapped.symbol) {
+      mapped.error = 'Missing asset';
+    } else if (!(quantity > 0)) {
+      mapped.error = 'Invalid quantity';
+    } else if (!(price >= 0)) {
+      mapped.error = 'Invalid price';
+    } else if (mapped.action === 'BUY' && price === 0) {
+      // A zero price would open the lot with no cost basis
+      mapped.error = 'Buy has no price';
+    } else if (!quote) {
+      mapped.error = `Unknown quote currency in "${cell(row, 'pair')}"`;
+    } else if (!USD_CURRENCIES.includes(quote)) {
+      // An ETH/BTC price is in BTC, saving it as USD would corrupt the cost basis
+      mapped.error = `Priced in ${quote}, only USD pairs can be imported`;
+    } else {
+      mapped.error = validateFeeCurrency(mapped);
+    }
+
+    return mapped;
+  });
+};
+
+/**
+ * Resolve CoinGecko IDs for mapped rows
+ * Each distinct symbol is looked up once
+ * @param {Array} rows - Mapped rows
+ * @returns {Promise<Array>} Rows with coinId set
+ */
+export const resolveCoinIds = async (rows) => {
+  const symbols = [...new Set(rows.filter(r => !r.error).map(r => r.symbol))];
+  const coinIds = {};
+
+  for (const symbol of symbols) {
+    try {
+      coinIds[symbol] = (await findCoinIdBySymbol(symbol)) || getCoinId(symbol);
+    } catch (error) {
+      console.error(`❌ Error resolving coin ID for ${symbol}:`, error);
+      coinIds[symbol] = getCoinId(symbol);
+    }
+  }
+
+  return rows.map(row => ({ ...row, coinId: row.error ? null : coinIds[row.symbol] }));
+};
+
+/**
+ * Key used to match an imported row against an existing transaction
+ * Manually entered trades are stamped when saved, so only the trade day is compared
+ * @param {Object} tx - Transaction or mapped row
+ * @returns {string} Duplicate key
+ */
+const getDuplicateKey = (tx) => {
+  const day = new Date(tx.timestamp).toISOString().slice(0, 10);
+  return [tx.coinId, tx.action, day, Number(tx.quantity).toFixed(8), Number(tx.price).toFixed(2)].join('|');
+};
+
+/**
+ * Build the import preview by flagging duplicates and errors
+ * Rows are duplicates if they match an existing transaction or an earlier row in the file
+ * @param {Array} rows - Rows with coinId resolved
+ * @param {Array} existingTransactions - Current transaction history
+ * @returns {Object} { rows, summary: { total, new, duplicate, error } }
+ */
+export const buildImportPreview = (rows, existingTransactions = []) => {
+  const seen = new Set(existingTransactions.map(getDuplicateKey));
+
+  const previewRows = rows.map(row => {
+    if (row.error) {
+      return { ...row, status: IMPORT_ROW_STATUS.ERROR };
+    }
+
+    const key = getDuplicateKey(row);
+    if (seen.has(key)) {
+      return { ...row, status: IMPORT_ROW_STATUS.DUPLICATE };
+    }
+
+    seen.add(key);
+    return { ...row, status: IMPORT_ROW_STATUS.NEW };
+  });
+
+  const count = (status) => previewRows.filter(r => r.status === status).length;
+
+  return {
+    rows: previewRows,
+    summary: {
+      total: previewRows.length,
+      new: count(IMPORT_ROW_STATUS.NEW),
+      duplicate: count(IMPORT_ROW_STATUS.DUPLICATE),
+      error: count(IMPORT_ROW_STATUS.ERROR)
+    }
+  };
+};
+
+/**
+ * Net quantity change per coin from a set of imported transactions
+ * @param {Array} rows - Imported rows
+ * @returns {Object} Map of coinId to { coinId, symbol, name, quantity, lastPrice }
+ */
+export const calculateImportedPositions = (rows) => {
+  const positions = {};
+
+  [...rows]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(row => {
+      if (!positions[row.coinId]) {
+        positions[row.coinId] = { coinId: row.coinId, symbol: row.symbol, name: row.name, quantity: 0, lastPrice: 0 };
+      }
+      const position = positions[row.coinId];
+      const quantity = getNetTransactionQuantity(row);
+      position.quantity += row.action === 'BUY' ? quantity : -quantity;
+      position.lastPrice = row.price;
+    });
+
+  return positions;
+};
+
+/**
+ * Read a File object and build the import preview
+ * @param {File} file - CSV file selected by the user
+ * @param {Array} existingTransactions - Current transaction history
+ * @param {string} presetKey - Preset to use ('auto' to detect)
+ * @returns {Promise<Object>} { presetKey, rows, summary }
+ */
+export const previewImportFile = async (file, existingTransactions, presetKey = 'auto') => {
+  try {
+    const rows = parseCSV(await file.text());
+    if (rows.length < 2) {
+      throw new Error('CSV file is empty');
+    }
+
+    let headerIndex = 0;
+    let resolvedPreset = presetKey;
+    if (presetKey === 'auto') {
+      const detected = detectPreset(rows);
+      if (!detected) {
+        throw new Error('Unrecognized CSV format, choose a preset manually');
+      }
+      ({ presetKey: resolvedPreset, headerIndex } = detected);
+    } else {
+      const index = rows.slice(0, 20).findIndex(row => hasRequiredColumns(getColumnIndexes(row, IMPORT_PRESETS[presetKey].columns)));
+      headerIndex = Math.max(index, 0);
+    }
+
+    const mapped = await resolveCoinIds(mapRows(rows, resolvedPreset, headerIndex));
+    const preview = buildImportPreview(mapped, existingTransactions);
+
+    return { presetKey: resolvedPreset, ...preview };
+  } catch (error) {
+    console.error('❌ Error previewing CSV import:', error);
+    throw error;
+  }
+};
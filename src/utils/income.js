@@ -0,0 +1,96 @@
+/**
+ * Income Ledger Utility
+ * Staking rewards, airdrops, mining and interest received in coin,
+ * valued at fair market value on the day they were received
+ */
+
+import { isIncomeTransaction, getNetTransactionQuantity } from './costBasis'
+
+export const INCOME_TYPES = {
+  STAKING: 'STAKING',
+  AIRDROP: 'AIRDROP',
+  MINING: 'MINING',
+  INTEREST: 'INTEREST'
+}
+
+export const INCOME_TYPE_LABELS = {
+  STAKING: 'Staking Reward',
+  AIRDROP: 'Airdrop',
+  MINING: 'Mining',
+  INTEREST: 'Interest'
+}
+
+/**
+ * Check if a value is a supported income type
+ * @param {string} type - Income type
+ * @returns {boolean} - True if supported
+ */
+export const isValidIncomeType = (type) => {
+  return Object.values(INCOME_TYPES).includes(type)
+}
+
+/**
+ * Build the income ledger from the transaction history
+ * @param {Array} transactions - Transaction history (any order)
+ * @returns {Array} - Income entries newest first ({ id, coinId, symbol, name, incomeType, quantity, fairMarketValue, value, receivedAt })
+ */
+export const buildIncomeLedger = (transactions) => {
+  return (transactions || [])
+    .filter(tx => tx && isIncomeTransaction(tx))
+    .map(tx => {
+      const quantity = getNetTransactionQuantity(tx)
+      return {
+        id: tx.id,
+        portfolioId: tx.portfolioId || null,
+        coinId: tx.coinId,
+        symbol: tx.symbol,
+        name: tx.name,
+        incomeType: tx.incomeType || INCOME_TYPES.STAKING,
+        quantity,
+        fairMarketValue: tx.price,
+        value: quantity * tx.price,
+        receivedAt: tx.timestamp
+      }
+    })
+    .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
+}
+
+/**
+ * Total income per calendar month, split by income type
+ * @param {Array} ledger - Result of buildIncomeLedger
+ * @returns {Array} - [{ month: 'YYYY-MM', total, count, byType }] newest first
+ */
+export const calculateMonthlyIncome = (ledger) => {
+  const months = {}
+
+  for (const entry of ledger || []) {
+    const month = new Date(entry.receivedAt).toISOString().slice(0, 7)
+    const bucket = months[month] || (months[month] = { month, total: 0, count: 0, byType: {} })
+    bucket.total += entry.value
+    bucket.count += 1
+    bucket.byType[entry.incomeType] = (bucket.byType[entry.incomeType] || 0) + entry.value
+  }
+
+  return Object.values(months).sort((a, b) => b.month.localeCompare(a.month))
+}
+
+/**
+ * Income received in one calendar year (ordinary income for tax purposes)
+ * @param {Array} ledger - Result of buildIncomeLedger
+ * @param {number} year - Tax year
+ * @returns {Array} - Entries received in the year, oldest first
+ */
+export const getIncomeForYear = (ledger, year) => {
+  return (ledger || [])
+    .filter(entry => new Date(entry.receivedAt).getUTCFullYear() === Number(year))
+    .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt))
+}
+
+export default {
+  INCOME_TYPES,
+  INCOME_TYPE_LABELS,
+  isValidIncomeType,
+  buildIncomeLedger,
+  calculateMonthlyIncome,
+  getIncomeForYear
+}
@@ -0,0 +1,168 @@
+/**
+ * Holding Locations Utility
+ * Where each coin sits (exchange, hardware wallet, hot wallet), replayed from
+ * the location recorded on buys, sells and transfers
+ */
+
+import { TRANSFER_ACTIONS, getNetTransactionQuantity, isCashTransaction, sortTransactionsChronologically } from './costBasis'
+
+export const LOCATION_TYPES = {
+  EXCHANGE: 'exchange',
+  HARDWARE_WALLET: 'hardware_wallet',
+  HOT_WALLET: 'hot_wallet'
+}
+
+export const LOCATION_TYPE_LABELS = {
+  exchange: 'Exchange',
+  hardware_wallet: 'Hardware Wallet',
+  hot_wallet: 'Hot Wallet'
+}
+
+export const LOCATION_TYPE_ICONS = {
+  exchange: '🏦',
+  hardware_wallet: '🔐',
+  hot_wallet: '📱'
+}
+
+// Coins bought before locations existed, or without one picked
+export const UNASSIGNED_LOCATION = 'unassigned'
+
+// Ignore floating point dust left after transfers and partial sells
+const QUANTITY_EPSILON = 1e-10
+
+/**
+ * Take a quantity out of a coin's location balances
+ * Without a location it comes out of the unassigned balance first,
+ * then out of the largest located balances
+ * @param {Object} balances - locationId -> quantity
+ * @param {string|null} locationId - Location the coins leave from
+ * @param {number} quantity - Quantity leaving
+ */
+const withdrawFromLocation = (balances, locationId, quantity) => {
+  if (locationId) {
+    balances[locationId] = (balances[locationId] || 0) - quantity
+    return
+  }
+
+  let remaining = quantity
+  const order = [
+    UNASSIGNED_LOCATION,
+    ...Object.keys(balances)
+      .filter(key => key !== UNASSIGNED_LOCATION)
+      .sort((a, b) => balances[b] - balances[a])
+  ]
+
+  for (const key of order) {
+    if (remaining <= QUANTITY_EPSILON) break
+    const available = Math.max(balances[key] || 0, 0)
+    const taken = Math.min(available, remaining)
+    balances[key] = (balances[key] || 0) - taken
+    remaining -= taken
+  }
+
+  // Oversold: leave the shortfall visible on the unassigned balance
+  if (remaining > QUANTITY_EPSILON) {
+    balances[UNASSIGNED_LOCATION] = (balances[UNASSIGNED_LOCATION] || 0) - remaining
+  }
+}
+
+/**
+ * Replay the ledger into per-location quantities for each coin
+ * Holdings larger than the ledger (entered before transactions were tracked)
+ * show the difference as unassigned.
+ * @param {Array} transactions - Transaction history (any order)
+ * @param {Array} holdings - Current holdings (optional)
+ * @returns {Object} - coinId -> [{ locationId, quantity }] sorted by quantity, locationId is UNASSIGNED_LOCATION when unknown
+ */
+export const calculateLocationBreakdown = (transactions, holdings = []) => {
+  const balancesByCoin = {}
+
+  sortTransactionsChronologically(transactions || []).forEach(tx => {
+    if (!tx || !tx.coinId || isCashTransaction(tx)) return
+    const balances = balancesByCoin[tx.coinId] || (balancesByCoin[tx.coinId] = {})
+    const quantity = getNetTransactionQuantity(tx)
+
+    if (tx.action === 'SELL' || tx.action === TRANSFER_ACTIONS.OUT) {
+      withdrawFromLocation(balances, tx.locationId, quantity)
+    } else {
+      const key = tx.locationId || UNASSIGNED_LOCATION
+      balances[key] = (balances[key] || 0) + quantity
+    }
+  })
+
+  holdings.forEach(holding => {
+    const balances = balancesByCoin[holding.coinId] || (balancesByCoin[holding.coinId] = {})
+    const located = Object.values(balances).reduce((sum, quantity) => sum + quantity, 0)
+    const untracked = holding.quantity - located
+    if (untracked > QUANTITY_EPSILON) {
+      balances[UNASSIGNED_LOCATION] = (balances[UNASSIGNED_LOCATION] || 0) + untracked
+    }
+  })
+
+  return Object.fromEntries(
+    Object.entries(balancesByCoin).map(([coinId, balances]) => [
+      coinId,
+      Object.entries(balances)
+        .filter(([, quantity]) => quantity > QUANTITY_EPSILON)
+        .map(([locationId, quantity]) => ({ locationId, quantity }))
+        .sort((a, b) => b.quantity - a.quantity)
+    ])
+  )
+}
+
+/**
+ * Regroup the per-coin breakdown by location, valued at current prices
+ * @param {Object} breakdown - Result of calculateLocationBreakdown
+ * @param {Array} holdings - Current holdings (with currentPrice)
+ * @returns {Array} - [{ locationId, value, coins: [{ coinId, symbol, name, quantity, value }] }] sorted by value
+ */
+export const groupHoldingsByLocation = (breakdown, holdings) => {
+  const groups = {}
+
+  for (const holding of holdings || []) {
+    for (const { locationId, quantity } of breakdown[holding.coinId] || []) {
+      const group = groups[locationId] || (groups[locationId] = { locationId, value: 0, coins: [] })
+      const value = quantity * (holding.currentPrice || 0)
+      group.value += value
+      group.coins.push({ coinId: holding.coinId, symbol: holding.symbol, name: holding.name, quantity, value })
+    }
+  }
+
+  return Object.values(groups)
+    .map(group => ({ ...group, coins: group.coins.sort((a, b) => b.value - a.value) }))
+    .sort((a, b) => b.value - a.value)
+}
+
+/**
+ * Quantity of a coin currently held at one location
+ * @param {Object} breakdown - Result of calculateLocationBreakdown
+ * @param {string} coinId - Coin ID
+ * @param {string|null} locationId - Location ID (null = unassigned)
+ * @returns {number} - Quantity available at the location
+ */
+export const getLocationQuantity = (breakdown, coinId, locationId) => {
+  const key = locationId || UNASSIGNED_LOCATION
+  return (breakdown[coinId] || []).find(entry => entry.locationId === key)?.quantity || 0
+}
+
+/**
+ * Display name for a location ID
+ * @param {Array} locations - User locations
+ * @param {string|null} locationId - Location ID
+ * @returns {string} - Location name, "Unassigned" for unknown or deleted locations
+ */
+export const getLocationName = (locations, locationId) => {
+  if (!locationId || locationId === UNASSIGNED_LOCATION) return 'Unassigned'
+  return (locations || []).find(location => location.id === locationId)?.name || 'Unassigned'
+}
+
+export default {
+  LOCATION_TYPES,
+  LOCATION_TYPE_LABELS,
+  LOCATION_TYPE_ICONS,
+  UNASSIGNED_LOCATION,
+  calculateLocationBreakdown,
+  groupHoldingsByLocation,
+  getLocationQuantity,
+  getLocationName
+}
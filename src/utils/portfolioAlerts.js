@@ -0,0 +1,181 @@
+/**
+ * Portfolio Alert Utility
+ * Alerts on the portfolio as a whole rather than one coin's price: account value,
+ * unrealized P/L, drawdown from the recorded high and a coin's share of the holdings.
+ * Values come from the same metrics the Dashboard shows, evaluated on every price refresh.
+ */
+
+import { calculatePortfolioMetrics, calculatePortfolioDiversity } from './calculations'
+import { calculateCurrentDrawdown } from './risk'
+
+export const PORTFOLIO_ALERT_METRICS = {
+  TOTAL_VALUE: 'total_value',
+  UNREALIZED_PL: 'unrealized_pl',
+  DRAWDOWN: 'drawdown',
+  ALLOCATION: 'allocation'
+}
+
+export const PORTFOLIO_ALERT_METRIC_LABELS = {
+  total_value: 'Portfolio Value',
+  unrealized_pl: 'Unrealized P/L %',
+  drawdown: 'Drawdown From High',
+  allocation: 'Coin Allocation'
+}
+
+export const PORTFOLIO_ALERT_CONDITIONS = ['above', 'below']
+
+/**
+ * Whether a metric's threshold is a percentage (only the value is in money)
+ * @param {string} metric - Portfolio alert metric
+ * @returns {boolean}
+ */
+export const isPercentMetric = (metric) => metric !== PORTFOLIO_ALERT_METRICS.TOTAL_VALUE
+
+/**
+ * Check a portfolio alert before it is saved
+ * @param {Object} alert - { metric, condition, threshold, coinId }
+ * @returns {string|null} - Error message, null when valid
+ */
+export const validatePortfolioAlert = (alert) => {
+  if (!Object.values(PORTFOLIO_ALERT_METRICS).includes(alert.metric)) return 'Invalid alert metric'
+  if (!PORTFOLIO_ALERT_CONDITIONS.includes(alert.condition)) return 'Condition must be "above" or "below"'
+  if (typeof alert.threshold !== 'number' || !isFinite(alert.threshold)) return 'Enter a threshold'
+
+  switch (alert.metric) {
+    case PORTFOLIO_ALERT_METRICS.TOTAL_VALUE:
+      return alert.threshold > 0 ? null : 'Value must be greater than 0'
+    case PORTFOLIO_ALERT_METRICS.DRAWDOWN:
+      return alert.threshold > 0 && alert.threshold < 100 ? null : 'Drawdown must be between 0 and 100%'
+    case PORTFOLIO_ALERT_METRICS.ALLOCATION:
+      if (!alert.coinId) return 'Pick a coin'
+      return alert.threshold >= 0 && alert.threshold <= 100 ? null : 'Allocation must be between 0 and 100%'
+    default:
+      return null
+  }
+}
+
+/**
+ * Current values of every portfolio alert metric
+ * The drawdown runs over the recorded daily holdings values with today's live
+ * value appended, with buys and sells taken out so new money doesn't hide a fall.
+ * @param {Array} coins - Holdings of the portfolio
+ * @param {Object} options - { cash, history: [{ date, value }], flows, today (YYYY-MM-DD) }
+ * @returns {Object} - { totalValue, unrealizedPL, drawdown, allocations: { coinId: % } }
+ */
+export const getPortfolioAlertValues = (coins, options = {}) => {
+  const { cash, history = null, flows = {}, today = new Date().toISOString().split('T')[0] } = options
+  const metrics = calculatePortfolioMetrics(coins, { cash })
+
+  const series = history
+    ? [...history.filter(point => point.date < today), { date: today, value: metrics.holdingsValue }]
+    : null
+
+  return {
+    totalValue: metrics.totalValue,
+    unrealizedPL: metrics.profitLossPercentage,
+    drawdown: series ? calculateCurrentDrawdown(series, flows) : null,
+    allocations: Object.fromEntries(
+      calculatePortfolioDiversity(coins).map(coin => [coin.coinId, coin.allocationPercentage || 0])
+    )
+  }
+}
+
+/**
+ * The value an alert watches
+ * @param {Object} alert - { metric, coinId }
+ * @param {Object} values - Output of getPortfolioAlertValues
+ * @returns {number|null} - null when it can't be measured yet
+ */
+export const getPortfolioAlertValue = (alert, values) => {
+  switch (alert.metric) {
+    case PORTFOLIO_ALERT_METRICS.TOTAL_VALUE:
+      return values.totalValue
+    case PORTFOLIO_ALERT_METRICS.UNREALIZED_PL:
+      return values.unrealizedPL
+    case PORTFOLIO_ALERT_METRICS.DRAWDOWN:
+      return values.drawdown
+    case PORTFOLIO_ALERT_METRICS.ALLOCATION:
+      // A coin that isn't held has no share of the holdings
+      return values.allocations[alert.coinId] ?? 0
+    default:
+      return null
+  }
+}
+
+/**
+ * Evaluate a portfolio alert
+ * @param {Object} alert - { metric, condition, threshold, coinId }
+ * @param {Object} values - Output of getPortfolioAlertValues
+ * @returns {Object} - { triggered, value }
+ */
+export const evaluatePortfolioAlert = (alert, values) => {
+  const value = getPortfolioAlertValue(alert, values)
+  if (value === null || value === undefined || !isFinite(value)) return { triggered: false, value: null }
+
+  const triggered = alert.condition === 'above' ? value >= alert.threshold : value <= alert.threshold
+  return { triggered, value }
+}
+
+/**
+ * Format a metric value for display
+ * @param {string} metric - Portfolio alert metric
+ * @param {number} value - Value (USD for the portfolio value, percent otherwise)
+ * @param {Function} formatCurrency - Currency formatter from PortfolioContext
+ * @returns {string}
+ */
+export const formatPortfolioAlertValue = (metric, value, formatCurrency) => {
+  if (value === null || value === undefined) return '—'
+  if (!isPercentMetric(metric)) return formatCurrency(value)
+  const sign = metric === PORTFOLIO_ALERT_METRICS.UNREALIZED_PL && value > 0 ? '+' : ''
+  return `${sign}${value.toFixed(2)}%`
+}
+
+const getSubject = (alert) => {
+  switch (alert.metric) {
+    case PORTFOLIO_ALERT_METRICS.TOTAL_VALUE:
+      return 'Portfolio value'
+    case PORTFOLIO_ALERT_METRICS.UNREALIZED_PL:
+      return 'Unrealized P/L'
+    case PORTFOLIO_ALERT_METRICS.DRAWDOWN:
+      return 'Drawdown from high'
+    default:
+      return `${alert.symbol || alert.coinId} allocation`
+  }
+}
+
+/**
+ * Short description of what an alert watches
+ * @param {Object} alert - { metric, condition, threshold, coinId, symbol }
+ * @param {Function} formatCurrency - Currency formatter from PortfolioContext
+ * @returns {string} - e.g. "SOL allocation above 35.00%"
+ */
+export const describePortfolioAlert = (alert, formatCurrency) => {
+  return `${getSubject(alert)} ${alert.condition} ${formatPortfolioAlertValue(alert.metric, alert.threshold, formatCurrency)}`
+}
+
+/**
+ * Notification text for a triggered portfolio alert
+ * @param {Object} alert - { metric, condition, threshold, coinId, symbol }
+ * @param {number} value - Value that triggered it
+ * @param {Function} formatCurrency - Currency formatter from PortfolioContext
+ * @returns {string}
+ */
+export const getPortfolioAlertMessage = (alert, value, formatCurrency) => {
+  const current = formatPortfolioAlertValue(alert.metric, value, formatCurrency)
+  const threshold = formatPortfolioAlertValue(alert.metric, alert.threshold, formatCurrency)
+  return `${getSubject(alert)} is ${current}, ${alert.condition} your ${threshold} alert`
+}
+
+export default {
+  PORTFOLIO_ALERT_METRICS,
+  PORTFOLIO_ALERT_METRIC_LABELS,
+  PORTFOLIO_ALERT_CONDITIONS,
+  isPercentMetric,
+  validatePortfolioAlert,
+  getPortfolioAlertValues,
+  getPortfolioAlertValue,
+  evaluatePortfolioAlert,
+  formatPortfolioAlertValue,
+  describePortfolioAlert,
+  getPortfolioAlertMessage
+}
@@ -0,0 +1,150 @@
+/**
+ * Realized Gains Utility
+ * Builds a ledger of locked-in profit/loss from SELL transactions
+ * Each sell is matched against tax lots (see costBasis.js) and rolled up by coin, month and year.
+ * Quantity sold without any lot to match has no known cost basis; it is counted
+ * separately as unmatched instead of being booked as gain
+ */
+
+import { buildTaxLots, DEFAULT_COST_BASIS_METHOD } from './costBasis'
+
+/**
+ * Create an empty totals bucket
+ * @param {Object} extra - Extra fields for the bucket (key, label, etc.)
+ * @returns {Object} - Totals bucket
+ */
+const createBucket = (extra = {}) => ({
+  ...extra,
+  proceeds: 0,
+  costBasis: 0,
+  realizedProfitLoss: 0,
+  unmatchedProceeds: 0,
+  sellCount: 0
+})
+
+/**
+ * Add a ledger entry into a totals bucket
+ * @param {Object} bucket - Totals bucket
+ * @param {Object} entry - Ledger entry
+ */
+const addToBucket = (bucket, entry) => {
+  bucket.proceeds += entry.proceeds
+  bucket.costBasis += entry.costBasis
+  bucket.realizedProfitLoss += entry.realizedProfitLoss
+  bucket.unmatchedProceeds += entry.unmatchedProceeds
+  bucket.sellCount += 1
+}
+
+/**
+ * Month key in YYYY-MM format
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} - Month key
+ */
+const getMonthKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 7)
+
+/**
+ * Build the realized gains ledger from the full transaction history
+ * @param {Array} transactions - Array of transactions (BUY and SELL)
+ * @param {string} method - Default cost basis method
+ * @param {Array} holdings - Holdings that seed opening lots for pre-ledger quantity
+ * @returns {Object} - { entries, bySellId, byCoin, byMonth, byYear, totals }
+ */
+export const buildRealizedGainsLedger = (transactions, method = DEFAULT_COST_BASIS_METHOD, holdings = []) => {
+  const lotsByCoin = buildTaxLots(transactions, method, holdings)
+  const sells = (transactions || []).filter(tx => tx.action === 'SELL')
+
+  // Group lot disposals back into one entry per SELL transaction
+  const disposalsBySell = {}
+  Object.values(lotsByCoin).forEach(entry => {
+    entry.closedLots.forEach(disposal => {
+      if (!disposalsBySell[disposal.sellTransactionId]) {
+        disposalsBySell[disposal.sellTransactionId] = []
+      }
+      disposalsBySell[disposal.sellTransactionId].push(disposal)
+    })
+  })
+
+  const entries = sells
+    .map(sell => {
+      const disposals = disposalsBySell[sell.id] || []
+      const matched = disposals.filter(d => !d.unmatched)
+      const unmatched = disposals.filter(d => d.unmatched)
+      const costBasis = matched.reduce((sum, d) => sum + d.costBasis, 0)
+      const proceeds = matched.reduce((sum, d) => sum + d.proceeds, 0)
+
+      return {
+        transactionId: sell.id,
+        coinId: sell.coinId,
+        symbol: sell.symbol,
+        name: sell.name,
+        timestamp: sell.timestamp,
+        quantity: sell.quantity,
+        proceeds,
+        costBasis,
+        realizedProfitLoss: proceeds - costBasis,
+        unmatchedQuantity: unmatched.reduce((sum, d) => sum + d.quantity, 0),
+        unmatchedProceeds: unmatched.reduce((sum, d) => sum + d.proceeds, 0),
+        disposals
+      }
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+
+  const bySellId = {}
+  const byCoin = {}
+  const byMonth = {}
+  const byYear = {}
+  const totals = createBucket()
+
+  entries.forEach(entry => {
+    bySellId[entry.transactionId] = entry
+
+    if (!byCoin[entry.coinId]) {
+      byCoin[entry.coinId] = createBucket({ key: entry.coinId, label: entry.symbol, name: entry.name })
+    }
+    addToBucket(byCoin[entry.coinId], entry)
+
+    const monthKey = getMonthKey(entry.timestamp)
+    if (!byMonth[monthKey]) {
+      byMonth[monthKey] = createBucket({ key: monthKey, label: monthKey })
+    }
+    addToBucket(byMonth[monthKey], entry)
+
+    const yearKey = monthKey.slice(0, 4)
+    if (!byYear[yearKey]) {
+      byYear[yearKey] = createBucket({ key: yearKey, label: yearKey })
+    }
+    addToBucket(byYear[yearKey], entry)
+
+    addToBucket(totals, entry)
+  })
+
+  return {
+    entries,
+    bySellId,
+    byCoin,
+    byMonth,
+    byYear,
+    totals
+  }
+}
+
+/**
+ * Convert a ledger grouping to a sorted array
+ * Month and year groups are sorted newest first, coin groups by largest absolute P/L
+ * @param {Object} group - One of byCoin, byMonth, byYear
+ * @returns {Array} - Sorted buckets
+ */
+export const sortLedgerGroup = (group) => {
+  const buckets = Object.values(group)
+  const isDateGroup = buckets.length > 0 && /^\d{4}(-\d{2})?$/.test(buckets[0].key)
+
+  if (isDateGroup) {
+    return buckets.sort((a, b) => b.key.localeCompare(a.key))
+  }
+  return buckets.sort((a, b) => Math.abs(b.realizedProfitLoss) - Math.abs(a.realizedProfitLoss))
+}
+
+export default {
+  buildRealizedGainsLedger,
+  sortLedgerGroup
+}
@@ -0,0 +1,231 @@
+/**
+ * Rebalancing Utility
+ * Target weights per coin or per category, drift against those targets, and the
+ * trade list that brings a portfolio back to target. Trades are self-funding:
+ * sell proceeds pay for the buys, fees included, so the cash balance is untouched.
+ */
+
+import { categorizeCoin, COIN_CATEGORY_LABELS } from './analytics'
+
+export const TARGET_MODES = {
+  COIN: 'coin',
+  CATEGORY: 'category'
+}
+
+export const TARGET_MODE_LABELS = {
+  coin: 'Per Coin',
+  category: 'Per Category'
+}
+
+// Percentage points a weight may drift from its target before rebalancing
+export const DEFAULT_DRIFT_TOLERANCE = 5
+
+// Trades smaller than this (USD) cost more in fees than they fix
+export const MIN_TRADE_VALUE = 1
+
+// Weights entered as percentages may not add up to exactly 100
+export const WEIGHT_EPSILON = 0.01
+
+/**
+ * Empty target allocation
+ * @param {string} mode - TARGET_MODES.COIN or TARGET_MODES.CATEGORY
+ * @returns {Object} - { mode, tolerance, weights }
+ */
+export const createTargetAllocation = (mode = TARGET_MODES.COIN) => ({
+  mode,
+  tolerance: DEFAULT_DRIFT_TOLERANCE,
+  weights: {}
+})
+
+/**
+ * Key a holding is weighted under
+ * @param {Object} coin - Holding
+ * @param {string} mode - Target mode
+ * @returns {string} - coinId (per coin) or category (per category)
+ */
+export const getAllocationKey = (coin, mode) => {
+  return mode === TARGET_MODES.CATEGORY ? categorizeCoin(coin) : coin.coinId
+}
+
+/**
+ * Check a target allocation before it is saved
+ * @param {Object} target - { mode, tolerance, weights }
+ * @returns {string|null} - Error message, null when valid
+ */
+export const validateTargetAllocation = (target) => {
+  if (!target || !Object.values(TARGET_MODES).includes(target.mode)) {
+    return 'Invalid target mode'
+  }
+  if (!(target.tolerance >= 0)) {
+    return 'Drift tolerance must be 0 or more'
+  }
+
+  const weights = Object.values(target.weights || {})
+  if (weights.some(weight => !(weight >= 0))) {
+    return 'Target weights must be 0% or more'
+  }
+
+  const total = weights.reduce((sum, weight) => sum + weight, 0)
+  if (Math.abs(total - 100) > WEIGHT_EPSILON) {
+    return `Target weights add up to ${total.toFixed(2)}%, they must total 100%`
+  }
+
+  return null
+}
+
+/**
+ * Current vs target weight for every coin or category
+ * Holdings without a target count as a 0% target.
+ * @param {Array} coins - Holdings (with currentPrice)
+ * @param {Object} target - { mode, tolerance, weights }
+ * @returns {Array} - [{ key, label, coins, value, targetValue, currentWeight, targetWeight, drift, tolerance, outOfBand }] sorted by target weight
+ */
+export const calculateAllocationDrift = (coins, target) => {
+  const mode = target?.mode || TARGET_MODES.COIN
+  const weights = target?.weights || {}
+  const tolerance = target?.tolerance ?? DEFAULT_DRIFT_TOLERANCE
+  const groups = {}
+  let totalValue = 0
+
+  const getLabel = (key, coin) => mode === TARGET_MODES.CATEGORY
+    ? COIN_CATEGORY_LABELS[key] || key
+    : coin?.symbol || key
+
+  for (const coin of coins || []) {
+    const key = getAllocationKey(coin, mode)
+    const value = coin.quantity * (coin.currentPrice || 0)
+    const group = groups[key] || (groups[key] = { key, label: getLabel(key, coin), coins: [], value: 0 })
+    group.coins.push(coin)
+    group.value += value
+    totalValue += value
+  }
+
+  // Targets for something not held (anymore) still show up as drift
+  for (const key of Object.keys(weights)) {
+    if (!groups[key]) groups[key] = { key, label: getLabel(key), coins: [], value: 0 }
+  }
+
+  return Object.values(groups)
+    .map(group => {
+      const currentWeight = totalValue > 0 ? (group.value / totalValue) * 100 : 0
+      const targetWeight = weights[group.key] || 0
+      const drift = currentWeight - targetWeight
+      return {
+        ...group,
+        targetValue: (totalValue * targetWeight) / 100,
+        currentWeight,
+        targetWeight,
+        drift,
+        tolerance,
+        outOfBand: Math.abs(drift) > tolerance
+      }
+    })
+    .sort((a, b) => b.targetWeight - a.targetWeight || b.value - a.value)
+}
+
+/**
+ * Trades that bring every coin or category back to its target weight
+ * Nothing is traded while all weights sit inside the tolerance band. A category's
+ * trade is split across the coins held in it by their current value. Sells go
+ * first and their proceeds, after fees, pay for the buys.
+ * @param {Array} coins - Holdings (with currentPrice)
+ * @param {Object} target - { mode, tolerance, weights }
+ * @param {Object} options - { feeRate } fee as a percentage of each trade's value
+ * @returns {Object} - { rows, needsRebalance, trades, skipped, totals: { sold, bought, fees, unspent } }
+ */
+export const generateRebalancePlan = (coins, target, options = {}) => {
+  const feeRate = (options.feeRate || 0) / 100
+  const rows = calculateAllocationDrift(coins, target)
+  const needsRebalance = rows.some(row => row.outOfBand)
+  const totals = { sold: 0, bought: 0, fees: 0, unspent: 0 }
+
+  if (!needsRebalance) {
+    return { rows, needsRebalance, trades: [], skipped: [], totals }
+  }
+
+  const sells = []
+  const buys = []
+  const skipped = []
+
+  for (const row of rows) {
+    const delta = row.targetValue - row.value
+    if (Math.abs(delta) < MIN_TRADE_VALUE) continue
+
+    // Nothing held to price the buy with (e.g. a category with no coins yet)
+    if (row.coins.length === 0) {
+      skipped.push(row)
+      continue
+    }
+
+    for (const coin of row.coins) {
+      const coinValue = coin.quantity * (coin.currentPrice || 0)
+      const share = row.value > 0 ? coinValue / row.value : 1 / row.coins.length
+      const amount = delta * share
+      if (Math.abs(amount) < MIN_TRADE_VALUE || !(coin.currentPrice > 0)) continue
+
+      if (amount < 0) {
+        sells.push({ coin, value: Math.min(-amount, coinValue) })
+      } else {
+        buys.push({ coin, value: amount })
+      }
+    }
+  }
+
+  const toTrade = (coin, action, quantity, fee) => ({
+    coinId: coin.coinId,
+    symbol: coin.symbol,
+    name: coin.name,
+    action,
+    quantity,
+    price: coin.currentPrice,
+    value: quantity * coin.currentPrice,
+    fee
+  })
+
+  const sellTrades = sells.map(({ coin, value }) => {
+    const fee = value * feeRate
+    totals.sold += value - fee
+    totals.fees += fee
+    return toTrade(coin, 'SELL', Math.min(value / coin.currentPrice, coin.quantity), fee)
+  })
+
+  // Spend the proceeds across the buys, never more than they asked for
+  const wanted = buys.reduce((sum, buy) => sum + buy.value, 0)
+  const scale = wanted > 0 ? Math.min(1, totals.sold / wanted) : 0
+
+  const buyTrades = buys
+    .map(({ coin, value }) => {
+      const spend = value * scale
+      const quantity = spend / (1 + feeRate) / coin.currentPrice
+      return toTrade(coin, 'BUY', quantity, spend - quantity * coin.currentPrice)
+    })
+    .filter(trade => trade.value >= MIN_TRADE_VALUE)
+
+  for (const trade of buyTrades) {
+    totals.bought += trade.value + trade.fee
+    totals.fees += trade.fee
+  }
+
+  totals.unspent = Math.max(totals.sold - totals.bought, 0)
+
+  return {
+    rows,
+    needsRebalance,
+    trades: [...sellTrades, ...buyTrades],
+    skipped,
+    totals
+  }
+}
+
+export default {
+  TARGET_MODES,
+  TARGET_MODE_LABELS,
+  DEFAULT_DRIFT_TOLERANCE,
+  MIN_TRADE_VALUE,
+  WEIGHT_EPSILON,
+  createTargetAllocation,
+  getAllocationKey,
+  validateTargetAllocation,
+  calculateAllocationDrift,
+  generateRebalancePlan
+}
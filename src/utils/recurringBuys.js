@@ -0,0 +1,149 @@
+/**
+ * Recurring Buy Utility
+ * Schedules for dollar-cost averaging plans: which runs are due, which are coming up.
+ * Dates are calendar days (YYYY-MM-DD, UTC) anchored on the plan's start date, so a
+ * monthly plan started on the 31st runs on the last day of shorter months.
+ */
+
+export const DCA_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  MONTHLY: 'monthly'
+}
+
+export const DCA_FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  biweekly: 'Every 2 Weeks',
+  monthly: 'Monthly'
+}
+
+const DAYS_PER_RUN = {
+  daily: 1,
+  weekly: 7,
+  biweekly: 14
+}
+
+// Daily plans left alone for years shouldn't replay forever
+const MAX_RUNS = 5000
+
+/**
+ * Today's calendar date
+ * @param {Date|number} now - Reference time (defaults to now)
+ * @returns {string} - YYYY-MM-DD (UTC)
+ */
+export const toPlanDate = (now = Date.now()) => {
+  return new Date(now).toISOString().split('T')[0]
+}
+
+/**
+ * Day after a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - YYYY-MM-DD
+ */
+const getRunDateAfter = (date) => {
+  return toPlanDate(new Date(`${date}T00:00:00Z`).getTime() + 86400000)
+}
+
+/**
+ * Date of a plan's nth run
+ * @param {string} startDate - First run (YYYY-MM-DD)
+ * @param {string} frequency - One of DCA_FREQUENCIES
+ * @param {number} index - Run number, 0 is the start date
+ * @returns {string} - YYYY-MM-DD
+ */
+export const getRunDate = (startDate, frequency, index) => {
+  const start = new Date(`${startDate}T00:00:00Z`)
+
+  if (frequency === DCA_FREQUENCIES.MONTHLY) {
+    const year = start.getUTCFullYear()
+    const month = start.getUTCMonth() + index
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+    return toPlanDate(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)))
+  }
+
+  return toPlanDate(start.getTime() + index * (DAYS_PER_RUN[frequency] || 1) * 86400000)
+}
+
+/**
+ * Run dates of a plan within a range
+ * @param {Object} plan - { startDate, endDate, frequency }
+ * @param {string} from - First day included (YYYY-MM-DD)
+ * @param {string} until - Last day included (YYYY-MM-DD)
+ * @param {number} limit - Maximum number of dates
+ * @returns {Array} - YYYY-MM-DD dates, oldest first
+ */
+export const getRunDates = (plan, from, until, limit = MAX_RUNS) => {
+  const dates = []
+
+  for (let index = 0; index < MAX_RUNS && dates.length < limit; index++) {
+    const date = getRunDate(plan.startDate, plan.frequency, index)
+    if (date > until || (plan.endDate && date > plan.endDate)) break
+    if (date >= from) dates.push(date)
+  }
+
+  return dates
+}
+
+/**
+ * Runs that are due and still waiting for review
+ * @param {Object} plan - { startDate, endDate, frequency, nextRunDate, isActive }
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array} - YYYY-MM-DD dates, oldest first
+ */
+export const getDueRuns = (plan, today = toPlanDate()) => {
+  if (!plan.isActive) return []
+  return getRunDates(plan, plan.nextRunDate || plan.startDate, today)
+}
+
+/**
+ * Next runs after today
+ * @param {Object} plan - { startDate, endDate, frequency, nextRunDate, isActive }
+ * @param {number} count - Number of runs
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array} - YYYY-MM-DD dates, oldest first
+ */
+export const getUpcomingRuns = (plan, count = 3, today = toPlanDate()) => {
+  if (!plan.isActive) return []
+  const nextRunDate = plan.nextRunDate || plan.startDate
+  const tomorrow = getRunDateAfter(today)
+  const from = nextRunDate > tomorrow ? nextRunDate : tomorrow
+  return getRunDates(plan, from, '9999-12-31', count)
+}
+
+/**
+ * First run after a handled date (executed or skipped)
+ * @param {Object} plan - { startDate, endDate, frequency }
+ * @param {string} date - Last handled run (YYYY-MM-DD)
+ * @returns {string|null} - YYYY-MM-DD, null once the plan has ended
+ */
+export const getNextRunDate = (plan, date) => {
+  return getRunDates(plan, getRunDateAfter(date), '9999-12-31', 1)[0] || null
+}
+
+/**
+ * Check a plan before it is saved
+ * @param {Object} plan - { coinId, amount, frequency, startDate, endDate }
+ * @returns {string|null} - Error message, null when valid
+ */
+export const validateRecurringBuy = (plan) => {
+  if (!plan.coinId) return 'Pick a coin to buy'
+  if (!(plan.amount > 0)) return 'Amount must be greater than 0'
+  if (!Object.values(DCA_FREQUENCIES).includes(plan.frequency)) return 'Invalid frequency'
+  if (!plan.startDate) return 'Start date is required'
+  if (plan.endDate && plan.endDate < plan.startDate) return 'End date must be after the start date'
+  return null
+}
+
+export default {
+  DCA_FREQUENCIES,
+  DCA_FREQUENCY_LABELS,
+  toPlanDate,
+  getRunDate,
+  getRunDates,
+  getDueRuns,
+  getUpcomingRuns,
+  getNextRunDate,
+  validateRecurringBuy
+}
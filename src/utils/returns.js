@@ -0,0 +1,234 @@
+/**
+ * Return Metrics Utility
+ * Time-weighted (TWR) and money-weighted (XIRR) returns from daily values
+ * and transaction cash flows, so deposits are not counted as performance
+ */
+
+import { getTransactionFee, isTransferTransaction, isIncomeTransaction, isCashTransaction } from './costBasis'
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+const DAYS_PER_YEAR = 365
+
+// Annualizing anything shorter turns a few percent into four-digit rates
+const MIN_ANNUALIZE_DAYS = 30
+
+export const RETURN_WINDOWS = {
+  '7D': { label: '7D', days: 7 },
+  '30D': { label: '30D', days: 30 },
+  '90D': { label: '90D', days: 90 },
+  YTD: { label: 'YTD', days: null },
+  ALL: { label: 'All', days: null }
+}
+
+/**
+ * Resolve the first day (YYYY-MM-DD) of a return window
+ * @param {string} windowKey - Key of RETURN_WINDOWS
+ * @param {string} firstDate - Earliest date with data (used for ALL)
+ * @returns {string} - Window start date
+ */
+export const getWindowStartDate = (windowKey, firstDate) => {
+  const now = new Date()
+  let start
+
+  if (windowKey === 'YTD') {
+    start = `${now.getUTCFullYear()}-01-01`
+  } else if (windowKey === 'ALL') {
+    start = firstDate
+  } else {
+    start = new Date(now.getTime() - RETURN_WINDOWS[windowKey].days * MS_PER_DAY).toISOString().split('T')[0]
+  }
+
+  return firstDate && start < firstDate ? firstDate : start
+}
+
+/**
+ * Net cash flow per day into the portfolio (buys add money, sells take it out)
+ * Cash fees are part of the flow; coin fees only show up in the value.
+ * Transfers between locations are not flows, income received in coin is
+ * return rather than a deposit, and cash deposits only move money within the account.
+ * @param {Array} transactions - Transaction history
+ * @returns {Object} - YYYY-MM-DD -> net flow
+ */
+export const getDailyCashFlows = (transactions) => {
+  return (transactions || []).reduce((flows, tx) => {
+    if (isTransferTransaction(tx) || isIncomeTransaction(tx) || isCashTransaction(tx)) return flows
+
+    const date = new Date(tx.timestamp).toISOString().split('T')[0]
+    const gross = tx.quantity * tx.price
+    const { cashFee } = getTransactionFee(tx)
+    const flow = tx.action === 'SELL' ? -(gross - cashFee) : gross + cashFee
+
+    flows[date] = (flows[date] || 0) + flow
+    return flows
+  }, {})
+}
+
+/**
+ * Sum the flows after one date up to and including another
+ * @param {Object} flows - Daily cash flows
+ * @param {string} fromDate - Exclusive lower bound
+ * @param {string} toDate - Inclusive upper bound
+ * @returns {number} - Net flow
+ */
+const sumFlowsBetween = (flows, fromDate, toDate) => {
+  return Object.entries(flows)
+    .filter(([date]) => date > fromDate && date <= toDate)
+    .reduce((sum, [, flow]) => sum + flow, 0)
+}
+
+/**
+ * Chain daily sub-period returns into a growth index starting at 100
+ * Flows are assumed to land at the end of their day, so each day's return is
+ * (value - flow) / previous value. Days starting from zero value are skipped.
+ * @param {Array} series - Daily values ({ date, value }), oldest first
+ * @param {Object} flows - Daily cash flows
+ * @returns {Array} - Series with percentage (index level) added
+ */
+export const buildTimeWeightedIndex = (series, flows = {}) => {
+  if (!series || series.length === 0) return []
+
+  let index = 100
+  return series.map((point, i) => {
+    if (i > 0) {
+      const previous = series[i - 1]
+      const flow = sumFlowsBetween(flows, previous.date, point.date)
+      if (previous.value > 0) {
+        index *= (point.value - flow) / previous.value
+      }
+    }
+    return { ...point, percentage: index }
+  })
+}
+
+/**
+ * Time-weighted return over a series (removes the effect of deposits and withdrawals)
+ * @param {Array} series - Daily values ({ date, value }), oldest first
+ * @param {Object} flows - Daily cash flows
+ * @returns {number|null} - Return in percent, null without enough data
+ */
+export const calculateTWR = (series, flows = {}) => {
+  if (!series || series.length < 2) return null
+
+  const index = buildTimeWeightedIndex(series, flows)
+  return index[index.length - 1].percentage - 100
+}
+
+/**
+ * Annualized internal rate of return for irregular cash flows
+ * Newton-Raphson with a bisection fallback when it does not converge.
+ * @param {Array} cashFlows - { date, amount } from the investor's side (money in negative)
+ * @returns {number|null} - Annual rate as a fraction, null if there is no solution
+ */
+export const calculateXIRR = (cashFlows) => {
+  const flows = (cashFlows || []).filter(cf => cf.amount !== 0)
+  if (!flows.some(cf => cf.amount < 0) || !flows.some(cf => cf.amount > 0)) return null
+
+  const firstTime = Math.min(...flows.map(cf => new Date(cf.date).getTime()))
+  const years = flows.map(cf => (new Date(cf.date).getTime() - firstTime) / MS_PER_DAY / DAYS_PER_YEAR)
+
+  const npv = (rate) => flows.reduce((sum, cf, i) => sum + cf.amount / Math.pow(1 + rate, years[i]), 0)
+  const derivative = (rate) => flows.reduce((sum, cf, i) => sum - years[i] * cf.amount / Math.pow(1 + rate, years[i] + 1), 0)
+
+  let rate = 0.1
+  for (let i = 0; i < 100; i++) {
+    const value = npv(rate)
+    const slope = derivative(rate)
+    if (!isFinite(value) || !isFinite(slope) || slope === 0) break
+
+    const next = rate - value / slope
+    if (next <= -1 || !isFinite(next)) break
+    if (Math.abs(next - rate) < 1e-10) return next
+    rate = next
+  }
+
+  // Bisection: widen the upper bound until the NPV changes sign
+  let low = -0.999999
+  let high = 1
+  while (npv(low) * npv(high) > 0 && high < 1e9) {
+    high *= 10
+  }
+  if (npv(low) * npv(high) > 0) return null
+
+  for (let i = 0; i < 300; i++) {
+    const mid = (low + high) / 2
+    if (npv(low) * npv(mid) <= 0) {
+      high = mid
+    } else {
+      low = mid
+    }
+    if (high - low < 1e-10) break
+  }
+  return (low + high) / 2
+}
+
+/**
+ * Compute TWR and money-weighted return for one window
+ * The starting value counts as the initial investment and the ending value as the final payout.
+ * @param {Array} series - Daily values ({ date, value }), oldest first
+ * @param {Array} transactions - Transaction history
+ * @param {string} windowKey - Key of RETURN_WINDOWS
+ * @returns {Object} - { window, startDate, endDate, startValue, endValue, netFlow, twr, xirr (annualized, null under 30 days), mwr }
+ */
+export const calculateReturnMetrics = (series, transactions, windowKey = 'ALL') => {
+  const empty = { window: windowKey, startDate: null, endDate: null, startValue: 0, endValue: 0, netFlow: 0, twr: null, xirr: null, mwr: null }
+  if (!series || series.length === 0) return empty
+
+  const startDate = getWindowStartDate(windowKey, series[0].date)
+  const windowSeries = series.filter(point => point.date >= startDate)
+  if (windowSeries.length < 2) return empty
+
+  const flows = getDailyCashFlows(transactions)
+  const start = windowSeries[0]
+  const end = windowSeries[windowSeries.length - 1]
+
+  const twr = calculateTWR(windowSeries, flows)
+
+  const investorFlows = [
+    { date: start.date, amount: -start.value },
+    ...Object.entries(flows)
+      .filter(([date]) => date > start.date && date <= end.date)
+      .map(([date, flow]) => ({ date, amount: -flow })),
+    { date: end.date, amount: end.value }
+  ]
+  const xirr = calculateXIRR(investorFlows)
+
+  // De-annualize so the money-weighted figure covers the same period as TWR
+  const periodDays = (new Date(end.date) - new Date(start.date)) / MS_PER_DAY
+  const mwr = xirr === null ? null : (Math.pow(1 + xirr, periodDays / DAYS_PER_YEAR) - 1) * 100
+
+  return {
+    window: windowKey,
+    startDate: start.date,
+    endDate: end.date,
+    startValue: start.value,
+    endValue: end.value,
+    netFlow: sumFlowsBetween(flows, start.date, end.date),
+    twr,
+    xirr: xirr === null || periodDays < MIN_ANNUALIZE_DAYS ? null : xirr * 100,
+    mwr
+  }
+}
+
+/**
+ * Percentage change of a benchmark price series over a window
+ * @param {Array} series - Historical prices ({ date, value }), oldest first
+ * @param {string} startDate - Window start (YYYY-MM-DD)
+ * @returns {number|null} - Return in percent
+ */
+export const calculateBenchmarkReturn = (series, startDate) => {
+  const windowSeries = (series || []).filter(point => point.date >= startDate)
+  if (windowSeries.length < 2 || windowSeries[0].value === 0) return null
+
+  return (windowSeries[windowSeries.length - 1].value / windowSeries[0].value - 1) * 100
+}
+
+export default {
+  RETURN_WINDOWS,
+  getWindowStartDate,
+  getDailyCashFlows,
+  buildTimeWeightedIndex,
+  calculateTWR,
+  calculateXIRR,
+  calculateReturnMetrics,
+  calculateBenchmarkReturn
+}
@@ -0,0 +1,271 @@
+/**
+ * Risk Metrics Utility
+ * Statistical risk from daily returns: volatility, Sharpe, Sortino, max drawdown
+ * and beta to Bitcoin. Works for coin price series and for the portfolio value
+ * series, where cash flows are stripped out first so buying more isn't a "return".
+ */
+
+import { buildTimeWeightedIndex } from './returns'
+
+// Crypto trades every day, so annualize over calendar days
+const DAYS_PER_YEAR = 365
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+// Fewer daily returns than this and the numbers are mostly noise
+export const MIN_RETURN_OBSERVATIONS = 14
+
+export const RISK_WINDOWS = {
+  '30D': { label: '30D', days: 30 },
+  '90D': { label: '90D', days: 90 },
+  '1Y': { label: '1Y', days: 365 }
+}
+
+/**
+ * First day (YYYY-MM-DD) of a trailing window
+ * @param {number} days - Window length
+ * @param {Date|number} now - Reference time (defaults to now)
+ * @returns {string} - YYYY-MM-DD
+ */
+export const getRiskWindowStartDate = (days, now = Date.now()) => {
+  return new Date(new Date(now).getTime() - days * MS_PER_DAY).toISOString().split('T')[0]
+}
+
+/**
+ * Daily returns of a value series
+ * Duplicate dates keep their latest value (the price API appends today's live price).
+ * @param {Array} series - Daily values ({ date, value }), oldest first
+ * @param {Object} flows - YYYY-MM-DD -> net money added that day
+ * @returns {Array} - [{ date, value }] with value as a fraction (0.01 = +1%)
+ */
+export const getDailyReturns = (series, flows = {}) => {
+  const byDate = new Map((series || []).filter(point => point.value > 0).map(point => [point.date, point]))
+  const index = buildTimeWeightedIndex([...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)), flows)
+
+  return index.slice(1).map((point, i) => ({
+    date: point.date,
+    value: point.percentage / index[i].percentage - 1
+  }))
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0
+  const average = mean(values)
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1))
+}
+
+/**
+ * Annualized volatility
+ * @param {Array} returns - Output of getDailyReturns
+ * @returns {number} - Standard deviation in percent per year
+ */
+export const calculateVolatility = (returns) => {
+  return standardDeviation(returns.map(r => r.value)) * Math.sqrt(DAYS_PER_YEAR) * 100
+}
+
+/**
+ * Sharpe ratio: annualized excess return per unit of volatility
+ * @param {Array} returns - Output of getDailyReturns
+ * @param {number} riskFreeRate - Annual risk-free rate as a fraction
+ * @returns {number|null} - Ratio, null when the series never moved
+ */
+export const calculateSharpeRatio = (returns, riskFreeRate = 0) => {
+  const values = returns.map(r => r.value)
+  const deviation = standardDeviation(values)
+  if (deviation === 0) return null
+
+  return (mean(values) * DAYS_PER_YEAR - riskFreeRate) / (deviation * Math.sqrt(DAYS_PER_YEAR))
+}
+
+/**
+ * Sortino ratio: like Sharpe, but only falling days count as risk
+ * @param {Array} returns - Output of getDailyReturns
+ * @param {number} riskFreeRate - Annual risk-free rate as a fraction
+ * @returns {number|null} - Ratio, null without a single down day
+ */
+export const calculateSortinoRatio = (returns, riskFreeRate = 0) => {
+  const values = returns.map(r => r.value)
+  if (values.length === 0) return null
+
+  const downside = Math.sqrt(values.reduce((sum, value) => sum + Math.min(value, 0) ** 2, 0) / values.length)
+  if (downside === 0) return null
+
+  return (mean(values) * DAYS_PER_YEAR - riskFreeRate) / (downside * Math.sqrt(DAYS_PER_YEAR))
+}
+
+/**
+ * Worst peak-to-trough fall
+ * Measured on a time-weighted index so new money doesn't hide losses.
+ * @param {Array} series - Daily values ({ date, value }), oldest first
+ * @param {Object} flows - YYYY-MM-DD -> net money added that day
+ * @returns {number} - Drawdown in percent (positive number)
+ */
+export const calculateMaxDrawdown = (series, flows = {}) => {
+  let peak = 0
+  let maxDrawdown = 0
+
+  for (const point of buildTimeWeightedIndex(series, flows)) {
+    peak = Math.max(peak, point.percentage)
+    if (peak > 0) {
+      maxDrawdown = Math.max(maxDrawdown, (peak - point.percentage) / peak * 100)
+    }
+  }
+
+  return maxDrawdown
+}
+
+/**
+ * How far the latest value sits below the highest point so far
+ * Measured on a time-weighted index so new money doesn't hide losses.
+ * @param {Array} series - Daily values ({ date, value }), oldest first
+ * @param {Object} flows - YYYY-MM-DD -> net money added that day
+ * @returns {number|null} - Drawdown in percent (positive number), null without data
+ */
+export const calculateCurrentDrawdown = (series, flows = {}) => {
+  const index = buildTimeWeightedIndex(series, flows)
+  if (index.length === 0) return null
+
+  const peak = Math.max(...index.map(point => point.percentage))
+  const latest = index[index.length - 1].percentage
+  return peak > 0 ? Math.max(0, (peak - latest) / peak * 100) : null
+}
+
+/**
+ * Beta: how strongly returns follow the benchmark's (1 = moves with it)
+ * Only days present in both series are compared.
+ * @param {Array} returns - Output of getDailyReturns
+ * @param {Array} benchmarkReturns - Benchmark output of getDailyReturns
+ * @returns {number|null} - Beta, null without enough overlapping days
+ */
+export const calculateBeta = (returns, benchmarkReturns) => {
+  const benchmarkByDate = new Map(benchmarkReturns.map(r => [r.date, r.value]))
+  const pairs = returns.filter(r => benchmarkByDate.has(r.date)).map(r => [r.value, benchmarkByDate.get(r.date)])
+  if (pairs.length < MIN_RETURN_OBSERVATIONS) return null
+
+  const assetMean = mean(pairs.map(([asset]) => asset))
+  const benchmarkMean = mean(pairs.map(([, benchmark]) => benchmark))
+  const covariance = pairs.reduce((sum, [asset, benchmark]) => sum + (asset - assetMean) * (benchmark - benchmarkMean), 0)
+  const variance = pairs.reduce((sum, [, benchmark]) => sum + (benchmark - benchmarkMean) ** 2, 0)
+
+  return variance === 0 ? null : covariance / variance
+}
+
+/**
+ * Pearson correlation of two return series over the days they share
+ * @param {Array} returnsA - Output of getDailyReturns
+ * @param {Array} returnsB - Output of getDailyReturns
+ * @returns {number|null} - -1 to 1, null without enough overlapping days
+ */
+export const calculateCorrelation = (returnsA, returnsB) => {
+  const byDate = new Map(returnsB.map(r => [r.date, r.value]))
+  const pairs = returnsA.filter(r => byDate.has(r.date)).map(r => [r.value, byDate.get(r.date)])
+  if (pairs.length < MIN_RETURN_OBSERVATIONS) return null
+
+  const meanA = mean(pairs.map(([a]) => a))
+  const meanB = mean(pairs.map(([, b]) => b))
+  let covariance = 0
+  let varianceA = 0
+  let varianceB = 0
+  for (const [a, b] of pairs) {
+    covariance += (a - meanA) * (b - meanB)
+    varianceA += (a - meanA) ** 2
+    varianceB += (b - meanB) ** 2
+  }
+
+  if (varianceA === 0 || varianceB === 0) return null
+  return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceA * varianceB)))
+}
+
+/**
+ * Pairwise correlations between several return series
+ * @param {Object} returnsByKey - key -> output of getDailyReturns
+ * @returns {Object} - { keys, matrix } where matrix[i][j] is null when a pair lacks data
+ */
+export const calculateCorrelationMatrix = (returnsByKey) => {
+  const keys = Object.keys(returnsByKey)
+  const matrix = keys.map(() => keys.map(() => null))
+
+  keys.forEach((keyA, i) => {
+    matrix[i][i] = returnsByKey[keyA].length >= MIN_RETURN_OBSERVATIONS ? 1 : null
+    keys.slice(i + 1).forEach((keyB, offset) => {
+      const j = i + 1 + offset
+      matrix[i][j] = matrix[j][i] = calculateCorrelation(returnsByKey[keyA], returnsByKey[keyB])
+    })
+  })
+
+  return { keys, matrix }
+}
+
+/**
+ * Effective number of independent bets: 1 / (w' C w) with weights summing to 1
+ * Uncorrelated holdings give 1 / sum of squared weights, holdings that move in
+ * lockstep count as a single bet however many there are.
+ * Holdings without price history are left out.
+ * @param {Array} weights - Portfolio weights, same order as the matrix
+ * @param {Array} matrix - Correlation matrix from calculateCorrelationMatrix
+ * @returns {number|null} - Between 1 and the number of holdings, null without data
+ */
+export const calculateEffectiveBets = (weights, matrix) => {
+  const included = weights.map((weight, i) => weight > 0 && matrix[i][i] !== null)
+  const total = weights.reduce((sum, weight, i) => sum + (included[i] ? weight : 0), 0)
+  if (total === 0) return null
+
+  const w = weights.map((weight, i) => included[i] ? weight / total : 0)
+  let variance = 0
+  for (let i = 0; i < w.length; i++) {
+    for (let j = 0; j < w.length; j++) {
+      // Unknown pairs count as fully correlated, the cautious reading
+      variance += w[i] * w[j] * (matrix[i][j] ?? 1)
+    }
+  }
+
+  if (!(variance > 0)) return null
+  return Math.max(1, Math.min(included.filter(Boolean).length, 1 / variance))
+}
+
+/**
+ * All risk metrics for one series over a trailing window
+ * @param {Array} series - Daily values ({ date, value }), oldest first
+ * @param {Array} benchmarkSeries - Bitcoin prices ({ date, value }) for beta
+ * @param {Object} options - { days, flows, riskFreeRate }
+ * @returns {Object|null} - { startDate, endDate, observations, volatility, sharpe, sortino, maxDrawdown, beta }, null without enough data
+ */
+export const calculateRiskMetrics = (series, benchmarkSeries = [], options = {}) => {
+  const { days, flows = {}, riskFreeRate = 0 } = options
+  const startDate = days ? getRiskWindowStartDate(days) : null
+  const windowSeries = (series || []).filter(point => !startDate || point.date >= startDate)
+
+  const returns = getDailyReturns(windowSeries, flows)
+  if (returns.length < MIN_RETURN_OBSERVATIONS) return null
+
+  const benchmarkReturns = getDailyReturns((benchmarkSeries || []).filter(point => !startDate || point.date >= startDate))
+
+  return {
+    startDate: windowSeries[0].date,
+    endDate: windowSeries[windowSeries.length - 1].date,
+    observations: returns.length,
+    volatility: calculateVolatility(returns),
+    sharpe: calculateSharpeRatio(returns, riskFreeRate),
+    sortino: calculateSortinoRatio(returns, riskFreeRate),
+    maxDrawdown: calculateMaxDrawdown(windowSeries, flows),
+    beta: calculateBeta(returns, benchmarkReturns)
+  }
+}
+
+export default {
+  MIN_RETURN_OBSERVATIONS,
+  RISK_WINDOWS,
+  getRiskWindowStartDate,
+  getDailyReturns,
+  calculateVolatility,
+  calculateSharpeRatio,
+  calculateSortinoRatio,
+  calculateMaxDrawdown,
+  calculateCurrentDrawdown,
+  calculateBeta,
+  calculateCorrelation,
+  calculateCorrelationMatrix,
+  calculateEffectiveBets,
+  calculateRiskMetrics
+}
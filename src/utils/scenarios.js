@@ -0,0 +1,195 @@
+/**
+ * Scenario Utility
+ * Stress tests for the current holdings: hand-picked price moves, a market move
+ * propagated by beta, or a replay of how each coin moved during a past period.
+ * Every scenario boils down to a percentage move per coin, applied to today's prices.
+ */
+
+import { findPriceOnDate } from '../services/historicalApi'
+import { STABLECOIN_IDS } from './cash'
+
+export const SCENARIO_TYPES = {
+  MARKET: 'market',
+  CUSTOM: 'custom',
+  HISTORICAL: 'historical'
+}
+
+export const SCENARIO_TYPE_LABELS = {
+  market: 'Market Shock',
+  custom: 'Custom Moves',
+  historical: 'Historical Replay'
+}
+
+// Past sell-offs worth replaying, peak to trough in BTC. The public history API only
+// reaches back a year, so their moves (% between approximate daily closes) ship with
+// the app; coins not listed follow Bitcoin scaled by the alt beta.
+export const HISTORICAL_SCENARIOS = [
+  {
+    id: 'covid-2020',
+    label: 'COVID Crash (Mar 2020)',
+    startDate: '2020-03-08',
+    endDate: '2020-03-12',
+    moves: { bitcoin: -38, ethereum: -44, ripple: -36, litecoin: -40, cardano: -42, binancecoin: -37 }
+  },
+  {
+    id: 'china-ban-2021',
+    label: 'China Mining Ban (May 2021)',
+    startDate: '2021-05-12',
+    endDate: '2021-05-19',
+    moves: { bitcoin: -25, ethereum: -36, ripple: -32, litecoin: -45, cardano: -20, solana: -35, binancecoin: -48, dogecoin: -27 }
+  },
+  {
+    id: 'luna-2022',
+    label: 'Terra/LUNA Collapse (May 2022)',
+    startDate: '2022-05-05',
+    endDate: '2022-05-12',
+    moves: { bitcoin: -21, ethereum: -29, ripple: -37, cardano: -39, solana: -45, binancecoin: -28, dogecoin: -37, 'terra-luna': -99.9 }
+  },
+  {
+    id: 'ftx-2022',
+    label: 'FTX Collapse (Nov 2022)',
+    startDate: '2022-11-06',
+    endDate: '2022-11-09',
+    moves: { bitcoin: -24, ethereum: -30, ripple: -25, cardano: -24, solana: -52, binancecoin: -19, dogecoin: -28, 'ftx-token': -88 }
+  }
+]
+
+// Custom replays read the public history API, which only covers the last year
+export const MAX_REPLAY_DAYS = 365
+
+export const MARKET_COIN_ID = 'bitcoin'
+export const DEFAULT_ALT_BETA = 1.5
+
+/**
+ * Price moves for a market-wide shock
+ * Bitcoin takes the market move, other coins the move times their beta,
+ * stablecoins hold their peg.
+ * @param {Array} coins - Coins from PortfolioContext
+ * @param {Object} options - { marketMove (%), altBeta, betaByCoin: { coinId: beta } }
+ * @returns {Object} - coinId -> { move (%), source }
+ */
+export const buildMarketShocks = (coins, options = {}) => {
+  const { marketMove = 0, altBeta = DEFAULT_ALT_BETA, betaByCoin = {} } = options
+
+  return Object.fromEntries(coins.map(coin => {
+    if (coin.coinId === MARKET_COIN_ID) return [coin.coinId, { move: marketMove, source: 'market' }]
+    if (STABLECOIN_IDS.includes(coin.coinId)) return [coin.coinId, { move: 0, source: 'pegged' }]
+
+    const measured = betaByCoin[coin.coinId]
+    const beta = measured ?? altBeta
+    return [coin.coinId, { move: marketMove * beta, beta, source: measured === undefined ? 'beta' : 'measured' }]
+  }))
+}
+
+/**
+ * Price moves from a past period
+ * Coins without history for the period follow Bitcoin scaled by the alt beta.
+ * @param {Array} coins - Coins from PortfolioContext
+ * @param {Object} seriesByCoin - coinId -> historical data ({ date, timestamp, value })
+ * @param {Object} period - { startDate, endDate, altBeta }
+ * @returns {Object} - coinId -> { move (%), source }
+ */
+export const buildHistoricalShocks = (coins, seriesByCoin, period) => {
+  const getMove = (series) => {
+    if (!series || series.length === 0) return null
+    const start = findPriceOnDate(series, `${period.startDate}T23:59:59Z`)
+    const end = findPriceOnDate(series, `${period.endDate}T23:59:59Z`)
+    // Series that begin after the period can't say anything about it
+    if (!start || !end || start.date > period.startDate || !(start.value > 0)) return null
+    return (end.value / start.value - 1) * 100
+  }
+
+  const moves = Object.fromEntries(Object.entries(seriesByCoin).map(([coinId, series]) => [coinId, getMove(series)]))
+  return buildPresetShocks(coins, { moves, altBeta: period.altBeta })
+}
+
+/**
+ * Price moves from a period whose moves are already known
+ * Coins without a move follow Bitcoin scaled by the alt beta.
+ * @param {Array} coins - Coins from PortfolioContext
+ * @param {Object} period - { moves: { coinId: move (%) }, altBeta }
+ * @returns {Object} - coinId -> { move (%), source }
+ */
+export const buildPresetShocks = (coins, period) => {
+  const moves = period.moves || {}
+  const marketMove = moves[MARKET_COIN_ID] ?? null
+  const altBeta = period.altBeta ?? DEFAULT_ALT_BETA
+
+  return Object.fromEntries(coins.map(coin => {
+    const move = moves[coin.coinId] ?? null
+    if (move !== null) return [coin.coinId, { move, source: 'historical' }]
+    if (STABLECOIN_IDS.includes(coin.coinId)) return [coin.coinId, { move: 0, source: 'pegged' }]
+    if (marketMove === null) return [coin.coinId, { move: null, source: 'missing' }]
+    return [coin.coinId, { move: marketMove * altBeta, beta: altBeta, source: 'beta' }]
+  }))
+}
+
+/**
+ * Apply price moves to the current holdings
+ * Prices can't fall below zero, so moves are floored at -100%.
+ * @param {Array} coins - Coins from PortfolioContext (quantity, currentPrice)
+ * @param {Object} shocks - coinId -> { move (%), source }, coins without a move stay flat
+ * @param {number} cash - Cash balance, unaffected by price moves
+ * @returns {Object} - { rows, totals }
+ */
+export const applyScenario = (coins, shocks, cash = 0) => {
+  const currentTotal = coins.reduce((sum, coin) => sum + coin.quantity * coin.currentPrice, 0)
+
+  const projected = coins.map(coin => {
+    const shock = shocks[coin.coinId] || { move: 0, source: 'flat' }
+    const move = Math.max(-100, shock.move ?? 0)
+    const currentValue = coin.quantity * coin.currentPrice
+    const projectedPrice = coin.currentPrice * (1 + move / 100)
+
+    return {
+      coinId: coin.coinId,
+      symbol: coin.symbol,
+      name: coin.name,
+      source: shock.source,
+      beta: shock.beta ?? null,
+      move,
+      currentPrice: coin.currentPrice,
+      projectedPrice,
+      currentValue,
+      projectedValue: coin.quantity * projectedPrice,
+      change: coin.quantity * projectedPrice - currentValue
+    }
+  })
+
+  const projectedTotal = projected.reduce((sum, row) => sum + row.projectedValue, 0)
+  const change = projectedTotal - currentTotal
+
+  const rows = projected
+    .map(row => {
+      const currentWeight = currentTotal > 0 ? (row.currentValue / currentTotal) * 100 : 0
+      const projectedWeight = projectedTotal > 0 ? (row.projectedValue / projectedTotal) * 100 : 0
+      return { ...row, currentWeight, projectedWeight, weightChange: projectedWeight - currentWeight }
+    })
+    .sort((a, b) => a.change - b.change)
+
+  return {
+    rows,
+    totals: {
+      currentValue: currentTotal,
+      projectedValue: projectedTotal,
+      change,
+      changePercentage: currentTotal > 0 ? (change / currentTotal) * 100 : 0,
+      cash,
+      // Cash dampens the hit on the account as a whole
+      accountChangePercentage: currentTotal + cash > 0 ? (change / (currentTotal + cash)) * 100 : 0
+    }
+  }
+}
+
+export default {
+  SCENARIO_TYPES,
+  SCENARIO_TYPE_LABELS,
+  HISTORICAL_SCENARIOS,
+  MAX_REPLAY_DAYS,
+  MARKET_COIN_ID,
+  DEFAULT_ALT_BETA,
+  buildMarketShocks,
+  buildHistoricalShocks,
+  buildPresetShocks,
+  applyScenario
+}
@@ -10,7 +10,11 @@ export const STORAGE_KEYS = {
   NOTIFICATIONS: 'coinsight_notifications',
   SETTINGS: 'coinsight_settings',
   CURRENCY: 'coinsight_currency',
-  HISTORY: 'coinsight_history'
+  HISTORY: 'coinsight_history',
+  ACTIVE_PORTFOLIO: 'coinsight_active_portfolio',
+  RECURRING_BUY_REMINDERS: 'coinsight_recurring_buy_reminders',
+  PRICE_BUFFER: 'coinsight_price_buffer',
+  REMOVED_HOLDINGS: 'coinsight_removed_holdings'
 }
 
 // Default values for app state
@@ -23,7 +27,11 @@ const DEFAULT_VALUES = {
     marketTrends: false
   },
   [STORAGE_KEYS.CURRENCY]: 'USD',
-  [STORAGE_KEYS.HISTORY]: []
+  [STORAGE_KEYS.HISTORY]: [],
+  [STORAGE_KEYS.ACTIVE_PORTFOLIO]: null,
+  [STORAGE_KEYS.RECURRING_BUY_REMINDERS]: {},
+  [STORAGE_KEYS.PRICE_BUFFER]: {},
+  [STORAGE_KEYS.REMOVED_HOLDINGS]: {}
 }
 
 /**
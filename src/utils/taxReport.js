@@ -0,0 +1,170 @@
+/**
+ * Tax Report Utility
+ * Pairs each SELL with the acquisition lots it consumed and classifies
+ * holding periods as short-term or long-term (Form 8949 style).
+ * Income received in coin is listed separately as ordinary income.
+ * Sales with no acquisition lot to match are flagged as basis unknown and kept
+ * out of the term totals rather than reported with a $0 basis.
+ */
+
+import { buildTaxLots, isIncomeTransaction, DEFAULT_COST_BASIS_METHOD } from './costBasis'
+import { buildIncomeLedger, getIncomeForYear, INCOME_TYPE_LABELS } from './income'
+
+// Held for more than one year counts as long-term by default
+export const DEFAULT_LONG_TERM_DAYS = 365
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+export const HOLDING_TERMS = {
+  SHORT: 'Short-term',
+  LONG: 'Long-term'
+}
+
+export const UNKNOWN_BASIS_NOTE = 'Cost basis unknown'
+
+/**
+ * Format a timestamp as MM/DD/YYYY (Form 8949 date format)
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} - Formatted date
+ */
+export const formatTaxDate = (timestamp) => {
+  const date = new Date(timestamp)
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0')
+  const day = String(date.getUTCDate()).padStart(2, '0')
+  return `${month}/${day}/${date.getUTCFullYear()}`
+}
+
+/**
+ * Classify the holding period of a lot disposal
+ * @param {string} acquiredAt - Acquisition timestamp
+ * @param {string} disposedAt - Disposal timestamp
+ * @param {number} longTermDays - Days a lot must be held (exclusive) to be long-term
+ * @returns {Object} - { holdingDays, term }
+ */
+export const classifyHoldingPeriod = (acquiredAt, disposedAt, longTermDays = DEFAULT_LONG_TERM_DAYS) => {
+  if (!acquiredAt) {
+    // No acquisition record, report conservatively as short-term
+    return { holdingDays: null, term: HOLDING_TERMS.SHORT }
+  }
+
+  const holdingDays = Math.floor((new Date(disposedAt) - new Date(acquiredAt)) / MS_PER_DAY)
+  return {
+    holdingDays,
+    term: holdingDays > longTermDays ? HOLDING_TERMS.LONG : HOLDING_TERMS.SHORT
+  }
+}
+
+/**
+ * Collect the tax years that contain at least one SELL or INCOME
+ * @param {Array} transactions - Array of transactions
+ * @returns {Array<number>} - Years, newest first
+ */
+export const getTaxYears = (transactions) => {
+  const years = new Set(
+    (transactions || [])
+      .filter(tx => tx.action === 'SELL' || isIncomeTransaction(tx))
+      .map(tx => new Date(tx.timestamp).getUTCFullYear())
+  )
+  return [...years].sort((a, b) => b - a)
+}
+
+/**
+ * Generate the capital gains report for a tax year
+ * @param {Array} transactions - Full transaction history (lots may be acquired in earlier years)
+ * @param {Object} options - { taxYear, method, longTermDays, holdings } where holdings seed
+ *   opening lots for quantity held before transactions were tracked
+ * @returns {Object} - { rows, summary, unknownBasisCount, incomeRows, incomeTotal }
+ */
+export const generateTaxReport = (transactions, options = {}) => {
+  const {
+    taxYear = new Date().getFullYear(),
+    method = DEFAULT_COST_BASIS_METHOD,
+    longTermDays = DEFAULT_LONG_TERM_DAYS,
+    holdings = []
+  } = options
+
+  const lotsByCoin = buildTaxLots(transactions, method, holdings)
+
+  const rows = Object.values(lotsByCoin)
+    .flatMap(entry => entry.closedLots)
+    .filter(disposal => new Date(disposal.disposedAt).getUTCFullYear() === Number(taxYear))
+    .map(disposal => {
+      const { holdingDays, term } = classifyHoldingPeriod(disposal.acquiredAt, disposal.disposedAt, longTermDays)
+
+      return {
+        description: `${Number(disposal.quantity.toFixed(8))} ${disposal.symbol}`,
+        symbol: disposal.symbol,
+        quantity: disposal.quantity,
+        date_acquired: disposal.acquiredAt ? formatTaxDate(disposal.acquiredAt) : 'UNKNOWN',
+        date_sold: formatTaxDate(disposal.disposedAt),
+        proceeds: disposal.proceeds,
+        cost_basis: disposal.unmatched ? null : disposal.costBasis,
+        gain_loss: disposal.unmatched ? null : disposal.realizedProfitLoss,
+        holding_days: holdingDays,
+        term,
+        basis_unknown: disposal.unmatched,
+        note: disposal.unmatched ? UNKNOWN_BASIS_NOTE : '',
+        disposedAt: disposal.disposedAt
+      }
+    })
+    .sort((a, b) => new Date(a.disposedAt) - new Date(b.disposedAt))
+
+  const knownRows = rows.filter(row => !row.basis_unknown)
+  const unknownRows = rows.filter(row => row.basis_unknown)
+
+  const totalsFor = (term) => {
+    const termRows = term ? knownRows.filter(row => row.term === term) : knownRows
+    return {
+      category: term || 'Total',
+      count: termRows.length,
+      proceeds: termRows.reduce((sum, row) => sum + row.proceeds, 0),
+      cost_basis: termRows.reduce((sum, row) => sum + row.cost_basis, 0),
+      gain_loss: termRows.reduce((sum, row) => sum + row.gain_loss, 0)
+    }
+  }
+
+  // Income is taxed when received, at its fair market value that day
+  const incomeRows = getIncomeForYear(buildIncomeLedger(transactions), taxYear).map(entry => ({
+    date_received: formatTaxDate(entry.receivedAt),
+    description: `${Number(entry.quantity.toFixed(8))} ${entry.symbol}`,
+    symbol: entry.symbol,
+    income_type: INCOME_TYPE_LABELS[entry.incomeType] || entry.incomeType,
+    quantity: entry.quantity,
+    fair_market_value: entry.fairMarketValue,
+    income: entry.value
+  }))
+
+  return {
+    taxYear: Number(taxYear),
+    method,
+    longTermDays,
+    rows,
+    summary: [
+      totalsFor(HOLDING_TERMS.SHORT),
+      totalsFor(HOLDING_TERMS.LONG),
+      totalsFor(null),
+      ...(unknownRows.length > 0
+        ? [{
+            category: UNKNOWN_BASIS_NOTE,
+            count: unknownRows.length,
+            proceeds: unknownRows.reduce((sum, row) => sum + row.proceeds, 0),
+            cost_basis: null,
+            gain_loss: null
+          }]
+        : [])
+    ],
+    unknownBasisCount: unknownRows.length,
+    incomeRows,
+    incomeTotal: incomeRows.reduce((sum, row) => sum + row.income, 0)
+  }
+}
+
+export default {
+  DEFAULT_LONG_TERM_DAYS,
+  HOLDING_TERMS,
+  UNKNOWN_BASIS_NOTE,
+  formatTaxDate,
+  classifyHoldingPeriod,
+  getTaxYears,
+  generateTaxReport
+}